@@ -5,7 +5,12 @@
 
 const express = require('express');
 const path = require('path');
-const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { OpenAI, toFile } = require('openai');
 const { createClient } = require('@supabase/supabase-js');
 const Stripe = require('stripe');
 const cors = require('cors');
@@ -26,7 +31,9 @@ const FRONTEND_BASE = process.env.frontend_url
 
 // Security middleware
 app.use(helmet()); // Adds various HTTP headers for security
-app.use(express.json({ limit: '10mb' })); // Limit body size to prevent DoS
+// JSON bodies everywhere except the Stripe webhook, which needs the raw body to verify its signature
+const jsonParser = express.json({ limit: '10mb' }); // Limit body size to prevent DoS
+app.use((req, res, next) => (req.path === '/api/stripe/webhook' ? next() : jsonParser(req, res, next)));
 
 // CORS configuration - more permissive for development
 const corsOptions = {
@@ -53,7 +60,7 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 };
 
@@ -67,57 +74,183 @@ app.get('/dashboard.html', (req, res) => res.sendFile(path.join(publicDir, 'dash
 app.get('/pricing.html', (req, res) => res.sendFile(path.join(publicDir, 'pricing.html')));
 app.use(express.static(publicDir));
 
-// Helper: best-effort client IP extraction (supports proxies like Vercel)
+// X-Forwarded-For is only honoured from trusted proxies (Express "trust proxy"), so clients can't
+// choose their own IP. Defaults to one proxy hop on Vercel and none elsewhere; override with trust_proxy
+// (a hop count, true/false, or an address list).
+function parseTrustProxy(value) {
+    if (!value) return process.env.VERCEL ? 1 : false;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.trust_proxy || process.env.TRUST_PROXY));
+
+// Helper: client IP (for session and click logs; never used for attribution)
 function getClientIp(req) {
-    try {
-        const xForwardedFor = req.headers['x-forwarded-for'];
-        if (typeof xForwardedFor === 'string' && xForwardedFor.length > 0) {
-            // "client, proxy1, proxy2"
-            return xForwardedFor.split(',')[0].trim();
-        }
-        if (Array.isArray(xForwardedFor) && xForwardedFor.length > 0) {
-            return String(xForwardedFor[0]).split(',')[0].trim();
+    const ip = req.ip || req.socket?.remoteAddress || null;
+    // IPv4 clients on an IPv6 socket show up as ::ffff:1.2.3.4
+    return ip ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '') : null;
+}
+
+// ============================================================================
+// Referral attribution
+// ============================================================================
+// Creator links set a signed first-party cookie with the first and the most recent creator link
+// clicked (code, time, UTM parameters). Signup and login credit the user's creator from it.
+
+const REFERRAL_COOKIE = 'tonr_ref';
+// Clicks older than this don't count; the cookie expires this long after the last click
+const REFERRAL_WINDOW_DAYS = parseInt(process.env.referral_window_days || process.env.REFERRAL_WINDOW_DAYS, 10) || 30;
+const REFERRAL_WINDOW_MS = REFERRAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+// 'first': the first creator link clicked in the window gets the signup; 'last' (default): the most recent
+const REFERRAL_ATTRIBUTION = (process.env.referral_attribution || process.env.REFERRAL_ATTRIBUTION) === 'first' ? 'first' : 'last';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_UTM_LENGTH = 200;
+
+function referralCookieSignature(body) {
+    const secret = process.env.attribution_secret || process.env.ATTRIBUTION_SECRET || JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+// Helper: cookies from the request header (no cookie-parser dependency)
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            // Ignore malformed cookie values
         }
+    });
+    return cookies;
+}
 
-        // Fallbacks
-        if (req.ip) return req.ip;
-        if (req.socket && req.socket.remoteAddress) return req.socket.remoteAddress;
+// Helper: the referral cookie payload ({ visitorId, first, last }), or null if missing or tampered with
+function readReferralCookie(req) {
+    const [body, signature] = (parseCookies(req)[REFERRAL_COOKIE] || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = referralCookieSignature(body);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
     } catch (e) {
-        console.warn('⚠️  Failed to read client IP:', e.message);
+        return null;
     }
-    return null;
+}
+
+function writeReferralCookie(req, res, payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    res.cookie(REFERRAL_COOKIE, `${body}.${referralCookieSignature(body)}`, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: isProductionEnv || req.secure,
+        maxAge: REFERRAL_WINDOW_MS,
+        path: '/'
+    });
+}
+
+// Helper: UTM parameters from the query string ({ utm_source, ... }), or null if there are none
+function pickUtmParams(query) {
+    const utm = {};
+    UTM_PARAMS.forEach(param => {
+        if (typeof query[param] === 'string' && query[param].trim()) {
+            utm[param] = query[param].trim().slice(0, MAX_UTM_LENGTH);
+        }
+    });
+    return Object.keys(utm).length > 0 ? utm : null;
+}
+
+// Helper: the click that gets credit under REFERRAL_ATTRIBUTION ({ code, at, utm? }), if inside the window
+function attributedReferral(req) {
+    const touch = readReferralCookie(req)?.[REFERRAL_ATTRIBUTION];
+    if (!touch?.code || !touch.at || Date.now() - touch.at > REFERRAL_WINDOW_MS) {
+        return null;
+    }
+    return touch;
+}
+
+// Helper: credit the attributed creator to a user who doesn't have one yet. A user's creator never
+// changes once set. Returns the creator code, or null if nothing was attributed.
+async function attributeReferral(req, res, userId) {
+    const touch = attributedReferral(req);
+    const creator = touch && await findCreator(touch.code);
+    // Creators clicking their own link aren't referred by it
+    if (!creator || creator.owner_user_id === userId) return null;
+
+    const { data, error } = await supabase
+        .from('users')
+        .update({
+            referrer_code: creator.code,
+            referral_utm: touch.utm || null,
+            referred_at: new Date(touch.at).toISOString()
+        })
+        .eq('id', userId)
+        .is('referrer_code', null)
+        .select('id');
+
+    if (error) throw error;
+    if (!data?.length) return null;
+
+    // Used up: another account signing up on this browser shouldn't be credited too
+    res.clearCookie(REFERRAL_COOKIE, { path: '/' });
+    return creator.code;
 }
 
 // Creator referral tracking:
-// - Links like https://tonr.net/CREATORCODE hit this route
-// - We store (creator_code, IP) in Supabase, then redirect to pricing
+// - Links like https://tonr.net/CREATORCODE?utm_source=... hit this route
+// - Only codes in the creators table count; anything else falls through (404)
+// - We record the click, update the attribution cookie, then redirect to pricing
 app.get('/:creatorCode', asyncHandler(async (req, res, next) => {
     const { creatorCode } = req.params;
 
-    // Ignore obvious asset/API paths (contain a dot or "api/")
-    if (!creatorCode || creatorCode.includes('.') || creatorCode.toLowerCase() === 'api') {
+    // Ignore asset/API paths and anything that can't be a creator code
+    if (!CREATOR_CODE_PATTERN.test(creatorCode) || creatorCode.toLowerCase() === 'api') {
+        return next();
+    }
+
+    let creator = null;
+    try {
+        creator = await findCreator(creatorCode);
+    } catch (e) {
+        console.error('Failed to look up creator code:', e.message);
+    }
+    if (!creator) {
         return next();
     }
 
-    const ip = getClientIp(req);
+    const now = Date.now();
+    const utm = pickUtmParams(req.query);
+    const touch = { code: creator.code, at: now, ...(utm ? { utm } : {}) };
+    const previous = readReferralCookie(req);
+    const visitorId = previous?.visitorId || crypto.randomUUID();
+
+    writeReferralCookie(req, res, {
+        visitorId,
+        // The first click stays first until it falls out of the window
+        first: previous?.first && now - previous.first.at <= REFERRAL_WINDOW_MS ? previous.first : touch,
+        last: touch
+    });
 
-    if (supabase && ip) {
-        try {
-            // Table suggestion:
-            // creator_referrals(id uuid pk, creator_code text, ip_address text, created_at timestamptz default now())
-            await supabase
-                .from('creator_referrals')
-                .insert({
-                    creator_code: creatorCode,
-                    ip_address: ip
-                });
-        } catch (e) {
-            console.error('Failed to record creator referral:', e.message);
-        }
+    const { error } = await supabase
+        .from('creator_referrals')
+        .insert({
+            creator_code: creator.code,
+            visitor_id: visitorId,
+            ip_address: getClientIp(req),
+            ...utm
+        });
+    if (error) {
+        console.error('Failed to record creator referral:', error.message);
     }
 
-    // Send user into normal flow (you can change this to index.html if you prefer)
-    res.redirect('/pricing.html');
+    // Send user into normal flow (you can change this to index.html if you prefer).
+    // pricing.html shows the creator's discount and passes the code to checkout.
+    res.redirect(`/pricing.html?ref=${encodeURIComponent(creator.code)}`);
 }));
 
 // Rate limiting to prevent abuse
@@ -135,6 +268,29 @@ const apiLimiter = rateLimit({
     message: { error: 'Too many requests, please try again later.' },
     standardHeaders: true,
     legacyHeaders: false,
+    // The versioned API is limited per API key instead (apiKeyLimiter)
+    skip: (req) => req.path.startsWith('/v1/'),
+});
+
+// Versioned API: each key has its own per-minute limit (runs after authenticateApiKey)
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: (req) => req.apiKey.rateLimitPerMinute,
+    keyGenerator: (req) => req.apiKey.id,
+    message: { error: 'API key rate limit exceeded, please try again later.', code: 'rate_limited' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Versioned API: only requests rejected for a missing or invalid key count against the IP
+const apiKeyAuthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 failed key checks per window
+    message: { error: 'Too many invalid API key attempts, please try again later.', code: 'rate_limited' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
 });
 
 const analysisLimiter = rateLimit({
@@ -145,6 +301,14 @@ const analysisLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+const transcriptionLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 50, // 50 transcription requests per hour
+    message: { error: 'Transcription rate limit exceeded, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Initialize Supabase client
 const supabaseUrl = process.env.supabase_url || process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.supabase_service_role_key || process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -185,19 +349,171 @@ if (!stripeSecretKey) {
 // JWT secret (in production, use a secure random string from .env)
 const JWT_SECRET = process.env.jwt_secret || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
-// Authentication middleware - allows localhost without auth
-function authenticateToken(req, res, next) {
-    // Allow localhost requests without authentication
-    const origin = req.headers.origin || req.headers.referer || '';
-    const isLocalhost = origin.includes('localhost') || origin.includes('127.0.0.1') || 
-                       req.headers.host?.includes('localhost') || req.headers.host?.includes('127.0.0.1');
-    
-    if (isLocalhost) {
-        // Create a mock user for localhost
-        req.user = { id: 'localhost-user', email: 'localhost@example.com' };
-        return next();
+// Token lifetimes: short-lived access tokens plus rotating refresh tokens tracked in auth_sessions
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+const REFRESH_REUSE_GRACE_SECONDS = 30; // another tab may still send the previous refresh token right after a rotation
+
+// Development mode
+// Enabled with dev_mode=true (or DEV_MODE) and always off in production (NODE_ENV or VERCEL_ENV
+// set to production). It only adds the /api/dev routes for signing in as seeded test users; every
+// request still goes through real tokens, tiers and usage limits.
+const isProductionEnv = process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+const devModeRequested = ['true', '1'].includes(String(process.env.dev_mode || process.env.DEV_MODE || '').toLowerCase());
+const devMode = devModeRequested && !isProductionEnv;
+
+if (devModeRequested && isProductionEnv) {
+    console.warn('⚠️  dev_mode is ignored in production.');
+}
+
+// Seeded test users for dev mode, one per tier state (null = tier not selected yet),
+// plus one with the admin console role
+const DEV_USERS = {
+    free: { email: 'dev-free@tonr.local', name: 'Dev Free', tier: 'free' },
+    pro: { email: 'dev-pro@tonr.local', name: 'Dev Pro', tier: 'pro' },
+    new: { email: 'dev-new@tonr.local', name: 'Dev New User', tier: null },
+    admin: { email: 'dev-admin@tonr.local', name: 'Dev Admin', tier: 'free', role: 'admin' }
+};
+
+// ============================================================================
+// Plans
+// ============================================================================
+// The plan catalog behind pricing, checkout and every entitlement check. users.tier holds a plan id.
+// - prices: per billing interval. stripePriceId comes from env; without one, checkout creates
+//   the price inline from amount (fine in test mode, but keep amount in sync with Stripe in production)
+// - quotas: analyses per UTC day / calendar month (null = unlimited)
+// - tonalities: built-in tonality keys the plan can use ('*' = all); customTonalities: create and use your own
+// - trialDays: free trial added at checkout for first-time subscribers (0 = no trial)
+const BILLING_INTERVALS = {
+    monthly: { stripeInterval: 'month', label: 'month' },
+    annual: { stripeInterval: 'year', label: 'year' }
+};
+
+const PLANS = {
+    free: {
+        id: 'free',
+        name: 'Free',
+        description: 'Explore how Tonr refines raw speech.',
+        prices: {},
+        quotas: { daily: 3, monthly: null },
+        tonalities: ['neutral'],
+        customTonalities: false,
+        highlights: ['Core refinement engine', 'Practice scenarios']
+    },
+    pro: {
+        id: 'pro',
+        name: 'Pro',
+        description: 'Full control over how you sound.',
+        prices: {
+            monthly: {
+                amount: 900, // $9.00
+                currency: 'usd',
+                stripePriceId: process.env.stripe_price_pro_monthly || process.env.STRIPE_PRICE_PRO_MONTHLY || null
+            },
+            annual: {
+                amount: 9000, // $90.00
+                currency: 'usd',
+                stripePriceId: process.env.stripe_price_pro_annual || process.env.STRIPE_PRICE_PRO_ANNUAL || null
+            }
+        },
+        quotas: { daily: null, monthly: null },
+        tonalities: '*',
+        customTonalities: true,
+        trialDays: parseInt(process.env.trial_days || process.env.TRIAL_DAYS, 10) || 0,
+        highlights: ['Faster processing', 'Priority access to updates']
+    }
+};
+
+const DEFAULT_PLAN_ID = 'free';
+
+// Own keys only, so ids from a request like 'constructor' or '__proto__' don't resolve to a plan
+function isKnownPlan(planId) {
+    return typeof planId === 'string' && Object.hasOwn(PLANS, planId);
+}
+
+function getPlan(planId) {
+    return isKnownPlan(planId) ? PLANS[planId] : PLANS[DEFAULT_PLAN_ID];
+}
+
+function isPaidPlan(planId) {
+    return isKnownPlan(planId) && Object.keys(PLANS[planId].prices).length > 0;
+}
+
+// Helper: the plan a paid subscription is for, from its metadata or its Stripe price id
+function findPaidPlanId({ planId, priceId } = {}) {
+    if (isPaidPlan(planId)) return planId;
+    if (priceId) {
+        const match = Object.values(PLANS).find(plan =>
+            Object.values(plan.prices).some(price => price.stripePriceId === priceId));
+        if (match) return match.id;
+    }
+    return Object.keys(PLANS).find(isPaidPlan);
+}
+
+// Helper: billing interval key ('monthly' | 'annual') for a Stripe recurring interval ('month' | 'year')
+function billingIntervalFor(stripeInterval) {
+    return Object.keys(BILLING_INTERVALS).find(key => BILLING_INTERVALS[key].stripeInterval === stripeInterval) || null;
+}
+
+// Helper: the next plan up from `plan` (used in upgrade messages)
+function upgradePlanFor(plan) {
+    return Object.values(PLANS).find(candidate => candidate.id !== plan.id && isPaidPlan(candidate.id)) || null;
+}
+
+// Payment grace period: paid users whose renewal fails keep their plan for this many days while Stripe retries
+const PAYMENT_GRACE_DAYS = parseInt(process.env.payment_grace_days || process.env.PAYMENT_GRACE_DAYS, 10) || 7;
+
+// Columns effectiveTier() and getQuotaUsage() need from the users table
+const USER_TIER_COLUMNS = 'tier, subscription_status, grace_period_ends_at, trial_ends_at, quota_reset_at';
+
+// Helper: the plan id a users row grants right now (null if not selected yet).
+// A past_due subscription keeps its plan until the grace period ends, and a trialing one until
+// the trial ends; after that it counts as free until Stripe reports the subscription active again.
+function effectiveTier(userRow) {
+    const tier = userRow?.tier || null;
+    if (!isPaidPlan(tier)) {
+        return tier;
+    }
+
+    const now = new Date();
+    if (userRow.subscription_status === 'past_due' && userRow.grace_period_ends_at
+        && new Date(userRow.grace_period_ends_at) <= now) {
+        return DEFAULT_PLAN_ID;
+    }
+    if (userRow.subscription_status === 'trialing' && userRow.trial_ends_at
+        && new Date(userRow.trial_ends_at) <= now) {
+        return DEFAULT_PLAN_ID;
+    }
+    return tier;
+}
+
+// Helper: trial state of a users row (USER_TIER_COLUMNS) for API responses, or null when not trialing
+function trialInfo(userRow) {
+    const tier = effectiveTier(userRow);
+    if (userRow?.subscription_status !== 'trialing' || !isPaidPlan(tier) || !userRow.trial_ends_at) {
+        return null;
+    }
+
+    const msRemaining = new Date(userRow.trial_ends_at) - Date.now();
+    return {
+        plan: tier,
+        endsAt: userRow.trial_ends_at,
+        daysRemaining: Math.max(0, Math.ceil(msRemaining / (24 * 60 * 60 * 1000)))
+    };
+}
+
+// Helper: the plan a user can use right now, counting a seat on their team's subscription.
+// A paid personal plan wins; otherwise a seat grants the team's plan (see getSeatPlan()).
+async function resolveTier(userId, userRow) {
+    const tier = effectiveTier(userRow);
+    if (isPaidPlan(tier)) {
+        return tier;
     }
+    return (await getSeatPlan(userId)) || tier;
+}
 
+// Authentication middleware
+function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -207,19 +523,610 @@ function authenticateToken(req, res, next) {
 
     jwt.verify(token, JWT_SECRET, (err, user) => {
         if (err) {
+            // Expired access tokens get their own code so clients know to refresh
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+            }
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
-        req.user = user;
-        next();
+
+        // The token's refresh session must still be live, so logout and revocation apply immediately
+        if (!user.sid || !supabase) {
+            return res.status(401).json({ error: 'Session expired. Please log in again.', code: 'session_revoked' });
+        }
+
+        isAuthSessionActive(user.sid, user.id)
+            .then(active => {
+                if (!active) {
+                    return res.status(401).json({ error: 'Session expired. Please log in again.', code: 'session_revoked' });
+                }
+                req.user = { id: user.id, email: user.email, sid: user.sid };
+                next();
+            })
+            .catch(next);
+    });
+}
+
+// Speech metrics
+// Objective, deterministic measurements of a transcript. They are computed before the model is
+// called, fed into the prompt so ratings are grounded, and returned/stored alongside the analysis.
+const HEDGING_PHRASES = [
+    'i guess',
+    'kind of',
+    'sort of',
+    'sorry to bother',
+    'i was wondering',
+    "i'm not sure",
+    'i think',
+    'maybe'
+];
+const FILLER_MARKER_PATTERN = /\(\s*filler word\s*\)/gi;
+const PAUSE_MARKER_PATTERN = /\(\s*pause\s+(\d+(?:\.\d+)?)s\s*\)/gi;
+const RAW_FILLER_PATTERN = /\b(um+|uh+|erm|er)\b/gi;
+
+// Helper: strip the ( ... ) annotation markers dashboard.js adds, leaving only spoken words
+function stripTranscriptMarkers(transcript) {
+    return (transcript || '')
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/\s+([,.!?])/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+/).filter(Boolean);
+}
+
+// Compute speech metrics for a transcript. durationSeconds (recording length) and timing (per-chunk
+// recognition timestamps, see computePacingMetrics) are optional; without either, wordsPerMinute is null.
+function computeSpeechMetrics(transcript, { durationSeconds, timing } = {}) {
+    const text = transcript || '';
+    const plain = stripTranscriptMarkers(text);
+    const lower = plain.toLowerCase();
+    const words = plain.split(/\s+/).filter(word => /[a-z0-9]/i.test(word));
+    const wordCount = words.length;
+
+    // Prefer the recorder's ( filler word ) markers; fall back to raw um/uh for unannotated transcripts
+    const markedFillers = (text.match(FILLER_MARKER_PATTERN) || []).length;
+    const fillerCount = markedFillers > 0 ? markedFillers : (plain.match(RAW_FILLER_PATTERN) || []).length;
+
+    const pauses = [...text.matchAll(PAUSE_MARKER_PATTERN)].map(match => Number(match[1]));
+    const totalPauseSeconds = pauses.reduce((sum, seconds) => sum + seconds, 0);
+
+    const hedgingPhrases = HEDGING_PHRASES
+        .map(phrase => ({
+            phrase,
+            count: (lower.match(new RegExp(`\\b${phrase}\\b`, 'g')) || []).length
+        }))
+        .filter(entry => entry.count > 0);
+
+    const sentences = splitSentences(plain);
+    const questionCount = sentences.filter(sentence => sentence.endsWith('?')).length;
+    const pacing = computePacingMetrics(timing);
+    const duration = Number(durationSeconds) || (pacing ? pacing.durationSeconds : 0);
+
+    return {
+        wordCount,
+        fillerCount,
+        fillerRate: wordCount > 0 ? Math.round((fillerCount / wordCount) * 1000) / 10 : 0, // per 100 words
+        pauseCount: pauses.length,
+        totalPauseSeconds: Math.round(totalPauseSeconds * 10) / 10,
+        wordsPerMinute: duration > 0 ? Math.round(wordCount / (duration / 60)) : null,
+        hedgingCount: hedgingPhrases.reduce((sum, entry) => sum + entry.count, 0),
+        hedgingPhrases,
+        sentenceCount: sentences.length,
+        questionCount,
+        questionRatio: sentences.length > 0 ? Math.round((questionCount / sentences.length) * 100) / 100 : 0,
+        pacing
+    };
+}
+
+// Pacing analysis from recognition timing.
+// timing = { durationMs, chunks: [{ start, end, text, words, revisions }] } with times in ms since
+// recording start, one chunk per final recognition result; revisions counts how often the interim
+// text changed before it was finalized.
+const PACING_WINDOW_SECONDS = 10;
+const RUSHED_WPM = 170;
+const SLOW_WPM = 110;
+const LONG_PAUSE_SECONDS = 2;
+const MAX_TIMING_CHUNKS = 2000;
+
+// Helper: keep only well-formed timing chunks, sorted by start time
+function normalizeTimingChunks(chunks) {
+    if (!Array.isArray(chunks)) return [];
+    return chunks
+        .slice(0, MAX_TIMING_CHUNKS)
+        .filter(chunk => chunk && Number.isFinite(Number(chunk.start)) && Number.isFinite(Number(chunk.end)))
+        .map(chunk => {
+            const start = Math.max(0, Number(chunk.start));
+            const text = typeof chunk.text === 'string' ? chunk.text.slice(0, 500) : '';
+            return {
+                start,
+                end: Math.max(start, Number(chunk.end)),
+                text,
+                words: Number.isFinite(Number(chunk.words)) ? Math.max(0, Math.round(Number(chunk.words))) : text.split(/\s+/).filter(Boolean).length,
+                revisions: Number.isFinite(Number(chunk.revisions)) ? Math.max(0, Math.round(Number(chunk.revisions))) : 0
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+function computePacingMetrics(timing) {
+    const chunks = normalizeTimingChunks(timing && timing.chunks);
+    if (chunks.length === 0) return null;
+
+    const lastEnd = chunks[chunks.length - 1].end;
+    const durationSeconds = Math.max(Number(timing.durationMs) || 0, lastEnd) / 1000;
+
+    // Speaking rate per window, each chunk's words counted in the window holding its midpoint
+    const windowCount = Math.max(1, Math.ceil(durationSeconds / PACING_WINDOW_SECONDS));
+    const windows = Array.from({ length: windowCount }, (_, i) => ({
+        start: i * PACING_WINDOW_SECONDS,
+        end: Math.min((i + 1) * PACING_WINDOW_SECONDS, Math.round(durationSeconds * 10) / 10),
+        words: 0
+    }));
+
+    chunks.forEach(chunk => {
+        const midpoint = (chunk.start + chunk.end) / 2000;
+        const index = Math.min(windowCount - 1, Math.floor(midpoint / PACING_WINDOW_SECONDS));
+        windows[index].words += chunk.words;
+    });
+
+    windows.forEach(window => {
+        const minutes = Math.max(1, window.end - window.start) / 60;
+        window.wordsPerMinute = Math.round(window.words / minutes);
+        if (window.words === 0) {
+            window.pace = 'silent';
+        } else if (window.wordsPerMinute > RUSHED_WPM) {
+            window.pace = 'rushed';
+        } else if (window.wordsPerMinute < SLOW_WPM) {
+            window.pace = 'slow';
+        } else {
+            window.pace = 'steady';
+        }
+    });
+
+    // Gaps between consecutive chunks, located by the words spoken just before them
+    const longPauses = [];
+    for (let i = 1; i < chunks.length; i++) {
+        const gapSeconds = (chunks[i].start - chunks[i - 1].end) / 1000;
+        if (gapSeconds > LONG_PAUSE_SECONDS) {
+            longPauses.push({
+                atSeconds: Math.round(chunks[i - 1].end / 100) / 10,
+                durationSeconds: Math.round(gapSeconds * 10) / 10,
+                after: chunks[i - 1].text.split(/\s+/).slice(-6).join(' ')
+            });
+        }
+    }
+
+    const revisionCount = chunks.reduce((sum, chunk) => sum + chunk.revisions, 0);
+
+    return {
+        durationSeconds: Math.round(durationSeconds * 10) / 10,
+        windowSeconds: PACING_WINDOW_SECONDS,
+        windows,
+        longPauses,
+        rushedWindows: windows.filter(window => window.pace === 'rushed').length,
+        slowWindows: windows.filter(window => window.pace === 'slow').length,
+        revisionCount,
+        averageRevisions: Math.round((revisionCount / chunks.length) * 10) / 10
+    };
+}
+
+// Helper: describe metrics for the analysis prompt
+function formatMetricsForPrompt(metrics) {
+    const hedges = metrics.hedgingPhrases.map(entry => `"${entry.phrase}" x${entry.count}`).join(', ');
+    const lines = [
+        `- Words: ${metrics.wordCount}`,
+        `- Filler words: ${metrics.fillerCount} (${metrics.fillerRate} per 100 words)`,
+        `- Long pauses: ${metrics.pauseCount} (${metrics.totalPauseSeconds}s total)`,
+        `- Speaking rate: ${metrics.wordsPerMinute != null ? `${metrics.wordsPerMinute} words per minute` : 'unknown'}`,
+        `- Hedging phrases: ${metrics.hedgingCount}${hedges ? ` (${hedges})` : ''}`,
+        `- Questions: ${metrics.questionCount} of ${metrics.sentenceCount} sentences (ratio ${metrics.questionRatio})`
+    ];
+
+    const pacing = metrics.pacing;
+    if (pacing) {
+        const pauses = pacing.longPauses
+            .map(pause => `${pause.durationSeconds}s at ${pause.atSeconds}s (after "${pause.after}")`)
+            .join('; ');
+        lines.push(
+            `- Pacing: ${pacing.rushedWindows} of ${pacing.windows.length} ${pacing.windowSeconds}-second windows rushed (over ${RUSHED_WPM} wpm), ${pacing.slowWindows} slow (under ${SLOW_WPM} wpm)`,
+            `- Pause locations: ${pauses || 'none'}`,
+            `- Speech recognition revisions: ${pacing.revisionCount} (${pacing.averageRevisions} per phrase; many revisions suggest unclear articulation)`
+        );
+    }
+
+    return lines.join('\n');
+}
+
+// Analysis providers
+// The analyze routes talk to a provider instead of a specific vendor SDK. Each provider has a
+// `name`, a `model`, and implements:
+//   complete(request, { signal }) -> Promise<string>        JSON content of the analysis
+//   stream(request, { signal })   -> AsyncIterable<string>  the same JSON content, in chunks
+// where request = { transcript, tonality, tonalityInfo, scenario, metrics, messages }. `tonality` is the
+// requested key and `tonalityInfo` its resolved { name, description, focus, examplePhrases } (built-in or
+// custom); `scenario` is the practice scenario being drilled, or null.
+// LLM providers use `messages`; the local provider works from the raw transcript and metrics.
+//
+// Choose one per environment with analysis_provider (or ANALYSIS_PROVIDER):
+//   openai             - OpenAI API (openai_key, openai_model)
+//   openai-compatible  - any OpenAI-compatible server, e.g. self-hosted models
+//                        (analysis_base_url, analysis_api_key, analysis_model)
+//   local              - deterministic heuristics, no network (tests and local dev)
+// Defaults to openai when an OpenAI key is configured.
+
+function createOpenAIProvider({ name, apiKey, baseURL, model, jsonMode = true }) {
+    const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+    const buildBody = (request) => ({
+        model: model,
+        messages: request.messages,
+        temperature: 0.7,
+        ...(jsonMode ? { response_format: { type: "json_object" } } : {})
+    });
+
+    return {
+        name,
+        model,
+        async complete(request, { signal } = {}) {
+            const completion = await client.chat.completions.create(buildBody(request), { signal });
+            return completion.choices[0].message.content;
+        },
+        async *stream(request, { signal } = {}) {
+            const stream = await client.chat.completions.create({ ...buildBody(request), stream: true }, { signal });
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+        }
+    };
+}
+
+const LOCAL_FILLER_PATTERN = /\b(um+|uh+|erm|er)\b,?\s*/gi;
+const LOCAL_HEDGE_PATTERNS = [
+    /\bsorry to bother you,?\s*(but\s*)?/gi,
+    /\bi was wondering if\s*/gi,
+    /\bi guess,?\s*/gi,
+    /\bkind of\s*/gi,
+    /\bsort of\s*/gi,
+    /\bmaybe\s*/gi
+];
+const LOCAL_STUTTER_PATTERN = /\b(\w+)-\1\b/gi;
+
+// Deterministic heuristic analysis: same transcript and tonality always give the same result
+function analyzeTranscriptLocally(transcript, tonality, metrics = computeSpeechMetrics(transcript), tonalityInfo = tonalityDescriptions[tonality] || tonalityDescriptions.neutral) {
+    const { fillerCount, pauseCount, hedgingCount, questionCount } = metrics;
+    const sentences = splitSentences(stripTranscriptMarkers(transcript));
+
+    let stutterCount = 0;
+    const changes = [];
+
+    const refinedSentences = sentences.map(original => {
+        const reasons = [];
+        let sentence = original;
+
+        if (sentence.match(LOCAL_FILLER_PATTERN)) {
+            reasons.push('removed filler words');
+            sentence = sentence.replace(LOCAL_FILLER_PATTERN, '');
+        }
+
+        LOCAL_HEDGE_PATTERNS.forEach(pattern => {
+            if (sentence.match(pattern)) {
+                if (!reasons.includes('removed hedging')) reasons.push('removed hedging');
+                sentence = sentence.replace(pattern, '');
+            }
+        });
+
+        const stutters = sentence.match(LOCAL_STUTTER_PATTERN);
+        if (stutters) {
+            stutterCount += stutters.length;
+            reasons.push('removed repeated words');
+            sentence = sentence.replace(LOCAL_STUTTER_PATTERN, '$1');
+        }
+
+        sentence = sentence.replace(/\s+([,.!?])/g, '$1').replace(/^[,\s]+/, '').replace(/\s+/g, ' ').trim();
+        if (sentence) {
+            sentence = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+            if (!/[.!?]$/.test(sentence)) sentence += '.';
+        }
+
+        if (sentence !== original) {
+            changes.push({
+                original,
+                refined: sentence,
+                reason: reasons.length > 0
+                    ? reasons.join(', ').replace(/^./, c => c.toUpperCase()) + '.'
+                    : 'Tidied punctuation and capitalization.'
+            });
+        }
+        return sentence;
     });
+
+    const penalty = fillerCount * 4 + pauseCount * 3 + hedgingCount * 5 + stutterCount * 3
+        + (tonality === 'assertive' ? questionCount * 2 : 0);
+    const rating = Math.min(100, Math.max(1, 90 - penalty));
+
+    const feedback = [];
+    if (fillerCount > 0) feedback.push(`You used ${fillerCount} filler word${fillerCount === 1 ? '' : 's'}. Use a short silent pause instead.`);
+    if (hedgingCount > 0) feedback.push('Drop hedging phrases like "I guess" or "kind of" so your point lands with confidence.');
+    if (pauseCount > 0) feedback.push(`There ${pauseCount === 1 ? 'was 1 long pause' : `were ${pauseCount} long pauses`}. Plan your next sentence before you start speaking.`);
+    if (stutterCount > 0) feedback.push('Slow down slightly at the start of sentences to avoid repeating words.');
+    if (tonality === 'assertive' && questionCount > 0) feedback.push('Turn questions into clear statements or requests.');
+    if (tonalityInfo.focus) feedback.push(tonalityInfo.focus);
+    while (feedback.length < 3) feedback.push('Keep sentences short and finish each one with a clear point.');
+
+    return {
+        rating,
+        feedback: feedback.slice(0, 5),
+        refined: refinedSentences.filter(Boolean).join(' '),
+        changes
+    };
+}
+
+function analyzeRequestLocally(request) {
+    const result = analyzeTranscriptLocally(request.transcript, request.tonality, request.metrics, request.tonalityInfo);
+    if (request.scenario) {
+        // No per-goal judgement without a model; score every goal from the overall rating
+        const score = Math.min(5, Math.max(1, Math.round(result.rating / 20)));
+        result.rubric = request.scenario.rubric.map(criterion => ({ criterion, score, note: 'Estimated from the overall rating.' }));
+    }
+    return result;
+}
+
+function createLocalProvider() {
+    return {
+        name: 'local',
+        model: 'local-heuristic',
+        async complete(request) {
+            return JSON.stringify(analyzeRequestLocally(request));
+        },
+        async *stream(request) {
+            const content = JSON.stringify(analyzeRequestLocally(request));
+            for (let i = 0; i < content.length; i += 32) {
+                yield content.slice(i, i + 32);
+            }
+        }
+    };
 }
 
-// Initialize OpenAI client - reads from .env file
-// Don't exit on missing key; return errors from analyze endpoint instead (allows app to start on Vercel)
+// Initialize the analysis provider from env
+// Don't exit on missing config; return errors from analyze endpoint instead (allows app to start on Vercel)
 const openaiApiKey = process.env.openai_key || process.env.OPENAI_API_KEY;
-const openai = openaiApiKey ? new OpenAI({ apiKey: openaiApiKey }) : null;
-if (!openaiApiKey) {
-    console.warn('⚠️  OpenAI API key not found. Speech analysis will be disabled. Add openai_key or OPENAI_API_KEY to env.');
+const analysisProviderName = (process.env.analysis_provider || process.env.ANALYSIS_PROVIDER || (openaiApiKey ? 'openai' : '')).toLowerCase();
+
+function createAnalysisProvider(providerName) {
+    switch (providerName) {
+        case 'openai':
+            if (!openaiApiKey) {
+                console.warn('⚠️  OpenAI API key not found. Speech analysis will be disabled. Add openai_key or OPENAI_API_KEY to env.');
+                return null;
+            }
+            return createOpenAIProvider({
+                name: 'openai',
+                apiKey: openaiApiKey,
+                model: process.env.openai_model || process.env.OPENAI_MODEL || "gpt-4"
+            });
+        case 'openai-compatible': {
+            const baseURL = process.env.analysis_base_url || process.env.ANALYSIS_BASE_URL;
+            if (!baseURL) {
+                console.warn('⚠️  analysis_base_url not set. Speech analysis will be disabled.');
+                return null;
+            }
+            return createOpenAIProvider({
+                name: 'openai-compatible',
+                baseURL,
+                // Many self-hosted servers don't check the key, but the SDK requires one
+                apiKey: process.env.analysis_api_key || process.env.ANALYSIS_API_KEY || 'not-needed',
+                model: process.env.analysis_model || process.env.ANALYSIS_MODEL || process.env.openai_model || process.env.OPENAI_MODEL || "gpt-4",
+                jsonMode: (process.env.analysis_json_mode || process.env.ANALYSIS_JSON_MODE) !== 'false'
+            });
+        }
+        case 'local':
+            return createLocalProvider();
+        case '':
+            console.warn('⚠️  No analysis provider configured. Speech analysis will be disabled. Add openai_key, or set analysis_provider=local for offline use.');
+            return null;
+        default:
+            console.warn(`⚠️  Unknown analysis_provider "${providerName}". Speech analysis will be disabled.`);
+            return null;
+    }
+}
+
+const analysisProvider = createAnalysisProvider(analysisProviderName);
+
+// Transcription providers
+// Turn recorded audio into timed segments for /api/transcribe. Each provider has a `name` and implements:
+//   transcribe({ audio, mimeType }) -> Promise<{ segments: [{ start, end, text }], durationSeconds }>
+// with times in seconds. Choose one with transcription_provider (or TRANSCRIPTION_PROVIDER):
+//   openai             - OpenAI Whisper (openai_key, transcription_model)
+//   openai-compatible  - any OpenAI-compatible transcription server (transcription_base_url, transcription_api_key)
+//   local              - fixed stand-in transcript, no network (tests and local dev)
+// Defaults to openai when an OpenAI key is configured.
+const AUDIO_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/mp4': 'mp4' // Safari's MediaRecorder only records mp4
+};
+
+function createOpenAITranscriptionProvider({ name, apiKey, baseURL, model }) {
+    const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+    return {
+        name,
+        async transcribe({ audio, mimeType }) {
+            const file = await toFile(audio, `recording.${AUDIO_EXTENSIONS[mimeType]}`, { type: mimeType });
+            const result = await client.audio.transcriptions.create({
+                file,
+                model,
+                response_format: 'verbose_json',
+                timestamp_granularities: ['segment']
+            });
+
+            const segments = (result.segments || []).map(segment => ({
+                start: segment.start,
+                end: segment.end,
+                text: segment.text
+            }));
+
+            return {
+                segments: segments.length > 0 ? segments : [{ start: 0, end: result.duration || 0, text: result.text || '' }],
+                durationSeconds: result.duration || (segments.length > 0 ? segments[segments.length - 1].end : null)
+            };
+        }
+    };
+}
+
+function createLocalTranscriptionProvider() {
+    const text = process.env.transcription_local_text || process.env.TRANSCRIPTION_LOCAL_TEXT
+        || 'Um, this is a local test transcript. | I think we should ship it on Friday?';
+
+    // "|" separates segments; each is 3 seconds long with a 2 second gap so pause markers are exercised
+    const segments = text.split('|').map((part, i) => ({ start: i * 5, end: i * 5 + 3, text: part.trim() }));
+
+    return {
+        name: 'local',
+        async transcribe() {
+            return { segments, durationSeconds: segments.length > 0 ? segments[segments.length - 1].end : 0 };
+        }
+    };
+}
+
+const transcriptionProviderName = (process.env.transcription_provider || process.env.TRANSCRIPTION_PROVIDER || (openaiApiKey ? 'openai' : '')).toLowerCase();
+
+function createTranscriptionProvider(providerName) {
+    switch (providerName) {
+        case 'openai':
+            if (!openaiApiKey) {
+                console.warn('⚠️  OpenAI API key not found. Audio transcription will be disabled.');
+                return null;
+            }
+            return createOpenAITranscriptionProvider({
+                name: 'openai',
+                apiKey: openaiApiKey,
+                model: process.env.transcription_model || process.env.TRANSCRIPTION_MODEL || 'whisper-1'
+            });
+        case 'openai-compatible': {
+            const baseURL = process.env.transcription_base_url || process.env.TRANSCRIPTION_BASE_URL;
+            if (!baseURL) {
+                console.warn('⚠️  transcription_base_url not set. Audio transcription will be disabled.');
+                return null;
+            }
+            return createOpenAITranscriptionProvider({
+                name: 'openai-compatible',
+                baseURL,
+                apiKey: process.env.transcription_api_key || process.env.TRANSCRIPTION_API_KEY || 'not-needed',
+                model: process.env.transcription_model || process.env.TRANSCRIPTION_MODEL || 'whisper-1'
+            });
+        }
+        case 'local':
+            return createLocalTranscriptionProvider();
+        case '':
+            return null;
+        default:
+            console.warn(`⚠️  Unknown transcription_provider "${providerName}". Audio transcription will be disabled.`);
+            return null;
+    }
+}
+
+const transcriptionProvider = createTranscriptionProvider(transcriptionProviderName);
+
+// Refresh sessions
+// Signup and login open an auth_sessions row per device. The client gets a short-lived access token
+// (JWT carrying the session id as `sid`) and a refresh token `<session id>.<secret>`; only a hash of
+// the secret is stored. Every refresh rotates the secret. Replaying an already-rotated secret after
+// the grace window is treated as a leaked token and revokes the session.
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Helper: constant-time comparison of a refresh token secret against a stored hash
+function tokenHashMatches(secret, hash) {
+    if (!hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(hashToken(secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Helper: split a refresh token into { sessionId, secret }, or null if malformed
+function parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !UUID_PATTERN.test(sessionId)) return null;
+    return { sessionId, secret };
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Helper: open a refresh session for the user and return the token pair for the auth response
+async function issueAuthTokens(req, user) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const { data, error } = await supabase
+        .from('auth_sessions')
+        .insert({
+            user_id: user.id,
+            refresh_token_hash: hashToken(secret),
+            expires_at: refreshExpiry(),
+            user_agent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+            ip_address: getClientIp(req)
+        })
+        .select('id')
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return {
+        token: signAccessToken(user, data.id),
+        refreshToken: `${data.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+async function isAuthSessionActive(sessionId, userId) {
+    const { data, error } = await supabase
+        .from('auth_sessions')
+        .select('revoked_at, expires_at')
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    return !!data && !data.revoked_at && new Date(data.expires_at) > new Date();
+}
+
+// Helper: revoke the live refresh sessions matching column = value. Returns how many were revoked.
+async function revokeAuthSessions(column, value) {
+    const { data, error } = await supabase
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq(column, value)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) {
+        throw error;
+    }
+
+    return data?.length || 0;
 }
 
 // Auth Routes with Supabase
@@ -250,48 +1157,28 @@ app.post('/api/auth/signup', authLimiter, asyncHandler(async (req, res) => {
             return res.status(400).json({ error: error.message });
         }
 
-        // User record will be created automatically by trigger, but ensure tier and referrer are set
-        let referrerCode = null;
-
-        try {
-            const ip = getClientIp(req);
-            if (ip) {
-                // Find the most recent creator referral for this IP
-                // Table suggestion: creator_referrals(creator_code text, ip_address text, created_at timestamptz)
-                const { data: referral } = await supabase
-                    .from('creator_referrals')
-                    .select('creator_code')
-                    .eq('ip_address', ip)
-                    .order('created_at', { ascending: false })
-                    .limit(1)
-                    .maybeSingle();
-
-                referrerCode = referral?.creator_code || null;
-            }
-        } catch (e) {
-            console.error('Failed to resolve referrer for signup:', e.message);
-        }
-
+        // User record will be created automatically by trigger, but ensure tier is set
         await supabase
             .from('users')
             .upsert({
                 id: data.user.id,
-                tier: null, // No tier selected yet - user must choose
-                // Schema suggestion: ALTER TABLE users ADD COLUMN referrer_code text;
-                referrer_code: referrerCode
+                tier: null // No tier selected yet - user must choose
             }, {
                 onConflict: 'id'
             });
 
-        // Generate token
-        const token = jwt.sign(
-            { id: data.user.id, email: data.user.email },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Credit the creator whose link brought this browser here (attribution cookie)
+        try {
+            await attributeReferral(req, res, data.user.id);
+        } catch (e) {
+            console.error('Failed to attribute referral for signup:', e.message);
+        }
+
+        // Issue access and refresh tokens
+        const tokens = await issueAuthTokens(req, data.user);
 
         res.json({
-            token,
+            ...tokens,
             user: {
                 id: data.user.id,
                 name: name,
@@ -326,46 +1213,26 @@ app.post('/api/auth/login', authLimiter, asyncHandler(async (req, res) => {
         // Get user tier (and optional referrer_code) from users table
         const { data: userData } = await supabase
             .from('users')
-            .select('tier, referrer_code')
+            .select(`${USER_TIER_COLUMNS}, referrer_code`)
             .eq('id', data.user.id)
             .single();
 
-        let tier = userData?.tier || null; // null means no tier selected yet
+        let tier = await resolveTier(data.user.id, userData); // null means no tier selected yet
 
-        // If user has no referrer_code yet, try to attach one based on IP + previous referral click
+        // If user has no referrer_code yet, credit a creator link clicked since (attribution cookie)
         if (supabase && !userData?.referrer_code) {
             try {
-                const ip = getClientIp(req);
-                if (ip) {
-                    const { data: referral } = await supabase
-                        .from('creator_referrals')
-                        .select('creator_code')
-                        .eq('ip_address', ip)
-                        .order('created_at', { ascending: false })
-                        .limit(1)
-                        .maybeSingle();
-
-                    if (referral?.creator_code) {
-                        await supabase
-                            .from('users')
-                            .update({ referrer_code: referral.creator_code })
-                            .eq('id', data.user.id);
-                    }
-                }
+                await attributeReferral(req, res, data.user.id);
             } catch (e) {
-                console.error('Failed to attach referrer on login:', e.message);
+                console.error('Failed to attribute referral on login:', e.message);
             }
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { id: data.user.id, email: data.user.email },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Issue access and refresh tokens
+        const tokens = await issueAuthTokens(req, data.user);
 
         res.json({
-            token,
+            ...tokens,
             user: {
                 id: data.user.id,
                 name: data.user.user_metadata?.name || email,
@@ -393,33 +1260,272 @@ const requireSupabase = (req, res, next) => {
 app.use('/api/auth', requireSupabase);
 app.use('/api/user', requireSupabase);
 
-// Get current user profile
-app.get('/api/user/profile', authenticateToken, asyncHandler(async (req, res) => {
+// Exchange a refresh token for a new access token. The refresh token is rotated on every call.
+app.post('/api/auth/refresh', asyncHandler(async (req, res) => {
     try {
-        // Get user data from Supabase
-        const { data: userData, error: userError } = await supabase
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        if (!parsed) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const { data: session, error } = await supabase
+            .from('auth_sessions')
+            .select('id, user_id, refresh_token_hash, previous_token_hash, rotated_at, expires_at, revoked_at')
+            .eq('id', parsed.sessionId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
+        }
+
+        if (!tokenHashMatches(parsed.secret, session.refresh_token_hash)) {
+            if (tokenHashMatches(parsed.secret, session.previous_token_hash)) {
+                const secondsSinceRotation = (Date.now() - new Date(session.rotated_at).getTime()) / 1000;
+                if (secondsSinceRotation <= REFRESH_REUSE_GRACE_SECONDS) {
+                    // Another tab refreshed first; the client should use the token it stored
+                    return res.status(409).json({ error: 'Refresh token already rotated' });
+                }
+
+                // An old refresh token is being replayed: assume it leaked and end the session
+                await revokeAuthSessions('id', session.id);
+            }
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const { data: user } = await supabase
             .from('users')
-            .select('id, email, name, tier, created_at')
-            .eq('id', req.user.id)
-            .single();
+            .select('id, email')
+            .eq('id', session.user_id)
+            .maybeSingle();
 
-        if (userError || !userData) {
-            return res.status(404).json({ error: 'User not found' });
+        if (!user) {
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
         }
 
-        // Get auth user metadata
-        const { data: authData } = await supabase.auth.admin.getUserById(req.user.id);
+        // Rotate only if nobody else rotated in the meantime (compare-and-swap on the current hash)
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const { data: rotated, error: rotateError } = await supabase
+            .from('auth_sessions')
+            .update({
+                refresh_token_hash: hashToken(secret),
+                previous_token_hash: session.refresh_token_hash,
+                rotated_at: new Date().toISOString(),
+                expires_at: refreshExpiry()
+            })
+            .eq('id', session.id)
+            .eq('refresh_token_hash', session.refresh_token_hash)
+            .select('id');
+
+        if (rotateError) {
+            throw rotateError;
+        }
+
+        if (!rotated || rotated.length === 0) {
+            return res.status(409).json({ error: 'Refresh token already rotated' });
+        }
 
         res.json({
-            id: userData.id,
-            email: userData.email,
-            name: userData.name || authData?.user?.user_metadata?.name || userData.email.split('@')[0],
-            tier: userData.tier,
-            createdAt: userData.created_at
+            token: signAccessToken(user, session.id),
+            refreshToken: `${session.id}.${secret}`,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
         });
     } catch (error) {
-        console.error('Get profile error:', error);
-        res.status(500).json({ error: 'Failed to get profile' });
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+}));
+
+// Log out: revoke the session behind the refresh token (or behind the access token, even if expired)
+app.post('/api/auth/logout', asyncHandler(async (req, res) => {
+    try {
+        let sessionId = null;
+        const parsed = parseRefreshToken(req.body.refreshToken);
+
+        if (parsed) {
+            const { data: session } = await supabase
+                .from('auth_sessions')
+                .select('id, refresh_token_hash, previous_token_hash')
+                .eq('id', parsed.sessionId)
+                .maybeSingle();
+
+            if (session && (tokenHashMatches(parsed.secret, session.refresh_token_hash) ||
+                tokenHashMatches(parsed.secret, session.previous_token_hash))) {
+                sessionId = session.id;
+            }
+        } else {
+            const token = req.headers['authorization']?.split(' ')[1];
+            try {
+                sessionId = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid || null;
+            } catch (e) {
+                sessionId = null;
+            }
+        }
+
+        if (!sessionId) {
+            return res.status(400).json({ error: 'A valid refresh token or access token is required' });
+        }
+
+        await revokeAuthSessions('id', sessionId);
+        res.json({ loggedOut: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+}));
+
+// Sign out of all devices: revoke every refresh session of the current user
+app.post('/api/auth/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const revokedSessions = await revokeAuthSessions('user_id', req.user.id);
+        res.json({ loggedOut: true, revokedSessions });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Failed to sign out of all devices' });
+    }
+}));
+
+// Helper: find or create a seeded dev user and set its tier. Returns the user object for auth responses.
+async function seedDevUser(devUser, tier) {
+    const { data: existing, error: lookupError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', devUser.email)
+        .maybeSingle();
+
+    if (lookupError) {
+        throw lookupError;
+    }
+
+    let userId = existing?.id;
+    if (!userId) {
+        // Random password: dev users only sign in through /api/dev/login
+        const { data, error } = await supabase.auth.admin.createUser({
+            email: devUser.email,
+            password: crypto.randomBytes(24).toString('base64url'),
+            email_confirm: true,
+            user_metadata: { name: devUser.name }
+        });
+
+        if (error) {
+            throw error;
+        }
+        userId = data.user.id;
+    }
+
+    const { error } = await supabase
+        .from('users')
+        .upsert({ id: userId, email: devUser.email, name: devUser.name, tier }, { onConflict: 'id' });
+
+    if (error) {
+        throw error;
+    }
+
+    if (devUser.role) {
+        const { error: roleError } = await supabase
+            .from('admin_roles')
+            .upsert({ user_id: userId, role: devUser.role }, { onConflict: 'user_id' });
+
+        if (roleError) {
+            throw roleError;
+        }
+    }
+
+    return { id: userId, name: devUser.name, email: devUser.email, tier };
+}
+
+if (devMode) {
+    app.use('/api/dev', requireSupabase);
+
+    // List the seeded dev users (the login page shows dev sign-in buttons when this route exists)
+    app.get('/api/dev/users', (req, res) => {
+        res.json({
+            users: Object.entries(DEV_USERS).map(([key, devUser]) => ({
+                key,
+                name: devUser.name,
+                email: devUser.email,
+                tier: devUser.tier
+            }))
+        });
+    });
+
+    // Sign in as a seeded dev user: { user: 'free' | 'pro' | 'new' | 'admin', tier? }.
+    // The user's tier is reset on every sign-in; pass `tier` ('free', 'pro' or null) to start from another one.
+    app.post('/api/dev/login', asyncHandler(async (req, res) => {
+        try {
+            const key = req.body?.user;
+            const devUser = typeof key === 'string' && Object.hasOwn(DEV_USERS, key) ? DEV_USERS[key] : null;
+            if (!devUser) {
+                return res.status(400).json({ error: `Unknown dev user. Use one of: ${Object.keys(DEV_USERS).join(', ')}` });
+            }
+
+            const tier = req.body.tier === undefined ? devUser.tier : req.body.tier;
+            if (tier !== null && !isKnownPlan(tier)) {
+                return res.status(400).json({ error: 'Invalid tier' });
+            }
+
+            if (!supabaseServiceKey) {
+                return res.status(503).json({ error: 'Dev mode needs supabase_service_role_key to seed test users.' });
+            }
+
+            const user = await seedDevUser(devUser, tier);
+            const tokens = await issueAuthTokens(req, user);
+
+            res.json({ ...tokens, user });
+        } catch (error) {
+            console.error('Dev login error:', error);
+            res.status(500).json({ error: 'Failed to sign in as dev user' });
+        }
+    }));
+}
+
+// Get current user profile
+app.get('/api/user/profile', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        // Get user data from Supabase
+        const { data: userData, error: userError } = await supabase
+            .from('users')
+            .select(`id, email, name, created_at, ${USER_TIER_COLUMNS}`)
+            .eq('id', req.user.id)
+            .single();
+
+        if (userError || !userData) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Get auth user metadata
+        const { data: authData } = await supabase.auth.admin.getUserById(req.user.id);
+        const tier = await resolveTier(req.user.id, userData);
+
+        // Creator codes the user can open in the creator portal (none if the creators table isn't set up)
+        const { data: creatorRows } = await supabase
+            .from('creators')
+            .select('code')
+            .eq('owner_user_id', req.user.id);
+
+        // Admin console role, if any (none if the admin_roles table isn't set up)
+        const { data: roleRow } = await supabase
+            .from('admin_roles')
+            .select('role')
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        res.json({
+            id: userData.id,
+            email: userData.email,
+            name: userData.name || authData?.user?.user_metadata?.name || userData.email.split('@')[0],
+            tier,
+            planName: tier ? getPlan(tier).name : null,
+            creatorCodes: (creatorRows || []).map(row => row.code),
+            role: roleRow?.role || null,
+            createdAt: userData.created_at
+        });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({ error: 'Failed to get profile' });
     }
 }));
 
@@ -556,7 +1662,7 @@ app.get('/api/user/tier', authenticateToken, asyncHandler(async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('users')
-            .select('tier')
+            .select(USER_TIER_COLUMNS)
             .eq('id', req.user.id)
             .single();
 
@@ -564,7 +1670,7 @@ app.get('/api/user/tier', authenticateToken, asyncHandler(async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json({ tier: data?.tier || null });
+        res.json({ tier: await resolveTier(req.user.id, data) });
     } catch (error) {
         console.error('Get tier error:', error);
         res.status(500).json({ error: 'Failed to get tier' });
@@ -576,17 +1682,28 @@ app.post('/api/user/tier', authenticateToken, asyncHandler(async (req, res) => {
     try {
         const { tier } = req.body;
 
-        if (!tier || (tier !== 'free' && tier !== 'pro')) {
+        if (!isKnownPlan(tier)) {
             return res.status(400).json({ error: 'Invalid tier' });
         }
 
+        // Paid plans are only set by the Stripe webhook after checkout
+        if (isPaidPlan(tier)) {
+            return res.status(400).json({ error: `Subscribe to ${PLANS[tier].name} through checkout.` });
+        }
+
         // Check if user exists in users table, if not create
         const { data: existingUser } = await supabase
             .from('users')
-            .select('id')
+            .select('id, stripe_subscription_id, subscription_status')
             .eq('id', req.user.id)
             .single();
 
+        // A running subscription keeps billing until it's cancelled, so don't let the user just switch
+        if (existingUser?.stripe_subscription_id
+            && ACTIVE_SUBSCRIPTION_STATUSES.includes(existingUser.subscription_status)) {
+            return res.status(409).json({ error: `Cancel your subscription from Billing to switch to ${PLANS[tier].name}.` });
+        }
+
         if (!existingUser) {
             // Create user record
             await supabase
@@ -596,13 +1713,11 @@ app.post('/api/user/tier', authenticateToken, asyncHandler(async (req, res) => {
                     tier: tier
                 });
         } else {
-            // Update tier (only allow setting to free, pro is set via Stripe)
-            if (tier === 'free') {
-                await supabase
-                    .from('users')
-                    .update({ tier: 'free' })
-                    .eq('id', req.user.id);
-            }
+            // Update tier (free plans only, paid plans are set via Stripe)
+            await supabase
+                .from('users')
+                .update({ tier })
+                .eq('id', req.user.id);
         }
 
         res.json({ tier: tier });
@@ -612,42 +1727,120 @@ app.post('/api/user/tier', authenticateToken, asyncHandler(async (req, res) => {
     }
 }));
 
-// Check usage limits
-app.get('/api/user/usage', authenticateToken, asyncHandler(async (req, res) => {
-    try {
-        const today = new Date().toISOString().split('T')[0];
-        
-        const { data, error } = await supabase
+// Helper: public view of a plan for GET /api/plans (no Stripe ids)
+function formatPlan(plan) {
+    const { daily, monthly } = plan.quotas;
+    const tonalityNames = plan.tonalities === '*'
+        ? null
+        : plan.tonalities.map(key => tonalityDescriptions[key]?.name || key);
+
+    const features = [];
+    if (daily === null && monthly === null) {
+        features.push('Unlimited refinements');
+    } else {
+        if (daily !== null) features.push(`${daily} refinements per day`);
+        if (monthly !== null) features.push(`${monthly} refinements per month`);
+    }
+    features.push(tonalityNames ? `${tonalityNames.join(', ')} tone only` : 'Full tone control');
+    if (plan.customTonalities) features.push('Custom tonalities');
+    features.push(...plan.highlights);
+
+    return {
+        id: plan.id,
+        name: plan.name,
+        description: plan.description,
+        paid: isPaidPlan(plan.id),
+        prices: Object.entries(plan.prices).map(([interval, price]) => ({
+            interval,
+            intervalLabel: BILLING_INTERVALS[interval].label,
+            amount: price.amount,
+            currency: price.currency
+        })),
+        quotas: plan.quotas,
+        tonalities: plan.tonalities,
+        customTonalities: plan.customTonalities,
+        trialDays: plan.trialDays || 0,
+        features
+    };
+}
+
+// Helper: can this plan analyze with the given tonality (built-in key or custom:<id>)?
+function planAllowsTonality(plan, tonality) {
+    if (tonality.startsWith(CUSTOM_TONALITY_PREFIX)) {
+        return plan.customTonalities;
+    }
+    return plan.tonalities === '*' || plan.tonalities.includes(tonality);
+}
+
+// Helper: analyses used against each of the plan's quotas.
+// Returns { daily, monthly } as { used, limit, remaining } (limit and remaining null = unlimited).
+// resetAt (users.quota_reset_at, set by an admin) starts both windows over from that time.
+async function getQuotaUsage(userId, plan, resetAt = null) {
+    const now = new Date();
+    const windowStarts = {
+        daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+        monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    };
+    const reset = resetAt ? new Date(resetAt) : null;
+
+    const usage = {};
+    for (const [period, windowStart] of Object.entries(windowStarts)) {
+        const since = reset && reset > windowStart ? reset : windowStart;
+        const { count, error } = await supabase
             .from('sessions')
-            .select('id')
-            .eq('user_id', req.user.id)
-            .gte('created_at', `${today}T00:00:00.000Z`)
-            .lt('created_at', `${today}T23:59:59.999Z`);
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .gte('created_at', since.toISOString());
 
-        if (error) {
-            console.error('Usage check error:', error);
-            return res.status(500).json({ error: 'Failed to check usage' });
-        }
+        if (error) throw error;
+
+        const used = count || 0;
+        const limit = plan.quotas[period] ?? null;
+        usage[period] = { used, limit, remaining: limit === null ? null : Math.max(0, limit - used) };
+    }
+    return usage;
+}
 
-        const usageCount = data?.length || 0;
+// List plans and prices (public, used by pricing.html)
+app.get('/api/plans', (req, res) => {
+    res.json({
+        plans: Object.values(PLANS).map(formatPlan),
+        intervals: Object.keys(BILLING_INTERVALS)
+    });
+});
 
-        // Get user tier
+// Check usage limits
+app.get('/api/user/usage', authenticateToken, asyncHandler(async (req, res) => {
+    try {
         const { data: userData } = await supabase
             .from('users')
-            .select('tier')
+            .select(USER_TIER_COLUMNS)
             .eq('id', req.user.id)
             .single();
 
-        const tier = userData?.tier || 'free';
-        const limit = tier === 'pro' ? Infinity : 3;
-        const remaining = tier === 'pro' ? Infinity : Math.max(0, limit - usageCount);
+        const tier = (await resolveTier(req.user.id, userData)) || DEFAULT_PLAN_ID;
+        const plan = getPlan(tier);
+        const quotas = await getQuotaUsage(req.user.id, plan, userData?.quota_reset_at);
+
+        // limit / remaining describe the quota closest to running out (daily first on ties)
+        const binding = Object.entries(quotas)
+            .filter(([, quota]) => quota.limit !== null)
+            .sort(([, a], [, b]) => a.remaining - b.remaining)[0];
 
         res.json({
             tier,
-            usageCount,
-            limit: tier === 'pro' ? 'unlimited' : limit,
-            remaining: tier === 'pro' ? 'unlimited' : remaining,
-            canUse: tier === 'pro' || remaining > 0
+            planName: plan.name,
+            usageCount: quotas.daily.used,
+            limit: binding ? binding[1].limit : 'unlimited',
+            remaining: binding ? binding[1].remaining : 'unlimited',
+            limitPeriod: binding ? binding[0] : null,
+            canUse: !binding || binding[1].remaining > 0,
+            trial: trialInfo(userData),
+            quotas,
+            entitlements: {
+                tonalities: plan.tonalities,
+                customTonalities: plan.customTonalities
+            }
         });
     } catch (error) {
         console.error('Usage check error:', error);
@@ -655,260 +1848,6667 @@ app.get('/api/user/usage', authenticateToken, asyncHandler(async (req, res) => {
     }
 }));
 
-// Stripe checkout session
-app.post('/api/stripe/create-checkout', authenticateToken, asyncHandler(async (req, res) => {
-    if (!stripe) {
-        return res.status(503).json({ error: 'Payments not configured. Add stripe_secret_key to env.' });
-    }
-    try {
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: [
-                {
-                    price_data: {
-                        currency: 'usd',
-                        product_data: {
-                            name: 'Tonr Pro',
-                            description: 'Unlimited refinements and full tone control'
-                        },
-                        unit_amount: 900, // $9.00
-                        recurring: {
-                            interval: 'month'
-                        }
-                    },
-                    quantity: 1,
-                },
-            ],
-            mode: 'subscription',
-            success_url: `${FRONTEND_BASE}/dashboard.html?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${FRONTEND_BASE}/pricing.html`,
-            client_reference_id: req.user.id,
-            metadata: {
-                user_id: req.user.id
-            }
-        });
+// Session history
+const SESSION_LIST_COLUMNS = 'id, tonality, custom_tonality_id, scenario_id, rating, transcript_length, model, created_at';
+const SESSION_DETAIL_COLUMNS = 'id, tonality, custom_tonality_id, scenario_id, rating, transcript, transcript_length, feedback, refined_transcript, changes, metrics, rubric, model, created_at';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-        res.json({ sessionId: session.id, url: session.url });
-    } catch (error) {
-        console.error('Stripe error:', error);
-        res.status(500).json({ error: 'Failed to create checkout session' });
-    }
-}));
+// Helper: clamp a model-provided rating into the 1-100 range allowed by sessions.rating
+function normalizeRating(value) {
+    const rating = Math.round(Number(value));
+    if (!Number.isFinite(rating)) return null;
+    return Math.min(100, Math.max(1, rating));
+}
 
-// Stripe webhook (for subscription updates)
-app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
-    if (!stripe) {
-        return res.status(503).send('Stripe not configured');
-    }
-    const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.stripe_webhook_secret || process.env.STRIPE_WEBHOOK_SECRET;
+// Helper: keep only well-formed { original, refined, reason } sentence changes from the model
+function normalizeChanges(changes) {
+    if (!Array.isArray(changes)) return [];
+    return changes
+        .filter(change => change && typeof change.original === 'string')
+        .map(change => ({
+            original: change.original.trim(),
+            refined: typeof change.refined === 'string' ? change.refined.trim() : '',
+            reason: typeof change.reason === 'string' ? change.reason.trim() : ''
+        }))
+        .filter(change => change.original.length > 0);
+}
 
-    let event;
+// Helper: keep only well-formed { criterion, score, note } scenario rubric scores, with scores clamped to 1-5
+function normalizeRubric(rubric) {
+    if (!Array.isArray(rubric)) return [];
+    return rubric
+        .filter(item => item && typeof item.criterion === 'string' && item.criterion.trim().length > 0)
+        .map(item => {
+            const score = Math.round(Number(item.score));
+            return {
+                criterion: item.criterion.trim(),
+                score: Number.isFinite(score) ? Math.min(5, Math.max(1, score)) : null,
+                note: typeof item.note === 'string' ? item.note.trim() : ''
+            };
+        });
+}
 
+// Helper: parse an ISO date query param, returns null if missing or invalid
+function parseDateParam(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// List past analysis sessions (paginated, filterable by tonality and date range)
+app.get('/api/user/sessions', authenticateToken, asyncHandler(async (req, res) => {
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+        const { tonality } = req.query;
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+
+        if ((req.query.from && !from) || (req.query.to && !to)) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
 
-    // Handle subscription events
-    if (event.type === 'checkout.session.completed' && supabase) {
-        const session = event.data.object;
-        const userId = session.metadata.user_id;
+        let query = supabase
+            .from('sessions')
+            .select(SESSION_LIST_COLUMNS, { count: 'exact' })
+            .eq('user_id', req.user.id)
+            .not('transcript', 'is', null);
 
-        // Update user tier to pro
-        await supabase
-            .from('users')
-            .update({ tier: 'pro' })
-            .eq('id', userId);
+        if (tonality) {
+            query = query.eq('tonality', tonality);
+        }
+        if (from) {
+            query = query.gte('created_at', from.toISOString());
+        }
+        if (to) {
+            query = query.lte('created_at', to.toISOString());
+        }
 
-        try {
-            // Look up which creator referred this user (if any)
-            // Schema suggestion: ALTER TABLE users ADD COLUMN referrer_code text;
-            const { data: userRow } = await supabase
-                .from('users')
-                .select('referrer_code')
-                .eq('id', userId)
-                .single();
+        const offset = (page - 1) * limit;
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
 
-            if (userRow?.referrer_code) {
-                // Record a conversion for this creator
-                // Table suggestion:
-                // creator_conversions(id uuid pk, creator_code text, user_id uuid, stripe_session_id text, amount integer, created_at timestamptz default now())
-                await supabase
-                    .from('creator_conversions')
-                    .insert({
-                        creator_code: userRow.referrer_code,
-                        user_id: userId,
-                        stripe_session_id: session.id,
-                        amount: session.amount_total || 0
-                    });
-            }
-        } catch (e) {
-            console.error('Failed to record creator conversion:', e.message);
+        if (error) {
+            throw error;
         }
+
+        res.json({
+            sessions: (data || []).map(formatSession),
+            page,
+            limit,
+            total: count || 0,
+            hasMore: offset + (data?.length || 0) < (count || 0)
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
     }
+}));
 
-    if (event.type === 'customer.subscription.deleted' && supabase) {
-        const subscription = event.data.object;
-        const userId = subscription.metadata.user_id;
+// Get a single past analysis session with transcript and feedback
+app.get('/api/user/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
 
-        // Downgrade user to free tier
-        await supabase
-            .from('users')
-            .update({ tier: 'free' })
-            .eq('id', userId);
-    }
+        const { data, error } = await supabase
+            .from('sessions')
+            .select(SESSION_DETAIL_COLUMNS)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .not('transcript', 'is', null)
+            .maybeSingle();
 
-    res.json({ received: true });
-}));
+        if (error) {
+            throw error;
+        }
 
-// Tonality descriptions for prompt customization
-const tonalityDescriptions = {
-    neutral: {
-        name: "Neutral",
-        description: "clean, natural communication style",
-        focus: "Focus on clarity, natural flow, and balanced delivery."
-    },
-    assertive: {
-        name: "Assertive",
-        description: "direct, decisive communication style",
-        focus: "Focus on directness, confidence, and decisive language patterns."
-    },
-    composed: {
-        name: "Composed",
-        description: "calm, controlled communication style",
-        focus: "Focus on calm delivery, controlled pacing, and measured responses."
+        if (!data) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json(formatSession(data));
+    } catch (error) {
+        console.error('Get session error:', error);
+        res.status(500).json({ error: 'Failed to load session' });
     }
-};
+}));
 
-// Protect analyze-speech endpoint with authentication and tier restrictions
-app.post('/api/analyze-speech', analysisLimiter, authenticateToken, asyncHandler(async (req, res) => {
-    try {
-        const { transcript, tonality = 'neutral' } = req.body;
+// Helper: map a sessions row to the API response shape
+function formatSession(row) {
+    const session = {
+        id: row.id,
+        tonality: row.tonality,
+        customTonalityId: row.custom_tonality_id || null,
+        scenarioId: row.scenario_id || null,
+        rating: row.rating,
+        transcriptLength: row.transcript_length,
+        model: row.model,
+        createdAt: row.created_at
+    };
+    if (row.transcript !== undefined) session.transcript = row.transcript;
+    if (row.feedback !== undefined) session.feedback = row.feedback || [];
+    if (row.refined_transcript !== undefined) session.refined = row.refined_transcript || '';
+    if (row.changes !== undefined) session.changes = row.changes || [];
+    if (row.metrics !== undefined) session.metrics = row.metrics || null;
+    if (row.rubric !== undefined && row.rubric) session.rubric = row.rubric;
+    return session;
+}
 
-        // Check if localhost - skip tier restrictions
-        const origin = req.headers.origin || req.headers.referer || '';
-        const isLocalhost = origin.includes('localhost') || origin.includes('127.0.0.1') || 
-                           req.headers.host?.includes('localhost') || req.headers.host?.includes('127.0.0.1');
-        
-        let tier = 'pro'; // Default to pro for localhost
-        
-        if (!isLocalhost) {
-            if (!supabase) {
-                return res.status(503).json({ error: 'Service unavailable. Supabase not configured.' });
-            }
-            // Get user tier and usage
-            const { data: userData } = await supabase
-                .from('users')
-                .select('tier')
-                .eq('id', req.user.id)
-                .single();
+// Progress tracking
+const PROGRESS_WINDOWS = [7, 30, 90];
+const PROGRESS_MAX_SESSIONS = 500;
 
-            tier = userData?.tier;
-            
-            // Check if user has selected a tier
-            if (!tier) {
-                return res.status(403).json({ 
-                    error: 'Please select a tier before using the dashboard. Visit pricing page to choose Free or Pro.' 
-                });
-            }
+// Helper: average rating of the given sessions, rounded to one decimal
+function averageRating(sessions) {
+    const rated = sessions.filter(s => typeof s.rating === 'number');
+    if (rated.length === 0) return null;
+    const total = rated.reduce((sum, s) => sum + s.rating, 0);
+    return Math.round((total / rated.length) * 10) / 10;
+}
 
-            // Check usage limits for free tier
-            if (tier === 'free') {
-                const today = new Date().toISOString().split('T')[0];
-                const { data: sessions } = await supabase
-                    .from('sessions')
-                    .select('id')
-                    .eq('user_id', req.user.id)
-                    .gte('created_at', `${today}T00:00:00.000Z`)
-                    .lt('created_at', `${today}T23:59:59.999Z`);
-
-                if (sessions && sessions.length >= 3) {
-                    return res.status(403).json({ 
-                        error: 'Daily limit reached. Upgrade to Pro for unlimited refinements.' 
-                    });
-                }
+// Rating trends, filler/pause counts per session and per-tonality averages over rolling windows
+app.get('/api/user/progress', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const now = Date.now();
+        const longestWindow = Math.max(...PROGRESS_WINDOWS);
+        const since = new Date(now - longestWindow * 24 * 60 * 60 * 1000);
 
-                // Free tier can only use neutral tonality
-                if (tonality !== 'neutral') {
-                    return res.status(403).json({ 
-                        error: 'Free tier can only use neutral tonality. Upgrade to Pro for full tone control.' 
-                    });
-                }
-            }
-        }
+        const { data, error } = await supabase
+            .from('sessions')
+            .select('id, tonality, rating, transcript, metrics, created_at')
+            .eq('user_id', req.user.id)
+            .not('transcript', 'is', null)
+            .gte('created_at', since.toISOString())
+            .order('created_at', { ascending: true })
+            .limit(PROGRESS_MAX_SESSIONS);
 
-        // Record session (skip for localhost)
-        if (!isLocalhost) {
-            await supabase
-                .from('sessions')
-                .insert({
-                    user_id: req.user.id,
-                    tonality: tonality,
-                    created_at: new Date().toISOString()
-                });
+        if (error) {
+            throw error;
         }
 
-        if (!transcript || transcript.trim().length === 0) {
-            return res.status(400).json({ error: 'Transcript is required' });
-        }
+        const sessions = (data || []).map(row => {
+            // Older sessions have no stored metrics; compute them from the transcript
+            const metrics = row.metrics || computeSpeechMetrics(row.transcript);
+            return {
+                id: row.id,
+                tonality: row.tonality,
+                rating: row.rating,
+                createdAt: row.created_at,
+                fillerCount: metrics.fillerCount,
+                pauseCount: metrics.pauseCount
+            };
+        });
 
-        if (!openai) {
-            return res.status(503).json({ 
-                error: 'Speech analysis is not configured. Add OPENAI_API_KEY to your Vercel environment variables.' 
+        const windows = {};
+        PROGRESS_WINDOWS.forEach(days => {
+            const cutoff = now - days * 24 * 60 * 60 * 1000;
+            const inWindow = sessions.filter(s => new Date(s.createdAt).getTime() >= cutoff);
+            const byTonality = {};
+
+            inWindow.forEach(s => {
+                if (!byTonality[s.tonality]) byTonality[s.tonality] = [];
+                byTonality[s.tonality].push(s);
             });
-        }
 
-        const tonalityInfo = tonalityDescriptions[tonality] || tonalityDescriptions.neutral;
+            windows[`${days}d`] = {
+                sessionCount: inWindow.length,
+                averageRating: averageRating(inWindow),
+                byTonality: Object.fromEntries(Object.entries(byTonality).map(([tonality, list]) => [
+                    tonality,
+                    { sessionCount: list.length, averageRating: averageRating(list) }
+                ]))
+            };
+        });
 
-        const prompt = `You are a speech communication coach specializing in ${tonalityInfo.name.toLowerCase()} communication style (${tonalityInfo.description}).
+        // All-time totals come from the user_stats view
+        const { data: stats } = await supabase
+            .from('user_stats')
+            .select('total_sessions, average_rating, last_session_at')
+            .eq('id', req.user.id)
+            .maybeSingle();
 
-Analyze the following speech transcript and provide:
-1. A rating from 1-100 based on:
-   - Clarity and articulation
-   - Confidence and presence
-   - Use of filler words
-   - Pacing and pauses
-   - Alignment with ${tonalityInfo.name.toLowerCase()} communication style
-   - Overall communication effectiveness
+        res.json({
+            sessions,
+            windows,
+            allTime: {
+                totalSessions: stats?.total_sessions || 0,
+                averageRating: stats?.average_rating != null ? Math.round(Number(stats.average_rating) * 10) / 10 : null,
+                lastSessionAt: stats?.last_session_at || null
+            }
+        });
+    } catch (error) {
+        console.error('Progress error:', error);
+        res.status(500).json({ error: 'Failed to load progress' });
+    }
+}));
+
+// Custom tonalities (Pro)
+// Users can define their own styles next to the built-in tonalityDescriptions. Analysis requests
+// refer to them as `custom:<id>`; sessions store the name at the time of analysis plus custom_tonality_id.
+const CUSTOM_TONALITY_PREFIX = 'custom:';
+const CUSTOM_TONALITY_COLUMNS = 'id, name, description, focus, example_phrases, created_at, updated_at';
+const MAX_CUSTOM_TONALITIES = 20;
+const MAX_EXAMPLE_PHRASES = 10;
+
+// Helper: look up the user's tier (null if not selected yet)
+async function getUserTier(userId) {
+    const { data } = await supabase
+        .from('users')
+        .select(USER_TIER_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+    return resolveTier(userId, data);
+}
+
+// Helper: validate a custom tonality body. Returns { value } with the row fields, or { error }.
+function validateTonalityInput(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    const focus = typeof body.focus === 'string' ? body.focus.trim() : '';
+    const examplePhrases = body.examplePhrases === undefined ? [] : body.examplePhrases;
+
+    if (!name || name.length > 40) {
+        return { error: 'Name is required and must be at most 40 characters' };
+    }
+    const lowerName = name.toLowerCase();
+    if (Object.keys(tonalityDescriptions).includes(lowerName) || lowerName.startsWith(CUSTOM_TONALITY_PREFIX)) {
+        return { error: 'That name is reserved for a built-in tonality' };
+    }
+    if (!description || description.length > 200) {
+        return { error: 'Description is required and must be at most 200 characters' };
+    }
+    if (focus.length > 500) {
+        return { error: 'Focus must be at most 500 characters' };
+    }
+    if (!Array.isArray(examplePhrases) || examplePhrases.length > MAX_EXAMPLE_PHRASES ||
+        examplePhrases.some(phrase => typeof phrase !== 'string' || phrase.trim().length === 0 || phrase.length > 200)) {
+        return { error: `Example phrases must be a list of up to ${MAX_EXAMPLE_PHRASES} non-empty phrases (200 characters each)` };
+    }
+
+    return {
+        value: {
+            name,
+            description,
+            focus,
+            example_phrases: examplePhrases.map(phrase => phrase.trim())
+        }
+    };
+}
+
+// Helper: map a user_tonalities row to the API response shape
+function formatTonality(row) {
+    return {
+        id: row.id,
+        key: `${CUSTOM_TONALITY_PREFIX}${row.id}`,
+        name: row.name,
+        description: row.description,
+        focus: row.focus,
+        examplePhrases: row.example_phrases || [],
+        custom: true,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Helper: resolve the tonality an analysis request asked for.
+// Returns { info, sessionTonality, customTonalityId } or { status, error } for an unknown tonality.
+async function resolveTonality(req, tonality) {
+    if (tonalityDescriptions[tonality]) {
+        return {
+            info: { ...tonalityDescriptions[tonality], examplePhrases: [] },
+            sessionTonality: tonality,
+            customTonalityId: null
+        };
+    }
+
+    const id = typeof tonality === 'string' && tonality.startsWith(CUSTOM_TONALITY_PREFIX)
+        ? tonality.slice(CUSTOM_TONALITY_PREFIX.length)
+        : null;
+    if (!id || !UUID_PATTERN.test(id) || !supabase) {
+        return { status: 400, error: 'Unknown tonality' };
+    }
+
+    const { data, error } = await supabase
+        .from('user_tonalities')
+        .select(CUSTOM_TONALITY_COLUMNS)
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (!data) {
+        return { status: 400, error: 'Unknown tonality' };
+    }
+
+    return {
+        info: {
+            name: data.name,
+            description: data.description,
+            focus: data.focus,
+            examplePhrases: data.example_phrases || []
+        },
+        sessionTonality: data.name,
+        customTonalityId: data.id
+    };
+}
+
+// List the tonalities available to the user: built-in styles first, then their custom ones
+app.get('/api/user/tonalities', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('user_tonalities')
+            .select(CUSTOM_TONALITY_COLUMNS)
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        const builtIn = Object.entries(tonalityDescriptions).map(([key, info]) => ({
+            id: key,
+            key,
+            name: info.name,
+            description: info.description,
+            focus: info.focus,
+            examplePhrases: [],
+            custom: false
+        }));
+
+        res.json({ tonalities: [...builtIn, ...(data || []).map(formatTonality)] });
+    } catch (error) {
+        console.error('List tonalities error:', error);
+        res.status(500).json({ error: 'Failed to load tonalities' });
+    }
+}));
+
+// Create a custom tonality (Pro only)
+app.post('/api/user/tonalities', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        if (!getPlan(await getUserTier(req.user.id)).customTonalities) {
+            return res.status(403).json({ error: 'Custom tonalities are a Pro feature. Upgrade to Pro to create your own.' });
+        }
+
+        const { value, error: validationError } = validateTonalityInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { count } = await supabase
+            .from('user_tonalities')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.id);
+
+        if ((count || 0) >= MAX_CUSTOM_TONALITIES) {
+            return res.status(400).json({ error: `You can have up to ${MAX_CUSTOM_TONALITIES} custom tonalities` });
+        }
+
+        const { data, error } = await supabase
+            .from('user_tonalities')
+            .insert({ ...value, user_id: req.user.id })
+            .select(CUSTOM_TONALITY_COLUMNS)
+            .single();
+
+        if (error) {
+            if (error.code === '23505') { // unique_violation on (user_id, lower(name))
+                return res.status(409).json({ error: 'You already have a tonality with that name' });
+            }
+            throw error;
+        }
+
+        res.status(201).json(formatTonality(data));
+    } catch (error) {
+        console.error('Create tonality error:', error);
+        res.status(500).json({ error: 'Failed to create tonality' });
+    }
+}));
+
+// Update a custom tonality (Pro only)
+app.put('/api/user/tonalities/:id', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        if (!getPlan(await getUserTier(req.user.id)).customTonalities) {
+            return res.status(403).json({ error: 'Custom tonalities are a Pro feature. Upgrade to Pro to edit them.' });
+        }
+
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Tonality not found' });
+        }
+
+        const { value, error: validationError } = validateTonalityInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data, error } = await supabase
+            .from('user_tonalities')
+            .update(value)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select(CUSTOM_TONALITY_COLUMNS)
+            .maybeSingle();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'You already have a tonality with that name' });
+            }
+            throw error;
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Tonality not found' });
+        }
+
+        res.json(formatTonality(data));
+    } catch (error) {
+        console.error('Update tonality error:', error);
+        res.status(500).json({ error: 'Failed to update tonality' });
+    }
+}));
+
+// Delete a custom tonality. Past sessions keep its name; their custom_tonality_id is cleared.
+app.delete('/api/user/tonalities/:id', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Tonality not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('user_tonalities')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Tonality not found' });
+        }
+
+        res.json({ deleted: true });
+    } catch (error) {
+        console.error('Delete tonality error:', error);
+        res.status(500).json({ error: 'Failed to delete tonality' });
+    }
+}));
+
+// ============================================================================
+// Discounts: promotion codes and creator codes
+// ============================================================================
+
+// Same format as the creator_code CHECK constraints in supabase-creator-tracking.sql
+const CREATOR_CODE_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+
+// Helper: the active creator for a code (null if unknown or inactive)
+async function findCreator(code) {
+    if (!supabase || typeof code !== 'string' || !CREATOR_CODE_PATTERN.test(code)) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('creators')
+        .select('code, stripe_coupon_id, commission_rate, owner_user_id')
+        .eq('code', code)
+        .eq('active', true)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Helper: describe a Stripe coupon for display ({ percentOff, amountOff, currency, duration, durationInMonths })
+function formatCoupon(coupon) {
+    return {
+        percentOff: coupon.percent_off || null,
+        amountOff: coupon.amount_off || null,
+        currency: coupon.currency || null,
+        duration: coupon.duration,
+        durationInMonths: coupon.duration_in_months || null
+    };
+}
+
+// Helper: the discount for a checkout. A promotion code the user entered wins over a creator's coupon:
+// the referring creator's (creatorCode), else that of a creator code passed from pricing.html
+// (couponCode), which only picks the discount and is never credited as a referral.
+// Returns { discounts, creatorCode } (creatorCode = the referral; discounts null = let the user enter
+// a code on Stripe's page) or { status, error } for an unknown promotion code or the user's own code.
+async function resolveCheckoutDiscount({ promoCode, creatorCode, couponCode, userId }) {
+    // The creator is still credited with the referral when a promotion code replaces their discount
+    const referrer = await findCreator(creatorCode);
+    const creator = referrer && referrer.owner_user_id !== userId ? referrer : null;
+
+    const couponCreator = creator ? null : await findCreator(couponCode);
+    if (couponCreator && couponCreator.owner_user_id === userId) {
+        return { status: 400, error: 'You can\'t use your own creator code' };
+    }
+
+    if (promoCode) {
+        const { data: codes } = await stripe.promotionCodes.list({ code: String(promoCode).trim(), active: true, limit: 1 });
+        if (!codes.length) {
+            return { status: 400, error: 'Invalid or expired promo code' };
+        }
+        return { discounts: [{ promotion_code: codes[0].id }], creatorCode: creator?.code || null };
+    }
+
+    const discountCreator = creator || couponCreator;
+    if (discountCreator?.stripe_coupon_id) {
+        return { discounts: [{ coupon: discountCreator.stripe_coupon_id }], creatorCode: creator?.code || null };
+    }
+
+    return { discounts: null, creatorCode: creator?.code || null };
+}
+
+// Creator code details for pricing.html (public): { code, discount }
+app.get('/api/creators/:code', asyncHandler(async (req, res) => {
+    try {
+        const creator = await findCreator(req.params.code);
+        if (!creator) {
+            return res.status(404).json({ error: 'Unknown creator code' });
+        }
+
+        let discount = null;
+        if (stripe && creator.stripe_coupon_id) {
+            const coupon = await stripe.coupons.retrieve(creator.stripe_coupon_id);
+            discount = coupon.valid ? formatCoupon(coupon) : null;
+        }
+
+        res.json({ code: creator.code, discount });
+    } catch (error) {
+        console.error('Get creator error:', error);
+        res.status(500).json({ error: 'Failed to load creator code' });
+    }
+}));
+
+// Stripe checkout session:
+// Helper: a Checkout line item for quantity seats of the plan's price in that interval.
+// Uses the configured Stripe price, or creates the price inline from PLANS (fine for test mode).
+function checkoutLineItem(plan, interval, quantity) {
+    const price = plan.prices[interval];
+    if (price.stripePriceId) {
+        return { price: price.stripePriceId, quantity };
+    }
+    return {
+        price_data: {
+            currency: price.currency,
+            product_data: {
+                name: `Tonr ${plan.name}`,
+                description: plan.description
+            },
+            unit_amount: price.amount,
+            recurring: {
+                interval: BILLING_INTERVALS[interval].stripeInterval
+            }
+        },
+        quantity
+    };
+}
+
+// { plan?: 'pro', interval?: 'monthly' | 'annual', promoCode?: string, creatorCode?: string (discount only) }
+// The plan's trial is added for users who have never subscribed or trialed before.
+app.post('/api/stripe/create-checkout', authenticateToken, asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ error: 'Payments not configured. Add stripe_secret_key to env.' });
+    }
+    try {
+        const planId = req.body?.plan || findPaidPlanId();
+        const interval = req.body?.interval || 'monthly';
+        const plan = isPaidPlan(planId) ? PLANS[planId] : null;
+
+        if (!plan || typeof interval !== 'string' || !Object.hasOwn(plan.prices, interval)) {
+            return res.status(400).json({ error: 'Unknown plan or billing interval' });
+        }
+
+        let userData = null;
+        if (supabase) {
+            const { data } = await supabase
+                .from('users')
+                .select('stripe_customer_id, stripe_subscription_id, subscription_status, trial_ends_at, referrer_code')
+                .eq('id', req.user.id)
+                .maybeSingle();
+            userData = data;
+        }
+
+        // A second checkout would start a second subscription billed alongside the first
+        if (userData?.stripe_subscription_id && ACTIVE_SUBSCRIPTION_STATUSES.includes(userData.subscription_status)) {
+            return res.status(409).json({ error: 'You already have a subscription. Change your plan from Billing instead.' });
+        }
+
+        // The creator the user was referred by, else a creator link clicked since (the signed attribution
+        // cookie, saved as the referral now). Nothing the client sends can set the referral.
+        let referrerCode = userData?.referrer_code || null;
+        if (!referrerCode && userData) {
+            try {
+                referrerCode = await attributeReferral(req, res, req.user.id);
+            } catch (e) {
+                console.error('Failed to attribute referral at checkout:', e.message);
+            }
+        }
+
+        // A creator code from pricing.html only picks the discount
+        const discount = await resolveCheckoutDiscount({
+            promoCode: req.body?.promoCode,
+            creatorCode: referrerCode,
+            couponCode: req.body?.creatorCode,
+            userId: req.user.id
+        });
+        if (discount.error) {
+            return res.status(discount.status).json({ error: discount.error });
+        }
+
+        // One trial per user: anyone who has had a subscription or a trial pays from day one
+        const trialDays = plan.trialDays && !userData?.stripe_subscription_id && !userData?.trial_ends_at
+            ? plan.trialDays
+            : 0;
+
+        // Reuse the Stripe customer from an earlier subscription so payments stay on one customer
+        const customerId = userData?.stripe_customer_id || null;
+
+        const metadata = {
+            user_id: req.user.id,
+            plan: planId,
+            interval,
+            ...(trialDays ? { trial_days: String(trialDays) } : {}),
+            ...(discount.creatorCode ? { creator_code: discount.creatorCode } : {})
+        };
+
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: [checkoutLineItem(plan, interval, 1)],
+            mode: 'subscription',
+            success_url: `${FRONTEND_BASE}/dashboard.html?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${FRONTEND_BASE}/pricing.html`,
+            client_reference_id: req.user.id,
+            ...(customerId ? { customer: customerId } : { customer_email: req.user.email }),
+            // Stripe accepts either a preset discount or the promotion code field, not both
+            ...(discount.discounts ? { discounts: discount.discounts } : { allow_promotion_codes: true }),
+            metadata,
+            // Copied onto the subscription (and its invoices) so later webhooks can find the user and plan
+            subscription_data: {
+                metadata,
+                ...(trialDays ? { trial_period_days: trialDays } : {})
+            }
+        });
+
+        res.json({ sessionId: session.id, url: session.url, trialDays });
+    } catch (error) {
+        console.error('Stripe error:', error);
+        res.status(500).json({ error: 'Failed to create checkout session' });
+    }
+}));
+
+// ============================================================================
+// Stripe subscription lifecycle
+// ============================================================================
+// Webhook events are claimed in stripe_events before they are applied, so duplicate deliveries
+// and Stripe's retries are processed once. Handlers take the event payload only (no Stripe API
+// calls), so recorded events can be replayed through processStripeEvent().
+
+// A claimed event that hasn't finished after this long is assumed dead and can be reclaimed
+const STRIPE_EVENT_CLAIM_SECONDS = 5 * 60;
+
+// Subscription statuses that keep the paid plan (past_due only until the grace period ends)
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Statuses where the subscription has ended or stopped charging; the user drops to free
+const ENDED_SUBSCRIPTION_STATUSES = ['canceled', 'unpaid', 'incomplete_expired', 'paused'];
+
+const STRIPE_USER_COLUMNS = 'id, tier, stripe_customer_id, stripe_subscription_id, subscription_status, grace_period_ends_at, stripe_event_at';
+const STRIPE_ORG_COLUMNS = 'id, plan, seats, stripe_customer_id, stripe_subscription_id, subscription_status, grace_period_ends_at, stripe_event_at';
+
+// Helper: Stripe timestamps are unix seconds
+function stripeTime(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Helper: Stripe ids may arrive as a string or, when expanded, as an object
+function stripeId(value) {
+    return typeof value === 'string' ? value : value?.id || null;
+}
+
+// Helper: find the user a Stripe object belongs to, by our user id (metadata / client_reference_id)
+// or by the Stripe customer id saved at checkout
+async function findStripeUser({ userId, customerId }) {
+    if (userId && UUID_PATTERN.test(userId)) {
+        const { data, error } = await supabase
+            .from('users')
+            .select(STRIPE_USER_COLUMNS)
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (data) return data;
+    }
+
+    if (customerId) {
+        const { data, error } = await supabase
+            .from('users')
+            .select(STRIPE_USER_COLUMNS)
+            .eq('stripe_customer_id', customerId)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    return null;
+}
+
+// Helper: update a user from a Stripe event, unless a newer event has already been applied
+// (Stripe doesn't guarantee delivery order). Returns false when the event was stale.
+// A change of paid plan is sent to the user's webhooks.
+async function applyStripeUserUpdate(user, event, fields) {
+    if (user.stripe_event_at && new Date(user.stripe_event_at) > new Date(event.created * 1000)) {
+        console.log(`Skipping stale Stripe event ${event.id} (${event.type}) for user ${user.id}`);
+        return false;
+    }
+
+    const { error } = await supabase
+        .from('users')
+        .update({ ...fields, stripe_event_at: stripeTime(event.created) })
+        .eq('id', user.id);
+
+    if (error) throw error;
+
+    if (fields.tier !== undefined) {
+        await emitSubscriptionWebhooks({ userId: user.id }, {
+            previousPlan: user.tier,
+            plan: fields.tier,
+            status: fields.subscription_status || user.subscription_status || null
+        });
+    }
+    return true;
+}
+
+// Helper: grace period end for a failed payment. Retries of the same failure keep the original deadline.
+function gracePeriodEnd(user) {
+    if (user.subscription_status === 'past_due' && user.grace_period_ends_at) {
+        return user.grace_period_ends_at;
+    }
+    return new Date(Date.now() + PAYMENT_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Helper: record a paid invoice in the payments ledger (initial payment or renewal).
+// Team invoices have no user and are recorded against the organization instead.
+async function recordInvoicePayment(invoice, userId, organizationId = null) {
+    if (!invoice.amount_paid) return; // $0 invoices (e.g. trials) aren't payments
+
+    const period = invoice.lines?.data?.[0]?.period;
+    const { error } = await supabase
+        .from('payments')
+        .upsert({
+            user_id: userId,
+            ...(organizationId ? { organization_id: organizationId } : {}),
+            stripe_invoice_id: invoice.id,
+            stripe_charge_id: stripeId(invoice.charge),
+            stripe_subscription_id: stripeId(invoice.subscription),
+            billing_reason: invoice.billing_reason || null,
+            amount: invoice.amount_paid,
+            currency: invoice.currency,
+            status: 'paid',
+            period_start: stripeTime(period?.start),
+            period_end: stripeTime(period?.end),
+            paid_at: stripeTime(invoice.status_transitions?.paid_at) || stripeTime(invoice.created)
+        }, { onConflict: 'stripe_invoice_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+}
+
+async function handleCheckoutCompleted(session, event) {
+    if (session.mode !== 'subscription') return;
+
+    const user = await findStripeUser({
+        userId: session.client_reference_id || session.metadata?.user_id,
+        customerId: stripeId(session.customer)
+    });
+    if (!user) {
+        console.warn(`Stripe checkout ${session.id}: no matching user`);
+        return;
+    }
+
+    // The subscription events carry the exact status; until they arrive, infer it from the trial
+    const subscriptionId = stripeId(session.subscription);
+    const initialStatus = Number(session.metadata?.trial_days) > 0 ? 'trialing' : 'active';
+
+    await applyStripeUserUpdate(user, event, {
+        tier: findPaidPlanId({ planId: session.metadata?.plan }),
+        ...(BILLING_INTERVALS[session.metadata?.interval] ? { billing_interval: session.metadata.interval } : {}),
+        stripe_customer_id: stripeId(session.customer),
+        stripe_subscription_id: subscriptionId,
+        ...(user.stripe_subscription_id === subscriptionId ? {} : { subscription_status: initialStatus }),
+        grace_period_ends_at: null
+    });
+
+    try {
+        // Look up which creator referred this user (if any)
+        // Schema suggestion: ALTER TABLE users ADD COLUMN referrer_code text;
+        const { data: userRow } = await supabase
+            .from('users')
+            .select('referrer_code')
+            .eq('id', user.id)
+            .single();
+
+        if (userRow?.referrer_code) {
+            // Record a conversion for this creator
+            // Table suggestion:
+            // creator_conversions(id uuid pk, creator_code text, user_id uuid, stripe_session_id text, amount integer, created_at timestamptz default now())
+            await supabase
+                .from('creator_conversions')
+                .insert({
+                    creator_code: userRow.referrer_code,
+                    user_id: user.id,
+                    stripe_session_id: session.id,
+                    amount: session.amount_total || 0
+                });
+        }
+    } catch (e) {
+        console.error('Failed to record creator conversion:', e.message);
+    }
+}
+
+// customer.subscription.created / updated / deleted: mirror the subscription's state
+async function handleSubscriptionChange(subscription, event) {
+    if (subscription.status === 'canceled') {
+        try {
+            await clawBackCommissionsForCancellation(subscription.id);
+        } catch (e) {
+            console.error('Failed to claw back creator commissions:', e.message);
+        }
+    }
+
+    const user = await findStripeUser({
+        userId: subscription.metadata?.user_id,
+        customerId: stripeId(subscription.customer)
+    });
+    if (!user) {
+        console.warn(`Stripe subscription ${subscription.id}: no matching user`);
+        return;
+    }
+
+    // Ignore updates to an older subscription once the user has moved to a new one
+    if (user.stripe_subscription_id && user.stripe_subscription_id !== subscription.id
+        && !ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+        return;
+    }
+
+    const status = subscription.status;
+    const price = subscription.items?.data?.[0]?.price;
+    const fields = {
+        billing_interval: billingIntervalFor(price?.recurring?.interval) || subscription.metadata?.interval || null,
+        stripe_customer_id: stripeId(subscription.customer),
+        stripe_subscription_id: subscription.id,
+        subscription_status: status,
+        subscription_current_period_end: stripeTime(subscription.current_period_end),
+        subscription_cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+        // Kept after the trial ends: it also marks the user as having used their trial
+        ...(subscription.trial_end ? { trial_ends_at: stripeTime(subscription.trial_end) } : {})
+    };
+
+    if (ACTIVE_SUBSCRIPTION_STATUSES.includes(status)) {
+        fields.tier = findPaidPlanId({ planId: subscription.metadata?.plan, priceId: price?.id });
+        fields.grace_period_ends_at = status === 'past_due' ? gracePeriodEnd(user) : null;
+    } else if (ENDED_SUBSCRIPTION_STATUSES.includes(status)) {
+        fields.tier = DEFAULT_PLAN_ID;
+        fields.grace_period_ends_at = null;
+    }
+    // 'incomplete': first payment still pending, tier stays as it is
+
+    await applyStripeUserUpdate(user, event, fields);
+}
+
+// invoice.paid: first payment and every renewal
+async function handleInvoicePaid(invoice, event) {
+    const subscriptionId = stripeId(invoice.subscription);
+    const user = await findStripeUser({
+        userId: invoice.subscription_details?.metadata?.user_id,
+        customerId: stripeId(invoice.customer)
+    });
+    if (!user) {
+        console.warn(`Stripe invoice ${invoice.id}: no matching user`);
+        return;
+    }
+
+    await recordInvoicePayment(invoice, user.id);
+
+    try {
+        await recordCreatorCommission(invoice, user.id);
+    } catch (e) {
+        console.error('Failed to record creator commission:', e.message);
+    }
+
+    if (!subscriptionId || (user.stripe_subscription_id && user.stripe_subscription_id !== subscriptionId)) {
+        return;
+    }
+
+    const line = invoice.lines?.data?.[0];
+    const period = line?.period;
+    await applyStripeUserUpdate(user, event, {
+        tier: findPaidPlanId({ planId: invoice.subscription_details?.metadata?.plan, priceId: line?.price?.id }),
+        stripe_subscription_id: subscriptionId,
+        subscription_status: 'active',
+        grace_period_ends_at: null,
+        ...(period?.end ? { subscription_current_period_end: stripeTime(period.end) } : {})
+    });
+}
+
+// invoice.payment_failed: past_due with a grace period while Stripe retries the charge
+async function handleInvoicePaymentFailed(invoice, event) {
+    const subscriptionId = stripeId(invoice.subscription);
+    if (!subscriptionId) return;
+
+    const user = await findStripeUser({
+        userId: invoice.subscription_details?.metadata?.user_id,
+        customerId: stripeId(invoice.customer)
+    });
+    if (!user || !isPaidPlan(user.tier) || (user.stripe_subscription_id && user.stripe_subscription_id !== subscriptionId)) {
+        return;
+    }
+
+    await applyStripeUserUpdate(user, event, {
+        subscription_status: 'past_due',
+        grace_period_ends_at: gracePeriodEnd(user)
+    });
+}
+
+// charge.refunded: mark the payment refunded. Access is not changed here; cancelling the
+// subscription in Stripe (customer.subscription.deleted) is what ends Pro.
+async function handleChargeRefunded(charge) {
+    let query = supabase
+        .from('payments')
+        .update({
+            amount_refunded: charge.amount_refunded,
+            status: charge.refunded ? 'refunded' : 'partially_refunded',
+            refunded_at: new Date().toISOString()
+        });
+
+    const invoiceId = stripeId(charge.invoice);
+    query = invoiceId ? query.eq('stripe_invoice_id', invoiceId) : query.eq('stripe_charge_id', charge.id);
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+
+    if (!data?.length) {
+        console.warn(`Stripe charge ${charge.id} refunded: no matching payment`);
+    }
+
+    try {
+        await clawBackCommissionForRefund(charge);
+    } catch (e) {
+        console.error('Failed to claw back creator commission:', e.message);
+    }
+}
+
+// ----------------------------------------------------------------------------
+// Team subscriptions: one subscription per organization, quantity = seats.
+// Their checkout sessions, subscriptions and invoices carry organization_id metadata instead of
+// user_id, and are mirrored onto the organizations row. Refunds go through handleChargeRefunded().
+
+// Helper: the organization a Stripe object is billed to, from its organization_id metadata (null if none)
+async function findStripeOrganization(object) {
+    const organizationId = object?.metadata?.organization_id || object?.subscription_details?.metadata?.organization_id;
+    if (!organizationId || !UUID_PATTERN.test(organizationId)) return null;
+
+    const { data, error } = await supabase
+        .from('organizations')
+        .select(STRIPE_ORG_COLUMNS)
+        .eq('id', organizationId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Helper: applyStripeUserUpdate() for an organizations row
+async function applyStripeOrganizationUpdate(organization, event, fields) {
+    if (organization.stripe_event_at && new Date(organization.stripe_event_at) > new Date(event.created * 1000)) {
+        console.log(`Skipping stale Stripe event ${event.id} (${event.type}) for organization ${organization.id}`);
+        return false;
+    }
+
+    const { error } = await supabase
+        .from('organizations')
+        .update({ ...fields, stripe_event_at: stripeTime(event.created) })
+        .eq('id', organization.id);
+
+    if (error) throw error;
+
+    const updated = { ...organization, ...fields };
+    await emitSubscriptionWebhooks({ organizationId: organization.id }, {
+        previousPlan: organizationTier(organization),
+        plan: organizationTier(updated),
+        status: updated.subscription_status || null,
+        seats: updated.seats
+    });
+    return true;
+}
+
+async function handleOrganizationCheckoutCompleted(session, event, organization) {
+    if (session.mode !== 'subscription') return;
+
+    const subscriptionId = stripeId(session.subscription);
+    const seats = parseInt(session.metadata?.seats, 10);
+
+    await applyStripeOrganizationUpdate(organization, event, {
+        plan: findPaidPlanId({ planId: session.metadata?.plan }),
+        ...(BILLING_INTERVALS[session.metadata?.interval] ? { billing_interval: session.metadata.interval } : {}),
+        ...(seats > 0 ? { seats } : {}),
+        stripe_customer_id: stripeId(session.customer),
+        stripe_subscription_id: subscriptionId,
+        ...(organization.stripe_subscription_id === subscriptionId ? {} : { subscription_status: 'active' }),
+        grace_period_ends_at: null
+    });
+}
+
+// customer.subscription.*: seats follow the subscription quantity (also changed from the billing portal)
+async function handleOrganizationSubscriptionChange(subscription, event, organization) {
+    if (organization.stripe_subscription_id && organization.stripe_subscription_id !== subscription.id
+        && !ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+        return;
+    }
+
+    const status = subscription.status;
+    const item = subscription.items?.data?.[0];
+    const fields = {
+        billing_interval: billingIntervalFor(item?.price?.recurring?.interval) || subscription.metadata?.interval || null,
+        stripe_customer_id: stripeId(subscription.customer),
+        stripe_subscription_id: subscription.id,
+        subscription_status: status,
+        subscription_current_period_end: stripeTime(subscription.current_period_end),
+        subscription_cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+        ...(Number.isInteger(item?.quantity) ? { seats: item.quantity } : {})
+    };
+
+    if (ACTIVE_SUBSCRIPTION_STATUSES.includes(status)) {
+        fields.plan = findPaidPlanId({ planId: subscription.metadata?.plan, priceId: item?.price?.id });
+        fields.grace_period_ends_at = status === 'past_due' ? gracePeriodEnd(organization) : null;
+    } else if (ENDED_SUBSCRIPTION_STATUSES.includes(status)) {
+        // The status alone ends the seats (organizationTier()); the plan is kept for resubscribing
+        fields.grace_period_ends_at = null;
+    }
+
+    await applyStripeOrganizationUpdate(organization, event, fields);
+}
+
+async function handleOrganizationInvoicePaid(invoice, event, organization) {
+    const subscriptionId = stripeId(invoice.subscription);
+    await recordInvoicePayment(invoice, null, organization.id);
+
+    if (!subscriptionId || (organization.stripe_subscription_id && organization.stripe_subscription_id !== subscriptionId)) {
+        return;
+    }
+
+    const line = invoice.lines?.data?.[0];
+    const period = line?.period;
+    await applyStripeOrganizationUpdate(organization, event, {
+        plan: findPaidPlanId({ planId: invoice.subscription_details?.metadata?.plan, priceId: line?.price?.id }),
+        stripe_subscription_id: subscriptionId,
+        subscription_status: 'active',
+        grace_period_ends_at: null,
+        ...(period?.end ? { subscription_current_period_end: stripeTime(period.end) } : {})
+    });
+}
+
+async function handleOrganizationInvoicePaymentFailed(invoice, event, organization) {
+    const subscriptionId = stripeId(invoice.subscription);
+    if (!subscriptionId || organization.stripe_subscription_id !== subscriptionId) return;
+
+    await applyStripeOrganizationUpdate(organization, event, {
+        subscription_status: 'past_due',
+        grace_period_ends_at: gracePeriodEnd(organization)
+    });
+}
+
+const organizationStripeEventHandlers = {
+    'checkout.session.completed': handleOrganizationCheckoutCompleted,
+    'customer.subscription.created': handleOrganizationSubscriptionChange,
+    'customer.subscription.updated': handleOrganizationSubscriptionChange,
+    'customer.subscription.deleted': handleOrganizationSubscriptionChange,
+    'invoice.paid': handleOrganizationInvoicePaid,
+    'invoice.payment_failed': handleOrganizationInvoicePaymentFailed
+};
+
+const stripeEventHandlers = {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'customer.subscription.created': handleSubscriptionChange,
+    'customer.subscription.updated': handleSubscriptionChange,
+    'customer.subscription.deleted': handleSubscriptionChange,
+    'invoice.paid': handleInvoicePaid,
+    'invoice.payment_failed': handleInvoicePaymentFailed,
+    'charge.refunded': handleChargeRefunded
+};
+
+// Helper: claim an event for processing. Returns false if it was already processed
+// (or is being processed right now by another delivery).
+async function claimStripeEvent(event) {
+    const { error } = await supabase
+        .from('stripe_events')
+        .insert({ id: event.id, type: event.type, status: 'processing' });
+
+    if (!error) return true;
+    if (error.code !== '23505') throw error; // 23505 = unique violation (already seen)
+
+    // Reclaim only if an earlier attempt died mid-processing
+    const staleBefore = new Date(Date.now() - STRIPE_EVENT_CLAIM_SECONDS * 1000).toISOString();
+    const { data, error: reclaimError } = await supabase
+        .from('stripe_events')
+        .update({ received_at: new Date().toISOString() })
+        .eq('id', event.id)
+        .eq('status', 'processing')
+        .lt('received_at', staleBefore)
+        .select('id');
+
+    if (reclaimError) throw reclaimError;
+    return data.length > 0;
+}
+
+// Apply a (verified) Stripe event once. Returns { duplicate } or { handled }.
+async function processStripeEvent(event) {
+    if (!(await claimStripeEvent(event))) {
+        return { duplicate: true };
+    }
+
+    let handler = stripeEventHandlers[event.type];
+    try {
+        const organization = organizationStripeEventHandlers[event.type]
+            ? await findStripeOrganization(event.data.object)
+            : null;
+
+        if (organization) {
+            handler = organizationStripeEventHandlers[event.type];
+            await handler(event.data.object, event, organization);
+        } else if (handler) {
+            await handler(event.data.object, event);
+        }
+    } catch (error) {
+        // Release the claim so Stripe's retry processes the event again
+        await supabase.from('stripe_events').delete().eq('id', event.id);
+        throw error;
+    }
+
+    await supabase
+        .from('stripe_events')
+        .update({ status: 'processed', processed_at: new Date().toISOString() })
+        .eq('id', event.id);
+
+    return { handled: Boolean(handler) };
+}
+
+// Stripe webhook (subscription lifecycle)
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).send('Stripe not configured');
+    }
+    const sig = req.headers['stripe-signature'];
+    const webhookSecret = process.env.stripe_webhook_secret || process.env.STRIPE_WEBHOOK_SECRET;
+
+    let event;
+
+    try {
+        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } catch (err) {
+        console.error('Webhook signature verification failed:', err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    // Without a database the event can't be applied; a 503 makes Stripe retry it later
+    if (!supabase) {
+        return res.status(503).send('Supabase not configured');
+    }
+
+    try {
+        const result = await processStripeEvent(event);
+        res.json({ received: true, ...result });
+    } catch (error) {
+        console.error(`Stripe webhook error (${event.type} ${event.id}):`, error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+}));
+
+if (devMode) {
+    // Replay a recorded Stripe event (e.g. from `stripe events retrieve evt_...`) without a signature.
+    // Goes through the same idempotency and handlers as the webhook.
+    app.post('/api/dev/stripe/events', asyncHandler(async (req, res) => {
+        const event = req.body;
+        if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || !event.data?.object) {
+            return res.status(400).json({ error: 'Expected a Stripe event: { id, type, created, data: { object } }' });
+        }
+
+        try {
+            const result = await processStripeEvent({ ...event, created: event.created || Math.floor(Date.now() / 1000) });
+            res.json({ received: true, ...result });
+        } catch (error) {
+            console.error('Dev Stripe event error:', error);
+            res.status(500).json({ error: 'Failed to process event' });
+        }
+    }));
+}
+
+// ============================================================================
+// Billing: portal and subscription management
+// ============================================================================
+
+const SUBSCRIPTION_COLUMNS = `${USER_TIER_COLUMNS}, billing_interval, stripe_customer_id, stripe_subscription_id, subscription_current_period_end, subscription_cancel_at_period_end`;
+
+// Helper: format a users row (SUBSCRIPTION_COLUMNS) and the latest payment for GET /api/user/subscription
+function formatSubscription(user, lastPayment) {
+    const status = user.subscription_status || null;
+    const subscribed = Boolean(user.stripe_subscription_id) && ACTIVE_SUBSCRIPTION_STATUSES.includes(status);
+    const cancelAtPeriodEnd = subscribed && Boolean(user.subscription_cancel_at_period_end);
+
+    let paymentStatus = 'none';
+    if (status === 'past_due' || status === 'unpaid') {
+        paymentStatus = status;
+    } else if (subscribed) {
+        paymentStatus = 'ok';
+    }
+
+    const plan = effectiveTier(user);
+
+    return {
+        plan,
+        planName: plan ? getPlan(plan).name : null,
+        interval: subscribed ? user.billing_interval || null : null,
+        status,
+        currentPeriodEnd: user.subscription_current_period_end || null,
+        renewsAt: subscribed && !cancelAtPeriodEnd ? user.subscription_current_period_end || null : null,
+        cancelAtPeriodEnd,
+        paymentStatus,
+        gracePeriodEndsAt: status === 'past_due' ? user.grace_period_ends_at || null : null,
+        trialEndsAt: status === 'trialing' ? user.trial_ends_at || null : null,
+        lastPayment: lastPayment ? {
+            amount: lastPayment.amount,
+            amountRefunded: lastPayment.amount_refunded,
+            currency: lastPayment.currency,
+            status: lastPayment.status,
+            paidAt: lastPayment.paid_at
+        } : null,
+        canManageBilling: Boolean(stripe && user.stripe_customer_id),
+        canCancel: subscribed && !cancelAtPeriodEnd,
+        canResume: cancelAtPeriodEnd
+    };
+}
+
+async function loadSubscription(userId) {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select(SUBSCRIPTION_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return null;
+
+    const { data: lastPayment } = await supabase
+        .from('payments')
+        .select('amount, amount_refunded, currency, status, paid_at')
+        .eq('user_id', userId)
+        .order('paid_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    return formatSubscription(user, lastPayment);
+}
+
+// Helper: set or clear cancel_at_period_end on the user's subscription.
+// Returns { subscription } or { status, error }.
+async function setCancelAtPeriodEnd(userId, cancelAtPeriodEnd) {
+    if (!stripe) {
+        return { status: 503, error: 'Payments not configured. Add stripe_secret_key to env.' };
+    }
+
+    const { data: user, error } = await supabase
+        .from('users')
+        .select(SUBSCRIPTION_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!user?.stripe_subscription_id || !ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status)) {
+        return { status: 400, error: 'No active subscription' };
+    }
+
+    if (Boolean(user.subscription_cancel_at_period_end) !== cancelAtPeriodEnd) {
+        const subscription = await stripe.subscriptions.update(user.stripe_subscription_id, {
+            cancel_at_period_end: cancelAtPeriodEnd
+        });
+
+        // Saved right away so the dashboard reflects it; the customer.subscription.updated webhook follows
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({
+                subscription_status: subscription.status,
+                subscription_cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+                subscription_current_period_end: stripeTime(subscription.current_period_end)
+            })
+            .eq('id', userId);
+
+        if (updateError) throw updateError;
+    }
+
+    return { subscription: await loadSubscription(userId) };
+}
+
+// Open a Stripe Billing Portal session (update card, invoices, cancel)
+app.post('/api/stripe/portal', authenticateToken, asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ error: 'Payments not configured. Add stripe_secret_key to env.' });
+    }
+    if (!supabase) {
+        return res.status(503).json({ error: 'Service unavailable. Supabase not configured.' });
+    }
+    try {
+        const { data: user } = await supabase
+            .from('users')
+            .select('stripe_customer_id')
+            .eq('id', req.user.id)
+            .maybeSingle();
+
+        if (!user?.stripe_customer_id) {
+            return res.status(400).json({ error: 'No billing account yet. Subscribe to Pro first.' });
+        }
+
+        const session = await stripe.billingPortal.sessions.create({
+            customer: user.stripe_customer_id,
+            return_url: `${FRONTEND_BASE}/dashboard.html?billing=1`
+        });
+
+        res.json({ url: session.url });
+    } catch (error) {
+        console.error('Billing portal error:', error);
+        res.status(500).json({ error: 'Failed to open billing portal' });
+    }
+}));
+
+// Get the user's plan, renewal date, cancellation and payment status
+app.get('/api/user/subscription', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const subscription = await loadSubscription(req.user.id);
+        if (!subscription) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(subscription);
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        res.status(500).json({ error: 'Failed to get subscription' });
+    }
+}));
+
+// Cancel at the end of the current period (Pro stays active until then)
+app.post('/api/user/subscription/cancel', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const result = await setCancelAtPeriodEnd(req.user.id, true);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result.subscription);
+    } catch (error) {
+        console.error('Cancel subscription error:', error);
+        res.status(500).json({ error: 'Failed to cancel subscription' });
+    }
+}));
+
+// Undo a pending cancellation
+app.post('/api/user/subscription/resume', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const result = await setCancelAtPeriodEnd(req.user.id, false);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result.subscription);
+    } catch (error) {
+        console.error('Resume subscription error:', error);
+        res.status(500).json({ error: 'Failed to resume subscription' });
+    }
+}));
+
+// ============================================================================
+// Personal data export and account deletion
+// ============================================================================
+
+const EXPORT_PAGE_SIZE = 1000;
+// Subscriptions in these states are already over in Stripe; anything else is cancelled on account deletion
+const FINISHED_SUBSCRIPTION_STATUSES = ['canceled', 'incomplete_expired'];
+
+// Helper: every row of a user's table, fetched in pages (PostgREST caps a single response)
+async function selectAllUserRows(table, columns, userId, orderColumn = 'created_at') {
+    const rows = [];
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .eq('user_id', userId)
+            .order(orderColumn, { ascending: true })
+            .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < EXPORT_PAGE_SIZE) return rows;
+    }
+}
+
+// Helper: clear the IP of the user's creator link clicks. Clicks aren't linked to accounts, so they're
+// matched by the IPs the user signed in from and the visitor id in this browser's referral cookie.
+async function anonymizeReferralClicks(req, userId) {
+    const { data: devices, error } = await supabase
+        .from('auth_sessions')
+        .select('ip_address')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const ips = [...new Set((devices || []).map(device => device.ip_address).filter(Boolean))];
+    if (ips.length > 0) {
+        const { error: ipError } = await supabase
+            .from('creator_referrals')
+            .update({ ip_address: null })
+            .in('ip_address', ips);
+
+        if (ipError) throw ipError;
+    }
+
+    const visitorId = readReferralCookie(req)?.visitorId;
+    if (visitorId) {
+        const { error: visitorError } = await supabase
+            .from('creator_referrals')
+            .update({ ip_address: null, visitor_id: null })
+            .eq('visitor_id', visitorId);
+
+        if (visitorError) throw visitorError;
+    }
+}
+
+// Download everything stored about the user as a JSON file: profile, subscription and payments, team,
+// sessions with transcripts and feedback, drills, custom tonalities, signed-in devices, API keys and webhooks
+app.get('/api/user/export', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const { data: userData, error: userError } = await supabase
+            .from('users')
+            .select(`id, email, name, created_at, updated_at, referrer_code, referral_utm, referred_at, ${USER_TIER_COLUMNS}`)
+            .eq('id', req.user.id)
+            .maybeSingle();
+
+        if (userError) {
+            throw userError;
+        }
+        if (!userData) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [subscription, membership, payments, sessions, drills, tonalities, devices, coachReviews, apiKeys, webhooks, batchJobs, batchItems] = await Promise.all([
+            loadSubscription(req.user.id),
+            findMembership(req.user.id),
+            selectAllUserRows('payments', 'stripe_invoice_id, billing_reason, amount, amount_refunded, currency, status, period_start, period_end, paid_at, refunded_at', req.user.id, 'paid_at'),
+            selectAllUserRows('sessions', SESSION_DETAIL_COLUMNS, req.user.id),
+            selectAllUserRows('drills', 'id, scenario_id, session_id, started_at, completed_at', req.user.id, 'started_at'),
+            selectAllUserRows('user_tonalities', CUSTOM_TONALITY_COLUMNS, req.user.id),
+            selectAllUserRows('auth_sessions', 'created_at, expires_at, revoked_at, user_agent, ip_address', req.user.id),
+            loadCoachReviewsForExport(req.user.id),
+            selectAllUserRows('api_keys', API_KEY_COLUMNS, req.user.id),
+            selectAllUserRows('webhook_endpoints', WEBHOOK_ENDPOINT_COLUMNS, req.user.id),
+            selectAllUserRows('batch_jobs', BATCH_JOB_COLUMNS, req.user.id),
+            selectAllUserRows('batch_job_items', `${BATCH_ITEM_COLUMNS}, transcript`, req.user.id)
+        ]);
+
+        const exportedAt = new Date().toISOString();
+        res.setHeader('Content-Disposition', `attachment; filename="tonr-export-${exportedAt.slice(0, 10)}.json"`);
+        res.json({
+            exportedAt,
+            profile: {
+                id: userData.id,
+                email: userData.email,
+                name: userData.name,
+                tier: userData.tier,
+                createdAt: userData.created_at,
+                updatedAt: userData.updated_at,
+                referral: userData.referrer_code ? {
+                    creatorCode: userData.referrer_code,
+                    utm: userData.referral_utm || null,
+                    referredAt: userData.referred_at
+                } : null
+            },
+            subscription,
+            team: membership ? {
+                name: membership.organization.name,
+                role: membership.member.role,
+                shareTranscripts: membership.member.share_transcripts,
+                joinedAt: membership.member.joined_at
+            } : null,
+            payments: payments.map(payment => ({
+                invoiceId: payment.stripe_invoice_id,
+                billingReason: payment.billing_reason,
+                amount: payment.amount,
+                amountRefunded: payment.amount_refunded,
+                currency: payment.currency,
+                status: payment.status,
+                periodStart: payment.period_start,
+                periodEnd: payment.period_end,
+                paidAt: payment.paid_at,
+                refundedAt: payment.refunded_at
+            })),
+            sessions: sessions.map(formatSession),
+            coachReviews,
+            drills: drills.map(drill => ({
+                id: drill.id,
+                scenarioId: drill.scenario_id,
+                sessionId: drill.session_id,
+                startedAt: drill.started_at,
+                completedAt: drill.completed_at
+            })),
+            customTonalities: tonalities.map(formatTonality),
+            devices: devices.map(device => ({
+                signedInAt: device.created_at,
+                expiresAt: device.expires_at,
+                revokedAt: device.revoked_at,
+                userAgent: device.user_agent,
+                ipAddress: device.ip_address
+            })),
+            apiKeys: apiKeys.map(formatApiKey),
+            webhooks: webhooks.map(formatWebhookEndpoint),
+            batchJobs: batchJobs.map(job => ({
+                ...formatBatchJob(job),
+                items: batchItems
+                    .filter(item => item.job_id === job.id)
+                    .sort((a, b) => a.position - b.position)
+                    .map(item => formatBatchItem(item))
+            }))
+        });
+    } catch (error) {
+        console.error('Data export error:', error);
+        res.status(500).json({ error: 'Failed to export data' });
+    }
+}));
+
+// Permanently delete the account: { password }. Cancels any Stripe subscription right away, anonymizes
+// the user's creator link clicks, then deletes the auth user, which cascades to every table keyed on
+// the user. Payments and creator commissions are kept for accounting with their user_id cleared.
+app.delete('/api/user/account', authLimiter, authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const { data: userData } = await supabase
+            .from('users')
+            .select('email, stripe_subscription_id, subscription_status')
+            .eq('id', req.user.id)
+            .single();
+
+        if (!userData) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Verify the password by attempting to sign in
+        const { error: signInError } = await supabase.auth.signInWithPassword({
+            email: userData.email,
+            password
+        });
+
+        if (signInError) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        // A team's subscription and members would be left without an owner
+        const membership = await findMembership(req.user.id);
+        if (membership?.member.role === 'owner') {
+            return res.status(409).json({ error: `You own the team "${membership.organization.name}". Delete the team first.` });
+        }
+
+        // Stop billing first: if Stripe can't be reached, keep the account so the user can try again
+        if (userData.stripe_subscription_id && !FINISHED_SUBSCRIPTION_STATUSES.includes(userData.subscription_status)) {
+            if (!stripe) {
+                return res.status(503).json({ error: 'Payments not configured, so the subscription can\'t be cancelled. Contact support@tonr.net.' });
+            }
+
+            try {
+                await stripe.subscriptions.cancel(userData.stripe_subscription_id);
+            } catch (stripeError) {
+                if (stripeError.code !== 'resource_missing') {
+                    throw stripeError;
+                }
+            }
+        }
+
+        await anonymizeReferralClicks(req, req.user.id);
+
+        // Conversions aren't linked by foreign key, so they keep the creator's credit but lose the user
+        const { error: conversionError } = await supabase
+            .from('creator_conversions')
+            .update({ user_id: null })
+            .eq('user_id', req.user.id);
+
+        if (conversionError) {
+            throw conversionError;
+        }
+
+        const { error: deleteError } = await supabase.auth.admin.deleteUser(req.user.id);
+        if (deleteError) {
+            throw deleteError;
+        }
+
+        // Cascades from auth.users; also covers a users row without an auth user
+        const { error: rowError } = await supabase
+            .from('users')
+            .delete()
+            .eq('id', req.user.id);
+
+        if (rowError) {
+            throw rowError;
+        }
+
+        res.clearCookie(REFERRAL_COOKIE, { path: '/' });
+        res.json({ success: true, message: 'Your account and data have been deleted' });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+}));
+
+// ============================================================================
+// Team workspaces: organizations, seats, invites and the manager view
+// ============================================================================
+// An organization pays for one subscription with a seat quantity (see the Stripe lifecycle section).
+// Members hold seats in join order; a seat grants the organization's plan (resolveTier()).
+// Managers see each member's session counts and ratings, and transcripts only when the member
+// turns on sharing.
+
+const ORG_ROLE_LEVELS = { member: 1, manager: 2, owner: 3 };
+const ORG_COLUMNS = 'id, name, owner_user_id, plan, seats, stripe_customer_id, stripe_subscription_id, subscription_status, subscription_current_period_end, subscription_cancel_at_period_end, billing_interval, grace_period_ends_at, created_at';
+const ORG_MEMBER_COLUMNS = 'organization_id, user_id, role, share_transcripts, joined_at';
+const ORG_INVITE_COLUMNS = 'id, role, max_uses, uses, expires_at, revoked_at, created_at';
+const ORG_NAME_MAX_LENGTH = 100;
+const ORG_MAX_SEATS = 500;
+const ORG_INVITE_DEFAULT_DAYS = 7;
+const ORG_INVITE_MAX_DAYS = 30;
+// Invite tokens are 24 random bytes, base64url encoded
+const ORG_INVITE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Helper: the plan an organizations row grants its seats right now, or null when its subscription
+// isn't active. A past_due subscription keeps its plan until the grace period ends, as for users.
+function organizationTier(organization) {
+    if (!organization?.stripe_subscription_id || !ACTIVE_SUBSCRIPTION_STATUSES.includes(organization.subscription_status)) {
+        return null;
+    }
+
+    const tier = effectiveTier({
+        tier: organization.plan,
+        subscription_status: organization.subscription_status,
+        grace_period_ends_at: organization.grace_period_ends_at
+    });
+    return isPaidPlan(tier) ? tier : null;
+}
+
+// Helper: the user's organization membership as { member, organization }, or null
+async function findMembership(userId) {
+    const { data: member, error } = await supabase
+        .from('organization_members')
+        .select(ORG_MEMBER_COLUMNS)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!member) return null;
+
+    const { data: organization, error: orgError } = await supabase
+        .from('organizations')
+        .select(ORG_COLUMNS)
+        .eq('id', member.organization_id)
+        .single();
+
+    if (orgError) throw orgError;
+    return { member, organization };
+}
+
+// Helper: whether a member holds one of the organization's seats (the first `seats` members to join)
+async function memberHasSeat(organization, member) {
+    if (!organization.seats) return false;
+
+    const { count, error } = await supabase
+        .from('organization_members')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('organization_id', organization.id)
+        .lt('joined_at', member.joined_at);
+
+    if (error) throw error;
+    return (count || 0) < organization.seats;
+}
+
+// Helper: the plan the user gets from a seat on their team's subscription, or null.
+// Errors are logged and count as no seat, so a team lookup never blocks the user's own plan.
+async function getSeatPlan(userId) {
+    if (!supabase) return null;
+
+    try {
+        const membership = await findMembership(userId);
+        const tier = organizationTier(membership?.organization);
+        if (!tier) return null;
+
+        return (await memberHasSeat(membership.organization, membership.member)) ? tier : null;
+    } catch (error) {
+        console.error('Seat plan lookup error:', error);
+        return null;
+    }
+}
+
+async function countMembers(organizationId) {
+    const { count, error } = await supabase
+        .from('organization_members')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('organization_id', organizationId);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+// Middleware: only members of a team with at least minRole get through (run after authenticateToken).
+// Sets req.membership ({ member, organization }).
+function requireOrgRole(minRole) {
+    return asyncHandler(async (req, res, next) => {
+        let membership;
+        try {
+            membership = await findMembership(req.user.id);
+        } catch (error) {
+            console.error('Team membership check error:', error);
+            return res.status(500).json({ error: 'Failed to check team access' });
+        }
+
+        if (!membership) {
+            return res.status(404).json({ error: 'You are not in a team' });
+        }
+        if (ORG_ROLE_LEVELS[membership.member.role] < ORG_ROLE_LEVELS[minRole]) {
+            return res.status(403).json({ error: `Team ${minRole} access required` });
+        }
+
+        req.membership = membership;
+        next();
+    });
+}
+
+// Helper: a team name from the request body, or null when it is missing or too long
+function validateOrgName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    return trimmed && trimmed.length <= ORG_NAME_MAX_LENGTH ? trimmed : null;
+}
+
+// Helper: a seat count from the request body, or null when it isn't a whole number in range
+function validateSeats(seats) {
+    const value = Number(seats);
+    return Number.isInteger(value) && value >= 1 && value <= ORG_MAX_SEATS ? value : null;
+}
+
+// Helper: format an organizations row for the member viewing it
+function formatOrganization(organization, member, { memberCount, hasSeat }) {
+    const tier = organizationTier(organization);
+    return {
+        id: organization.id,
+        name: organization.name,
+        role: member.role,
+        shareTranscripts: Boolean(member.share_transcripts),
+        hasSeat,
+        plan: organization.plan,
+        planName: getPlan(organization.plan).name,
+        seats: organization.seats,
+        memberCount,
+        subscription: {
+            active: Boolean(tier),
+            status: organization.subscription_status || null,
+            billingInterval: organization.billing_interval || null,
+            currentPeriodEnd: organization.subscription_current_period_end || null,
+            cancelAtPeriodEnd: Boolean(organization.subscription_cancel_at_period_end),
+            gracePeriodEndsAt: organization.subscription_status === 'past_due' ? organization.grace_period_ends_at : null
+        },
+        createdAt: organization.created_at
+    };
+}
+
+// Helper: formatOrganization() for a { member, organization } membership, with its seat counts
+async function loadOrganizationView({ member, organization }) {
+    const [memberCount, hasSeat] = await Promise.all([
+        countMembers(organization.id),
+        memberHasSeat(organization, member)
+    ]);
+    return formatOrganization(organization, member, { memberCount, hasSeat });
+}
+
+function formatInvite(row) {
+    const now = new Date();
+    return {
+        id: row.id,
+        role: row.role,
+        maxUses: row.max_uses,
+        uses: row.uses,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        active: !row.revoked_at && new Date(row.expires_at) > now && (row.max_uses === null || row.uses < row.max_uses),
+        createdAt: row.created_at
+    };
+}
+
+// Helper: the invite behind a link token with its organization.
+// Returns { invite, organization } or { status, error } when the link can't be used.
+async function findInvite(token) {
+    if (!ORG_INVITE_TOKEN_PATTERN.test(token)) {
+        return { status: 404, error: 'Invite not found' };
+    }
+
+    const { data: invite, error } = await supabase
+        .from('organization_invites')
+        .select(`${ORG_INVITE_COLUMNS}, organization_id`)
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!invite) {
+        return { status: 404, error: 'Invite not found' };
+    }
+    if (!formatInvite(invite).active) {
+        return { status: 410, error: 'This invite link has expired. Ask your team for a new one.' };
+    }
+
+    const { data: organization, error: orgError } = await supabase
+        .from('organizations')
+        .select(ORG_COLUMNS)
+        .eq('id', invite.organization_id)
+        .single();
+
+    if (orgError) throw orgError;
+    return { invite, organization };
+}
+
+// Helper: undo a join through an invite that went over the team's seats. The invite use is given back
+// unless the invite was used again in the meantime.
+async function releaseInviteSeat(invite, userId) {
+    const { error } = await supabase
+        .from('organization_members')
+        .delete()
+        .eq('organization_id', invite.organization_id)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const { error: inviteError } = await supabase
+        .from('organization_invites')
+        .update({ uses: invite.uses })
+        .eq('id', invite.id)
+        .eq('uses', invite.uses + 1);
+
+    if (inviteError) {
+        console.error('Failed to give back invite use:', inviteError.message);
+    }
+}
+
+app.use('/api/org', requireSupabase, authenticateToken);
+app.use('/api/invites', requireSupabase, authenticateToken);
+
+// The user's team, or { organization: null }
+app.get('/api/org', asyncHandler(async (req, res) => {
+    try {
+        const membership = await findMembership(req.user.id);
+        res.json({ organization: membership ? await loadOrganizationView(membership) : null });
+    } catch (error) {
+        console.error('Get team error:', error);
+        res.status(500).json({ error: 'Failed to load team' });
+    }
+}));
+
+// Create a team with the user as its owner: { name }. Seats are bought afterwards (POST /api/org/checkout).
+app.post('/api/org', asyncHandler(async (req, res) => {
+    try {
+        const name = validateOrgName(req.body?.name);
+        if (!name) {
+            return res.status(400).json({ error: `Team name is required (up to ${ORG_NAME_MAX_LENGTH} characters)` });
+        }
+
+        if (await findMembership(req.user.id)) {
+            return res.status(409).json({ error: 'You are already in a team. Leave it before creating another.' });
+        }
+
+        const { data: organization, error } = await supabase
+            .from('organizations')
+            .insert({ name, owner_user_id: req.user.id, plan: findPaidPlanId() })
+            .select(ORG_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const { data: member, error: memberError } = await supabase
+            .from('organization_members')
+            .insert({ organization_id: organization.id, user_id: req.user.id, role: 'owner' })
+            .select(ORG_MEMBER_COLUMNS)
+            .single();
+
+        if (memberError) {
+            await supabase.from('organizations').delete().eq('id', organization.id);
+            if (memberError.code === '23505') { // joined another team in the meantime
+                return res.status(409).json({ error: 'You are already in a team. Leave it before creating another.' });
+            }
+            throw memberError;
+        }
+
+        res.status(201).json({ organization: formatOrganization(organization, member, { memberCount: 1, hasSeat: false }) });
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+}));
+
+// Rename the team: { name }
+app.patch('/api/org', requireOrgRole('owner'), asyncHandler(async (req, res) => {
+    try {
+        const name = validateOrgName(req.body?.name);
+        if (!name) {
+            return res.status(400).json({ error: `Team name is required (up to ${ORG_NAME_MAX_LENGTH} characters)` });
+        }
+
+        const { data: organization, error } = await supabase
+            .from('organizations')
+            .update({ name })
+            .eq('id', req.membership.organization.id)
+            .select(ORG_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ organization: await loadOrganizationView({ ...req.membership, organization }) });
+    } catch (error) {
+        console.error('Rename team error:', error);
+        res.status(500).json({ error: 'Failed to rename team' });
+    }
+}));
+
+// Delete the team. Cancels its subscription right away; members keep their own accounts and plans.
+app.delete('/api/org', requireOrgRole('owner'), asyncHandler(async (req, res) => {
+    try {
+        const { organization } = req.membership;
+
+        // Stop billing first: if Stripe can't be reached, keep the team so the owner can try again
+        if (organization.stripe_subscription_id && !FINISHED_SUBSCRIPTION_STATUSES.includes(organization.subscription_status)) {
+            if (!stripe) {
+                return res.status(503).json({ error: 'Payments not configured, so the team subscription can\'t be cancelled. Contact support@tonr.net.' });
+            }
+
+            try {
+                await stripe.subscriptions.cancel(organization.stripe_subscription_id);
+            } catch (stripeError) {
+                if (stripeError.code !== 'resource_missing') {
+                    throw stripeError;
+                }
+            }
+        }
+
+        // Members and invites cascade; payments keep their rows with organization_id cleared
+        const { error } = await supabase
+            .from('organizations')
+            .delete()
+            .eq('id', organization.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete team error:', error);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+}));
+
+// Buy seats: { interval?: 'monthly' | 'annual', seats }. Returns a Stripe Checkout URL.
+// The team is billed through its own Stripe customer, never the owner's personal one.
+app.post('/api/org/checkout', requireOrgRole('owner'), asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ error: 'Payments not configured. Add stripe_secret_key to env.' });
+    }
+    try {
+        const { organization } = req.membership;
+        const interval = req.body?.interval || 'monthly';
+        const planId = isPaidPlan(organization.plan) ? organization.plan : findPaidPlanId();
+        const plan = PLANS[planId];
+        const seats = validateSeats(req.body?.seats);
+
+        if (typeof interval !== 'string' || !Object.hasOwn(plan.prices, interval)) {
+            return res.status(400).json({ error: 'Unknown billing interval' });
+        }
+        if (!seats) {
+            return res.status(400).json({ error: `Seats must be a whole number from 1 to ${ORG_MAX_SEATS}` });
+        }
+        if (organization.stripe_subscription_id && ACTIVE_SUBSCRIPTION_STATUSES.includes(organization.subscription_status)) {
+            return res.status(409).json({ error: 'The team already has a subscription. Change its seats instead.' });
+        }
+
+        const memberCount = await countMembers(organization.id);
+        if (seats < memberCount) {
+            return res.status(400).json({ error: `The team has ${memberCount} members. Buy at least that many seats.` });
+        }
+
+        const metadata = {
+            organization_id: organization.id,
+            plan: planId,
+            interval,
+            seats: String(seats)
+        };
+
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: [checkoutLineItem(plan, interval, seats)],
+            mode: 'subscription',
+            success_url: `${FRONTEND_BASE}/team.html?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${FRONTEND_BASE}/team.html`,
+            ...(organization.stripe_customer_id ? { customer: organization.stripe_customer_id } : { customer_email: req.user.email }),
+            allow_promotion_codes: true,
+            metadata,
+            // Copied onto the subscription (and its invoices) so later webhooks can find the team
+            subscription_data: { metadata }
+        });
+
+        res.json({ sessionId: session.id, url: session.url });
+    } catch (error) {
+        console.error('Team checkout error:', error);
+        res.status(500).json({ error: 'Failed to create checkout session' });
+    }
+}));
+
+// Change the number of seats on the team's subscription: { seats }. Stripe prorates the change.
+app.put('/api/org/seats', requireOrgRole('owner'), asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ error: 'Payments not configured. Add stripe_secret_key to env.' });
+    }
+    try {
+        const { organization } = req.membership;
+        const seats = validateSeats(req.body?.seats);
+
+        if (!seats) {
+            return res.status(400).json({ error: `Seats must be a whole number from 1 to ${ORG_MAX_SEATS}` });
+        }
+        if (!organization.stripe_subscription_id || !ACTIVE_SUBSCRIPTION_STATUSES.includes(organization.subscription_status)) {
+            return res.status(400).json({ error: 'The team has no active subscription' });
+        }
+
+        const memberCount = await countMembers(organization.id);
+        if (seats < memberCount) {
+            return res.status(400).json({ error: `The team has ${memberCount} members. Remove members before dropping below that many seats.` });
+        }
+
+        const subscription = await stripe.subscriptions.retrieve(organization.stripe_subscription_id);
+        const item = subscription.items?.data?.[0];
+        if (!item) {
+            throw new Error(`Subscription ${subscription.id} has no items`);
+        }
+
+        if (item.quantity !== seats) {
+            await stripe.subscriptions.update(subscription.id, {
+                items: [{ id: item.id, quantity: seats }],
+                metadata: { ...subscription.metadata, seats: String(seats) }
+            });
+        }
+
+        // Saved right away so the team page reflects it; the customer.subscription.updated webhook follows
+        const { data: updated, error } = await supabase
+            .from('organizations')
+            .update({ seats })
+            .eq('id', organization.id)
+            .select(ORG_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ organization: await loadOrganizationView({ ...req.membership, organization: updated }) });
+    } catch (error) {
+        console.error('Change seats error:', error);
+        res.status(500).json({ error: 'Failed to change seats' });
+    }
+}));
+
+// Open a Stripe Billing Portal session for the team's customer (card, invoices, cancel)
+app.post('/api/org/billing-portal', requireOrgRole('owner'), asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ error: 'Payments not configured. Add stripe_secret_key to env.' });
+    }
+    try {
+        const { organization } = req.membership;
+        if (!organization.stripe_customer_id) {
+            return res.status(400).json({ error: 'No billing account yet. Buy seats first.' });
+        }
+
+        const session = await stripe.billingPortal.sessions.create({
+            customer: organization.stripe_customer_id,
+            return_url: `${FRONTEND_BASE}/team.html`
+        });
+
+        res.json({ url: session.url });
+    } catch (error) {
+        console.error('Team billing portal error:', error);
+        res.status(500).json({ error: 'Failed to open billing portal' });
+    }
+}));
+
+// Create an invite link: { role?: 'member' | 'manager', expiresInDays?, maxUses? }.
+// Managers can invite members; only the owner can invite managers. The link is only returned here.
+app.post('/api/org/invites', requireOrgRole('manager'), asyncHandler(async (req, res) => {
+    try {
+        const role = req.body?.role || 'member';
+        const expiresInDays = req.body?.expiresInDays ?? ORG_INVITE_DEFAULT_DAYS;
+        const maxUses = req.body?.maxUses ?? null;
+
+        if (!['member', 'manager'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be member or manager' });
+        }
+        if (role === 'manager' && req.membership.member.role !== 'owner') {
+            return res.status(403).json({ error: 'Only the team owner can invite managers' });
+        }
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > ORG_INVITE_MAX_DAYS) {
+            return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${ORG_INVITE_MAX_DAYS}` });
+        }
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > ORG_MAX_SEATS)) {
+            return res.status(400).json({ error: `maxUses must be a whole number from 1 to ${ORG_MAX_SEATS}` });
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const { data, error } = await supabase
+            .from('organization_invites')
+            .insert({
+                organization_id: req.membership.organization.id,
+                token_hash: hashToken(token),
+                role,
+                created_by: req.user.id,
+                max_uses: maxUses,
+                expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            })
+            .select(ORG_INVITE_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            invite: formatInvite(data),
+            url: `${FRONTEND_BASE}/team.html?invite=${token}`
+        });
+    } catch (error) {
+        console.error('Create invite error:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+}));
+
+// List the team's invite links (newest first; the links themselves aren't stored)
+app.get('/api/org/invites', requireOrgRole('manager'), asyncHandler(async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('organization_invites')
+            .select(ORG_INVITE_COLUMNS)
+            .eq('organization_id', req.membership.organization.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ invites: (data || []).map(formatInvite) });
+    } catch (error) {
+        console.error('List invites error:', error);
+        res.status(500).json({ error: 'Failed to load invites' });
+    }
+}));
+
+// Revoke an invite link
+app.delete('/api/org/invites/:id', requireOrgRole('manager'), asyncHandler(async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('organization_invites')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('organization_id', req.membership.organization.id)
+            .is('revoked_at', null)
+            .select(ORG_INVITE_COLUMNS);
+
+        if (error) {
+            throw error;
+        }
+        if (!data?.length) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        res.json({ invite: formatInvite(data[0]) });
+    } catch (error) {
+        console.error('Revoke invite error:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+}));
+
+// Team roster in join order. Managers and the owner also get each member's email, session count,
+// average rating, last session and whether they share transcripts.
+app.get('/api/org/members', requireOrgRole('member'), asyncHandler(async (req, res) => {
+    try {
+        const { organization, member: viewer } = req.membership;
+        const isManager = ORG_ROLE_LEVELS[viewer.role] >= ORG_ROLE_LEVELS.manager;
+
+        const { data: members, error } = await supabase
+            .from('organization_members')
+            .select(ORG_MEMBER_COLUMNS)
+            .eq('organization_id', organization.id)
+            .order('joined_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        const { data: stats, error: statsError } = await supabase
+            .from('user_stats')
+            .select('id, email, name, total_sessions, average_rating, last_session_at')
+            .in('id', members.map(member => member.user_id));
+
+        if (statsError) {
+            throw statsError;
+        }
+
+        const statsById = new Map((stats || []).map(row => [row.id, row]));
+        res.json({
+            members: members.map((member, index) => {
+                const row = statsById.get(member.user_id) || {};
+                return {
+                    userId: member.user_id,
+                    name: row.name || row.email?.split('@')[0] || null,
+                    role: member.role,
+                    hasSeat: index < organization.seats,
+                    joinedAt: member.joined_at,
+                    ...(isManager ? {
+                        email: row.email || null,
+                        shareTranscripts: Boolean(member.share_transcripts),
+                        stats: {
+                            totalSessions: Number(row.total_sessions) || 0,
+                            averageRating: row.average_rating != null ? Math.round(Number(row.average_rating) * 10) / 10 : null,
+                            lastSessionAt: row.last_session_at || null
+                        }
+                    } : {})
+                };
+            }),
+            seats: organization.seats
+        });
+    } catch (error) {
+        console.error('List team members error:', error);
+        res.status(500).json({ error: 'Failed to load team members' });
+    }
+}));
+
+// Helper: the membership row of :userId in the caller's team, or null
+async function findTeamMember(organizationId, userId) {
+    if (!UUID_PATTERN.test(userId)) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('organization_members')
+        .select(ORG_MEMBER_COLUMNS)
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Change a member's role: { role: 'manager' | 'member' }. The owner's own role can't be changed.
+app.patch('/api/org/members/:userId', requireOrgRole('owner'), asyncHandler(async (req, res) => {
+    try {
+        const { role } = req.body || {};
+        if (!['member', 'manager'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be member or manager' });
+        }
+
+        const target = await findTeamMember(req.membership.organization.id, req.params.userId);
+        if (!target) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (target.role === 'owner') {
+            return res.status(400).json({ error: 'The owner\'s role can\'t be changed' });
+        }
+
+        const { error } = await supabase
+            .from('organization_members')
+            .update({ role })
+            .eq('organization_id', target.organization_id)
+            .eq('user_id', target.user_id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ userId: target.user_id, role });
+    } catch (error) {
+        console.error('Change member role error:', error);
+        res.status(500).json({ error: 'Failed to change role' });
+    }
+}));
+
+// Remove a member, or leave the team (your own user id). Managers can remove members;
+// the owner can remove anyone else. The owner can't leave (delete the team instead).
+app.delete('/api/org/members/:userId', requireOrgRole('member'), asyncHandler(async (req, res) => {
+    try {
+        const { member: viewer, organization } = req.membership;
+        const target = await findTeamMember(organization.id, req.params.userId);
+        if (!target) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        if (target.user_id === viewer.user_id) {
+            if (viewer.role === 'owner') {
+                return res.status(400).json({ error: 'The owner can\'t leave the team. Delete the team instead.' });
+            }
+        } else if (ORG_ROLE_LEVELS[viewer.role] <= ORG_ROLE_LEVELS[target.role]) {
+            return res.status(403).json({ error: 'You can\'t remove this member' });
+        }
+
+        const { error } = await supabase
+            .from('organization_members')
+            .delete()
+            .eq('organization_id', organization.id)
+            .eq('user_id', target.user_id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+}));
+
+// A member's sessions for managers (paginated, newest first). Transcripts and feedback are only
+// included when the member shares them.
+app.get('/api/org/members/:userId/sessions', requireOrgRole('manager'), asyncHandler(async (req, res) => {
+    try {
+        const target = await findTeamMember(req.membership.organization.id, req.params.userId);
+        if (!target) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const offset = (page - 1) * limit;
+        const transcriptsShared = Boolean(target.share_transcripts);
+
+        const { data, count, error } = await supabase
+            .from('sessions')
+            .select(transcriptsShared ? SESSION_DETAIL_COLUMNS : SESSION_LIST_COLUMNS, { count: 'exact' })
+            .eq('user_id', target.user_id)
+            .not('transcript', 'is', null)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            sessions: (data || []).map(formatSession),
+            transcriptsShared,
+            page,
+            limit,
+            total: count || 0,
+            hasMore: offset + (data?.length || 0) < (count || 0)
+        });
+    } catch (error) {
+        console.error('Team member sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+}));
+
+// Let the team's managers see your transcripts and feedback, or stop: { shareTranscripts: boolean }
+app.put('/api/org/sharing', requireOrgRole('member'), asyncHandler(async (req, res) => {
+    try {
+        const { shareTranscripts } = req.body || {};
+        if (typeof shareTranscripts !== 'boolean') {
+            return res.status(400).json({ error: 'shareTranscripts must be true or false' });
+        }
+
+        const { error } = await supabase
+            .from('organization_members')
+            .update({ share_transcripts: shareTranscripts })
+            .eq('organization_id', req.membership.organization.id)
+            .eq('user_id', req.user.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ shareTranscripts });
+    } catch (error) {
+        console.error('Update sharing error:', error);
+        res.status(500).json({ error: 'Failed to update sharing' });
+    }
+}));
+
+// Preview an invite link before accepting it
+app.get('/api/invites/:token', asyncHandler(async (req, res) => {
+    try {
+        const result = await findInvite(req.params.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const membership = await findMembership(req.user.id);
+        res.json({
+            organization: { id: result.organization.id, name: result.organization.name },
+            role: result.invite.role,
+            expiresAt: result.invite.expires_at,
+            alreadyInTeam: Boolean(membership)
+        });
+    } catch (error) {
+        console.error('Get invite error:', error);
+        res.status(500).json({ error: 'Failed to load invite' });
+    }
+}));
+
+// Join a team through an invite link. Needs a free seat.
+app.post('/api/invites/:token/accept', asyncHandler(async (req, res) => {
+    try {
+        const result = await findInvite(req.params.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        const { invite, organization } = result;
+
+        if (await findMembership(req.user.id)) {
+            return res.status(409).json({ error: 'You are already in a team. Leave it before joining another.' });
+        }
+        if (await countMembers(organization.id) >= organization.seats) {
+            return res.status(409).json({ error: 'This team has no free seats. Ask the team owner to add seats.' });
+        }
+
+        // Count the use first (only if nobody used the invite in the meantime), so max_uses holds under races
+        const { data: claimed, error: claimError } = await supabase
+            .from('organization_invites')
+            .update({ uses: invite.uses + 1 })
+            .eq('id', invite.id)
+            .eq('uses', invite.uses)
+            .select('id');
+
+        if (claimError) {
+            throw claimError;
+        }
+        if (!claimed?.length) {
+            return res.status(409).json({ error: 'This invite was just used. Please try again.' });
+        }
+
+        const { data: member, error } = await supabase
+            .from('organization_members')
+            .insert({ organization_id: organization.id, user_id: req.user.id, role: invite.role })
+            .select(ORG_MEMBER_COLUMNS)
+            .single();
+
+        if (error) {
+            if (error.code === '23505') { // unique user_id: joined a team in the meantime
+                return res.status(409).json({ error: 'You are already in a team. Leave it before joining another.' });
+            }
+            throw error;
+        }
+
+        // Count again with the new member included: two invites accepted at once both pass the check
+        // above, so the later insert is undone (if both race for the last seat, both are refused)
+        if (await countMembers(organization.id) > organization.seats) {
+            await releaseInviteSeat(invite, req.user.id);
+            return res.status(409).json({ error: 'This team has no free seats. Ask the team owner to add seats.' });
+        }
+
+        res.status(201).json({ organization: await loadOrganizationView({ member, organization }) });
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        res.status(500).json({ error: 'Failed to join team' });
+    }
+}));
+
+// ============================================================================
+// Coach review: share links, feedback threads and notifications
+// ============================================================================
+// A user shares one stored session with a named coach through a revocable link. The coach needs
+// no account: the link token is the credential. Coaches comment (optionally at a moment in the
+// recording) and rate the session; the user replies in the same thread and gets a notification.
+
+const SHARE_COLUMNS = 'id, session_id, coach_name, coach_rating, coach_rated_at, expires_at, revoked_at, created_at';
+const COMMENT_COLUMNS = 'id, share_id, session_id, author, body, at_seconds, created_at';
+const NOTIFICATION_COLUMNS = 'id, type, session_id, share_id, message, read_at, created_at';
+const COACH_NAME_MAX_LENGTH = 100;
+const COMMENT_MAX_LENGTH = 2000;
+const COMMENT_MAX_AT_SECONDS = 24 * 60 * 60;
+const MAX_COMMENTS_PER_SHARE = 200;
+const MAX_SHARES_PER_SESSION = 10;
+const SHARE_DEFAULT_DAYS = 30;
+const SHARE_MAX_DAYS = 90;
+// Share tokens are 24 random bytes, base64url encoded
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+function formatShare(row) {
+    return {
+        id: row.id,
+        sessionId: row.session_id,
+        coachName: row.coach_name,
+        coachRating: row.coach_rating ?? null,
+        coachRatedAt: row.coach_rated_at || null,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at || null,
+        active: !row.revoked_at && new Date(row.expires_at) > new Date(),
+        createdAt: row.created_at
+    };
+}
+
+function formatComment(row) {
+    return {
+        id: row.id,
+        shareId: row.share_id,
+        author: row.author,
+        body: row.body,
+        atSeconds: row.at_seconds != null ? Number(row.at_seconds) : null,
+        createdAt: row.created_at
+    };
+}
+
+function formatNotification(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        sessionId: row.session_id,
+        shareId: row.share_id,
+        message: row.message,
+        read: Boolean(row.read_at),
+        createdAt: row.created_at
+    };
+}
+
+// Helper: a comment body from the request ({ body, atSeconds? }). Returns { value } or { error }.
+function validateCommentInput(body) {
+    const text = typeof body?.body === 'string' ? body.body.trim() : '';
+    if (!text || text.length > COMMENT_MAX_LENGTH) {
+        return { error: `Comment is required (up to ${COMMENT_MAX_LENGTH} characters)` };
+    }
+
+    const atSeconds = body.atSeconds ?? null;
+    if (atSeconds !== null && (typeof atSeconds !== 'number' || !Number.isFinite(atSeconds)
+        || atSeconds < 0 || atSeconds > COMMENT_MAX_AT_SECONDS)) {
+        return { error: 'atSeconds must be a number of seconds into the recording' };
+    }
+
+    return { value: { body: text, at_seconds: atSeconds === null ? null : Math.round(atSeconds * 10) / 10 } };
+}
+
+// Helper: the user's stored session behind :id (null if the id is malformed or not theirs)
+async function findOwnSession(userId, sessionId) {
+    if (!UUID_PATTERN.test(sessionId)) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('sessions')
+        .select('id, tonality')
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .not('transcript', 'is', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Helper: the share behind a coach link with the session owner's id.
+// Returns { share } or { status, error } when the link can't be used.
+async function findShareByToken(token) {
+    if (!SHARE_TOKEN_PATTERN.test(token)) {
+        return { status: 404, error: 'Link not found' };
+    }
+
+    const { data: share, error } = await supabase
+        .from('session_shares')
+        .select(`${SHARE_COLUMNS}, user_id`)
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!share) {
+        return { status: 404, error: 'Link not found' };
+    }
+    if (!formatShare(share).active) {
+        return { status: 410, error: 'This review link has expired or was turned off by its owner.' };
+    }
+    return { share };
+}
+
+// Helper: comments on a share (or all shares of a session), oldest first
+async function loadComments(column, value) {
+    const { data, error } = await supabase
+        .from('session_comments')
+        .select(COMMENT_COLUMNS)
+        .eq(column, value)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Helper: whether a share's thread has reached MAX_COMMENTS_PER_SHARE (coach and user comments together)
+async function threadIsFull(shareId) {
+    const { count, error } = await supabase
+        .from('session_comments')
+        .select('id', { count: 'exact', head: true })
+        .eq('share_id', shareId);
+
+    if (error) throw error;
+    return (count || 0) >= MAX_COMMENTS_PER_SHARE;
+}
+
+// Helper: every review link the user created, each with its thread (for the data export)
+async function loadCoachReviewsForExport(userId) {
+    const shares = await selectAllUserRows('session_shares', SHARE_COLUMNS, userId);
+    const comments = [];
+    // A thread holds at most MAX_COMMENTS_PER_SHARE comments, so 5 threads fit in one 1000-row page
+    for (let i = 0; i < shares.length; i += 5) {
+        const { data, error } = await supabase
+            .from('session_comments')
+            .select(COMMENT_COLUMNS)
+            .in('share_id', shares.slice(i, i + 5).map(share => share.id))
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        comments.push(...(data || []));
+    }
+
+    return shares.map(share => ({
+        ...formatShare(share),
+        comments: comments.filter(comment => comment.share_id === share.id).map(formatComment)
+    }));
+}
+
+// Helper: tell the session owner about new coach feedback. One unread notification per share:
+// later feedback moves it back to the top instead of adding more. Failures are logged, not thrown,
+// so the coach's comment is saved either way.
+async function notifyCoachFeedback(share, message) {
+    try {
+        const { data: existing, error } = await supabase
+            .from('notifications')
+            .select('id')
+            .eq('share_id', share.id)
+            .is('read_at', null)
+            .limit(1);
+
+        if (error) throw error;
+
+        if (existing?.length) {
+            const { error: updateError } = await supabase
+                .from('notifications')
+                .update({ message, created_at: new Date().toISOString() })
+                .eq('id', existing[0].id);
+            if (updateError) throw updateError;
+            return;
+        }
+
+        const { error: insertError } = await supabase
+            .from('notifications')
+            .insert({
+                user_id: share.user_id,
+                type: 'coach_feedback',
+                session_id: share.session_id,
+                share_id: share.id,
+                message
+            });
+        if (insertError) throw insertError;
+    } catch (error) {
+        console.error('Coach feedback notification error:', error);
+    }
+}
+
+// Create a review link for a stored session: { coachName, expiresInDays? }.
+// The link is only returned here.
+app.post('/api/user/sessions/:id/shares', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const coachName = typeof req.body?.coachName === 'string' ? req.body.coachName.trim() : '';
+        const expiresInDays = req.body?.expiresInDays ?? SHARE_DEFAULT_DAYS;
+
+        if (!coachName || coachName.length > COACH_NAME_MAX_LENGTH) {
+            return res.status(400).json({ error: `Coach name is required (up to ${COACH_NAME_MAX_LENGTH} characters)` });
+        }
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_MAX_DAYS) {
+            return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${SHARE_MAX_DAYS}` });
+        }
+
+        const session = await findOwnSession(req.user.id, req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const { count, error: countError } = await supabase
+            .from('session_shares')
+            .select('id', { count: 'exact', head: true })
+            .eq('session_id', session.id);
+
+        if (countError) {
+            throw countError;
+        }
+        if ((count || 0) >= MAX_SHARES_PER_SESSION) {
+            return res.status(400).json({ error: `A session can be shared at most ${MAX_SHARES_PER_SESSION} times` });
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const { data, error } = await supabase
+            .from('session_shares')
+            .insert({
+                session_id: session.id,
+                user_id: req.user.id,
+                token_hash: hashToken(token),
+                coach_name: coachName,
+                expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            })
+            .select(SHARE_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            share: formatShare(data),
+            url: `${FRONTEND_BASE}/coach.html?token=${token}`
+        });
+    } catch (error) {
+        console.error('Create session share error:', error);
+        res.status(500).json({ error: 'Failed to create review link' });
+    }
+}));
+
+// A session's review links with each coach's rating, and the whole feedback thread
+app.get('/api/user/sessions/:id/shares', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const session = await findOwnSession(req.user.id, req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const [{ data: shares, error }, comments] = await Promise.all([
+            supabase
+                .from('session_shares')
+                .select(SHARE_COLUMNS)
+                .eq('session_id', session.id)
+                .order('created_at', { ascending: true }),
+            loadComments('session_id', session.id)
+        ]);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            shares: (shares || []).map(formatShare),
+            comments: comments.map(formatComment)
+        });
+    } catch (error) {
+        console.error('List session shares error:', error);
+        res.status(500).json({ error: 'Failed to load coach feedback' });
+    }
+}));
+
+// Turn off a review link. Its comments and rating stay visible to the user.
+app.delete('/api/user/sessions/:id/shares/:shareId', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id) || !UUID_PATTERN.test(req.params.shareId)) {
+            return res.status(404).json({ error: 'Review link not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('session_shares')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.shareId)
+            .eq('session_id', req.params.id)
+            .eq('user_id', req.user.id)
+            .is('revoked_at', null)
+            .select(SHARE_COLUMNS);
+
+        if (error) {
+            throw error;
+        }
+        if (!data?.length) {
+            return res.status(404).json({ error: 'Review link not found' });
+        }
+
+        res.json({ share: formatShare(data[0]) });
+    } catch (error) {
+        console.error('Revoke session share error:', error);
+        res.status(500).json({ error: 'Failed to turn off review link' });
+    }
+}));
+
+// Reply to a coach in a share's thread: { body, atSeconds? }. Only while the link is active.
+app.post('/api/user/sessions/:id/shares/:shareId/comments', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const input = validateCommentInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        if (!UUID_PATTERN.test(req.params.id) || !UUID_PATTERN.test(req.params.shareId)) {
+            return res.status(404).json({ error: 'Review link not found' });
+        }
+
+        const { data: share, error: shareError } = await supabase
+            .from('session_shares')
+            .select(SHARE_COLUMNS)
+            .eq('id', req.params.shareId)
+            .eq('session_id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (shareError) {
+            throw shareError;
+        }
+        if (!share) {
+            return res.status(404).json({ error: 'Review link not found' });
+        }
+        if (!formatShare(share).active) {
+            return res.status(410).json({ error: 'This review link has expired or was turned off' });
+        }
+        if (await threadIsFull(share.id)) {
+            return res.status(400).json({ error: `This thread has reached ${MAX_COMMENTS_PER_SHARE} comments` });
+        }
+
+        const { data, error } = await supabase
+            .from('session_comments')
+            .insert({ share_id: share.id, session_id: share.session_id, author: 'user', ...input.value })
+            .select(COMMENT_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({ comment: formatComment(data) });
+    } catch (error) {
+        console.error('Reply to coach error:', error);
+        res.status(500).json({ error: 'Failed to post reply' });
+    }
+}));
+
+// The user's notifications, newest first: { notifications, unreadCount }. Query: unread=true for unread only
+app.get('/api/user/notifications', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        let query = supabase
+            .from('notifications')
+            .select(NOTIFICATION_COLUMNS)
+            .eq('user_id', req.user.id);
+
+        if (req.query.unread === 'true') {
+            query = query.is('read_at', null);
+        }
+
+        const [{ data, error }, { count, error: countError }] = await Promise.all([
+            query.order('created_at', { ascending: false }).limit(50),
+            supabase
+                .from('notifications')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', req.user.id)
+                .is('read_at', null)
+        ]);
+
+        if (error || countError) {
+            throw error || countError;
+        }
+
+        res.json({ notifications: (data || []).map(formatNotification), unreadCount: count || 0 });
+    } catch (error) {
+        console.error('List notifications error:', error);
+        res.status(500).json({ error: 'Failed to load notifications' });
+    }
+}));
+
+// Mark notifications read: { ids?: string[] } (all of the user's unread notifications without ids)
+app.post('/api/user/notifications/read', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const ids = req.body?.ids;
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length > 100 || !ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id)))) {
+            return res.status(400).json({ error: 'ids must be a list of notification ids' });
+        }
+
+        let query = supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('user_id', req.user.id)
+            .is('read_at', null);
+
+        if (ids) {
+            query = query.in('id', ids);
+        }
+
+        const { data, error } = await query.select('id');
+        if (error) {
+            throw error;
+        }
+
+        res.json({ marked: data?.length || 0 });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+}));
+
+app.use('/api/coach', requireSupabase);
+
+// Coach view of a shared session (no account needed; the link token is the credential):
+// the transcript, AI analysis, the coach's rating and the feedback thread
+app.get('/api/coach/:token', asyncHandler(async (req, res) => {
+    try {
+        const result = await findShareByToken(req.params.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        const { share } = result;
+
+        const [{ data: session, error }, { data: owner }, comments] = await Promise.all([
+            supabase
+                .from('sessions')
+                .select(SESSION_DETAIL_COLUMNS)
+                .eq('id', share.session_id)
+                .single(),
+            supabase
+                .from('users')
+                .select('name')
+                .eq('id', share.user_id)
+                .maybeSingle(),
+            loadComments('share_id', share.id)
+        ]);
+
+        if (error) {
+            throw error;
+        }
+
+        // Custom tonality ids aren't meaningful to the coach; the name is
+        const { customTonalityId, ...sessionView } = formatSession(session);
+        res.json({
+            share: {
+                coachName: share.coach_name,
+                coachRating: share.coach_rating ?? null,
+                expiresAt: share.expires_at
+            },
+            sharedBy: owner?.name || null,
+            session: {
+                ...sessionView,
+                tonalityName: tonalityDescriptions[session.tonality]?.name || session.tonality
+            },
+            comments: comments.map(formatComment)
+        });
+    } catch (error) {
+        console.error('Coach view error:', error);
+        res.status(500).json({ error: 'Failed to load session' });
+    }
+}));
+
+// Add a coach comment: { body, atSeconds? }
+app.post('/api/coach/:token/comments', asyncHandler(async (req, res) => {
+    try {
+        const input = validateCommentInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const result = await findShareByToken(req.params.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        const { share } = result;
+
+        if (await threadIsFull(share.id)) {
+            return res.status(400).json({ error: `This thread has reached ${MAX_COMMENTS_PER_SHARE} comments` });
+        }
+
+        const { data, error } = await supabase
+            .from('session_comments')
+            .insert({ share_id: share.id, session_id: share.session_id, author: 'coach', ...input.value })
+            .select(COMMENT_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await notifyCoachFeedback(share, `${share.coach_name} left feedback on your session`);
+        res.status(201).json({ comment: formatComment(data) });
+    } catch (error) {
+        console.error('Coach comment error:', error);
+        res.status(500).json({ error: 'Failed to post comment' });
+    }
+}));
+
+// Set or change the coach's rating of the session: { rating: 1-100 }, the same scale as the AI rating
+app.put('/api/coach/:token/rating', asyncHandler(async (req, res) => {
+    try {
+        const rating = req.body?.rating;
+        if (!Number.isInteger(rating) || rating < 1 || rating > 100) {
+            return res.status(400).json({ error: 'Rating must be a whole number from 1 to 100' });
+        }
+
+        const result = await findShareByToken(req.params.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        const { share } = result;
+
+        const { error } = await supabase
+            .from('session_shares')
+            .update({ coach_rating: rating, coach_rated_at: new Date().toISOString() })
+            .eq('id', share.id);
+
+        if (error) {
+            throw error;
+        }
+
+        await notifyCoachFeedback(share, `${share.coach_name} rated your session ${rating}/100`);
+        res.json({ coachRating: rating });
+    } catch (error) {
+        console.error('Coach rating error:', error);
+        res.status(500).json({ error: 'Failed to save rating' });
+    }
+}));
+
+// ============================================================================
+// Creator portal: stats and commissions ledger
+// ============================================================================
+
+// Days after a payment during which a refund or cancellation reverses the creator's commission.
+// Commissions become payable once the window has passed.
+const CREATOR_CLAWBACK_DAYS = parseInt(process.env.creator_clawback_days || process.env.CREATOR_CLAWBACK_DAYS, 10) || 30;
+
+const CREATOR_STATS_PERIODS = ['day', 'week', 'month'];
+const CREATOR_STATS_MAX_DAYS = 366;
+const COMMISSION_STATUSES = ['pending', 'paid', 'reversed'];
+const COMMISSION_COLUMNS = 'id, stripe_invoice_id, payment_amount, payment_refunded, currency, commission_rate, amount, status, clawback_ends_at, reversal_reason, reversed_at, payout_reference, paid_at, created_at';
+
+// Helper: add a paid invoice from a referred user to the commissions ledger
+async function recordCreatorCommission(invoice, userId) {
+    if (!invoice.amount_paid) return;
+
+    const { data: userRow } = await supabase
+        .from('users')
+        .select('referrer_code')
+        .eq('id', userId)
+        .maybeSingle();
+
+    const creator = await findCreator(userRow?.referrer_code);
+    if (!creator || creator.owner_user_id === userId) return;
+
+    const rate = Number(creator.commission_rate) || 0;
+    const paidAt = stripeTime(invoice.status_transitions?.paid_at) || stripeTime(invoice.created) || new Date().toISOString();
+
+    const { error } = await supabase
+        .from('creator_commissions')
+        .upsert({
+            creator_code: creator.code,
+            user_id: userId,
+            stripe_invoice_id: invoice.id,
+            stripe_charge_id: stripeId(invoice.charge),
+            stripe_subscription_id: stripeId(invoice.subscription),
+            payment_amount: invoice.amount_paid,
+            currency: invoice.currency,
+            commission_rate: rate,
+            amount: Math.round(invoice.amount_paid * rate),
+            status: 'pending',
+            clawback_ends_at: new Date(new Date(paidAt).getTime() + CREATOR_CLAWBACK_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        }, { onConflict: 'stripe_invoice_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+}
+
+// Helper: a refund inside the clawback window reverses the commission (partial refunds reduce it).
+// Later refunds are only recorded; the commission stands.
+async function clawBackCommissionForRefund(charge) {
+    const invoiceId = stripeId(charge.invoice);
+    let query = supabase
+        .from('creator_commissions')
+        .select('id, payment_amount, commission_rate, status, clawback_ends_at');
+    query = invoiceId ? query.eq('stripe_invoice_id', invoiceId) : query.eq('stripe_charge_id', charge.id);
+
+    const { data: commission, error } = await query.maybeSingle();
+    if (error) throw error;
+    if (!commission) return;
+
+    const fields = { payment_refunded: charge.amount_refunded };
+    if (commission.status === 'pending' && new Date(commission.clawback_ends_at) > new Date()) {
+        if (charge.refunded) {
+            Object.assign(fields, { status: 'reversed', reversal_reason: 'refund', reversed_at: new Date().toISOString() });
+        } else {
+            fields.amount = Math.round((commission.payment_amount - charge.amount_refunded) * Number(commission.commission_rate));
+        }
+    }
+
+    const { error: updateError } = await supabase
+        .from('creator_commissions')
+        .update(fields)
+        .eq('id', commission.id);
+
+    if (updateError) throw updateError;
+}
+
+// Helper: a subscription cancelled inside the clawback window reverses its pending commissions
+async function clawBackCommissionsForCancellation(subscriptionId) {
+    const { error } = await supabase
+        .from('creator_commissions')
+        .update({ status: 'reversed', reversal_reason: 'cancellation', reversed_at: new Date().toISOString() })
+        .eq('stripe_subscription_id', subscriptionId)
+        .eq('status', 'pending')
+        .gt('clawback_ends_at', new Date().toISOString());
+
+    if (error) throw error;
+}
+
+// Helper: a creator code owned by the user (null if it doesn't exist or belongs to someone else)
+async function findOwnedCreator(userId, code) {
+    if (typeof code !== 'string' || !CREATOR_CODE_PATTERN.test(code)) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('creators')
+        .select('code, commission_rate, active, created_at')
+        .eq('code', code)
+        .eq('owner_user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Helper: commission balance of a creator code, in cents ({ pending, payable, paid, reversed })
+async function getCommissionBalance(code) {
+    const { data, error } = await supabase.rpc('creator_commission_summary', { p_code: code });
+    if (error) throw error;
+
+    const row = data?.[0] || {};
+    return {
+        pending: Number(row.pending) || 0,
+        payable: Number(row.payable) || 0,
+        paid: Number(row.paid) || 0,
+        reversed: Number(row.reversed) || 0
+    };
+}
+
+function formatCreator(row) {
+    return {
+        code: row.code,
+        commissionRate: Number(row.commission_rate),
+        active: row.active,
+        createdAt: row.created_at
+    };
+}
+
+function formatCommission(row) {
+    return {
+        id: row.id,
+        invoiceId: row.stripe_invoice_id,
+        paymentAmount: row.payment_amount,
+        paymentRefunded: row.payment_refunded,
+        currency: row.currency,
+        commissionRate: Number(row.commission_rate),
+        amount: row.amount,
+        status: row.status,
+        payable: row.status === 'pending' && new Date(row.clawback_ends_at) <= new Date(),
+        clawbackEndsAt: row.clawback_ends_at,
+        reversalReason: row.reversal_reason,
+        reversedAt: row.reversed_at,
+        payoutReference: row.payout_reference,
+        paidAt: row.paid_at,
+        createdAt: row.created_at
+    };
+}
+
+// List the creator codes the user owns
+app.get('/api/creator/codes', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('creators')
+            .select('code, commission_rate, active, created_at')
+            .eq('owner_user_id', req.user.id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ creators: (data || []).map(formatCreator), clawbackDays: CREATOR_CLAWBACK_DAYS });
+    } catch (error) {
+        console.error('List creator codes error:', error);
+        res.status(500).json({ error: 'Failed to load creator codes' });
+    }
+}));
+
+// Clicks, signups, conversions, revenue and commission for a code, by period.
+// Query: period=day|week|month (default day), from, to (default: the last 30 days)
+app.get('/api/creator/codes/:code/stats', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const creator = await findOwnedCreator(req.user.id, req.params.code);
+        if (!creator) {
+            return res.status(404).json({ error: 'Creator code not found' });
+        }
+
+        const period = req.query.period || 'day';
+        if (!CREATOR_STATS_PERIODS.includes(period)) {
+            return res.status(400).json({ error: `Period must be one of: ${CREATOR_STATS_PERIODS.join(', ')}` });
+        }
+
+        const to = req.query.to ? parseDateParam(req.query.to) : new Date();
+        const from = req.query.from ? parseDateParam(req.query.from) : to && new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (!from || !to || from >= to) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        if (to - from > CREATOR_STATS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: `Date range can be at most ${CREATOR_STATS_MAX_DAYS} days` });
+        }
+
+        const { data, error } = await supabase.rpc('creator_stats', {
+            p_code: creator.code,
+            p_from: from.toISOString(),
+            p_to: to.toISOString(),
+            p_period: period
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        const series = (data || []).map(row => ({
+            periodStart: row.period_start,
+            clicks: Number(row.clicks),
+            signups: Number(row.signups),
+            conversions: Number(row.conversions),
+            revenue: Number(row.revenue),
+            commission: Number(row.commission)
+        }));
+
+        const totals = { clicks: 0, signups: 0, conversions: 0, revenue: 0, commission: 0 };
+        series.forEach(row => {
+            Object.keys(totals).forEach(key => {
+                totals[key] += row[key];
+            });
+        });
+
+        res.json({
+            creator: formatCreator(creator),
+            period,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            currency: PLANS[findPaidPlanId()].prices.monthly.currency,
+            totals,
+            series,
+            balance: await getCommissionBalance(creator.code)
+        });
+    } catch (error) {
+        console.error('Creator stats error:', error);
+        res.status(500).json({ error: 'Failed to load creator stats' });
+    }
+}));
+
+// Commissions ledger for a code (paginated, newest first, optional ?status=pending|paid|reversed)
+app.get('/api/creator/codes/:code/commissions', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const creator = await findOwnedCreator(req.user.id, req.params.code);
+        if (!creator) {
+            return res.status(404).json({ error: 'Creator code not found' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const { status } = req.query;
+
+        if (status && !COMMISSION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${COMMISSION_STATUSES.join(', ')}` });
+        }
+
+        let query = supabase
+            .from('creator_commissions')
+            .select(COMMISSION_COLUMNS, { count: 'exact' })
+            .eq('creator_code', creator.code);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const offset = (page - 1) * limit;
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            commissions: (data || []).map(formatCommission),
+            page,
+            limit,
+            total: count || 0,
+            balance: await getCommissionBalance(creator.code)
+        });
+    } catch (error) {
+        console.error('Creator commissions error:', error);
+        res.status(500).json({ error: 'Failed to load commissions' });
+    }
+}));
+
+// ============================================================================
+// Admin console
+// ============================================================================
+// Staff roles live in admin_roles and are granted in the SQL editor. support can search users and
+// view their sessions, usage and referral stats; admin can also change tiers and reset quotas.
+// Every admin request is written to admin_audit_log before it runs, and fails if it can't be logged.
+
+const ADMIN_ROLE_LEVELS = { support: 1, admin: 2 };
+const ADMIN_USER_COLUMNS = `id, email, name, created_at, referrer_code, referred_at, ${SUBSCRIPTION_COLUMNS}`;
+const ADMIN_SEARCH_MAX_LENGTH = 100;
+const ADMIN_REASON_MAX_LENGTH = 500;
+
+// Helper: the user's admin role ('support' | 'admin'), or null for everyone else
+async function getAdminRole(userId) {
+    const { data, error } = await supabase
+        .from('admin_roles')
+        .select('role')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.role || null;
+}
+
+// Middleware: only users with at least minRole get through (run after authenticateToken).
+// Sets req.adminRole.
+function requireAdminRole(minRole) {
+    return asyncHandler(async (req, res, next) => {
+        let role;
+        try {
+            role = await getAdminRole(req.user.id);
+        } catch (error) {
+            console.error('Admin role check error:', error);
+            return res.status(500).json({ error: 'Failed to check admin access' });
+        }
+
+        if (!role || ADMIN_ROLE_LEVELS[role] < ADMIN_ROLE_LEVELS[minRole]) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        req.adminRole = role;
+        next();
+    });
+}
+
+// Helper: write an admin action to the audit log. Throws if it can't be written, so nothing
+// happens without a record.
+async function logAdminAction(req, action, { targetUserId = null, details = {} } = {}) {
+    const { error } = await supabase
+        .from('admin_audit_log')
+        .insert({
+            admin_user_id: req.user.id,
+            admin_email: req.user.email || null,
+            action,
+            target_user_id: targetUserId,
+            details,
+            ip_address: getClientIp(req)
+        });
+
+    if (error) throw error;
+}
+
+// Helper: the users row behind :id for admin routes (null if the id is malformed or unknown)
+async function findAdminTargetUser(userId) {
+    if (!UUID_PATTERN.test(userId)) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('users')
+        .select(ADMIN_USER_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Helper: a search string that is safe inside a PostgREST or() filter (no separators or wildcards)
+function sanitizeAdminSearch(value) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/[,()*%_\\]/g, ' ').trim().slice(0, ADMIN_SEARCH_MAX_LENGTH);
+}
+
+function formatAdminUser(row) {
+    const tier = effectiveTier(row);
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        tier: row.tier,
+        effectiveTier: tier,
+        planName: tier ? getPlan(tier).name : null,
+        subscriptionStatus: row.subscription_status || null,
+        stripeSubscriptionId: row.stripe_subscription_id || null,
+        referrerCode: row.referrer_code || null,
+        referredAt: row.referred_at || null,
+        quotaResetAt: row.quota_reset_at || null,
+        createdAt: row.created_at
+    };
+}
+
+function formatAuditEntry(row) {
+    return {
+        id: row.id,
+        adminUserId: row.admin_user_id,
+        adminEmail: row.admin_email,
+        action: row.action,
+        targetUserId: row.target_user_id,
+        details: row.details || {},
+        ipAddress: row.ip_address,
+        createdAt: row.created_at
+    };
+}
+
+app.use('/api/admin', requireSupabase, authenticateToken);
+
+// Search users by email, name or id. Query: q, tier, page, limit
+app.get('/api/admin/users', requireAdminRole('support'), asyncHandler(async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const q = sanitizeAdminSearch(req.query.q);
+        const { tier } = req.query;
+
+        if (tier && !isKnownPlan(tier)) {
+            return res.status(400).json({ error: 'Invalid tier' });
+        }
+
+        await logAdminAction(req, 'users.search', { details: { q, tier: tier || null, page } });
+
+        let query = supabase
+            .from('users')
+            .select(ADMIN_USER_COLUMNS, { count: 'exact' });
+
+        if (q && UUID_PATTERN.test(q)) {
+            query = query.eq('id', q);
+        } else if (q) {
+            query = query.or(`email.ilike.%${q}%,name.ilike.%${q}%`);
+        }
+        if (tier) {
+            query = query.eq('tier', tier);
+        }
+
+        const offset = (page - 1) * limit;
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            users: (data || []).map(formatAdminUser),
+            page,
+            limit,
+            total: count || 0,
+            hasMore: offset + (data?.length || 0) < (count || 0)
+        });
+    } catch (error) {
+        console.error('Admin user search error:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+}));
+
+// A user's profile, subscription, quota usage, all-time stats and admin role
+app.get('/api/admin/users/:id', requireAdminRole('support'), asyncHandler(async (req, res) => {
+    try {
+        const user = await findAdminTargetUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await logAdminAction(req, 'users.view', { targetUserId: user.id });
+
+        const plan = getPlan((await resolveTier(user.id, user)) || DEFAULT_PLAN_ID);
+        const [quotas, subscription, role, { data: stats }] = await Promise.all([
+            getQuotaUsage(user.id, plan, user.quota_reset_at),
+            loadSubscription(user.id),
+            getAdminRole(user.id),
+            supabase
+                .from('user_stats')
+                .select('total_sessions, average_rating, last_session_at')
+                .eq('id', user.id)
+                .maybeSingle()
+        ]);
+
+        res.json({
+            user: { ...formatAdminUser(user), role },
+            subscription,
+            trial: trialInfo(user),
+            quotas,
+            stats: {
+                totalSessions: stats?.total_sessions || 0,
+                averageRating: stats?.average_rating != null ? Math.round(Number(stats.average_rating) * 10) / 10 : null,
+                lastSessionAt: stats?.last_session_at || null
+            }
+        });
+    } catch (error) {
+        console.error('Admin user detail error:', error);
+        res.status(500).json({ error: 'Failed to load user' });
+    }
+}));
+
+// A user's sessions (paginated, newest first, no transcripts)
+app.get('/api/admin/users/:id/sessions', requireAdminRole('support'), asyncHandler(async (req, res) => {
+    try {
+        const user = await findAdminTargetUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+        await logAdminAction(req, 'users.sessions', { targetUserId: user.id, details: { page } });
+
+        const offset = (page - 1) * limit;
+        const { data, count, error } = await supabase
+            .from('sessions')
+            .select(SESSION_LIST_COLUMNS, { count: 'exact' })
+            .eq('user_id', user.id)
+            .not('transcript', 'is', null)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            sessions: (data || []).map(formatSession),
+            page,
+            limit,
+            total: count || 0,
+            hasMore: offset + (data?.length || 0) < (count || 0)
+        });
+    } catch (error) {
+        console.error('Admin user sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+}));
+
+// Grant or revoke a plan manually: { tier, reason }. Users billed through Stripe are changed in Stripe instead.
+app.post('/api/admin/users/:id/tier', requireAdminRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        const { tier, reason } = req.body;
+
+        if (!isKnownPlan(tier)) {
+            return res.status(400).json({ error: 'Invalid tier' });
+        }
+        if (typeof reason !== 'string' || !reason.trim() || reason.length > ADMIN_REASON_MAX_LENGTH) {
+            return res.status(400).json({ error: `A reason (up to ${ADMIN_REASON_MAX_LENGTH} characters) is required` });
+        }
+
+        const user = await findAdminTargetUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // The next webhook would overwrite a manual change, so paying users are handled in Stripe
+        if (user.stripe_subscription_id && ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status)) {
+            return res.status(409).json({ error: 'This user has an active Stripe subscription. Change or cancel it in Stripe.' });
+        }
+
+        await logAdminAction(req, 'users.set_tier', {
+            targetUserId: user.id,
+            details: { from: user.tier, to: tier, reason: reason.trim() }
+        });
+
+        const { data, error } = await supabase
+            .from('users')
+            .update({ tier, grace_period_ends_at: null })
+            .eq('id', user.id)
+            .select(ADMIN_USER_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ user: formatAdminUser(data) });
+    } catch (error) {
+        console.error('Admin set tier error:', error);
+        res.status(500).json({ error: 'Failed to change tier' });
+    }
+}));
+
+// Reset a user's daily and monthly quotas: sessions before now stop counting. Body: { reason? }
+app.post('/api/admin/users/:id/reset-quota', requireAdminRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, ADMIN_REASON_MAX_LENGTH) : '';
+
+        const user = await findAdminTargetUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await logAdminAction(req, 'users.reset_quota', {
+            targetUserId: user.id,
+            details: { previousResetAt: user.quota_reset_at || null, reason: reason || null }
+        });
+
+        const resetAt = new Date().toISOString();
+        const { error } = await supabase
+            .from('users')
+            .update({ quota_reset_at: resetAt })
+            .eq('id', user.id);
+
+        if (error) {
+            throw error;
+        }
+
+        const plan = getPlan((await resolveTier(user.id, user)) || DEFAULT_PLAN_ID);
+        res.json({ quotaResetAt: resetAt, quotas: await getQuotaUsage(user.id, plan, resetAt) });
+    } catch (error) {
+        console.error('Admin reset quota error:', error);
+        res.status(500).json({ error: 'Failed to reset quota' });
+    }
+}));
+
+// Creator leaderboard: clicks, signups, conversions, revenue and conversion rates per code.
+// Query: from, to (default: the last 30 days)
+app.get('/api/admin/creators', requireAdminRole('support'), asyncHandler(async (req, res) => {
+    try {
+        const to = req.query.to ? parseDateParam(req.query.to) : new Date();
+        const from = req.query.from ? parseDateParam(req.query.from) : to && new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (!from || !to || from >= to) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        if (to - from > CREATOR_STATS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: `Date range can be at most ${CREATOR_STATS_MAX_DAYS} days` });
+        }
+
+        await logAdminAction(req, 'creators.leaderboard', { details: { from: from.toISOString(), to: to.toISOString() } });
+
+        const { data, error } = await supabase.rpc('creator_leaderboard', {
+            p_from: from.toISOString(),
+            p_to: to.toISOString()
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        const ownerIds = [...new Set((data || []).map(row => row.owner_user_id).filter(Boolean))];
+        const { data: owners } = ownerIds.length
+            ? await supabase.from('users').select('id, email').in('id', ownerIds)
+            : { data: [] };
+        const ownerEmails = new Map((owners || []).map(owner => [owner.id, owner.email]));
+
+        const rate = (numerator, denominator) => (denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null);
+        const creators = (data || [])
+            .map(row => {
+                const uniqueVisitors = Number(row.unique_visitors);
+                const signups = Number(row.signups);
+                const conversions = Number(row.conversions);
+                return {
+                    code: row.code,
+                    ownerEmail: ownerEmails.get(row.owner_user_id) || null,
+                    active: row.active,
+                    commissionRate: Number(row.commission_rate),
+                    clicks: Number(row.clicks),
+                    uniqueVisitors,
+                    signups,
+                    conversions,
+                    revenue: Number(row.revenue),
+                    commission: Number(row.commission),
+                    // Signups per unique visitor, and paid conversions per signup
+                    signupRate: rate(signups, uniqueVisitors),
+                    conversionRate: rate(conversions, signups)
+                };
+            })
+            .sort((a, b) => b.revenue - a.revenue || b.conversions - a.conversions || b.signups - a.signups);
+
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            currency: PLANS[findPaidPlanId()].prices.monthly.currency,
+            creators
+        });
+    } catch (error) {
+        console.error('Admin creator leaderboard error:', error);
+        res.status(500).json({ error: 'Failed to load creator leaderboard' });
+    }
+}));
+
+// Audit log (admins only, paginated, newest first). Query: action, adminUserId, targetUserId
+app.get('/api/admin/audit-log', requireAdminRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+        const { action, adminUserId, targetUserId } = req.query;
+
+        if ((adminUserId && !UUID_PATTERN.test(adminUserId)) || (targetUserId && !UUID_PATTERN.test(targetUserId))) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        await logAdminAction(req, 'audit_log.view', { details: { action: action || null, adminUserId: adminUserId || null, targetUserId: targetUserId || null, page } });
+
+        let query = supabase
+            .from('admin_audit_log')
+            .select('id, admin_user_id, admin_email, action, target_user_id, details, ip_address, created_at', { count: 'exact' });
+
+        if (typeof action === 'string' && action) {
+            query = query.eq('action', action);
+        }
+        if (adminUserId) {
+            query = query.eq('admin_user_id', adminUserId);
+        }
+        if (targetUserId) {
+            query = query.eq('target_user_id', targetUserId);
+        }
+
+        const offset = (page - 1) * limit;
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            entries: (data || []).map(formatAuditEntry),
+            page,
+            limit,
+            total: count || 0,
+            hasMore: offset + (data?.length || 0) < (count || 0)
+        });
+    } catch (error) {
+        console.error('Admin audit log error:', error);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+}));
+
+// Tonality descriptions for prompt customization
+const tonalityDescriptions = {
+    neutral: {
+        name: "Neutral",
+        description: "clean, natural communication style",
+        focus: "Focus on clarity, natural flow, and balanced delivery."
+    },
+    assertive: {
+        name: "Assertive",
+        description: "direct, decisive communication style",
+        focus: "Focus on directness, confidence, and decisive language patterns."
+    },
+    composed: {
+        name: "Composed",
+        description: "calm, controlled communication style",
+        focus: "Focus on calm delivery, controlled pacing, and measured responses."
+    }
+};
+
+// Practice scenarios for guided drills. Each has a prompt to answer, a time limit, a target tonality
+// (used when the request doesn't pick one) and a rubric the analysis scores from 1-5 per goal.
+const PRACTICE_SCENARIOS = [
+    {
+        id: 'job-interview',
+        title: 'Job interview answer',
+        prompt: 'Tell me about a time you handled a difficult situation at work.',
+        timeLimitSeconds: 120,
+        tonality: 'composed',
+        rubric: [
+            'Follows a clear structure: situation, action, result',
+            'Uses a specific, concrete example',
+            'States the outcome and what was learned',
+            'Keeps the answer focused on their own contribution'
+        ]
+    },
+    {
+        id: 'ask-for-raise',
+        title: 'Asking for a raise',
+        prompt: 'You are meeting your manager to ask for a raise. Make your case.',
+        timeLimitSeconds: 90,
+        tonality: 'assertive',
+        rubric: [
+            'States the request directly, including a number',
+            'Backs the request with specific contributions and results',
+            'Avoids apologizing or hedging',
+            'Ends with a clear next step'
+        ]
+    },
+    {
+        id: 'decline-request',
+        title: 'Declining a request',
+        prompt: 'A colleague asks you to take on an extra project this week. Decline while keeping the relationship.',
+        timeLimitSeconds: 60,
+        tonality: 'composed',
+        rubric: [
+            'Says no clearly within the first two sentences',
+            'Gives a brief reason without over-explaining',
+            'Offers an alternative or a later time',
+            'Stays warm and calm'
+        ]
+    },
+    {
+        id: 'sales-cold-open',
+        title: 'Cold open in a sales call',
+        prompt: 'The prospect just picked up the phone. Introduce yourself and earn the next minute of their time.',
+        timeLimitSeconds: 45,
+        tonality: 'assertive',
+        rubric: [
+            'Introduces themselves and their company in one sentence',
+            'Gives a relevant reason for the call',
+            'Asks for permission to continue or a short next step',
+            'Opens confidently, without filler words'
+        ]
+    }
+];
+
+// Helper: map a scenario to the API response shape
+function formatScenario(scenario) {
+    return {
+        id: scenario.id,
+        title: scenario.title,
+        prompt: scenario.prompt,
+        timeLimitSeconds: scenario.timeLimitSeconds,
+        tonality: scenario.tonality,
+        rubric: scenario.rubric
+    };
+}
+
+// Helper: resolve the scenario (and optional drill) an analysis request refers to.
+// Returns { scenario, drill } (both null for free-form recordings) or { status, error }.
+async function resolveScenario(req, scenarioId, drillId) {
+    if (!scenarioId && !drillId) {
+        return { scenario: null, drill: null };
+    }
+
+    const scenario = PRACTICE_SCENARIOS.find(s => s.id === scenarioId);
+    if (!scenario) {
+        return { status: 400, error: 'Unknown scenario' };
+    }
+
+    if (!drillId) {
+        return { scenario, drill: null };
+    }
+
+    if (!UUID_PATTERN.test(drillId) || !supabase) {
+        return { status: 400, error: 'Unknown drill' };
+    }
+
+    const { data, error } = await supabase
+        .from('drills')
+        .select('id, scenario_id, completed_at')
+        .eq('id', drillId)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (!data || data.scenario_id !== scenario.id) {
+        return { status: 400, error: 'Unknown drill' };
+    }
+    if (data.completed_at) {
+        return { status: 409, error: 'This drill has already been completed. Start a new drill to try again.' };
+    }
+
+    return { scenario, drill: data };
+}
+
+// List the practice scenarios
+app.get('/api/scenarios', authenticateToken, (req, res) => {
+    res.json({ scenarios: PRACTICE_SCENARIOS.map(formatScenario) });
+});
+
+// Start a drill: records the attempt and returns the scenario to practice.
+// Pass the returned drillId (with scenarioId) to /api/analyze-speech to complete it.
+app.post('/api/scenarios/:id/drills', authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const scenario = PRACTICE_SCENARIOS.find(s => s.id === req.params.id);
+        if (!scenario) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+
+        if (!supabase) {
+            return res.status(503).json({ error: 'Service unavailable. Supabase not configured.' });
+        }
+
+        const { data, error } = await supabase
+            .from('drills')
+            .insert({
+                user_id: req.user.id,
+                scenario_id: scenario.id,
+                started_at: new Date().toISOString()
+            })
+            .select('id, started_at')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            drillId: data.id,
+            startedAt: data.started_at,
+            scenario: formatScenario(scenario)
+        });
+    } catch (error) {
+        console.error('Start drill error:', error);
+        res.status(500).json({ error: 'Failed to start drill' });
+    }
+}));
+
+// Helper: tier and usage checks shared by the analysis routes.
+// Returns { tier } when allowed, or { status, error } when the request must be rejected.
+async function checkAnalysisAccess(req, tonality) {
+    if (!supabase) {
+        return { status: 503, error: 'Service unavailable. Supabase not configured.' };
+    }
+
+    // Built-in key or custom:<id>; anything else can't be checked against the plan
+    if (typeof tonality !== 'string') {
+        return { status: 400, error: 'Unknown tonality' };
+    }
+
+    // Get user tier and usage
+    const { data: userData } = await supabase
+        .from('users')
+        .select(USER_TIER_COLUMNS)
+        .eq('id', req.user.id)
+        .single();
+
+    // Team API keys analyze on the team's plan (checked by authenticateApiKey)
+    const tier = req.apiKey?.tier || await resolveTier(req.user.id, userData);
+
+    // Check if user has selected a tier
+    if (!tier) {
+        return { 
+            status: 403,
+            error: 'Please select a tier before using the dashboard. Visit pricing page to choose Free or Pro.' 
+        };
+    }
+
+    const plan = getPlan(tier);
+    const upgradePlan = upgradePlanFor(plan);
+    const upgradeHint = upgradePlan ? ` Upgrade to ${upgradePlan.name}` : '';
+
+    // Check the plan's usage quotas. Transcripts waiting in the user's batches are already spoken for,
+    // so other analyses only get what's left (batch workers running those transcripts don't count them).
+    if (Object.values(plan.quotas).some(limit => limit !== null)) {
+        const usage = await getQuotaUsage(req.user.id, plan, userData?.quota_reset_at);
+        const queued = req.batchItem ? 0 : await countOpenBatchItems(req.user.id);
+        const exhausted = Object.keys(usage).find(period => usage[period].remaining !== null && usage[period].remaining <= queued);
+
+        if (exhausted) {
+            return quotaLimitError(plan, exhausted, queued);
+        }
+    }
+
+    // Check the plan's tonalities
+    if (!planAllowsTonality(plan, tonality)) {
+        const restriction = plan.tonalities === '*'
+            ? `Custom tonalities aren't included in the ${plan.name} tier.`
+            : `${plan.name} tier can only use ${plan.tonalities.map(key => tonalityDescriptions[key]?.name.toLowerCase() || key).join(', ')} tonality.`;
+        return { 
+            status: 403,
+            error: `${restriction}${upgradeHint ? `${upgradeHint} for full tone control.` : ''}` 
+        };
+    }
+
+    return { tier, plan, quotaResetAt: userData?.quota_reset_at || null };
+}
+
+// Helper: the 403 for an analysis past the plan's daily or monthly quota
+function quotaLimitError(plan, period, queued) {
+    const upgradePlan = upgradePlanFor(plan);
+    const upgradeHint = upgradePlan
+        ? ` Upgrade to ${upgradePlan.name} for ${Object.values(upgradePlan.quotas).every(limit => limit === null) ? 'unlimited' : 'more'} refinements.`
+        : '';
+    return { 
+        status: 403,
+        error: `${period === 'daily' ? 'Daily' : 'Monthly'} limit reached${queued ? ` (${queued} analyses are queued in your batches)` : ''}.${upgradeHint}` 
+    };
+}
+
+// Helper: count an analysis checkAnalysisAccess allowed before the model runs. Inserts its sessions row
+// now (finalizeAnalysis fills it in) and checks the quotas again with that row included, so parallel
+// requests can't all pass the check while the model is still working. When two requests race for the
+// last analysis both may be refused. Returns { sessionId, createdAt } or { status, error }.
+async function reserveAnalysis(req, access, { transcript, tonality, customTonalityId }) {
+    const createdAt = new Date().toISOString();
+    const { data: sessionRow, error: sessionError } = await supabase
+        .from('sessions')
+        .insert({
+            user_id: req.user.id,
+            tonality: tonality,
+            custom_tonality_id: customTonalityId,
+            transcript_length: transcript.length,
+            created_at: createdAt
+        })
+        .select('id')
+        .single();
+
+    if (sessionError) {
+        console.error('Failed to reserve session:', sessionError.message);
+        return { status: 500, error: 'Failed to record the analysis' };
+    }
+
+    if (Object.values(access.plan.quotas).some(limit => limit !== null)) {
+        try {
+            const usage = await getQuotaUsage(req.user.id, access.plan, access.quotaResetAt);
+            const queued = req.batchItem ? 0 : await countOpenBatchItems(req.user.id);
+            const exceeded = Object.keys(usage).find(period => usage[period].limit !== null && usage[period].used + queued > usage[period].limit);
+
+            if (exceeded) {
+                await releaseAnalysis(sessionRow.id);
+                return quotaLimitError(access.plan, exceeded, queued);
+            }
+        } catch (error) {
+            await releaseAnalysis(sessionRow.id);
+            throw error;
+        }
+    }
+
+    return { sessionId: sessionRow.id, createdAt };
+}
+
+// Helper: give back a reserved analysis that never produced a result
+async function releaseAnalysis(sessionId) {
+    const { error } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('id', sessionId);
+
+    if (error) {
+        console.error('Failed to release session:', error.message);
+    }
+}
+
+// Helper: validate the analysis request body and configuration.
+// Returns null when the analysis can run, or { status, error } otherwise.
+function validateAnalysisRequest(transcript) {
+    if (typeof transcript !== 'string' || transcript.trim().length === 0) {
+        return { status: 400, error: 'Transcript is required' };
+    }
+
+    if (!analysisProvider) {
+        return { 
+            status: 503,
+            error: 'Speech analysis is not configured. Add OPENAI_API_KEY (or set analysis_provider) in your Vercel environment variables.' 
+        };
+    }
+
+    return null;
+}
+
+// Helper: describe a practice scenario for the analysis prompt
+function formatScenarioForPrompt(scenario, durationSeconds) {
+    const duration = Number(durationSeconds) > 0 ? `the speaker took ${Math.round(Number(durationSeconds))}s` : 'actual length unknown';
+    return `The speaker was practicing a scenario: ${scenario.title}.
+They were responding to: "${scenario.prompt}"
+Time limit: ${scenario.timeLimitSeconds}s (${duration}).
+Judge the rating and feedback against these scenario goals:
+${scenario.rubric.map(goal => `- ${goal}`).join('\n')}
+
+`;
+}
+
+// Helper: build the chat messages for analyzing a transcript in the given tonality
+// (tonalityInfo is a built-in tonalityDescriptions entry or a user's custom tonality).
+// With a practice scenario, the prompt adds its goals and asks for a 1-5 score per goal.
+function buildAnalysisMessages(transcript, tonalityInfo, metrics, scenario = null, durationSeconds = null) {
+    const scenarioContext = scenario ? formatScenarioForPrompt(scenario, durationSeconds) : '';
+    const rubricTask = scenario
+        ? '\n\n5. A score from 1-5 for each scenario goal, with a one-sentence note explaining the score.'
+        : '';
+    const rubricFormat = scenario
+        ? ',\n  "rubric": [\n    { "criterion": "<scenario goal, exactly as listed>", "score": <number 1-5>, "note": "<why>" }\n  ]'
+        : '';
+    const examples = tonalityInfo.examplePhrases && tonalityInfo.examplePhrases.length > 0
+        ? `\nPhrases that capture this style: ${tonalityInfo.examplePhrases.map(phrase => `"${phrase}"`).join(', ')}`
+        : '';
+
+    const prompt = `You are a speech communication coach specializing in ${tonalityInfo.name.toLowerCase()} communication style (${tonalityInfo.description}).
+
+${scenarioContext}Analyze the following speech transcript and provide:
+1. A rating from 1-100 based on:
+   - Clarity and articulation
+   - Confidence and presence
+   - Use of filler words
+   - Pacing and pauses
+   - Alignment with ${tonalityInfo.name.toLowerCase()} communication style
+   - Overall communication effectiveness
+
+2. Specific areas for improvement (3-5 bullet points) that help the speaker achieve a more ${tonalityInfo.name.toLowerCase()} tone. ${tonalityInfo.focus}${examples}
+
+3. A refined rewrite of the transcript in a ${tonalityInfo.name.toLowerCase()} tone. Keep the speaker's meaning and intent, remove filler words and hesitation, and drop the annotation markers in parentheses (pauses, filler words, tone notes).
+
+4. A sentence-by-sentence breakdown of the rewrite: for each original sentence, the refined sentence it became and a short reason for the change. Use an empty "refined" string if the sentence was dropped.${rubricTask}
+
+Objective metrics measured from the transcript (treat these as facts and keep your rating and feedback consistent with them):
+${formatMetricsForPrompt(metrics)}
+
+Transcript: "${transcript}"
+
+Respond in JSON format:
+{
+  "rating": <number 1-100>,
+  "feedback": ["point 1", "point 2", "point 3"],
+  "refined": "<full refined transcript>",
+  "changes": [
+    { "original": "<original sentence>", "refined": "<refined sentence>", "reason": "<why it changed>" }
+  ]${rubricFormat}
+}`;
+
+    return [
+        {
+            role: "system",
+            content: `You are an expert speech communication coach specializing in ${tonalityInfo.name.toLowerCase()} communication. Provide constructive, actionable feedback.`
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ];
+}
+
+// Helper: parse the model's JSON output, fill in the session reserved by reserveAnalysis and return the
+// API response body. Throws if the session can't be written.
+async function finalizeAnalysis(req, { reservation, transcript, tonality, customTonalityId, scenario, drill, durationSeconds, metrics, model, content }) {
+    const response = JSON.parse(content);
+    const rating = normalizeRating(response.rating);
+    const feedback = Array.isArray(response.feedback) ? response.feedback.map(String) : [];
+    const refined = typeof response.refined === 'string' ? response.refined.trim() : '';
+    const changes = normalizeChanges(response.changes);
+    const rubric = scenario ? normalizeRubric(response.rubric) : null;
+
+    // Record the full analysis so it can be reopened from history
+    const { sessionId, createdAt } = reservation;
+    const { error: sessionError } = await supabase
+        .from('sessions')
+        .update({
+            tonality: tonality,
+            custom_tonality_id: customTonalityId,
+            transcript: transcript,
+            transcript_length: transcript.length,
+            rating: rating,
+            feedback: feedback,
+            refined_transcript: refined,
+            changes: changes,
+            metrics: metrics,
+            model: model,
+            scenario_id: scenario ? scenario.id : null,
+            rubric: rubric
+        })
+        .eq('id', sessionId)
+        .eq('user_id', req.user.id);
+
+    if (sessionError) {
+        throw new Error(`Failed to record session: ${sessionError.message}`);
+    }
+
+    // Mark the drill as completed with the session it produced
+    if (drill) {
+        const { error: drillError } = await supabase
+            .from('drills')
+            .update({ session_id: sessionId, completed_at: new Date().toISOString() })
+            .eq('id', drill.id);
+
+        if (drillError) {
+            console.error('Failed to complete drill:', drillError.message);
+        }
+    }
+
+    await emitAnalysisWebhooks(req.user.id, {
+        id: sessionId,
+        tonality,
+        rating,
+        scenarioId: scenario ? scenario.id : null,
+        model,
+        createdAt
+    });
+
+    const result = { rating, feedback, refined, changes, metrics, sessionId };
+    if (scenario) {
+        const duration = Number(durationSeconds) > 0 ? Math.round(Number(durationSeconds)) : null;
+        result.scenario = {
+            id: scenario.id,
+            title: scenario.title,
+            timeLimitSeconds: scenario.timeLimitSeconds,
+            durationSeconds: duration,
+            withinTimeLimit: duration == null ? null : duration <= scenario.timeLimitSeconds
+        };
+        result.rubric = rubric;
+        result.drillId = drill ? drill.id : null;
+    }
+    return result;
+}
+
+// Helper: run a (non-streaming) analysis for req.user and record the session. Shared by
+// /api/analyze-speech and /api/v1/analyze. Returns { result, tonality } (the stored tonality)
+// or { status, error } when the request must be rejected.
+async function runAnalysis(req, { transcript, tonality: requestedTonality, durationSeconds, timing, scenarioId, drillId }) {
+    const practice = await resolveScenario(req, scenarioId, drillId);
+    if (practice.error) {
+        return practice;
+    }
+
+    // Drills default to the scenario's target tonality
+    const tonality = requestedTonality || practice.scenario?.tonality || 'neutral';
+
+    const access = await checkAnalysisAccess(req, tonality);
+    if (access.error) {
+        return access;
+    }
+
+    const invalid = validateAnalysisRequest(transcript);
+    if (invalid) {
+        return invalid;
+    }
+
+    const resolved = await resolveTonality(req, tonality);
+    if (resolved.error) {
+        return resolved;
+    }
+
+    const reservation = await reserveAnalysis(req, access, {
+        transcript,
+        tonality: resolved.sessionTonality,
+        customTonalityId: resolved.customTonalityId
+    });
+    if (reservation.error) {
+        return reservation;
+    }
+
+    try {
+        const metrics = computeSpeechMetrics(transcript, { durationSeconds, timing });
+        const content = await analysisProvider.complete({
+            transcript,
+            tonality,
+            tonalityInfo: resolved.info,
+            scenario: practice.scenario,
+            metrics,
+            messages: buildAnalysisMessages(transcript, resolved.info, metrics, practice.scenario, durationSeconds)
+        });
+
+        const result = await finalizeAnalysis(req, {
+            reservation,
+            transcript,
+            tonality: resolved.sessionTonality,
+            customTonalityId: resolved.customTonalityId,
+            scenario: practice.scenario,
+            drill: practice.drill,
+            durationSeconds,
+            metrics,
+            model: analysisProvider.model,
+            content
+        });
+
+        return { result, tonality: resolved.sessionTonality };
+    } catch (error) {
+        // Failed analyses don't count against the quota
+        await releaseAnalysis(reservation.sessionId);
+        throw error;
+    }
+}
+
+// Protect analyze-speech endpoint with authentication and tier restrictions
+app.post('/api/analyze-speech', analysisLimiter, authenticateToken, asyncHandler(async (req, res) => {
+    try {
+        const analysis = await runAnalysis(req, req.body);
+        if (analysis.error) {
+            return res.status(analysis.status).json({ error: analysis.error });
+        }
+
+        res.json(analysis.result);
+    } catch (error) {
+        console.error('Analysis error:', error);
+        res.status(500).json({ 
+            error: 'Failed to analyze speech',
+            details: error.message 
+        });
+    }
+}));
+
+// Helper: write one Server-Sent Event
+function sendSSE(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper: incrementally pull the rating and completed feedback bullets out of partial JSON
+// as the model streams it, so they can be sent before the whole completion is done
+function createAnalysisStreamParser() {
+    let buffer = '';
+    let ratingSent = false;
+    let feedbackSent = 0;
+
+    return function push(chunk) {
+        buffer += chunk;
+        const events = [];
+
+        if (!ratingSent) {
+            const ratingMatch = buffer.match(/"rating"\s*:\s*(\d+)\s*[,}\s]/);
+            if (ratingMatch) {
+                ratingSent = true;
+                events.push({ event: 'rating', data: { rating: normalizeRating(ratingMatch[1]) } });
+            }
+        }
+
+        const feedbackStart = buffer.search(/"feedback"\s*:\s*\[/);
+        if (feedbackStart !== -1) {
+            const complete = readCompleteJsonStrings(buffer, buffer.indexOf('[', feedbackStart) + 1);
+            while (feedbackSent < complete.length) {
+                events.push({ event: 'feedback', data: { index: feedbackSent, text: complete[feedbackSent] } });
+                feedbackSent++;
+            }
+        }
+
+        return events;
+    };
+}
+
+// Helper: read the fully-closed string items of a (possibly unfinished) JSON array starting at `start`
+function readCompleteJsonStrings(text, start) {
+    const items = [];
+    let i = start;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === ']') break;
+        if (ch !== '"') {
+            i++;
+            continue;
+        }
+
+        let end = i + 1;
+        while (end < text.length && text[end] !== '"') {
+            end += text[end] === '\\' ? 2 : 1;
+        }
+        if (end >= text.length) break; // String still streaming
+
+        items.push(JSON.parse(text.slice(i, end + 1)));
+        i = end + 1;
+    }
+
+    return items;
+}
+
+// Streaming variant of analyze-speech: sends rating and feedback bullets over SSE as the model produces them
+app.post('/api/analyze-speech/stream', analysisLimiter, authenticateToken, asyncHandler(async (req, res) => {
+    const { transcript, durationSeconds, timing, scenarioId, drillId } = req.body;
+
+    const practice = await resolveScenario(req, scenarioId, drillId);
+    if (practice.error) {
+        return res.status(practice.status).json({ error: practice.error });
+    }
+
+    const tonality = req.body.tonality || practice.scenario?.tonality || 'neutral';
+
+    // Same tier and usage checks as the non-streaming route, answered as plain JSON errors
+    const access = await checkAnalysisAccess(req, tonality);
+    if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+    }
+
+    const invalid = validateAnalysisRequest(transcript);
+    if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const resolved = await resolveTonality(req, tonality);
+    if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const reservation = await reserveAnalysis(req, access, {
+        transcript,
+        tonality: resolved.sessionTonality,
+        customTonalityId: resolved.customTonalityId
+    });
+    if (reservation.error) {
+        return res.status(reservation.status).json({ error: reservation.error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Stop generating if the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+
+    try {
+        // Metrics don't depend on the model, so send them right away
+        const metrics = computeSpeechMetrics(transcript, { durationSeconds, timing });
+        sendSSE(res, 'metrics', metrics);
+
+        const stream = analysisProvider.stream({
+            transcript,
+            tonality,
+            tonalityInfo: resolved.info,
+            scenario: practice.scenario,
+            metrics,
+            messages: buildAnalysisMessages(transcript, resolved.info, metrics, practice.scenario, durationSeconds)
+        }, { signal: abortController.signal });
+
+        const parse = createAnalysisStreamParser();
+        let content = '';
+
+        for await (const delta of stream) {
+            content += delta;
+            parse(delta).forEach(({ event, data }) => sendSSE(res, event, data));
+        }
+
+        const result = await finalizeAnalysis(req, {
+            reservation,
+            transcript,
+            tonality: resolved.sessionTonality,
+            customTonalityId: resolved.customTonalityId,
+            scenario: practice.scenario,
+            drill: practice.drill,
+            durationSeconds,
+            metrics,
+            model: analysisProvider.model,
+            content
+        });
+
+        sendSSE(res, 'done', result);
+    } catch (error) {
+        // An analysis that didn't finish isn't saved and doesn't count, even when the client hung up partway
+        await releaseAnalysis(reservation.sessionId);
+        if (abortController.signal.aborted) return;
+        console.error('Analysis streaming error:', error);
+        sendSSE(res, 'error', { error: 'Failed to analyze speech', details: error.message });
+    }
+    res.end();
+}));
+
+// Helper: build a transcript in the same annotated format dashboard.js updateTranscript produces
+// (pause, filler word and tone markers) from timed segments
+const PAUSE_THRESHOLD_SECONDS = 1;
+
+function annotateTranscriptSegments(segments) {
+    const parts = [];
+    let lastEnd = null;
+
+    segments.forEach(segment => {
+        const text = (segment.text || '').trim();
+        if (!text) return;
+
+        const gap = lastEnd === null ? 0 : segment.start - lastEnd;
+        if (gap > PAUSE_THRESHOLD_SECONDS) {
+            parts.push(`( pause ${Math.round(gap)}s )`);
+        }
+
+        const processedText = text
+            .replace(/\?/g, '? ( questioning tone )')
+            .replace(/!/g, '! ( emphatic tone )')
+            .replace(/\b(um|uh)\b/gi, '$1 ( filler word )');
+
+        parts.push(processedText);
+        lastEnd = segment.end;
+    });
+
+    return parts.join(' ');
+}
+
+// Transcribe recorded audio (MediaRecorder fallback for browsers without speech recognition).
+// Send the raw audio as the request body with its Content-Type (audio/webm, audio/ogg, audio/wav or audio/mp4).
+app.post('/api/transcribe', transcriptionLimiter, authenticateToken, express.raw({ type: 'audio/*', limit: '25mb' }), asyncHandler(async (req, res) => {
+    try {
+        const mimeType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+        if (!AUDIO_EXTENSIONS[mimeType]) {
+            return res.status(415).json({ error: 'Unsupported audio format. Use webm, ogg or wav.' });
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Audio is required' });
+        }
+
+        if (!transcriptionProvider) {
+            return res.status(503).json({ 
+                error: 'Audio transcription is not configured. Add OPENAI_API_KEY (or set transcription_provider) in your environment variables.' 
+            });
+        }
+
+        const { segments, durationSeconds } = await transcriptionProvider.transcribe({ audio: req.body, mimeType });
+
+        res.json({
+            transcript: annotateTranscriptSegments(segments),
+            durationSeconds: durationSeconds != null ? Math.round(durationSeconds) : null,
+            // Same shape the dashboard collects from speech recognition, for pacing analysis
+            timing: {
+                durationMs: durationSeconds != null ? Math.round(durationSeconds * 1000) : null,
+                chunks: segments.map(segment => ({
+                    start: Math.round(segment.start * 1000),
+                    end: Math.round(segment.end * 1000),
+                    text: (segment.text || '').trim(),
+                    words: (segment.text || '').split(/\s+/).filter(Boolean).length,
+                    revisions: 0
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Transcription error:', error);
+        res.status(500).json({ 
+            error: 'Failed to transcribe audio',
+            details: error.message 
+        });
+    }
+}));
+
+// ============================================================================
+// API keys and the versioned REST API (/api/v1)
+// ============================================================================
+// Integrations call /api/v1 with `Authorization: Bearer tonr_...` instead of a browser session.
+// Keys belong to a user, or to a team (created by a manager, analyzing on the team's plan).
+// Only a SHA-256 hash of each key is stored; the key is returned once, when it's created.
+
+const API_KEY_PATTERN = /^tonr_[A-Za-z0-9_-]{32}$/;
+const API_KEY_COLUMNS = 'id, user_id, organization_id, name, key_prefix, rate_limit_per_minute, last_used_at, revoked_at, created_at';
+const API_KEY_NAME_MAX_LENGTH = 60;
+const API_KEY_DEFAULT_RATE_LIMIT = 60;
+const API_KEY_MAX_RATE_LIMIT = 600;
+const MAX_API_KEYS_PER_OWNER = 10;
+const API_KEY_USAGE_MAX_DAYS = 90;
+const V1_TRANSCRIPT_MAX_LENGTH = 50000;
+
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        scope: row.organization_id ? 'team' : 'user',
+        createdBy: row.user_id,
+        rateLimitPerMinute: row.rate_limit_per_minute,
+        lastUsedAt: row.last_used_at || null,
+        revokedAt: row.revoked_at || null,
+        createdAt: row.created_at
+    };
+}
+
+// Helper: restrict a query on a table owned by a user or a team (api_keys, webhook_endpoints) to
+// the user's personal rows or the team's rows
+function scopeToOwner(query, owner) {
+    return owner.organizationId
+        ? query.eq('organization_id', owner.organizationId)
+        : query.eq('user_id', owner.userId).is('organization_id', null);
+}
+
+// Personal keys (and webhooks) belong to the signed-in user; team ones to their team (routes behind requireOrgRole)
+const personalOwner = req => ({ userId: req.user.id, organizationId: null });
+const teamOwner = req => ({ userId: req.user.id, organizationId: req.membership.organization.id });
+
+function listApiKeysHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const { data, error } = await scopeToOwner(supabase.from('api_keys').select(API_KEY_COLUMNS), ownerOf(req))
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            res.json({ apiKeys: (data || []).map(formatApiKey) });
+        } catch (error) {
+            console.error('List API keys error:', error);
+            res.status(500).json({ error: 'Failed to load API keys' });
+        }
+    });
+}
+
+// Create a key: { name, rateLimitPerMinute? }. The key itself is only in this response.
+function createApiKeyHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+            const rateLimitPerMinute = req.body?.rateLimitPerMinute ?? API_KEY_DEFAULT_RATE_LIMIT;
+
+            if (!name || name.length > API_KEY_NAME_MAX_LENGTH) {
+                return res.status(400).json({ error: `Name is required (up to ${API_KEY_NAME_MAX_LENGTH} characters)` });
+            }
+            if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1 || rateLimitPerMinute > API_KEY_MAX_RATE_LIMIT) {
+                return res.status(400).json({ error: `rateLimitPerMinute must be a whole number from 1 to ${API_KEY_MAX_RATE_LIMIT}` });
+            }
+
+            const owner = ownerOf(req);
+            const { count, error: countError } = await scopeToOwner(
+                supabase.from('api_keys').select('id', { count: 'exact', head: true }),
+                owner
+            ).is('revoked_at', null);
+
+            if (countError) {
+                throw countError;
+            }
+            if ((count || 0) >= MAX_API_KEYS_PER_OWNER) {
+                return res.status(400).json({ error: `At most ${MAX_API_KEYS_PER_OWNER} active API keys. Revoke one first.` });
+            }
+
+            const key = `tonr_${crypto.randomBytes(24).toString('base64url')}`;
+            const { data, error } = await supabase
+                .from('api_keys')
+                .insert({
+                    user_id: owner.userId,
+                    organization_id: owner.organizationId,
+                    name,
+                    key_prefix: key.slice(0, 12),
+                    key_hash: hashToken(key),
+                    rate_limit_per_minute: rateLimitPerMinute
+                })
+                .select(API_KEY_COLUMNS)
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            res.status(201).json({ apiKey: formatApiKey(data), key });
+        } catch (error) {
+            console.error('Create API key error:', error);
+            res.status(500).json({ error: 'Failed to create API key' });
+        }
+    });
+}
+
+// Revoke a key. Requests with it fail from then on; its usage history is kept.
+function revokeApiKeyHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            if (!UUID_PATTERN.test(req.params.id)) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+
+            const { data, error } = await scopeToOwner(
+                supabase.from('api_keys').update({ revoked_at: new Date().toISOString() }).eq('id', req.params.id),
+                ownerOf(req)
+            )
+                .is('revoked_at', null)
+                .select(API_KEY_COLUMNS);
+
+            if (error) {
+                throw error;
+            }
+            if (!data?.length) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+
+            res.json({ apiKey: formatApiKey(data[0]) });
+        } catch (error) {
+            console.error('Revoke API key error:', error);
+            res.status(500).json({ error: 'Failed to revoke API key' });
+        }
+    });
+}
+
+// Daily metering for a key: ?days=30 (max 90). Returns { usage: [{ date, requests, analyses, errors }], totals }
+function apiKeyUsageHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const days = req.query.days === undefined ? 30 : Number(req.query.days);
+            if (!Number.isInteger(days) || days < 1 || days > API_KEY_USAGE_MAX_DAYS) {
+                return res.status(400).json({ error: `days must be a whole number from 1 to ${API_KEY_USAGE_MAX_DAYS}` });
+            }
+            if (!UUID_PATTERN.test(req.params.id)) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+
+            const { data: apiKey, error: keyError } = await scopeToOwner(
+                supabase.from('api_keys').select('id').eq('id', req.params.id),
+                ownerOf(req)
+            ).maybeSingle();
+
+            if (keyError) {
+                throw keyError;
+            }
+            if (!apiKey) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+
+            const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const { data, error } = await supabase
+                .from('api_key_usage')
+                .select('usage_date, requests, analyses, errors')
+                .eq('api_key_id', apiKey.id)
+                .gte('usage_date', from)
+                .order('usage_date', { ascending: true });
+
+            if (error) {
+                throw error;
+            }
+
+            const usage = (data || []).map(row => ({
+                date: row.usage_date,
+                requests: row.requests,
+                analyses: row.analyses,
+                errors: row.errors
+            }));
+            const totals = usage.reduce((sum, day) => ({
+                requests: sum.requests + day.requests,
+                analyses: sum.analyses + day.analyses,
+                errors: sum.errors + day.errors
+            }), { requests: 0, analyses: 0, errors: 0 });
+
+            res.json({ days, usage, totals });
+        } catch (error) {
+            console.error('API key usage error:', error);
+            res.status(500).json({ error: 'Failed to load API key usage' });
+        }
+    });
+}
+
+app.get('/api/user/api-keys', authenticateToken, requireSupabase, listApiKeysHandler(personalOwner));
+app.post('/api/user/api-keys', authenticateToken, requireSupabase, createApiKeyHandler(personalOwner));
+app.delete('/api/user/api-keys/:id', authenticateToken, requireSupabase, revokeApiKeyHandler(personalOwner));
+app.get('/api/user/api-keys/:id/usage', authenticateToken, requireSupabase, apiKeyUsageHandler(personalOwner));
+
+app.get('/api/org/api-keys', requireOrgRole('manager'), listApiKeysHandler(teamOwner));
+app.post('/api/org/api-keys', requireOrgRole('manager'), createApiKeyHandler(teamOwner));
+app.delete('/api/org/api-keys/:id', requireOrgRole('manager'), revokeApiKeyHandler(teamOwner));
+app.get('/api/org/api-keys/:id/usage', requireOrgRole('manager'), apiKeyUsageHandler(teamOwner));
+
+// Helper: meter a finished /api/v1 request for its key (fire and forget)
+function meterApiKeyRequest(req, res) {
+    supabase
+        .rpc('record_api_key_usage', {
+            p_key_id: req.apiKey.id,
+            p_analyses: res.locals.apiAnalyses || 0,
+            p_error: res.statusCode >= 400
+        })
+        .then(({ error }) => {
+            if (error) console.error('API key metering error:', error.message);
+        });
+}
+
+// Middleware: authenticate an /api/v1 request by its API key. Sets req.user (the key's creator, who
+// owns the sessions it records) and req.apiKey; team keys also carry the team's plan as req.apiKey.tier.
+const authenticateApiKey = asyncHandler(async (req, res, next) => {
+    const [scheme, key] = (req.headers['authorization'] || '').split(' ');
+    if (scheme !== 'Bearer' || !API_KEY_PATTERN.test(key || '')) {
+        return res.status(401).json({ error: 'A valid API key is required (Authorization: Bearer tonr_...)', code: 'invalid_api_key' });
+    }
+    if (!supabase) {
+        return res.status(503).json({ error: 'Service unavailable. Supabase not configured.', code: 'unavailable' });
+    }
+
+    const { data: apiKey, error } = await supabase
+        .from('api_keys')
+        .select(API_KEY_COLUMNS)
+        .eq('key_hash', hashToken(key))
+        .is('revoked_at', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key', code: 'invalid_api_key' });
+    }
+
+    let tier = null;
+    if (apiKey.organization_id) {
+        // A team key works while its creator is still a manager of that team
+        const membership = await findMembership(apiKey.user_id);
+        if (!membership || membership.organization.id !== apiKey.organization_id
+            || ORG_ROLE_LEVELS[membership.member.role] < ORG_ROLE_LEVELS.manager) {
+            return res.status(401).json({ error: 'Invalid or revoked API key', code: 'invalid_api_key' });
+        }
+
+        tier = organizationTier(membership.organization);
+        if (!tier) {
+            return res.status(403).json({ error: 'The team has no active subscription', code: 'subscription_inactive' });
+        }
+    }
+
+    req.user = { id: apiKey.user_id };
+    req.apiKey = {
+        id: apiKey.id,
+        organizationId: apiKey.organization_id,
+        rateLimitPerMinute: apiKey.rate_limit_per_minute,
+        tier
+    };
+    res.on('finish', () => meterApiKeyRequest(req, res));
+    next();
+});
+
+// v1 schemas. These are the API contract: request bodies are validated against them and
+// /api/v1/openapi.json publishes them. Only add optional fields within v1.
+const V1_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { type: 'string', description: 'Machine-readable code, when there is one (e.g. invalid_api_key, rate_limited)' }
+        }
+    },
+    AnalyzeRequest: {
+        type: 'object',
+        required: ['transcript'],
+        additionalProperties: false,
+        properties: {
+            transcript: {
+                type: 'string',
+                minLength: 1,
+                maxLength: V1_TRANSCRIPT_MAX_LENGTH,
+                description: 'What was said. May contain the dashboard\'s ( pause 2s ) and ( filler word ) markers'
+            },
+            tonality: {
+                type: 'string',
+                description: 'neutral, assertive, composed, or custom:<id> for a custom tonality. Defaults to the scenario\'s tonality, else neutral'
+            },
+            durationSeconds: { type: 'number', minimum: 0, description: 'Recording length, used for words per minute' },
+            scenarioId: {
+                type: 'string',
+                enum: PRACTICE_SCENARIOS.map(scenario => scenario.id),
+                description: 'Score the transcript against a practice scenario\'s goals'
+            }
+        }
+    },
+    Change: {
+        type: 'object',
+        required: ['original', 'refined', 'reason'],
+        properties: {
+            original: { type: 'string' },
+            refined: { type: 'string', description: 'Empty when the sentence was dropped' },
+            reason: { type: 'string' }
+        }
+    },
+    RubricScore: {
+        type: 'object',
+        required: ['criterion', 'score', 'note'],
+        properties: {
+            criterion: { type: 'string' },
+            score: { type: 'integer', minimum: 1, maximum: 5 },
+            note: { type: 'string' }
+        }
+    },
+    Analysis: {
+        type: 'object',
+        required: ['id', 'object', 'tonality', 'rating', 'feedback', 'refined', 'changes', 'metrics', 'scenario', 'rubric', 'model', 'createdAt'],
+        properties: {
+            id: { type: 'string', format: 'uuid', nullable: true, description: 'Stored session id (null if it could not be stored)' },
+            object: { type: 'string', enum: ['analysis'] },
+            tonality: { type: 'string', description: 'Tonality key, or the custom tonality\'s name' },
+            rating: { type: 'integer', minimum: 1, maximum: 100, nullable: true },
+            feedback: { type: 'array', items: { type: 'string' } },
+            refined: { type: 'string', description: 'The transcript rewritten in the tonality' },
+            changes: { type: 'array', items: { $ref: '#/components/schemas/Change' } },
+            metrics: { type: 'object', nullable: true, additionalProperties: true, description: 'Objective speech metrics (word count, filler words, pauses, pace, hedging)' },
+            scenario: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    id: { type: 'string' },
+                    title: { type: 'string' },
+                    timeLimitSeconds: { type: 'integer' },
+                    durationSeconds: { type: 'integer', nullable: true },
+                    withinTimeLimit: { type: 'boolean', nullable: true }
+                }
+            },
+            rubric: { type: 'array', nullable: true, items: { $ref: '#/components/schemas/RubricScore' } },
+            model: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+// Helper: check a value against a V1_SCHEMAS schema (the subset of JSON Schema used above).
+// Returns an error message, or null when the value is valid.
+function validateV1Schema(schema, value, path) {
+    const types = {
+        object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+        array: Array.isArray,
+        string: v => typeof v === 'string',
+        number: v => typeof v === 'number' && Number.isFinite(v),
+        integer: Number.isInteger,
+        boolean: v => typeof v === 'boolean'
+    };
+
+    if (schema.type && !types[schema.type](value)) {
+        return `${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return `${path} must not be empty`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return `${path} must be at most ${schema.maximum}`;
+    }
+
+    if (schema.type === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) return `${path}.${field} is required`;
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+            const fieldSchema = schema.properties?.[field];
+            if (!fieldSchema) {
+                if (schema.additionalProperties === false) return `${path}.${field} is not a known field`;
+                continue;
+            }
+            const fieldError = validateV1Schema(fieldSchema, fieldValue, `${path}.${field}`);
+            if (fieldError) return fieldError;
+        }
+    }
+
+    return null;
+}
+
+// Helper: the v1 Analysis for a fresh analysis result or a stored session row
+function formatV1Analysis({ id, tonality, rating, feedback, refined, changes, metrics, scenario, rubric, model, createdAt }) {
+    return {
+        id: id || null,
+        object: 'analysis',
+        tonality,
+        rating: rating ?? null,
+        feedback: feedback || [],
+        refined: refined || '',
+        changes: changes || [],
+        metrics: metrics || null,
+        scenario: scenario || null,
+        rubric: rubric || null,
+        model: model || null,
+        createdAt
+    };
+}
+
+// Analyze a transcript (same pipeline, plan limits and session history as the dashboard)
+async function analyzeV1(req, res) {
+    try {
+        const analysis = await runAnalysis(req, {
+            transcript: req.body.transcript,
+            tonality: req.body.tonality,
+            durationSeconds: req.body.durationSeconds,
+            scenarioId: req.body.scenarioId
+        });
+        if (analysis.error) {
+            return res.status(analysis.status).json({ error: analysis.error });
+        }
+
+        const { result } = analysis;
+        res.locals.apiAnalyses = 1;
+        res.json(formatV1Analysis({
+            ...result,
+            id: result.sessionId,
+            tonality: analysis.tonality,
+            model: analysisProvider.model,
+            createdAt: new Date().toISOString()
+        }));
+    } catch (error) {
+        console.error('API v1 analysis error:', error);
+        res.status(500).json({ error: 'Failed to analyze speech' });
+    }
+}
+
+// Fetch a stored analysis by id (any of the key owner's sessions, including dashboard ones)
+async function getAnalysisV1(req, res) {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Analysis not found', code: 'not_found' });
+        }
+
+        const { data, error } = await supabase
+            .from('sessions')
+            .select(SESSION_DETAIL_COLUMNS)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .not('transcript', 'is', null)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Analysis not found', code: 'not_found' });
+        }
+
+        const session = formatSession(data);
+        const scenario = PRACTICE_SCENARIOS.find(s => s.id === session.scenarioId);
+        res.json(formatV1Analysis({
+            ...session,
+            scenario: scenario ? {
+                id: scenario.id,
+                title: scenario.title,
+                timeLimitSeconds: scenario.timeLimitSeconds,
+                durationSeconds: null,
+                withinTimeLimit: null
+            } : null
+        }));
+    } catch (error) {
+        console.error('API v1 get analysis error:', error);
+        res.status(500).json({ error: 'Failed to load analysis' });
+    }
+}
+
+// The v1 routes. Each is registered below with API key auth, the key's rate limit and body
+// validation, and the same definitions generate the OpenAPI document.
+const V1_ROUTES = [
+    {
+        method: 'post',
+        path: '/analyze',
+        operationId: 'analyze',
+        summary: 'Analyze a transcript',
+        description: 'Rates the transcript, lists areas for improvement and rewrites it in the tonality. Counts toward the plan\'s quotas and is stored in the session history.',
+        requestBody: 'AnalyzeRequest',
+        response: 'Analysis',
+        errors: { 400: 'Invalid request body', 403: 'Plan limit reached or tonality not included in the plan', 503: 'Analysis is not configured' },
+        handler: analyzeV1
+    },
+    {
+        method: 'get',
+        path: '/analyses/:id',
+        operationId: 'getAnalysis',
+        summary: 'Get a stored analysis',
+        description: 'Any analysis of the key\'s owner, made through the API or the dashboard.',
+        response: 'Analysis',
+        errors: { 404: 'No analysis with this id' },
+        handler: getAnalysisV1
+    }
+];
+
+// Middleware: validate the request body against a V1_SCHEMAS schema
+function validateV1Body(schemaName) {
+    return (req, res, next) => {
+        const error = validateV1Schema(V1_SCHEMAS[schemaName], req.body, 'body');
+        if (error) {
+            return res.status(400).json({ error, code: 'invalid_request' });
+        }
+        next();
+    };
+}
+
+for (const route of V1_ROUTES) {
+    const validation = route.requestBody ? [validateV1Body(route.requestBody)] : [];
+    app[route.method](`/api/v1${route.path}`, apiKeyAuthLimiter, authenticateApiKey, apiKeyLimiter, ...validation, asyncHandler(route.handler));
+}
+
+// Helper: the OpenAPI 3 document for V1_ROUTES and V1_SCHEMAS
+function buildOpenApiDocument() {
+    const errorResponse = description => ({
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+    const paths = {};
+
+    for (const route of V1_ROUTES) {
+        const params = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+        const operation = {
+            operationId: route.operationId,
+            summary: route.summary,
+            description: route.description,
+            security: [{ apiKey: [] }],
+            responses: {
+                200: {
+                    description: 'OK',
+                    content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.response}` } } }
+                },
+                ...Object.fromEntries(Object.entries(route.errors).map(([status, description]) => [status, errorResponse(description)])),
+                401: errorResponse('Missing, invalid or revoked API key'),
+                429: errorResponse('Rate limit exceeded for this API key')
+            }
+        };
+        if (params.length > 0) {
+            operation.parameters = params.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+        }
+        if (route.requestBody) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.requestBody}` } } }
+            };
+        }
+
+        const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[openApiPath] = { ...paths[openApiPath], [route.method]: operation };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Tonr API',
+            version: '1.0.0',
+            description: 'Speech analysis for integrations. Create API keys on the API Keys page (dashboard account menu); team managers can also create keys that use the team\'s plan.'
+        },
+        servers: [{ url: '/api/v1' }],
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'http', scheme: 'bearer', bearerFormat: 'tonr_...' }
+            },
+            schemas: V1_SCHEMAS
+        },
+        paths
+    };
+}
+
+const openApiDocument = buildOpenApiDocument();
+
+// The OpenAPI document for /api/v1 (public)
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// ============================================================================
+// Outgoing webhooks
+// ============================================================================
+// Users (and team managers, for their team) register URLs of their own systems to be told when an
+// analysis finishes, a rating reaches a new milestone, or a paid plan starts or ends. Each delivery
+// is a JSON POST signed with the endpoint's secret. webhook_deliveries is both the delivery log and
+// the retry queue: failed deliveries are retried with backoff by processWebhookDeliveries().
+
+const WEBHOOK_EVENT_TYPES = {
+    'analysis.completed': 'An analysis finished and was saved to the history',
+    'rating.milestone': 'A rating reached a milestone (50, 60, 70, 80 or 90) for the first time',
+    'subscription.upgraded': 'A paid plan started, or changed to another paid plan',
+    'subscription.canceled': 'Paid access ended (the subscription was cancelled or expired)'
+};
+// Sent by "Send test event" to one endpoint, whatever its events; not retried
+const WEBHOOK_TEST_EVENT = 'webhook.test';
+const RATING_MILESTONES = [50, 60, 70, 80, 90];
+const WEBHOOK_ENDPOINT_COLUMNS = 'id, user_id, organization_id, url, description, events, active, created_at, updated_at';
+const WEBHOOK_DELIVERY_COLUMNS = 'id, endpoint_id, event_id, event_type, payload, status, attempts, next_attempt_at, last_attempt_at, last_status_code, last_error, delivered_at, created_at';
+const MAX_WEBHOOK_ENDPOINTS_PER_OWNER = 10;
+const WEBHOOK_URL_MAX_LENGTH = 2000;
+const WEBHOOK_DESCRIPTION_MAX_LENGTH = 200;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Wait before each retry; after the last one the delivery has failed (6 attempts over about 10 hours)
+const WEBHOOK_RETRY_DELAYS_SECONDS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 8 * 60 * 60];
+// A delivery being attempted is claimed for this long, so a second worker doesn't send it too
+const WEBHOOK_CLAIM_SECONDS = 60;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_RETRY_INTERVAL_MS = 30 * 1000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 100;
+const WEBHOOK_ERROR_MAX_LENGTH = 500;
+
+function formatWebhookEndpoint(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        description: row.description || '',
+        events: row.events,
+        scope: row.organization_id ? 'team' : 'user',
+        createdBy: row.user_id,
+        active: row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function formatWebhookDelivery(row) {
+    return {
+        id: row.id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+        lastAttemptAt: row.last_attempt_at || null,
+        lastStatusCode: row.last_status_code ?? null,
+        lastError: row.last_error || null,
+        deliveredAt: row.delivered_at || null,
+        createdAt: row.created_at,
+        payload: row.payload
+    };
+}
+
+function createWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Helper: whether a hostname is loopback, private or link-local (not allowed as a production webhook)
+function isPrivateWebhookHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+    }
+    if (net.isIPv6(host)) {
+        return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+    }
+    return false;
+}
+
+// Helper: a webhook URL from the request body, or null. Production only accepts https URLs on public
+// hosts; elsewhere http and localhost work too, so a local receiver can be used for testing.
+function validateWebhookUrl(value) {
+    if (typeof value !== 'string' || !value.trim() || value.length > WEBHOOK_URL_MAX_LENGTH) return null;
+
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (e) {
+        return null;
+    }
+
+    if (url.username || url.password) return null;
+    if (isProductionEnv) {
+        if (url.protocol !== 'https:' || isPrivateWebhookHost(url.hostname)) return null;
+    } else if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return null;
+    }
+    return url.toString();
+}
+
+// Helper: a list of event types from the request body (duplicates removed), or null if any is unknown
+function validateWebhookEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) return null;
+    const unique = [...new Set(events)];
+    return unique.every(type => Object.hasOwn(WEBHOOK_EVENT_TYPES, type)) ? unique : null;
+}
+
+// Helper: the Tonr-Signature header for a request body: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+function signWebhookPayload(secret, body, timestamp) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// Helper: dns.lookup for webhook requests that refuses a hostname if any of its addresses is loopback,
+// private or link-local, so a public name pointing (or re-pointed after saving) at an internal address
+// can't be reached. Used at connect time, so the checked address is the one the request goes to.
+function lookupPublicWebhookHost(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateWebhookHost(address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Helper: POST a webhook body and resolve with the response status code. Redirects aren't followed and
+// the response body is discarded. In production the host has to resolve to public addresses only.
+function postWebhook(target, headers, body) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(target);
+        // IP literals are connected to without a lookup
+        if (isProductionEnv && isPrivateWebhookHost(url.hostname)) {
+            return reject(new Error(`${url.hostname} is a private address`));
+        }
+
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            ...(isProductionEnv ? { lookup: lookupPublicWebhookHost } : {}),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        }, response => {
+            response.on('error', () => {});
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Helper: POST one delivery to its endpoint and record the outcome. Failures are rescheduled with
+// backoff until the attempts run out. Never throws; returns the updated delivery row.
+async function attemptWebhookDelivery(delivery, endpoint) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+        statusCode = await postWebhook(endpoint.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Tonr-Webhooks/1.0',
+            'Tonr-Event-Id': delivery.event_id,
+            'Tonr-Event-Type': delivery.event_type,
+            'Tonr-Delivery-Id': delivery.id,
+            'Tonr-Signature': signWebhookPayload(endpoint.secret, body, timestamp)
+        }, body);
+
+        // Only the status is kept: the receiver's response body isn't shown back to the endpoint's owner.
+        // A redirect counts as a failure rather than being followed to a host that wasn't validated.
+        if (statusCode < 200 || statusCode >= 300) {
+            errorMessage = `HTTP ${statusCode}`;
+        }
+    } catch (error) {
+        errorMessage = error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError'
+            ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s`
+            : error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    const retryDelay = delivery.event_type === WEBHOOK_TEST_EVENT ? undefined : WEBHOOK_RETRY_DELAYS_SECONDS[attempts - 1];
+    const fields = {
+        attempts,
+        last_attempt_at: now.toISOString(),
+        last_status_code: statusCode,
+        last_error: errorMessage ? errorMessage.slice(0, WEBHOOK_ERROR_MAX_LENGTH) : null
+    };
+
+    if (!errorMessage) {
+        Object.assign(fields, { status: 'succeeded', delivered_at: now.toISOString(), next_attempt_at: null });
+    } else if (retryDelay !== undefined) {
+        fields.next_attempt_at = new Date(now.getTime() + retryDelay * 1000).toISOString();
+    } else {
+        Object.assign(fields, { status: 'failed', next_attempt_at: null });
+    }
+
+    const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update(fields)
+        .eq('id', delivery.id)
+        .select(WEBHOOK_DELIVERY_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Failed to record webhook delivery:', error.message);
+    }
+    return data || { ...delivery, ...fields };
+}
+
+// Helper: the active endpoints of a user ({ userId }: personal endpoints) and/or a team
+// ({ organizationId }), with their secrets
+async function findWebhookEndpoints({ userId, organizationId }) {
+    const queries = [];
+    if (userId) {
+        queries.push(scopeToOwner(supabase.from('webhook_endpoints').select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`), { userId }));
+    }
+    if (organizationId) {
+        queries.push(scopeToOwner(supabase.from('webhook_endpoints').select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`), { organizationId }));
+    }
+
+    const results = await Promise.all(queries.map(query => query.eq('active', true)));
+    return results.flatMap(({ data, error }) => {
+        if (error) throw error;
+        return data || [];
+    });
+}
+
+// Helper: record a delivery of an event for each endpoint and attempt them right away. The rows are
+// written (and claimed) before sending, so a delivery cut short is retried by processWebhookDeliveries().
+// Returns the deliveries; with `wait` false the first attempts aren't awaited.
+async function queueWebhookEvent(endpoints, type, data, { wait = false } = {}) {
+    if (endpoints.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = { id: eventId, type, createdAt: new Date().toISOString(), data };
+    const claimedUntil = new Date(Date.now() + WEBHOOK_CLAIM_SECONDS * 1000).toISOString();
+
+    const { data: rows, error } = await supabase
+        .from('webhook_deliveries')
+        .insert(endpoints.map(endpoint => ({
+            endpoint_id: endpoint.id,
+            event_id: eventId,
+            event_type: type,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: claimedUntil
+        })))
+        .select(WEBHOOK_DELIVERY_COLUMNS);
+
+    if (error) throw error;
+
+    const endpointsById = new Map(endpoints.map(endpoint => [endpoint.id, endpoint]));
+    const attempts = rows.map(row => attemptWebhookDelivery(row, endpointsById.get(row.endpoint_id)));
+    return wait ? Promise.all(attempts) : rows;
+}
+
+// Send an event to the endpoints of a user and/or team that subscribe to it. Never throws: a webhook
+// problem must not fail the analysis or Stripe event that caused it.
+async function emitWebhookEvent(type, targets, data) {
+    if (!supabase) return;
+
+    try {
+        const endpoints = await findWebhookEndpoints(targets);
+        await queueWebhookEvent(endpoints.filter(endpoint => endpoint.events.includes(type)), type, data);
+    } catch (error) {
+        console.error(`Webhook ${type} error:`, error);
+    }
+}
+
+// Helper: the highest milestone a rating reaches that none of the user's earlier sessions reached, or null
+async function findRatingMilestone(userId, sessionId, rating) {
+    const reached = RATING_MILESTONES.filter(milestone => rating >= milestone);
+    if (reached.length === 0) return null;
+
+    const { data, error } = await supabase
+        .from('sessions')
+        .select('rating')
+        .eq('user_id', userId)
+        .neq('id', sessionId)
+        .not('rating', 'is', null)
+        .order('rating', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    const previousBest = data?.[0]?.rating ?? -1;
+    const milestone = reached[reached.length - 1];
+    return previousBest < milestone ? { milestone, previousBest: previousBest >= 0 ? previousBest : null } : null;
+}
+
+// Helper: analysis.completed (and rating.milestone) for a recorded session, to the user's endpoints and
+// their team's. Payloads carry scores, not the transcript; integrations can fetch the full analysis
+// with an API key from /api/v1/analyses/{id}. Never throws.
+async function emitAnalysisWebhooks(userId, session) {
+    if (!supabase) return;
+
+    try {
+        const membership = await findMembership(userId);
+        const endpoints = await findWebhookEndpoints({ userId, organizationId: membership?.organization.id });
+        if (endpoints.length === 0) return;
+
+        const subscribed = type => endpoints.filter(endpoint => endpoint.events.includes(type));
+
+        const analysis = {
+            id: session.id,
+            userId,
+            tonality: session.tonality,
+            rating: session.rating,
+            scenarioId: session.scenarioId,
+            model: session.model,
+            createdAt: session.createdAt
+        };
+        await queueWebhookEvent(subscribed('analysis.completed'), 'analysis.completed', { analysis });
+
+        const milestoneEndpoints = subscribed('rating.milestone');
+        if (milestoneEndpoints.length > 0 && session.rating != null) {
+            const milestone = await findRatingMilestone(userId, session.id, session.rating);
+            if (milestone) {
+                await queueWebhookEvent(milestoneEndpoints, 'rating.milestone', { ...milestone, analysis });
+            }
+        }
+    } catch (error) {
+        console.error('Analysis webhook error:', error);
+    }
+}
+
+// Helper: subscription.upgraded / subscription.canceled when a Stripe event changes the plan a user or
+// team pays for. previousPlan and plan are plan ids, or null/free when nothing is paid for.
+async function emitSubscriptionWebhooks(targets, { previousPlan, plan, ...details }) {
+    const wasPaid = isPaidPlan(previousPlan);
+    const isPaid = isPaidPlan(plan);
+    const subscription = { plan: isPaid ? plan : DEFAULT_PLAN_ID, previousPlan: wasPaid ? previousPlan : DEFAULT_PLAN_ID, ...details };
+    const owner = targets.organizationId ? { organizationId: targets.organizationId } : { userId: targets.userId };
+
+    if (isPaid && plan !== previousPlan) {
+        await emitWebhookEvent('subscription.upgraded', targets, { ...owner, subscription });
+    } else if (wasPaid && !isPaid) {
+        await emitWebhookEvent('subscription.canceled', targets, { ...owner, subscription });
+    }
+}
+
+// Deliver pending deliveries whose retry is due (claiming each first, so overlapping runs don't send
+// one twice) and delete deliveries past the retention period. Returns { attempted, succeeded }.
+async function processWebhookDeliveries() {
+    const now = new Date();
+    const { data: due, error } = await supabase
+        .from('webhook_deliveries')
+        .select(WEBHOOK_DELIVERY_COLUMNS)
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now.toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(WEBHOOK_BATCH_SIZE);
+
+    if (error) throw error;
+
+    let results = [];
+    if (due.length > 0) {
+        const { data: endpoints, error: endpointError } = await supabase
+            .from('webhook_endpoints')
+            .select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`)
+            .in('id', [...new Set(due.map(delivery => delivery.endpoint_id))]);
+
+        if (endpointError) throw endpointError;
+        const endpointsById = new Map(endpoints.map(endpoint => [endpoint.id, endpoint]));
+        const claimedUntil = new Date(now.getTime() + WEBHOOK_CLAIM_SECONDS * 1000).toISOString();
+
+        results = await Promise.all(due.map(async delivery => {
+            const { data: claimed, error: claimError } = await supabase
+                .from('webhook_deliveries')
+                .update({ next_attempt_at: claimedUntil })
+                .eq('id', delivery.id)
+                .eq('status', 'pending')
+                .eq('next_attempt_at', delivery.next_attempt_at)
+                .select('id');
+
+            if (claimError) throw claimError;
+            if (!claimed?.length) return null;
+
+            const endpoint = endpointsById.get(delivery.endpoint_id);
+            if (!endpoint?.active) {
+                await supabase
+                    .from('webhook_deliveries')
+                    .update({ status: 'failed', next_attempt_at: null, last_error: 'Endpoint disabled' })
+                    .eq('id', delivery.id);
+                return null;
+            }
+            return attemptWebhookDelivery(delivery, endpoint);
+        }));
+    }
+
+    const retentionCutoff = new Date(now.getTime() - WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { error: pruneError } = await supabase
+        .from('webhook_deliveries')
+        .delete()
+        .lt('created_at', retentionCutoff);
+
+    if (pruneError) {
+        console.error('Failed to prune webhook deliveries:', pruneError.message);
+    }
+
+    const attempted = results.filter(Boolean);
+    return { attempted: attempted.length, succeeded: attempted.filter(delivery => delivery.status === 'succeeded').length };
+}
+
+// Helper: one of the owner's endpoints by id (with its secret), or null
+async function findOwnWebhookEndpoint(owner, id) {
+    if (!UUID_PATTERN.test(id)) return null;
+
+    const { data, error } = await scopeToOwner(
+        supabase.from('webhook_endpoints').select(`${WEBHOOK_ENDPOINT_COLUMNS}, secret`).eq('id', id),
+        owner
+    ).maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// List endpoints, with the event types they can subscribe to
+function listWebhookEndpointsHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const { data, error } = await scopeToOwner(supabase.from('webhook_endpoints').select(WEBHOOK_ENDPOINT_COLUMNS), ownerOf(req))
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            res.json({ endpoints: (data || []).map(formatWebhookEndpoint), eventTypes: WEBHOOK_EVENT_TYPES });
+        } catch (error) {
+            console.error('List webhooks error:', error);
+            res.status(500).json({ error: 'Failed to load webhooks' });
+        }
+    });
+}
+
+// Add an endpoint: { url, description?, events? } (all event types when omitted). The signing secret is
+// returned here and by rotate-secret only.
+function createWebhookEndpointHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const url = validateWebhookUrl(req.body?.url);
+            const description = typeof req.body?.description === 'string' ? req.body.description.trim() : '';
+            const events = req.body?.events === undefined ? Object.keys(WEBHOOK_EVENT_TYPES) : validateWebhookEvents(req.body.events);
+
+            if (!url) {
+                return res.status(400).json({ error: isProductionEnv ? 'A public https URL is required' : 'An http(s) URL is required' });
+            }
+            if (description.length > WEBHOOK_DESCRIPTION_MAX_LENGTH) {
+                return res.status(400).json({ error: `Description must be ${WEBHOOK_DESCRIPTION_MAX_LENGTH} characters or less` });
+            }
+            if (!events) {
+                return res.status(400).json({ error: `events must be a non-empty list of: ${Object.keys(WEBHOOK_EVENT_TYPES).join(', ')}` });
+            }
+
+            const owner = ownerOf(req);
+            const { count, error: countError } = await scopeToOwner(
+                supabase.from('webhook_endpoints').select('id', { count: 'exact', head: true }),
+                owner
+            );
+
+            if (countError) {
+                throw countError;
+            }
+            if ((count || 0) >= MAX_WEBHOOK_ENDPOINTS_PER_OWNER) {
+                return res.status(400).json({ error: `At most ${MAX_WEBHOOK_ENDPOINTS_PER_OWNER} webhook endpoints. Delete one first.` });
+            }
+
+            const secret = createWebhookSecret();
+            const { data, error } = await supabase
+                .from('webhook_endpoints')
+                .insert({
+                    user_id: owner.userId,
+                    organization_id: owner.organizationId,
+                    url,
+                    description: description || null,
+                    events,
+                    secret,
+                    active: true
+                })
+                .select(WEBHOOK_ENDPOINT_COLUMNS)
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            res.status(201).json({ endpoint: formatWebhookEndpoint(data), secret });
+        } catch (error) {
+            console.error('Create webhook error:', error);
+            res.status(500).json({ error: 'Failed to create webhook' });
+        }
+    });
+}
+
+// Update an endpoint: { url?, description?, events?, active? }. Turning it off also stops its pending retries.
+function updateWebhookEndpointHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const { url, description, events, active } = req.body || {};
+            const updates = {};
+
+            if (url !== undefined) {
+                updates.url = validateWebhookUrl(url);
+                if (!updates.url) {
+                    return res.status(400).json({ error: isProductionEnv ? 'A public https URL is required' : 'An http(s) URL is required' });
+                }
+            }
+            if (description !== undefined) {
+                if (typeof description !== 'string' || description.trim().length > WEBHOOK_DESCRIPTION_MAX_LENGTH) {
+                    return res.status(400).json({ error: `Description must be ${WEBHOOK_DESCRIPTION_MAX_LENGTH} characters or less` });
+                }
+                updates.description = description.trim() || null;
+            }
+            if (events !== undefined) {
+                updates.events = validateWebhookEvents(events);
+                if (!updates.events) {
+                    return res.status(400).json({ error: `events must be a non-empty list of: ${Object.keys(WEBHOOK_EVENT_TYPES).join(', ')}` });
+                }
+            }
+            if (active !== undefined) {
+                if (typeof active !== 'boolean') {
+                    return res.status(400).json({ error: 'active must be true or false' });
+                }
+                updates.active = active;
+            }
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({ error: 'Nothing to update' });
+            }
+            if (!UUID_PATTERN.test(req.params.id)) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+
+            const { data, error } = await scopeToOwner(
+                supabase.from('webhook_endpoints').update(updates).eq('id', req.params.id),
+                ownerOf(req)
+            ).select(WEBHOOK_ENDPOINT_COLUMNS);
+
+            if (error) {
+                throw error;
+            }
+            if (!data?.length) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+
+            res.json({ endpoint: formatWebhookEndpoint(data[0]) });
+        } catch (error) {
+            console.error('Update webhook error:', error);
+            res.status(500).json({ error: 'Failed to update webhook' });
+        }
+    });
+}
 
-2. Specific areas for improvement (3-5 bullet points) that help the speaker achieve a more ${tonalityInfo.name.toLowerCase()} tone. ${tonalityInfo.focus}
+// Delete an endpoint and its delivery log
+function deleteWebhookEndpointHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            if (!UUID_PATTERN.test(req.params.id)) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
 
-Transcript: "${transcript}"
+            const { data, error } = await scopeToOwner(
+                supabase.from('webhook_endpoints').delete().eq('id', req.params.id),
+                ownerOf(req)
+            ).select('id');
 
-Respond in JSON format:
-{
-  "rating": <number 1-100>,
-  "feedback": ["point 1", "point 2", "point 3"]
-}`;
+            if (error) {
+                throw error;
+            }
+            if (!data?.length) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
 
-        const completion = await openai.chat.completions.create({
-            model: process.env.openai_model || process.env.OPENAI_MODEL || "gpt-4",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are an expert speech communication coach specializing in ${tonalityInfo.name.toLowerCase()} communication. Provide constructive, actionable feedback.`
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            temperature: 0.7,
-            response_format: { type: "json_object" }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Delete webhook error:', error);
+            res.status(500).json({ error: 'Failed to delete webhook' });
+        }
+    });
+}
+
+// Replace the signing secret. Deliveries from now on (retries included) are signed with the new one.
+function rotateWebhookSecretHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            if (!UUID_PATTERN.test(req.params.id)) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+
+            const secret = createWebhookSecret();
+            const { data, error } = await scopeToOwner(
+                supabase.from('webhook_endpoints').update({ secret }).eq('id', req.params.id),
+                ownerOf(req)
+            ).select(WEBHOOK_ENDPOINT_COLUMNS);
+
+            if (error) {
+                throw error;
+            }
+            if (!data?.length) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+
+            res.json({ endpoint: formatWebhookEndpoint(data[0]), secret });
+        } catch (error) {
+            console.error('Rotate webhook secret error:', error);
+            res.status(500).json({ error: 'Failed to rotate webhook secret' });
+        }
+    });
+}
+
+// Send a webhook.test event to the endpoint now (even if it's turned off) and return the delivery
+function testWebhookEndpointHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const endpoint = await findOwnWebhookEndpoint(ownerOf(req), req.params.id);
+            if (!endpoint) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+
+            const [delivery] = await queueWebhookEvent([endpoint], WEBHOOK_TEST_EVENT, {
+                message: 'Test event from Tonr',
+                endpointId: endpoint.id
+            }, { wait: true });
+
+            res.json({ delivery: formatWebhookDelivery(delivery) });
+        } catch (error) {
+            console.error('Test webhook error:', error);
+            res.status(500).json({ error: 'Failed to send test event' });
+        }
+    });
+}
+
+// The endpoint's delivery log, newest first: ?limit=50 (max 100)
+function webhookDeliveriesHandler(ownerOf) {
+    return asyncHandler(async (req, res) => {
+        try {
+            const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > WEBHOOK_DELIVERIES_MAX_LIMIT) {
+                return res.status(400).json({ error: `limit must be a whole number from 1 to ${WEBHOOK_DELIVERIES_MAX_LIMIT}` });
+            }
+
+            const endpoint = await findOwnWebhookEndpoint(ownerOf(req), req.params.id);
+            if (!endpoint) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .select(WEBHOOK_DELIVERY_COLUMNS)
+                .eq('endpoint_id', endpoint.id)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) {
+                throw error;
+            }
+
+            res.json({ deliveries: (data || []).map(formatWebhookDelivery) });
+        } catch (error) {
+            console.error('Webhook deliveries error:', error);
+            res.status(500).json({ error: 'Failed to load webhook deliveries' });
+        }
+    });
+}
+
+app.get('/api/user/webhooks', authenticateToken, requireSupabase, listWebhookEndpointsHandler(personalOwner));
+app.post('/api/user/webhooks', authenticateToken, requireSupabase, createWebhookEndpointHandler(personalOwner));
+app.put('/api/user/webhooks/:id', authenticateToken, requireSupabase, updateWebhookEndpointHandler(personalOwner));
+app.delete('/api/user/webhooks/:id', authenticateToken, requireSupabase, deleteWebhookEndpointHandler(personalOwner));
+app.post('/api/user/webhooks/:id/rotate-secret', authenticateToken, requireSupabase, rotateWebhookSecretHandler(personalOwner));
+app.post('/api/user/webhooks/:id/test', authenticateToken, requireSupabase, testWebhookEndpointHandler(personalOwner));
+app.get('/api/user/webhooks/:id/deliveries', authenticateToken, requireSupabase, webhookDeliveriesHandler(personalOwner));
+
+app.get('/api/org/webhooks', requireOrgRole('manager'), listWebhookEndpointsHandler(teamOwner));
+app.post('/api/org/webhooks', requireOrgRole('manager'), createWebhookEndpointHandler(teamOwner));
+app.put('/api/org/webhooks/:id', requireOrgRole('manager'), updateWebhookEndpointHandler(teamOwner));
+app.delete('/api/org/webhooks/:id', requireOrgRole('manager'), deleteWebhookEndpointHandler(teamOwner));
+app.post('/api/org/webhooks/:id/rotate-secret', requireOrgRole('manager'), rotateWebhookSecretHandler(teamOwner));
+app.post('/api/org/webhooks/:id/test', requireOrgRole('manager'), testWebhookEndpointHandler(teamOwner));
+app.get('/api/org/webhooks/:id/deliveries', requireOrgRole('manager'), webhookDeliveriesHandler(teamOwner));
+
+// Middleware: only let Vercel Cron (vercel.json) call the /api/cron routes. It sends
+// `Authorization: Bearer <CRON_SECRET>`; without cron_secret set the routes are off.
+// `npm start` runs the same jobs on timers instead.
+function requireCronSecret(req, res, next) {
+    const cronSecret = process.env.cron_secret || process.env.CRON_SECRET;
+    if (!cronSecret) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    const [scheme, token] = (req.headers['authorization'] || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !tokenHashMatches(token, hashToken(cronSecret))) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Retry due webhook deliveries
+app.get('/api/cron/webhooks', requireCronSecret, requireSupabase, asyncHandler(async (req, res) => {
+    try {
+        res.json(await processWebhookDeliveries());
+    } catch (error) {
+        console.error('Webhook retry error:', error);
+        res.status(500).json({ error: 'Failed to process webhook deliveries' });
+    }
+}));
+
+// ============================================================================
+// Batch analysis
+// ============================================================================
+// Scores many transcripts in one request: the user uploads a JSON array, a CSV file or delimited plain
+// text, and each transcript becomes a batch_job_items row. Items are the work queue: runBatchQueue()
+// claims pending items and runs them through runAnalysis() with at most BATCH_CONCURRENCY at a time,
+// so each one is checked against the plan and recorded as a session like a single analysis.
+
+const BATCH_ITEM_OPEN_STATUSES = ['pending', 'running'];
+const BATCH_JOB_COLUMNS = 'id, user_id, name, source, status, item_count, created_at, started_at, finished_at';
+const BATCH_ITEM_COLUMNS = 'id, job_id, position, label, tonality, status, attempts, session_id, rating, error, started_at, finished_at';
+const BATCH_ITEM_WORK_COLUMNS = 'id, job_id, user_id, transcript, tonality, status, attempts';
+const BATCH_MAX_ITEMS = 100;
+const BATCH_ITEM_MAX_LENGTH = 50000;
+const BATCH_NAME_MAX_LENGTH = 100;
+const BATCH_LABEL_MAX_LENGTH = 100;
+const BATCH_DELIMITER_MAX_LENGTH = 20;
+const DEFAULT_BATCH_DELIMITER = '---';
+// Jobs a user can have queued or running at once
+const MAX_ACTIVE_BATCH_JOBS = 3;
+const BATCH_JOBS_LIST_LIMIT = 20;
+// Items analyzed at once per backend process
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.batch_concurrency || process.env.BATCH_CONCURRENCY || '3', 10) || 3);
+// An item being analyzed is claimed for this long; after that another worker may pick it up again
+const BATCH_ITEM_CLAIM_SECONDS = 5 * 60;
+// Tries per item when the analysis provider fails (plan and validation errors aren't retried)
+const BATCH_ITEM_MAX_ATTEMPTS = 2;
+const BATCH_QUEUE_INTERVAL_MS = 30 * 1000;
+// How long one /api/cron/batch-jobs call keeps claiming items (Vercel functions have a time limit)
+const BATCH_CRON_BUDGET_MS = 45 * 1000;
+const BATCH_JOB_RETENTION_DAYS = 30;
+const BATCH_RESULT_COLUMNS = ['position', 'label', 'tonality', 'status', 'rating', 'feedback', 'refined', 'error', 'session_id', 'transcript'];
+
+function formatBatchJob(row, counts = null) {
+    const job = {
+        id: row.id,
+        name: row.name || '',
+        source: row.source,
+        status: row.status,
+        itemCount: row.item_count,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+    if (counts) job.counts = counts;
+    return job;
+}
+
+function formatBatchItem(row, session = null) {
+    const item = {
+        id: row.id,
+        position: row.position,
+        label: row.label || '',
+        tonality: row.tonality,
+        status: row.status,
+        attempts: row.attempts,
+        rating: row.rating,
+        sessionId: row.session_id || null,
+        error: row.error || null,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+    if (row.transcript !== undefined) item.transcript = row.transcript;
+    if (session) {
+        item.feedback = session.feedback || [];
+        item.refined = session.refined_transcript || '';
+    }
+    return item;
+}
+
+// Helper: item counts per status, e.g. { pending: 3, running: 1, succeeded: 6, failed: 0, canceled: 0 }
+function countBatchItems(items) {
+    const counts = { pending: 0, running: 0, succeeded: 0, failed: 0, canceled: 0 };
+    for (const item of items) {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+    }
+    return counts;
+}
+
+// Helper: parse CSV text (RFC 4180: fields may be quoted, with "" for a quote and line breaks inside)
+// into an array of rows, skipping blank lines. Returns null for an unterminated quoted field.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) return null;
+    row.push(field);
+    rows.push(row);
+    return rows.filter(values => values.some(value => value.trim() !== ''));
+}
+
+// Helper: one CSV line. Values are quoted when needed, and text starting with =, +, -, @ or a tab is
+// prefixed with ' so spreadsheets show it instead of running it as a formula.
+function toCsvRow(values) {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+// Helper: items from CSV with a header row: `transcript` (required), `tonality` and `label` columns
+function parseCsvBatchItems(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!rows) {
+        return { error: 'CSV has an unterminated quoted field' };
+    }
+
+    const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+    const column = name => header.indexOf(name);
+    if (column('transcript') === -1) {
+        return { error: 'CSV needs a header row with a "transcript" column (and optionally "tonality" and "label")' };
+    }
+
+    return {
+        items: rows.map(values => ({
+            transcript: values[column('transcript')],
+            tonality: column('tonality') === -1 ? undefined : values[column('tonality')],
+            label: column('label') === -1 ? undefined : values[column('label')]
+        }))
+    };
+}
+
+// Helper: items from plain text, one transcript per block between delimiter lines (`---` by default).
+// A block may start with `tonality: <key>` and `label: <text>` lines.
+function parseTextBatchItems(text, delimiter) {
+    const items = [];
+    let lines = [];
+    const flush = () => {
+        const item = { label: undefined, tonality: undefined };
+        let start = 0;
+        while (start < lines.length && lines[start].trim() === '') start++;
+        for (; start < lines.length; start++) {
+            const header = lines[start].match(/^\s*(tonality|label)\s*:\s*(.*)$/i);
+            if (!header || item[header[1].toLowerCase()] !== undefined) break;
+            item[header[1].toLowerCase()] = header[2].trim();
+        }
+        item.transcript = lines.slice(start).join('\n').trim();
+        if (item.transcript || item.label || item.tonality) items.push(item);
+        lines = [];
+    };
+
+    for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        if (line.trim() === delimiter) {
+            flush();
+        } else {
+            lines.push(line);
+        }
+    }
+    flush();
+    return { items };
+}
+
+// Helper: the job described by a batch request, by Content-Type:
+// - application/json: { name?, tonality?, items: [{ transcript, tonality?, label? } | "transcript"] },
+//   or just the items array
+// - text/csv: see parseCsvBatchItems
+// - text/plain: see parseTextBatchItems (?delimiter= changes the separator line)
+// name and tonality (the default for items without one) can also be query parameters.
+// Returns { name, source, items: [{ position, label, transcript, tonality }] } or { error }.
+function parseBatchRequest(req) {
+    let source;
+    let parsed;
+    let options = req.query;
+
+    if (req.is('text/csv')) {
+        source = 'csv';
+        parsed = parseCsvBatchItems(typeof req.body === 'string' ? req.body : '');
+    } else if (req.is('text/plain')) {
+        const delimiter = req.query.delimiter === undefined ? DEFAULT_BATCH_DELIMITER : String(req.query.delimiter).trim();
+        if (!delimiter || delimiter.length > BATCH_DELIMITER_MAX_LENGTH) {
+            return { error: `delimiter must be 1 to ${BATCH_DELIMITER_MAX_LENGTH} characters` };
+        }
+        source = 'text';
+        parsed = parseTextBatchItems(typeof req.body === 'string' ? req.body : '', delimiter);
+    } else {
+        source = 'json';
+        const body = req.body || {};
+        if (Array.isArray(body)) {
+            parsed = { items: body };
+        } else {
+            options = { ...req.query, ...body };
+            parsed = Array.isArray(body.items) ? { items: body.items } : { error: 'items must be an array of transcripts' };
+        }
+    }
+
+    if (parsed.error) {
+        return parsed;
+    }
+
+    const name = options.name === undefined || options.name === null ? '' : String(options.name).trim();
+    if (name.length > BATCH_NAME_MAX_LENGTH) {
+        return { error: `name must be at most ${BATCH_NAME_MAX_LENGTH} characters` };
+    }
+    const defaultTonality = options.tonality ? String(options.tonality).trim() : 'neutral';
+
+    if (parsed.items.length === 0) {
+        return { error: 'No transcripts found' };
+    }
+    if (parsed.items.length > BATCH_MAX_ITEMS) {
+        return { error: `A batch can have at most ${BATCH_MAX_ITEMS} transcripts (got ${parsed.items.length})` };
+    }
+
+    const items = [];
+    for (const [index, raw] of parsed.items.entries()) {
+        const entry = typeof raw === 'string' ? { transcript: raw } : raw;
+        const prefix = `Item ${index + 1}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return { error: `${prefix}: must be a transcript or an object with a transcript` };
+        }
+        if (typeof entry.transcript !== 'string' || !entry.transcript.trim()) {
+            return { error: `${prefix}: transcript is required` };
+        }
+        if (entry.transcript.length > BATCH_ITEM_MAX_LENGTH) {
+            return { error: `${prefix}: transcript must be at most ${BATCH_ITEM_MAX_LENGTH} characters` };
+        }
+        if (entry.tonality !== undefined && entry.tonality !== null && typeof entry.tonality !== 'string') {
+            return { error: `${prefix}: tonality must be a string` };
+        }
+        const label = entry.label === undefined || entry.label === null ? '' : String(entry.label).trim();
+        if (label.length > BATCH_LABEL_MAX_LENGTH) {
+            return { error: `${prefix}: label must be at most ${BATCH_LABEL_MAX_LENGTH} characters` };
+        }
+
+        items.push({
+            position: index + 1,
+            label: label || null,
+            transcript: entry.transcript.trim(),
+            tonality: entry.tonality?.trim() || defaultTonality
         });
+    }
 
-        const response = JSON.parse(completion.choices[0].message.content);
-        
-        res.json(response);
+    return { name: name || null, source, items };
+}
+
+// Helper: plan checks for a whole batch before it's queued. Every tonality must exist and be in the
+// plan, and the quotas must have room for every item on top of the user's items still queued.
+// Returns null when the batch can be queued, or { status, error }.
+async function checkBatchAccess(req, items) {
+    if (!analysisProvider) {
+        return {
+            status: 503,
+            error: 'Speech analysis is not configured. Add OPENAI_API_KEY (or set analysis_provider) in your Vercel environment variables.'
+        };
+    }
+
+    for (const tonality of new Set(items.map(item => item.tonality))) {
+        const resolved = await resolveTonality(req, tonality);
+        if (resolved.error) {
+            return { status: resolved.status, error: `${resolved.error}: ${tonality}` };
+        }
+        const access = await checkAnalysisAccess(req, tonality);
+        if (access.error) {
+            return access;
+        }
+    }
+
+    const { data: userData, error } = await supabase
+        .from('users')
+        .select(USER_TIER_COLUMNS)
+        .eq('id', req.user.id)
+        .single();
+
+    if (error) throw error;
+
+    const plan = getPlan(await resolveTier(req.user.id, userData));
+    if (Object.values(plan.quotas).every(limit => limit === null)) {
+        return null;
+    }
+
+    const queued = await countOpenBatchItems(req.user.id);
+    const usage = await getQuotaUsage(req.user.id, plan, userData?.quota_reset_at);
+    for (const [period, quota] of Object.entries(usage)) {
+        if (quota.limit === null) continue;
+        const available = Math.max(0, quota.remaining - queued);
+        if (available < items.length) {
+            const upgradePlan = upgradePlanFor(plan);
+            return {
+                status: 403,
+                error: `This batch has ${items.length} transcripts, but your ${period} limit leaves room for ${available}${queued ? ` (${queued} already queued)` : ''}.${upgradePlan ? ` Upgrade to ${upgradePlan.name} for more refinements.` : ''}`
+            };
+        }
+    }
+
+    return null;
+}
+
+// Helper: how many of the user's batch transcripts are still waiting or being analyzed
+async function countOpenBatchItems(userId) {
+    const { count, error } = await supabase
+        .from('batch_job_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .in('status', BATCH_ITEM_OPEN_STATUSES);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+// Helper: one of the user's jobs by id, or null
+async function findOwnBatchJob(userId, id) {
+    if (!UUID_PATTERN.test(id)) return null;
+
+    const { data, error } = await supabase
+        .from('batch_jobs')
+        .select(BATCH_JOB_COLUMNS)
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Helper: all items of a job in order (columns default to BATCH_ITEM_COLUMNS)
+async function loadBatchItems(jobId, columns = BATCH_ITEM_COLUMNS) {
+    const { data, error } = await supabase
+        .from('batch_job_items')
+        .select(columns)
+        .eq('job_id', jobId)
+        .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Helper: a job's items with the feedback and rewrite of the sessions they created
+async function loadBatchResults(job, columns = BATCH_ITEM_COLUMNS) {
+    const items = await loadBatchItems(job.id, columns);
+    const sessionIds = items.map(item => item.session_id).filter(Boolean);
+
+    let sessionsById = new Map();
+    if (sessionIds.length > 0) {
+        const { data: sessions, error } = await supabase
+            .from('sessions')
+            .select('id, feedback, refined_transcript')
+            .eq('user_id', job.user_id)
+            .in('id', sessionIds);
+
+        if (error) throw error;
+        sessionsById = new Map((sessions || []).map(session => [session.id, session]));
+    }
+
+    return items.map(item => formatBatchItem(item, sessionsById.get(item.session_id) || null));
+}
+
+// Helper: mark the job completed once none of its items are left to run (canceled jobs stay canceled)
+async function finishBatchJobIfDone(jobId) {
+    const { count, error } = await supabase
+        .from('batch_job_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('job_id', jobId)
+        .in('status', BATCH_ITEM_OPEN_STATUSES);
+
+    if (error) throw error;
+    if (count > 0) return;
+
+    const { error: updateError } = await supabase
+        .from('batch_jobs')
+        .update({ status: 'completed', finished_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .in('status', ['queued', 'running']);
+
+    if (updateError) throw updateError;
+}
+
+// Helper: claim the next pending item, or null when the queue is empty. Items are taken by position
+// first, so jobs queued at the same time take turns instead of the oldest one running to the end.
+async function claimBatchItem() {
+    const { data: candidates, error } = await supabase
+        .from('batch_job_items')
+        .select(BATCH_ITEM_WORK_COLUMNS)
+        .eq('status', 'pending')
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true })
+        .limit(BATCH_CONCURRENCY * 2);
+
+    if (error) throw error;
+
+    for (const item of candidates || []) {
+        const now = new Date();
+        const { data: claimed, error: claimError } = await supabase
+            .from('batch_job_items')
+            .update({
+                status: 'running',
+                attempts: item.attempts + 1,
+                claimed_until: new Date(now.getTime() + BATCH_ITEM_CLAIM_SECONDS * 1000).toISOString(),
+                started_at: now.toISOString()
+            })
+            .eq('id', item.id)
+            .eq('status', 'pending')
+            .select(BATCH_ITEM_WORK_COLUMNS);
+
+        if (claimError) throw claimError;
+        if (!claimed?.length) continue;
+
+        const { error: jobError } = await supabase
+            .from('batch_jobs')
+            .update({ status: 'running', started_at: now.toISOString() })
+            .eq('id', item.job_id)
+            .eq('status', 'queued');
+
+        if (jobError) throw jobError;
+        return claimed[0];
+    }
+    return null;
+}
+
+// Helper: analyze one claimed item and store its result. Provider failures put the item back in the
+// queue until it has had BATCH_ITEM_MAX_ATTEMPTS tries; a rejected analysis (e.g. the quota ran out)
+// fails the item straight away.
+async function runBatchItem(item) {
+    let fields;
+    try {
+        const analysis = await runAnalysis({ user: { id: item.user_id }, batchItem: item }, {
+            transcript: item.transcript,
+            tonality: item.tonality
+        });
+        fields = analysis.error
+            ? { status: 'failed', error: analysis.error }
+            : { status: 'succeeded', error: null, rating: analysis.result.rating, session_id: analysis.result.sessionId };
     } catch (error) {
-        console.error('OpenAI API error:', error);
-        res.status(500).json({ 
-            error: 'Failed to analyze speech',
-            details: error.message 
+        console.error('Batch item error:', error);
+        fields = { status: 'failed', error: 'Analysis failed' };
+
+        if (item.attempts < BATCH_ITEM_MAX_ATTEMPTS) {
+            const { data: job } = await supabase
+                .from('batch_jobs')
+                .select('status')
+                .eq('id', item.job_id)
+                .maybeSingle();
+            if (job && job.status !== 'canceled') {
+                fields = { status: 'pending', error: 'Analysis failed, retrying' };
+            }
+        }
+    }
+
+    const { error } = await supabase
+        .from('batch_job_items')
+        .update({
+            ...fields,
+            claimed_until: null,
+            finished_at: fields.status === 'pending' ? null : new Date().toISOString()
+        })
+        .eq('id', item.id)
+        .eq('status', 'running');
+
+    if (error) throw error;
+    if (fields.status !== 'pending') {
+        await finishBatchJobIfDone(item.job_id);
+    }
+}
+
+// Helper: put items whose claim ran out (their worker stopped) back in the queue, or fail them if
+// they've used all their attempts
+async function releaseStaleBatchItems() {
+    const now = new Date().toISOString();
+    const { data: failed, error } = await supabase
+        .from('batch_job_items')
+        .update({ status: 'failed', claimed_until: null, error: 'Analysis did not finish', finished_at: now })
+        .eq('status', 'running')
+        .lt('claimed_until', now)
+        .gte('attempts', BATCH_ITEM_MAX_ATTEMPTS)
+        .select('job_id');
+
+    if (error) throw error;
+
+    const { error: releaseError } = await supabase
+        .from('batch_job_items')
+        .update({ status: 'pending', claimed_until: null })
+        .eq('status', 'running')
+        .lt('claimed_until', now);
+
+    if (releaseError) throw releaseError;
+
+    for (const jobId of new Set((failed || []).map(item => item.job_id))) {
+        await finishBatchJobIfDone(jobId);
+    }
+}
+
+// Helper: delete finished jobs (and their items) past the retention period
+async function pruneBatchJobs() {
+    const cutoff = new Date(Date.now() - BATCH_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { error } = await supabase
+        .from('batch_jobs')
+        .delete()
+        .in('status', ['completed', 'canceled'])
+        .lt('finished_at', cutoff);
+
+    if (error) {
+        console.error('Failed to prune batch jobs:', error.message);
+    }
+}
+
+// Helper: work through the queue with BATCH_CONCURRENCY workers until it's empty or the deadline
+// (a timestamp) has passed. Returns how many items were analyzed.
+async function drainBatchQueue(deadline) {
+    await releaseStaleBatchItems();
+
+    let processed = 0;
+    await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, async () => {
+        while (Date.now() < deadline) {
+            const item = await claimBatchItem();
+            if (!item) return;
+            await runBatchItem(item);
+            processed++;
+        }
+    }));
+
+    await pruneBatchJobs();
+    return processed;
+}
+
+let batchQueueRun = null;
+let batchQueueRerun = false;
+
+// Run the batch queue in this process. Only one run at a time: a call during a run returns the same
+// promise and makes it check the queue again before finishing, so newly submitted jobs aren't missed.
+// Resolves to { processed }.
+function runBatchQueue(deadline = Infinity) {
+    if (batchQueueRun) {
+        batchQueueRerun = true;
+        return batchQueueRun;
+    }
+
+    batchQueueRun = (async () => {
+        let processed = 0;
+        do {
+            batchQueueRerun = false;
+            processed += await drainBatchQueue(deadline);
+        } while (batchQueueRerun && Date.now() < deadline);
+        return { processed };
+    })().finally(() => {
+        batchQueueRun = null;
+    });
+    return batchQueueRun;
+}
+
+// Submit a batch: JSON, CSV or plain text (see parseBatchRequest). Checks the whole batch against the
+// plan, stores the items and starts the queue. Returns 202 with the job; poll GET /api/user/batch-jobs/:id.
+app.post('/api/user/batch-jobs', analysisLimiter, authenticateToken, requireSupabase, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), asyncHandler(async (req, res) => {
+    try {
+        const batch = parseBatchRequest(req);
+        if (batch.error) {
+            return res.status(400).json({ error: batch.error });
+        }
+
+        const { count: active, error: activeError } = await supabase
+            .from('batch_jobs')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.id)
+            .in('status', ['queued', 'running']);
+
+        if (activeError) {
+            throw activeError;
+        }
+        if (active >= MAX_ACTIVE_BATCH_JOBS) {
+            return res.status(409).json({ error: `You can have at most ${MAX_ACTIVE_BATCH_JOBS} batches running at once. Wait for one to finish or cancel it.` });
+        }
+
+        const denied = await checkBatchAccess(req, batch.items);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const { data: job, error } = await supabase
+            .from('batch_jobs')
+            .insert({
+                user_id: req.user.id,
+                name: batch.name,
+                source: batch.source,
+                status: 'queued',
+                item_count: batch.items.length
+            })
+            .select(BATCH_JOB_COLUMNS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const { error: itemsError } = await supabase
+            .from('batch_job_items')
+            .insert(batch.items.map(item => ({
+                ...item,
+                job_id: job.id,
+                user_id: req.user.id,
+                status: 'pending',
+                attempts: 0
+            })));
+
+        if (itemsError) {
+            await supabase.from('batch_jobs').delete().eq('id', job.id);
+            throw itemsError;
+        }
+
+        runBatchQueue().catch(queueError => console.error('Batch queue error:', queueError));
+
+        res.status(202).json({
+            job: formatBatchJob(job, { ...countBatchItems([]), pending: batch.items.length })
+        });
+    } catch (error) {
+        console.error('Create batch job error:', error);
+        res.status(500).json({ error: 'Failed to create batch job' });
+    }
+}));
+
+// The user's recent batch jobs, newest first, with item counts
+app.get('/api/user/batch-jobs', authenticateToken, requireSupabase, asyncHandler(async (req, res) => {
+    try {
+        const { data: jobs, error } = await supabase
+            .from('batch_jobs')
+            .select(BATCH_JOB_COLUMNS)
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(BATCH_JOBS_LIST_LIMIT);
+
+        if (error) {
+            throw error;
+        }
+
+        // Up to BATCH_MAX_ITEMS per job, so page past the API's row limit
+        const items = [];
+        for (let offset = 0; jobs.length > 0; offset += EXPORT_PAGE_SIZE) {
+            const { data, error: itemsError } = await supabase
+                .from('batch_job_items')
+                .select('job_id, status')
+                .in('job_id', jobs.map(job => job.id))
+                .order('id', { ascending: true })
+                .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+            if (itemsError) {
+                throw itemsError;
+            }
+            items.push(...(data || []));
+            if (!data || data.length < EXPORT_PAGE_SIZE) break;
+        }
+
+        res.json({
+            jobs: jobs.map(job => formatBatchJob(job, countBatchItems(items.filter(item => item.job_id === job.id)))),
+            limits: { maxItems: BATCH_MAX_ITEMS, maxActiveJobs: MAX_ACTIVE_BATCH_JOBS, maxTranscriptLength: BATCH_ITEM_MAX_LENGTH }
         });
+    } catch (error) {
+        console.error('List batch jobs error:', error);
+        res.status(500).json({ error: 'Failed to load batch jobs' });
+    }
+}));
+
+// One job with its items: status, rating, feedback and rewrite for each finished transcript
+app.get('/api/user/batch-jobs/:id', authenticateToken, requireSupabase, asyncHandler(async (req, res) => {
+    try {
+        const job = await findOwnBatchJob(req.user.id, req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Batch job not found' });
+        }
+
+        const items = await loadBatchResults(job);
+        res.json({ job: formatBatchJob(job, countBatchItems(items)), items });
+    } catch (error) {
+        console.error('Get batch job error:', error);
+        res.status(500).json({ error: 'Failed to load batch job' });
+    }
+}));
+
+// The job's results as a CSV download, one row per transcript (in progress jobs give partial results)
+app.get('/api/user/batch-jobs/:id/results.csv', authenticateToken, requireSupabase, asyncHandler(async (req, res) => {
+    try {
+        const job = await findOwnBatchJob(req.user.id, req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Batch job not found' });
+        }
+
+        const items = await loadBatchResults(job, `${BATCH_ITEM_COLUMNS}, transcript`);
+        const rows = items.map(item => toCsvRow([
+            item.position,
+            item.label,
+            item.tonality,
+            item.status,
+            item.rating,
+            (item.feedback || []).join('\n'),
+            item.refined,
+            item.error,
+            item.sessionId,
+            item.transcript
+        ]));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="tonr-batch-${job.id.slice(0, 8)}-${job.created_at.slice(0, 10)}.csv"`);
+        res.send(`${[toCsvRow(BATCH_RESULT_COLUMNS), ...rows].join('\r\n')}\r\n`);
+    } catch (error) {
+        console.error('Batch results error:', error);
+        res.status(500).json({ error: 'Failed to export batch results' });
+    }
+}));
+
+// Cancel a job: items not started yet are skipped (and don't count against the quota); items already
+// being analyzed still finish
+app.post('/api/user/batch-jobs/:id/cancel', authenticateToken, requireSupabase, asyncHandler(async (req, res) => {
+    try {
+        const job = await findOwnBatchJob(req.user.id, req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Batch job not found' });
+        }
+        if (!['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({ error: `This batch is already ${job.status}` });
+        }
+
+        const now = new Date().toISOString();
+        const { data: updated, error } = await supabase
+            .from('batch_jobs')
+            .update({ status: 'canceled', finished_at: now })
+            .eq('id', job.id)
+            .in('status', ['queued', 'running'])
+            .select(BATCH_JOB_COLUMNS);
+
+        if (error) {
+            throw error;
+        }
+        if (!updated?.length) {
+            return res.status(409).json({ error: 'This batch has already finished' });
+        }
+
+        const { error: itemsError } = await supabase
+            .from('batch_job_items')
+            .update({ status: 'canceled', finished_at: now })
+            .eq('job_id', job.id)
+            .eq('status', 'pending');
+
+        if (itemsError) {
+            throw itemsError;
+        }
+
+        const items = await loadBatchItems(job.id);
+        res.json({ job: formatBatchJob(updated[0], countBatchItems(items)) });
+    } catch (error) {
+        console.error('Cancel batch job error:', error);
+        res.status(500).json({ error: 'Failed to cancel batch job' });
+    }
+}));
+
+// Work through queued batch items (Vercel Cron, see requireCronSecret). Stops claiming new items after
+// BATCH_CRON_BUDGET_MS; whatever is left is picked up by the next run.
+app.get('/api/cron/batch-jobs', requireCronSecret, requireSupabase, asyncHandler(async (req, res) => {
+    try {
+        res.json(await runBatchQueue(Date.now() + BATCH_CRON_BUDGET_MS));
+    } catch (error) {
+        console.error('Batch queue error:', error);
+        res.status(500).json({ error: 'Failed to process batch jobs' });
     }
 }));
 
@@ -930,11 +8530,24 @@ if (require.main === module) {
         console.log(`\n✅ Tonr backend server running on port ${PORT}\n`);
         console.log('Configuration Status:');
         console.log(`  OpenAI API Key: ${openaiApiKey ? '✅ Configured' : '❌ Missing'}`);
+        console.log(`  Analysis Provider: ${analysisProvider ? `✅ ${analysisProvider.name} (${analysisProvider.model})` : '❌ Not configured'}`);
+        console.log(`  Transcription Provider: ${transcriptionProvider ? `✅ ${transcriptionProvider.name}` : '⚠️  Not configured (audio upload disabled)'}`);
         console.log(`  Supabase URL: ${supabaseUrl ? '✅ Configured' : '❌ Missing'}`);
         console.log(`  Supabase Key: ${supabaseAnonKey ? '✅ Configured' : '❌ Missing'}`);
         console.log(`  Supabase Service Role: ${supabaseServiceKey ? '✅ Configured' : '⚠️  Using anon key (not recommended for production)'}`);
         console.log(`  Stripe Secret Key: ${stripeSecretKey ? '✅ Configured' : '⚠️  Missing (payments disabled)'}`);
-        console.log(`  JWT Secret: ${JWT_SECRET && JWT_SECRET !== 'your-secret-key-change-in-production' ? '✅ Configured' : '⚠️  Using default (change in production)'}\n`);
+        console.log(`  JWT Secret: ${JWT_SECRET && JWT_SECRET !== 'your-secret-key-change-in-production' ? '✅ Configured' : '⚠️  Using default (change in production)'}`);
+        console.log(`  Dev Mode: ${devMode ? '⚠️  Enabled (seeded test users at /api/dev/login)' : 'Off'}\n`);
     });
+
+    // There's no Vercel Cron here: retry webhook deliveries and run batch jobs on timers instead
+    if (supabase) {
+        setInterval(() => {
+            processWebhookDeliveries().catch(error => console.error('Webhook retry error:', error));
+        }, WEBHOOK_RETRY_INTERVAL_MS).unref();
+        setInterval(() => {
+            runBatchQueue().catch(error => console.error('Batch queue error:', error));
+        }, BATCH_QUEUE_INTERVAL_MS).unref();
+    }
 }
 
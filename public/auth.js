@@ -16,15 +16,93 @@ function getCurrentUser() {
 }
 
 // Set authentication
-function setAuth(token, user) {
+function setAuth(token, user, refreshToken) {
     localStorage.setItem('tonr_token', token);
     localStorage.setItem('tonr_user', JSON.stringify(user));
+    if (refreshToken) {
+        localStorage.setItem('tonr_refresh_token', refreshToken);
+    }
 }
 
 // Clear authentication
 function clearAuth() {
     localStorage.removeItem('tonr_token');
     localStorage.removeItem('tonr_user');
+    localStorage.removeItem('tonr_refresh_token');
+}
+
+// Team invite link opened while signed out (team.html saves it); sign-in continues there
+function pendingInviteUrl() {
+    const token = localStorage.getItem('tonr_invite');
+    return token ? `team.html?invite=${encodeURIComponent(token)}` : null;
+}
+
+// Exchange the stored refresh token for a new token pair. Concurrent callers share one request.
+let refreshPromise = null;
+
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = requestTokenRefresh().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+async function requestTokenRefresh() {
+    const refreshToken = localStorage.getItem('tonr_refresh_token');
+    if (!refreshToken) return false;
+
+    try {
+        const response = await fetch(`${API_URL}/api/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            localStorage.setItem('tonr_token', data.token);
+            localStorage.setItem('tonr_refresh_token', data.refreshToken);
+            return true;
+        }
+
+        // Another tab refreshed first; give it a moment to store the new tokens
+        if (response.status === 409) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            return localStorage.getItem('tonr_refresh_token') !== refreshToken;
+        }
+    } catch (error) {
+        console.error('Token refresh error:', error);
+    }
+    return false;
+}
+
+// fetch() with the stored access token. When the token has expired it is refreshed and the
+// request retried once; if the session is gone the user is sent back to the login page.
+async function authFetch(url, options = {}) {
+    const send = () => {
+        const headers = Object.assign({}, options.headers);
+        const token = localStorage.getItem('tonr_token');
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return fetch(url, Object.assign({}, options, { headers }));
+    };
+
+    let response = await send();
+    if (response.status !== 401) return response;
+
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code === 'token_expired' && await refreshAccessToken()) {
+        response = await send();
+    } else if (data.code === 'token_expired' || data.code === 'session_revoked') {
+        clearAuth();
+        window.location.href = 'login.html';
+    }
+    return response;
 }
 
 // Redirect to dashboard if authenticated
@@ -91,6 +169,7 @@ document.addEventListener('DOMContentLoaded', () => {
             try {
                 const response = await fetch(`${API_URL}/api/auth/login`, {
                     method: 'POST',
+                    credentials: 'include', // sends the referral attribution cookie
                     headers: {
                         'Content-Type': 'application/json',
                     },
@@ -100,11 +179,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 const data = await response.json();
 
                 if (response.ok) {
-                    setAuth(data.token, data.user);
+                    setAuth(data.token, data.user, data.refreshToken);
                     showSuccess('Login successful! Redirecting...');
                     setTimeout(() => {
                         // Check if user has selected a tier
-                        if (!data.user.tier) {
+                        if (pendingInviteUrl()) {
+                            window.location.href = pendingInviteUrl();
+                        } else if (!data.user.tier) {
                             window.location.href = 'pricing.html?select_tier=true';
                         } else {
                             window.location.href = 'dashboard.html';
@@ -138,6 +219,7 @@ document.addEventListener('DOMContentLoaded', () => {
             try {
                 const response = await fetch(`${API_URL}/api/auth/signup`, {
                     method: 'POST',
+                    credentials: 'include', // sends the referral attribution cookie
                     headers: {
                         'Content-Type': 'application/json',
                     },
@@ -147,10 +229,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 const data = await response.json();
 
                 if (response.ok) {
-                    setAuth(data.token, data.user);
+                    setAuth(data.token, data.user, data.refreshToken);
                     showSuccess('Account created! Please select a tier...');
                     setTimeout(() => {
-                        window.location.href = 'pricing.html?select_tier=true&new_user=true';
+                        window.location.href = pendingInviteUrl() || 'pricing.html?select_tier=true&new_user=true';
                     }, 1000);
                 } else {
                     showError(data.error || 'Signup failed. Please try again.');
@@ -161,8 +243,68 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
     }
+
+    // Dev sign-in buttons
+    if (document.getElementById('devLogin')) {
+        loadDevLogin();
+    }
 });
 
+// Show dev sign-in buttons when the backend runs in dev mode (the route 404s otherwise)
+async function loadDevLogin() {
+    const devLogin = document.getElementById('devLogin');
+    const buttons = document.getElementById('devLoginButtons');
+
+    try {
+        const response = await fetch(`${API_URL}/api/dev/users`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        buttons.innerHTML = '';
+        data.users.forEach(devUser => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'auth-button';
+            button.textContent = devUser.name;
+            button.title = devUser.email;
+            button.addEventListener('click', () => devLoginAs(devUser.key));
+            buttons.appendChild(button);
+        });
+        devLogin.style.display = 'block';
+    } catch (error) {
+        // Backend unreachable or not in dev mode: keep the panel hidden
+    }
+}
+
+async function devLoginAs(key) {
+    hideMessages();
+
+    try {
+        const response = await fetch(`${API_URL}/api/dev/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ user: key })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            setAuth(data.token, data.user, data.refreshToken);
+            showSuccess(`Signed in as ${data.user.name}. Redirecting...`);
+            setTimeout(() => {
+                window.location.href = pendingInviteUrl() || (data.user.tier ? 'dashboard.html' : 'pricing.html?select_tier=true');
+            }, 500);
+        } else {
+            showError(data.error || 'Dev sign-in failed.');
+        }
+    } catch (error) {
+        console.error('Dev login error:', error);
+        showError('Failed to connect to server. Please try again.');
+    }
+}
+
 function showError(message) {
     const errorDiv = document.getElementById('errorMessage');
     const successDiv = document.getElementById('successMessage');
@@ -190,8 +332,41 @@ function hideMessages() {
     if (successDiv) successDiv.classList.remove('show');
 }
 
-// Logout function
-function logout() {
+// Logout function: revoke this device's session, then clear local auth
+async function logout() {
+    const refreshToken = localStorage.getItem('tonr_refresh_token');
+    if (refreshToken) {
+        try {
+            await fetch(`${API_URL}/api/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+
+    clearAuth();
+    window.location.href = 'login.html';
+}
+
+// Sign out of all devices: revoke every session of this account
+async function logoutEverywhere() {
+    try {
+        const response = await authFetch(`${API_URL}/api/auth/logout-all`, { method: 'POST' });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to sign out of all devices');
+        }
+    } catch (error) {
+        console.error('Logout everywhere error:', error);
+        alert(error.message);
+        return;
+    }
+
     clearAuth();
     window.location.href = 'login.html';
 }
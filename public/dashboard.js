@@ -6,10 +6,33 @@ let transcriptText = '';
 let speechChunks = [];
 let pauseCount = 0;
 let lastSpeechTime = 0;
+let recordingStartTime = 0;
+let recordingDurationSeconds = null;
+
+// Timing captured from recognition events for pacing analysis (times in ms since recording start)
+let timingChunks = [];
+let pendingResults = {}; // result index -> { start, revisions, lastText } until the result is final
+
+// MediaRecorder fallback for browsers without speech recognition (Firefox, Safari)
+let useAudioUpload = false;
+let mediaRecorder = null;
+let audioChunks = [];
+const AUDIO_MIME_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/wav'];
 const PAUSE_THRESHOLD = 1000; // 1 second pause threshold
 
 let userTier = 'free';
-let usageData = { tier: 'free', usageCount: 0, limit: 3, remaining: 3, canUse: true };
+let usageData = { tier: 'free', planName: 'Free', usageCount: 0, limit: 3, remaining: 3, canUse: true, entitlements: { tonalities: ['neutral'], customTonalities: false } };
+
+let historyPage = 1;
+const HISTORY_PAGE_SIZE = 10;
+
+let customTonalities = [];
+let editingTonalityId = null;
+
+// Practice scenarios and the drill being recorded ({ drillId, scenario } or null for free-form)
+let practiceScenarios = [];
+let currentDrill = null;
+let drillTimerId = null;
 
 // Initialize Speech Recognition
 function initSpeechRecognition() {
@@ -27,6 +50,8 @@ function initSpeechRecognition() {
             speechChunks = [];
             pauseCount = 0;
             lastSpeechTime = Date.now();
+            // Result indexes start again from 0 when recognition restarts
+            pendingResults = {};
         };
 
         recognition.onresult = (event) => {
@@ -53,6 +78,7 @@ function initSpeechRecognition() {
                 } else {
                     interimTranscript += transcript;
                 }
+                trackResultTiming(i, transcript, event.results[i].isFinal, currentTime);
             }
 
             if (finalTranscript) {
@@ -96,11 +122,136 @@ function initSpeechRecognition() {
                 }
             }
         };
+    } else if (navigator.mediaDevices && window.MediaRecorder) {
+        // Record audio and transcribe it on the server instead
+        useAudioUpload = true;
     } else {
         showError('Speech recognition is not supported in your browser. Please use Chrome or Edge.');
     }
 }
 
+function getSupportedAudioMimeType() {
+    return AUDIO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+async function startAudioRecording() {
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const mimeType = getSupportedAudioMimeType();
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        mediaRecorder = recorder;
+        audioChunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                audioChunks.push(event.data);
+            }
+        };
+
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            const audio = new Blob(audioChunks, { type: recorder.mimeType || mimeType });
+            transcribeAudio(audio);
+        };
+
+        recorder.start();
+        isRecording = true;
+        recordingStartTime = Date.now();
+        recordingDurationSeconds = null;
+        timingChunks = [];
+        speechChunks = [];
+        updateRecordButton(true);
+        updateTranscript();
+    } catch (e) {
+        console.error('Error starting audio recording:', e);
+        showError('Could not access your microphone. Please check permissions and try again.');
+    }
+}
+
+// Upload recorded audio to the backend, then analyze the returned transcript
+async function transcribeAudio(audio) {
+    const transcriptContent = document.getElementById('transcriptContent');
+    transcriptContent.textContent = 'Transcribing your recording...';
+    transcriptContent.classList.add('empty');
+
+    try {
+        const backendUrl = window.BACKEND_URL || (window.location.hostname === 'localhost' ? 'http://localhost:3000' : '');
+        const token = localStorage.getItem('tonr_token');
+        const headers = {
+            // Strip codec parameters, e.g. "audio/webm;codecs=opus"
+            'Content-Type': audio.type.split(';')[0] || 'audio/webm'
+        };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        const response = await authFetch(`${backendUrl}/api/transcribe`, {
+            method: 'POST',
+            headers: headers,
+            body: audio
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+            throw new Error(errorData.error || `API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        speechChunks = data.transcript ? [{ type: 'speech', text: data.transcript, timestamp: Date.now() }] : [];
+        if (data.durationSeconds != null) {
+            recordingDurationSeconds = data.durationSeconds;
+        }
+        timingChunks = data.timing ? data.timing.chunks : [];
+        updateTranscript();
+
+        if (transcriptText.trim().length > 0) {
+            analyzeTranscript();
+        } else {
+            showError('No speech detected. Please try recording again.');
+        }
+    } catch (error) {
+        console.error('Transcription error:', error);
+        updateTranscript();
+        showError('Failed to transcribe recording. Please try again.');
+    }
+}
+
+// Record when each recognition result started and finished, and how often its interim text was revised
+function trackResultTiming(index, transcript, isFinal, currentTime) {
+    const elapsed = currentTime - recordingStartTime;
+    if (!pendingResults[index]) {
+        pendingResults[index] = { start: elapsed, revisions: 0, lastText: '' };
+    }
+    const pending = pendingResults[index];
+
+    if (!isFinal) {
+        if (pending.lastText && pending.lastText !== transcript) {
+            pending.revisions++;
+        }
+        pending.lastText = transcript;
+        return;
+    }
+
+    const text = transcript.trim();
+    timingChunks.push({
+        start: pending.start,
+        end: elapsed,
+        text: text,
+        words: text.split(/\s+/).filter(Boolean).length,
+        revisions: pending.revisions
+    });
+    delete pendingResults[index];
+}
+
+function getTimingPayload() {
+    if (timingChunks.length === 0) return null;
+    return {
+        durationMs: recordingDurationSeconds != null ? recordingDurationSeconds * 1000 : null,
+        chunks: timingChunks
+    };
+}
+
 function updateRecordButton(recording) {
     const button = document.getElementById('recordButton');
     const buttonText = document.getElementById('recordButtonText');
@@ -138,12 +289,23 @@ function updateTranscript() {
 }
 
 function startRecording() {
-    if (!recognition) {
+    if (!recognition && !useAudioUpload) {
         initSpeechRecognition();
     }
+
+    if (useAudioUpload) {
+        if (!isRecording) {
+            startAudioRecording();
+        }
+        return;
+    }
     
     if (recognition && !isRecording) {
         try {
+            recordingStartTime = Date.now();
+            recordingDurationSeconds = null;
+            timingChunks = [];
+            pendingResults = {};
             recognition.start();
         } catch (e) {
             console.error('Error starting recognition:', e);
@@ -155,6 +317,21 @@ function startRecording() {
 function stopRecording() {
     isRecording = false;
     updateRecordButton(false);
+    stopDrillTimer();
+
+    if (recordingStartTime) {
+        recordingDurationSeconds = Math.round((Date.now() - recordingStartTime) / 1000);
+        recordingStartTime = 0;
+    }
+
+    // Audio fallback: transcription and analysis continue in mediaRecorder.onstop
+    if (mediaRecorder) {
+        if (mediaRecorder.state !== 'inactive') {
+            mediaRecorder.stop();
+        }
+        mediaRecorder = null;
+        return;
+    }
     
     if (recognition) {
         recognition.stop();
@@ -201,9 +378,18 @@ async function analyzeTranscript() {
 
     try {
         // Note: In production, this should call your backend API which has the OpenAI API key
-        const response = await fetchOpenAIAnalysis(transcriptText, selectedTonality);
+        // Stream partial results where the browser supports reading response bodies
+        const canStream = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+        const response = canStream
+            ? await fetchStreamingAnalysis(transcriptText, selectedTonality, (partial) => {
+                loadingDiv.style.display = 'none';
+                displayAnalysis(partial);
+            })
+            : await fetchOpenAIAnalysis(transcriptText, selectedTonality);
         
         displayAnalysis(response);
+        loadSessionHistory(true);
+        loadProgress();
     } catch (error) {
         console.error('Analysis error:', error);
         showError('Failed to analyze transcript. Please try again.');
@@ -220,26 +406,20 @@ async function fetchOpenAIAnalysis(transcript, tonality) {
         // Backend API call - update the URL to match your backend
         // In production, set this to your actual backend URL
         const backendUrl = window.BACKEND_URL || (window.location.hostname === 'localhost' ? 'http://localhost:3000' : '');
-        
-        // Check if localhost - skip auth for localhost
-        const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-        
-        // Get auth token (optional for localhost)
-        const token = localStorage.getItem('tonr_token');
         const headers = {
             'Content-Type': 'application/json'
         };
-        
-        if (token && !isLocalhost) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
 
-        const response = await fetch(`${backendUrl}/api/analyze-speech`, {
+        const response = await authFetch(`${backendUrl}/api/analyze-speech`, {
             method: 'POST',
             headers: headers,
             body: JSON.stringify({ 
                 transcript: transcript,
-                tonality: tonality
+                tonality: tonality,
+                durationSeconds: recordingDurationSeconds,
+                timing: getTimingPayload(),
+                scenarioId: currentDrill ? currentDrill.scenario.id : undefined,
+                drillId: currentDrill && currentDrill.drillId ? currentDrill.drillId : undefined
             })
         });
 
@@ -255,21 +435,92 @@ async function fetchOpenAIAnalysis(transcript, tonality) {
     }
 }
 
+// Streaming analysis over Server-Sent Events. Calls onPartial with { rating, feedback } as
+// they arrive and resolves with the complete analysis.
+async function fetchStreamingAnalysis(transcript, tonality, onPartial) {
+    const backendUrl = window.BACKEND_URL || (window.location.hostname === 'localhost' ? 'http://localhost:3000' : '');
+    const token = localStorage.getItem('tonr_token');
+    const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+    };
+
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await authFetch(`${backendUrl}/api/analyze-speech/stream`, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({ 
+            transcript: transcript,
+            tonality: tonality,
+            durationSeconds: recordingDurationSeconds,
+            timing: getTimingPayload(),
+            scenarioId: currentDrill ? currentDrill.scenario.id : undefined,
+            drillId: currentDrill && currentDrill.drillId ? currentDrill.drillId : undefined
+        })
+    });
+
+    // Tier and usage errors come back as regular JSON before the stream starts
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(errorData.error || `API error: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const partial = { rating: null, feedback: [], metrics: null };
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const event = (frame.match(/^event: (.*)$/m) || [])[1];
+            const dataLine = (frame.match(/^data: (.*)$/m) || [])[1];
+            if (!event || !dataLine) continue;
+            const data = JSON.parse(dataLine);
+
+            if (event === 'metrics') {
+                partial.metrics = data;
+                onPartial(partial);
+            } else if (event === 'rating') {
+                partial.rating = data.rating;
+                onPartial(partial);
+            } else if (event === 'feedback') {
+                partial.feedback[data.index] = data.text;
+                onPartial(partial);
+            } else if (event === 'done') {
+                return data;
+            } else if (event === 'error') {
+                throw new Error(data.error || 'Analysis failed');
+            }
+        }
+    }
+
+    throw new Error('Analysis stream ended unexpectedly');
+}
+
+// Render an analysis. Also used for partial results while streaming (rating may still be null).
 function displayAnalysis(data) {
     const ratingNumber = document.getElementById('ratingNumber');
     const feedbackList = document.getElementById('feedbackList');
     const ratingDisplay = document.getElementById('ratingDisplay');
     
     // Display rating
-    ratingNumber.textContent = data.rating;
-    
-    // Color code the rating
-    if (data.rating >= 80) {
-        ratingNumber.style.color = '#4ade80'; // green
-    } else if (data.rating >= 60) {
-        ratingNumber.style.color = '#fbbf24'; // yellow
+    if (data.rating == null) {
+        ratingNumber.textContent = '…';
+        ratingNumber.style.color = '';
     } else {
-        ratingNumber.style.color = '#f87171'; // red
+        ratingNumber.textContent = data.rating;
+        ratingNumber.style.color = getRatingColor(data.rating);
     }
     
     // Display feedback
@@ -282,26 +533,939 @@ function displayAnalysis(data) {
         });
     }
     
+    displayMetrics(data.metrics);
+    displayScenarioResult(data.scenario, data.scenarioId, data.rubric);
+    displayPacing(data.metrics ? data.metrics.pacing : null);
+    displayRefined(data.refined, data.changes);
+    // Fresh analyses carry sessionId, stored sessions id; partial results have neither
+    loadCoachFeedback(data.sessionId || data.id || null);
+
     ratingDisplay.style.display = 'block';
 }
 
-async function checkUsage() {
-    // Skip usage check for localhost
-    const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-    if (isLocalhost) {
-        // Set default values for localhost - full access
-        usageData = { tier: 'pro', usageCount: 0, limit: 'unlimited', remaining: 'unlimited', canUse: true };
-        userTier = 'pro';
+// Show the objective speech metrics computed by the backend
+function displayMetrics(metrics) {
+    const metricsGrid = document.getElementById('metricsGrid');
+    if (!metricsGrid) return;
+
+    metricsGrid.innerHTML = '';
+    if (!metrics) {
+        metricsGrid.style.display = 'none';
+        return;
+    }
+
+    const items = [
+        ['Filler words', metrics.fillerCount, `${metrics.fillerRate} per 100 words`],
+        ['Pauses', metrics.pauseCount, `${metrics.totalPauseSeconds}s total`],
+        ['Pace', metrics.wordsPerMinute != null ? metrics.wordsPerMinute : '–', 'words per minute'],
+        ['Hedging', metrics.hedgingCount, metrics.hedgingPhrases.map(entry => `"${entry.phrase}"`).join(', ') || 'none'],
+        ['Questions', metrics.questionCount, `${Math.round(metrics.questionRatio * 100)}% of sentences`]
+    ];
+
+    items.forEach(([label, value, detail]) => {
+        const item = document.createElement('div');
+        item.className = 'metric-item';
+        const valueEl = document.createElement('div');
+        valueEl.className = 'metric-value';
+        valueEl.textContent = value;
+        const labelEl = document.createElement('div');
+        labelEl.className = 'metric-label';
+        labelEl.textContent = label;
+        const detailEl = document.createElement('div');
+        detailEl.className = 'metric-detail';
+        detailEl.textContent = detail;
+        item.appendChild(valueEl);
+        item.appendChild(labelEl);
+        item.appendChild(detailEl);
+        metricsGrid.appendChild(item);
+    });
+
+    metricsGrid.style.display = 'grid';
+}
+
+// Pacing timeline: one bar per time window (height = words per minute, color = pace)
+// with long pauses marked where the speaker stalled
+const PACE_COLORS = { rushed: '#f87171', steady: '#4ade80', slow: '#fbbf24', silent: 'rgba(255, 255, 255, 0.1)' };
+
+function displayPacing(pacing) {
+    const pacingSection = document.getElementById('pacingSection');
+    const svg = document.getElementById('pacingChart');
+    const pauseList = document.getElementById('pacingPauses');
+    if (!pacingSection) return;
+
+    svg.innerHTML = '';
+    pauseList.innerHTML = '';
+    if (!pacing || pacing.windows.length === 0) {
+        pacingSection.style.display = 'none';
+        return;
+    }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const maxWpm = Math.max(200, ...pacing.windows.map(w => w.wordsPerMinute));
+    const secondsToX = seconds => CHART_PADDING.left + (seconds / pacing.durationSeconds) * plotWidth;
+
+    drawChartAxis(svg, [0, Math.round(maxWpm / 2), maxWpm], maxWpm);
+
+    pacing.windows.forEach(window => {
+        const height = (window.wordsPerMinute / maxWpm) * plotHeight;
+        const bar = createSvgElement('rect', {
+            x: secondsToX(window.start) + 1,
+            y: CHART_PADDING.top + plotHeight - height,
+            width: Math.max(1, secondsToX(window.end) - secondsToX(window.start) - 2),
+            height: height,
+            fill: PACE_COLORS[window.pace]
+        });
+        const title = createSvgElement('title', {});
+        title.textContent = `${window.start}–${window.end}s · ${window.wordsPerMinute} wpm · ${window.pace}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+
+        const label = createSvgElement('text', { class: 'axis-label', x: secondsToX(window.start) + 2, y: CHART_HEIGHT - 4 });
+        label.textContent = `${window.start}s`;
+        svg.appendChild(label);
+    });
+
+    pacing.longPauses.forEach(pause => {
+        const x = secondsToX(pause.atSeconds + pause.durationSeconds / 2);
+        svg.appendChild(createSvgElement('line', {
+            x1: x, x2: x, y1: CHART_PADDING.top, y2: CHART_PADDING.top + plotHeight,
+            stroke: '#60a5fa', 'stroke-width': 2, 'stroke-dasharray': '4 3'
+        }));
+
+        const li = document.createElement('li');
+        li.textContent = `${pause.durationSeconds}s pause at ${pause.atSeconds}s${pause.after ? ` after "${pause.after}"` : ''}`;
+        pauseList.appendChild(li);
+    });
+
+    pacingSection.style.display = 'block';
+}
+
+// Show the refined rewrite and a sentence-by-sentence diff of what changed
+function displayRefined(refined, changes) {
+    const refinedSection = document.getElementById('refinedSection');
+    const refinedText = document.getElementById('refinedText');
+    const changeList = document.getElementById('changeList');
+    if (!refinedSection) return;
+
+    changeList.innerHTML = '';
+    if (!refined) {
+        refinedSection.style.display = 'none';
+        return;
+    }
+
+    refinedText.textContent = refined;
+
+    (changes || []).forEach(change => {
+        const diff = diffWords(change.original, change.refined);
+        const item = document.createElement('div');
+        item.className = 'change-item';
+
+        item.appendChild(renderDiffLine('change-original', '−', diff.filter(part => part.type !== 'added'), 'removed'));
+        if (change.refined) {
+            item.appendChild(renderDiffLine('change-refined', '+', diff.filter(part => part.type !== 'removed'), 'added'));
+        }
+
+        if (change.reason) {
+            const reason = document.createElement('div');
+            reason.className = 'change-reason';
+            reason.textContent = change.reason;
+            item.appendChild(reason);
+        }
+
+        changeList.appendChild(item);
+    });
+
+    refinedSection.style.display = 'block';
+}
+
+function renderDiffLine(className, marker, parts, highlightType) {
+    const line = document.createElement('div');
+    line.className = className;
+
+    const markerSpan = document.createElement('span');
+    markerSpan.className = 'change-marker';
+    markerSpan.textContent = marker;
+    line.appendChild(markerSpan);
+
+    const text = document.createElement('span');
+    parts.forEach((part, i) => {
+        const span = document.createElement('span');
+        span.textContent = (i > 0 ? ' ' : '') + part.text;
+        if (part.type === highlightType) {
+            span.className = `diff-${highlightType}`;
+        }
+        text.appendChild(span);
+    });
+    line.appendChild(text);
+    return line;
+}
+
+// Word-level diff (longest common subsequence), returns [{ type: 'same' | 'removed' | 'added', text }]
+function diffWords(original, refined) {
+    const a = (original || '').split(/\s+/).filter(Boolean);
+    const b = (refined || '').split(/\s+/).filter(Boolean);
+    const normalize = word => word.toLowerCase().replace(/[^a-z0-9']/g, '');
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = normalize(a[i]) === normalize(b[j])
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (normalize(a[i]) === normalize(b[j])) {
+            parts.push({ type: 'same', text: b[j] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            parts.push({ type: 'removed', text: a[i++] });
+        } else {
+            parts.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) parts.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) parts.push({ type: 'added', text: b[j++] });
+    return parts;
+}
+
+// Color code a rating: green, yellow or red
+function getRatingColor(rating) {
+    if (rating >= 80) return '#4ade80';
+    if (rating >= 60) return '#fbbf24';
+    return '#f87171';
+}
+
+// Call the backend with the stored auth token (refreshed by authFetch when it expires),
+// throws with the server's error message
+async function apiRequest(path, options = {}) {
+    const backendUrl = window.BACKEND_URL || (window.location.hostname === 'localhost' ? 'http://localhost:3000' : '');
+    const headers = Object.assign({}, options.headers);
+
+    if (options.body && !headers['Content-Type']) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await authFetch(`${backendUrl}${path}`, Object.assign({}, options, { headers }));
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(errorData.error || `API error: ${response.status}`);
+    }
+
+    return await response.json();
+}
+
+// Load past analyses into the history panel (reset = start again from page 1)
+async function loadSessionHistory(reset) {
+    const historyList = document.getElementById('historyList');
+    const historyEmpty = document.getElementById('historyEmpty');
+    const historyMoreBtn = document.getElementById('historyMoreBtn');
+    const tonalityFilter = document.getElementById('historyTonalityFilter');
+    if (!historyList) return;
+
+    if (reset) {
+        historyPage = 1;
+        historyList.innerHTML = '';
+    }
+
+    const params = new URLSearchParams({ page: historyPage, limit: HISTORY_PAGE_SIZE });
+    if (tonalityFilter && tonalityFilter.value) {
+        params.set('tonality', tonalityFilter.value);
+    }
+
+    try {
+        const data = await apiRequest(`/api/user/sessions?${params.toString()}`);
+
+        data.sessions.forEach(session => {
+            historyList.appendChild(renderHistoryItem(session));
+        });
+
+        historyEmpty.style.display = historyList.children.length === 0 ? 'block' : 'none';
+        historyMoreBtn.style.display = data.hasMore ? 'block' : 'none';
+        historyPage = data.page + 1;
+    } catch (error) {
+        console.error('History load error:', error);
+        historyEmpty.style.display = historyList.children.length === 0 ? 'block' : 'none';
+        historyMoreBtn.style.display = 'none';
+    }
+}
+
+function renderHistoryItem(session) {
+    const li = document.createElement('li');
+    li.className = 'history-item';
+    li.dataset.sessionId = session.id;
+
+    const info = document.createElement('div');
+    const tonality = document.createElement('div');
+    tonality.className = 'history-tonality';
+    tonality.textContent = session.tonality;
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = new Date(session.createdAt).toLocaleString();
+    info.appendChild(tonality);
+    info.appendChild(meta);
+
+    const rating = document.createElement('div');
+    rating.className = 'history-rating';
+    rating.textContent = session.rating ?? '–';
+    if (session.rating) {
+        rating.style.color = getRatingColor(session.rating);
+    }
+
+    li.appendChild(info);
+    li.appendChild(rating);
+    li.addEventListener('click', () => openSession(session.id));
+    return li;
+}
+
+// Reopen a past analysis: show its transcript and results
+async function openSession(sessionId) {
+    try {
+        const session = await apiRequest(`/api/user/sessions/${encodeURIComponent(sessionId)}`);
+
+        document.querySelectorAll('.history-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.sessionId === sessionId);
+        });
+
+        const transcriptContent = document.getElementById('transcriptContent');
+        transcriptText = session.transcript || '';
+        transcriptContent.textContent = transcriptText || 'No transcript stored for this session.';
+        transcriptContent.classList.toggle('empty', !transcriptText);
+
+        displayAnalysis(session);
+    } catch (error) {
+        console.error('Open session error:', error);
+        showError('Failed to load session. Please try again.');
+    }
+}
+
+// Coach review: share the open session with a coach and show their ratings and comments
+let coachSessionId = null;
+
+function showCoachMessage(message, type) {
+    const coachMessage = document.getElementById('coachMessage');
+    coachMessage.textContent = message;
+    coachMessage.className = `modal-message ${type}`;
+    coachMessage.style.display = 'block';
+}
+
+// Show the coach section for a stored session (null hides it, e.g. while an analysis streams)
+async function loadCoachFeedback(sessionId) {
+    const coachSection = document.getElementById('coachSection');
+    if (!coachSection) return;
+
+    if (sessionId !== coachSessionId) {
+        document.getElementById('coachLink').style.display = 'none';
+        document.getElementById('coachMessage').style.display = 'none';
+        document.getElementById('coachShares').innerHTML = '';
+    }
+    coachSessionId = sessionId || null;
+    if (!coachSessionId) {
+        coachSection.style.display = 'none';
+        return;
+    }
+    coachSection.style.display = 'block';
+
+    try {
+        const data = await apiRequest(`/api/user/sessions/${encodeURIComponent(sessionId)}/shares`);
+        if (sessionId !== coachSessionId) return;
+        renderCoachShares(data.shares, data.comments);
+    } catch (error) {
+        console.error('Coach feedback load error:', error);
+    }
+}
+
+function renderCoachShares(shares, comments) {
+    const container = document.getElementById('coachShares');
+    container.innerHTML = '';
+
+    shares.slice().reverse().forEach(share => {
+        const block = document.createElement('div');
+        block.className = 'coach-share';
+
+        const header = document.createElement('div');
+        header.className = 'coach-share-header';
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.textContent = share.coachRating != null
+            ? `${share.coachName} · rated ${share.coachRating}/100`
+            : share.coachName;
+        const meta = document.createElement('div');
+        meta.className = 'coach-share-meta';
+        meta.textContent = share.active
+            ? `Link active until ${new Date(share.expiresAt).toLocaleDateString()}`
+            : 'Link turned off';
+        info.appendChild(name);
+        info.appendChild(meta);
+        header.appendChild(info);
+
+        if (share.active) {
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'modal-btn modal-btn-secondary';
+            revokeBtn.textContent = 'Turn off link';
+            revokeBtn.addEventListener('click', () => revokeCoachShare(share));
+            header.appendChild(revokeBtn);
+        }
+        block.appendChild(header);
+
+        const thread = document.createElement('ul');
+        thread.className = 'coach-thread';
+        comments.filter(comment => comment.shareId === share.id).forEach(comment => {
+            thread.appendChild(renderCoachComment(comment, share.coachName));
+        });
+        block.appendChild(thread);
+
+        if (share.active) {
+            const reply = document.createElement('textarea');
+            reply.placeholder = `Reply to ${share.coachName}`;
+            reply.maxLength = 2000;
+            const replyBtn = document.createElement('button');
+            replyBtn.className = 'modal-btn modal-btn-primary';
+            replyBtn.style.marginTop = '8px';
+            replyBtn.textContent = 'Reply';
+            replyBtn.addEventListener('click', () => replyToCoach(share, reply));
+            block.appendChild(reply);
+            block.appendChild(replyBtn);
+        }
+
+        container.appendChild(block);
+    });
+}
+
+function renderCoachComment(comment, coachName) {
+    const li = document.createElement('li');
+    li.className = 'coach-comment';
+
+    const author = document.createElement('div');
+    author.className = 'coach-comment-author';
+    author.textContent = `${comment.author === 'coach' ? coachName : 'You'} · ${new Date(comment.createdAt).toLocaleString()}`;
+    if (comment.atSeconds != null) {
+        author.textContent += ` · at ${formatSeconds(Math.floor(comment.atSeconds))}`;
+    }
+
+    const body = document.createElement('div');
+    body.textContent = comment.body;
+
+    li.appendChild(author);
+    li.appendChild(body);
+    return li;
+}
+
+async function shareWithCoach() {
+    const coachNameInput = document.getElementById('coachNameInput');
+    const coachName = coachNameInput.value.trim();
+    if (!coachSessionId || !coachName) {
+        showCoachMessage('Enter your coach\'s name', 'error');
+        return;
+    }
+
+    try {
+        const data = await apiRequest(`/api/user/sessions/${encodeURIComponent(coachSessionId)}/shares`, {
+            method: 'POST',
+            body: JSON.stringify({ coachName })
+        });
+
+        coachNameInput.value = '';
+        const coachLink = document.getElementById('coachLink');
+        coachLink.textContent = `Send this link to ${coachName} (it is only shown once): ${data.url}`;
+        coachLink.style.display = 'block';
+        document.getElementById('coachMessage').style.display = 'none';
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(data.url).catch(() => {});
+        }
+        loadCoachFeedback(coachSessionId);
+    } catch (error) {
+        showCoachMessage(error.message, 'error');
+    }
+}
+
+async function revokeCoachShare(share) {
+    if (!confirm(`Turn off ${share.coachName}'s link? Their comments stay here.`)) return;
+
+    try {
+        await apiRequest(`/api/user/sessions/${encodeURIComponent(coachSessionId)}/shares/${encodeURIComponent(share.id)}`, {
+            method: 'DELETE'
+        });
+        loadCoachFeedback(coachSessionId);
+    } catch (error) {
+        showCoachMessage(error.message, 'error');
+    }
+}
+
+async function replyToCoach(share, textarea) {
+    const body = textarea.value.trim();
+    if (!body) return;
+
+    try {
+        await apiRequest(`/api/user/sessions/${encodeURIComponent(coachSessionId)}/shares/${encodeURIComponent(share.id)}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body })
+        });
+        loadCoachFeedback(coachSessionId);
+    } catch (error) {
+        showCoachMessage(error.message, 'error');
+    }
+}
+
+// Unread coach feedback, shown above the history list. Clicking one opens the session.
+async function loadNotifications() {
+    const list = document.getElementById('coachNotifications');
+    if (!list) return;
+
+    try {
+        const data = await apiRequest('/api/user/notifications?unread=true');
+        list.innerHTML = '';
+        data.notifications.forEach(notification => {
+            const li = document.createElement('li');
+            li.className = 'coach-notification';
+            li.textContent = notification.message;
+            li.addEventListener('click', async () => {
+                li.remove();
+                await apiRequest('/api/user/notifications/read', {
+                    method: 'POST',
+                    body: JSON.stringify({ ids: [notification.id] })
+                }).catch(error => console.error('Notification update error:', error));
+                if (notification.sessionId) {
+                    openSession(notification.sessionId);
+                }
+            });
+            list.appendChild(li);
+        });
+    } catch (error) {
+        console.error('Notifications load error:', error);
+    }
+}
+
+// Progress charts (plain SVG, no chart library)
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 30 };
+
+function createSvgElement(tag, attributes) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+}
+
+// Draw horizontal gridlines with labels for the given y values
+function drawChartAxis(svg, values, maxValue) {
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    values.forEach(value => {
+        const y = CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+        svg.appendChild(createSvgElement('line', {
+            class: 'axis', x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right, y1: y, y2: y
+        }));
+        const label = createSvgElement('text', { class: 'axis-label', x: 0, y: y + 3 });
+        label.textContent = value;
+        svg.appendChild(label);
+    });
+}
+
+function renderRatingChart(svg, sessions) {
+    svg.innerHTML = '';
+    drawChartAxis(svg, [0, 50, 100], 100);
+
+    const rated = sessions.filter(s => typeof s.rating === 'number');
+    if (rated.length === 0) return;
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const step = rated.length > 1 ? plotWidth / (rated.length - 1) : 0;
+
+    const points = rated.map((session, i) => ({
+        x: CHART_PADDING.left + (rated.length > 1 ? i * step : plotWidth / 2),
+        y: CHART_PADDING.top + plotHeight - (session.rating / 100) * plotHeight,
+        session
+    }));
+
+    svg.appendChild(createSvgElement('polyline', {
+        class: 'rating-line',
+        points: points.map(p => `${p.x},${p.y}`).join(' ')
+    }));
+
+    points.forEach(p => {
+        const circle = createSvgElement('circle', { class: 'rating-point', cx: p.x, cy: p.y, r: 3 });
+        const title = createSvgElement('title', {});
+        title.textContent = `${new Date(p.session.createdAt).toLocaleDateString()} · ${p.session.tonality} · ${p.session.rating}`;
+        circle.appendChild(title);
+        svg.appendChild(circle);
+    });
+}
+
+function renderMarkersChart(svg, sessions) {
+    svg.innerHTML = '';
+    const maxCount = Math.max(1, ...sessions.map(s => Math.max(s.fillerCount, s.pauseCount)));
+    drawChartAxis(svg, [0, Math.ceil(maxCount / 2), maxCount], maxCount);
+
+    if (sessions.length === 0) return;
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const slot = plotWidth / sessions.length;
+    const barWidth = Math.max(1, slot / 2 - 1);
+
+    sessions.forEach((session, i) => {
+        const x = CHART_PADDING.left + i * slot;
+        [['filler-bar', session.fillerCount, 0], ['pause-bar', session.pauseCount, barWidth]].forEach(([cls, count, offset]) => {
+            const height = (count / maxCount) * plotHeight;
+            const bar = createSvgElement('rect', {
+                class: cls,
+                x: x + offset,
+                y: CHART_PADDING.top + plotHeight - height,
+                width: barWidth,
+                height: height
+            });
+            const title = createSvgElement('title', {});
+            title.textContent = `${new Date(session.createdAt).toLocaleDateString()} · ${session.fillerCount} filler words · ${session.pauseCount} pauses`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+    });
+}
+
+function renderProgressWindows(table, windows) {
+    const tbody = table.querySelector('tbody');
+    const windowKeys = ['7d', '30d', '90d'];
+    const tonalities = new Set();
+    windowKeys.forEach(key => Object.keys(windows[key]?.byTonality || {}).forEach(t => tonalities.add(t)));
+
+    tbody.innerHTML = '';
+    const rows = [['All', key => windows[key]]].concat(
+        Array.from(tonalities).map(t => [t, key => windows[key]?.byTonality?.[t]])
+    );
+
+    rows.forEach(([label, getStats]) => {
+        const tr = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        labelCell.textContent = label;
+        tr.appendChild(labelCell);
+        windowKeys.forEach(key => {
+            const td = document.createElement('td');
+            const stats = getStats(key);
+            td.textContent = stats && stats.averageRating != null ? `${stats.averageRating} (${stats.sessionCount})` : '–';
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+}
+
+async function loadProgress() {
+    const panel = document.getElementById('progressPanel');
+    if (!panel) return;
+
+    try {
+        const data = await apiRequest('/api/user/progress');
+
+        document.getElementById('progressTotalSessions').textContent = data.allTime.totalSessions;
+        document.getElementById('progressAverageRating').textContent = data.allTime.averageRating ?? '–';
+
+        const hasSessions = data.sessions.length > 0;
+        document.getElementById('progressEmpty').style.display = hasSessions ? 'none' : 'block';
+        document.getElementById('progressCharts').style.display = hasSessions ? 'block' : 'none';
+
+        if (hasSessions) {
+            renderRatingChart(document.getElementById('progressRatingChart'), data.sessions);
+            renderMarkersChart(document.getElementById('progressMarkersChart'), data.sessions);
+            renderProgressWindows(document.getElementById('progressWindowsTable'), data.windows);
+        }
+    } catch (error) {
+        console.error('Progress load error:', error);
+        document.getElementById('progressEmpty').style.display = 'block';
+        document.getElementById('progressCharts').style.display = 'none';
+    }
+}
+
+// Practice scenarios: fill the scenario picker
+async function loadScenarios() {
+    const scenarioSelect = document.getElementById('scenarioSelect');
+    if (!scenarioSelect) return;
+
+    try {
+        const data = await apiRequest('/api/scenarios');
+        practiceScenarios = data.scenarios;
+        practiceScenarios.forEach(scenario => {
+            scenarioSelect.appendChild(new Option(`${scenario.title} (${formatSeconds(scenario.timeLimitSeconds)})`, scenario.id));
+        });
+    } catch (error) {
+        console.error('Scenarios load error:', error);
+    }
+}
+
+function formatSeconds(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getSelectedScenario() {
+    const scenarioSelect = document.getElementById('scenarioSelect');
+    return practiceScenarios.find(s => s.id === (scenarioSelect && scenarioSelect.value)) || null;
+}
+
+// Show the selected scenario's prompt and goals, and switch to its target tonality when allowed
+function showScenarioDetails() {
+    const scenario = getSelectedScenario();
+    const scenarioDetails = document.getElementById('scenarioDetails');
+
+    if (!scenario) {
+        scenarioDetails.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('scenarioPrompt').textContent = `"${scenario.prompt}"`;
+    document.getElementById('scenarioMeta').textContent = `Time limit ${formatSeconds(scenario.timeLimitSeconds)} · Target tonality: ${scenario.tonality}`;
+    const rubricList = document.getElementById('scenarioRubric');
+    rubricList.innerHTML = '';
+    scenario.rubric.forEach(goal => {
+        const li = document.createElement('li');
+        li.textContent = goal;
+        rubricList.appendChild(li);
+    });
+    document.getElementById('drillTimer').style.display = 'none';
+    scenarioDetails.style.display = 'block';
+
+    const tonalitySelect = document.getElementById('tonalitySelect');
+    if (!tonalitySelect.disabled && isTonalityAllowed(scenario.tonality)) {
+        tonalitySelect.value = scenario.tonality;
+    }
+}
+
+// Start a drill for the selected scenario (or clear it for free-form recording)
+async function startDrill() {
+    const scenario = getSelectedScenario();
+    currentDrill = null;
+    if (!scenario) return;
+
+    try {
+        const data = await apiRequest(`/api/scenarios/${encodeURIComponent(scenario.id)}/drills`, { method: 'POST' });
+        currentDrill = { drillId: data.drillId, scenario };
+    } catch (error) {
+        // Still judge the recording against the scenario, just without a drill record
+        console.error('Start drill error:', error);
+        currentDrill = { drillId: null, scenario };
+    }
+
+    startDrillTimer(scenario.timeLimitSeconds);
+}
+
+// Count down the time limit and stop recording when it runs out
+function startDrillTimer(timeLimitSeconds) {
+    const drillTimer = document.getElementById('drillTimer');
+    const startedAt = Date.now();
+    stopDrillTimer();
+
+    const tick = () => {
+        const remaining = Math.max(0, timeLimitSeconds - Math.floor((Date.now() - startedAt) / 1000));
+        drillTimer.textContent = `${formatSeconds(remaining)} remaining`;
+        drillTimer.classList.toggle('over', remaining <= 10);
+        if (remaining === 0) {
+            stopDrillTimer();
+            if (isRecording) stopRecording();
+        }
+    };
+
+    drillTimer.style.display = 'block';
+    tick();
+    drillTimerId = setInterval(tick, 1000);
+}
+
+function stopDrillTimer() {
+    if (drillTimerId) {
+        clearInterval(drillTimerId);
+        drillTimerId = null;
+    }
+}
+
+// Show rubric scores for a drill. Past sessions only carry scenarioId, so the title comes from the library.
+function displayScenarioResult(scenario, scenarioId, rubric) {
+    const scenarioResult = document.getElementById('scenarioResult');
+    if (!scenarioResult) return;
+
+    if (!rubric || rubric.length === 0) {
+        scenarioResult.style.display = 'none';
+        return;
+    }
+
+    const meta = [];
+    const known = practiceScenarios.find(s => s.id === (scenario ? scenario.id : scenarioId));
+    if (known) meta.push(known.title);
+    if (scenario && scenario.durationSeconds != null) {
+        meta.push(`${formatSeconds(scenario.durationSeconds)} of ${formatSeconds(scenario.timeLimitSeconds)}${scenario.withinTimeLimit ? '' : ' (over time)'}`);
+    }
+    document.getElementById('scenarioResultMeta').textContent = meta.join(' · ');
+
+    const rubricList = document.getElementById('rubricList');
+    rubricList.innerHTML = '';
+    rubric.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = item.criterion;
+        const score = document.createElement('span');
+        score.className = 'rubric-score';
+        score.textContent = item.score != null ? `${item.score}/5` : '–';
+        if (item.score != null) score.style.color = getRatingColor(item.score * 20);
+        li.appendChild(score);
+        if (item.note) {
+            const note = document.createElement('div');
+            note.className = 'metric-detail';
+            note.textContent = item.note;
+            li.appendChild(note);
+        }
+        rubricList.appendChild(li);
+    });
+
+    scenarioResult.style.display = 'block';
+}
+
+// Custom tonalities: fill the tonality dropdown and history filter from the API
+async function loadTonalities() {
+    try {
+        const data = await apiRequest('/api/user/tonalities');
+        customTonalities = data.tonalities.filter(t => t.custom);
+
+        const tonalitySelect = document.getElementById('tonalitySelect');
+        const selected = tonalitySelect.value;
+        tonalitySelect.innerHTML = '';
+        data.tonalities.filter(t => !t.custom).forEach(t => {
+            tonalitySelect.appendChild(new Option(`${t.name} → ${t.description}`, t.key));
+        });
+        if (customTonalities.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Your tonalities';
+            customTonalities.forEach(t => group.appendChild(new Option(`${t.name} → ${t.description}`, t.key)));
+            tonalitySelect.appendChild(group);
+        }
+        tonalitySelect.value = data.tonalities.some(t => t.key === selected) ? selected : 'neutral';
+
+        // Sessions store the built-in key or the custom tonality's name
+        const historyTonalityFilter = document.getElementById('historyTonalityFilter');
+        if (historyTonalityFilter) {
+            const filterValue = historyTonalityFilter.value;
+            historyTonalityFilter.innerHTML = '';
+            historyTonalityFilter.appendChild(new Option('All', ''));
+            data.tonalities.forEach(t => {
+                historyTonalityFilter.appendChild(new Option(t.name, t.custom ? t.name : t.key));
+            });
+            historyTonalityFilter.value = filterValue;
+            if (historyTonalityFilter.value !== filterValue) historyTonalityFilter.value = '';
+        }
+
         updateUIForTier();
+        renderTonalityList();
+    } catch (error) {
+        console.error('Tonalities load error:', error);
+    }
+}
+
+function renderTonalityList() {
+    const list = document.getElementById('tonalityList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (customTonalities.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = 'No custom tonalities yet.';
+        list.appendChild(empty);
         return;
     }
 
+    customTonalities.forEach(t => {
+        const li = document.createElement('li');
+        li.className = 'tonality-item';
+        const name = document.createElement('span');
+        name.textContent = t.name;
+
+        const actions = document.createElement('div');
+        actions.className = 'tonality-item-actions';
+        const editBtn = document.createElement('button');
+        editBtn.className = 'modal-btn modal-btn-secondary';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => editTonality(t));
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'modal-btn modal-btn-secondary';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteTonality(t));
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+
+        li.appendChild(name);
+        li.appendChild(actions);
+        list.appendChild(li);
+    });
+}
+
+function showTonalityMessage(message, type) {
+    const tonalityMessage = document.getElementById('tonalityMessage');
+    tonalityMessage.textContent = message;
+    tonalityMessage.className = `modal-message ${type}`;
+    tonalityMessage.style.display = 'block';
+}
+
+// Fill the form with a tonality to edit, or clear it (null) to create a new one
+function editTonality(tonality) {
+    editingTonalityId = tonality ? tonality.id : null;
+    document.getElementById('tonalityFormTitle').textContent = tonality ? `Edit ${tonality.name}` : 'New Tonality';
+    document.getElementById('tonalityName').value = tonality ? tonality.name : '';
+    document.getElementById('tonalityDescription').value = tonality ? tonality.description : '';
+    document.getElementById('tonalityFocus').value = tonality ? tonality.focus : '';
+    document.getElementById('tonalityExamples').value = tonality ? tonality.examplePhrases.join('\n') : '';
+    document.getElementById('tonalityMessage').style.display = 'none';
+}
+
+async function saveTonality() {
+    const body = {
+        name: document.getElementById('tonalityName').value,
+        description: document.getElementById('tonalityDescription').value,
+        focus: document.getElementById('tonalityFocus').value,
+        examplePhrases: document.getElementById('tonalityExamples').value
+            .split('\n')
+            .map(phrase => phrase.trim())
+            .filter(Boolean)
+    };
+
+    try {
+        const path = editingTonalityId
+            ? `/api/user/tonalities/${encodeURIComponent(editingTonalityId)}`
+            : '/api/user/tonalities';
+        await apiRequest(path, {
+            method: editingTonalityId ? 'PUT' : 'POST',
+            body: JSON.stringify(body)
+        });
+
+        editTonality(null);
+        showTonalityMessage('Tonality saved', 'success');
+        await loadTonalities();
+    } catch (error) {
+        showTonalityMessage(error.message, 'error');
+    }
+}
+
+async function deleteTonality(tonality) {
+    if (!confirm(`Delete "${tonality.name}"? Past sessions keep their results.`)) return;
+
+    try {
+        await apiRequest(`/api/user/tonalities/${encodeURIComponent(tonality.id)}`, { method: 'DELETE' });
+        if (editingTonalityId === tonality.id) editTonality(null);
+        await loadTonalities();
+    } catch (error) {
+        showTonalityMessage(error.message, 'error');
+    }
+}
+
+async function checkUsage() {
     const token = localStorage.getItem('tonr_token');
     if (!token) return;
 
     try {
         const backendUrl = window.BACKEND_URL || (window.location.hostname === 'localhost' ? 'http://localhost:3000' : '');
-        const response = await fetch(`${backendUrl}/api/user/usage`, {
+        const response = await authFetch(`${backendUrl}/api/user/usage`, {
             headers: {
                 'Authorization': `Bearer ${token}`
             }
@@ -317,21 +1481,43 @@ async function checkUsage() {
     }
 }
 
+// Whether the user's plan includes a tonality (built-in key or custom:<id>)
+function isTonalityAllowed(key) {
+    const entitlements = usageData.entitlements;
+    if (!entitlements) return true;
+    if (key.startsWith('custom:')) return entitlements.customTonalities;
+    return entitlements.tonalities === '*' || entitlements.tonalities.includes(key);
+}
+
 function updateUIForTier() {
     const tonalitySelect = document.getElementById('tonalitySelect');
     const usageDisplay = document.getElementById('usageDisplay');
+    const manageTonalitiesBtn = document.getElementById('manageTonalitiesBtn');
+
+    // Custom tonalities depend on the plan
+    if (manageTonalitiesBtn) {
+        manageTonalitiesBtn.style.display = usageData.entitlements?.customTonalities ? 'block' : 'none';
+    }
     
-    // Enable/disable tonality selector based on tier
-    if (userTier === 'free') {
-        tonalitySelect.value = 'neutral';
-        tonalitySelect.disabled = true;
-        if (usageDisplay) {
-            usageDisplay.textContent = `Free Tier: ${usageData.remaining || 0} refinements remaining today`;
-        }
-    } else {
-        tonalitySelect.disabled = false;
-        if (usageDisplay) {
-            usageDisplay.textContent = 'Pro Tier: Unlimited refinements';
+    // Only offer the tonalities the plan includes
+    const options = Array.from(tonalitySelect.options);
+    options.forEach(option => {
+        option.disabled = !isTonalityAllowed(option.value);
+    });
+    const allowedOptions = options.filter(option => !option.disabled);
+    if (tonalitySelect.selectedOptions[0]?.disabled && allowedOptions.length > 0) {
+        tonalitySelect.value = allowedOptions[0].value;
+    }
+    tonalitySelect.disabled = allowedOptions.length <= 1;
+
+    if (usageDisplay) {
+        const planName = usageData.planName || 'Free';
+        usageDisplay.textContent = usageData.remaining === 'unlimited'
+            ? `${planName} Tier: Unlimited refinements`
+            : `${planName} Tier: ${usageData.remaining || 0} refinements remaining ${usageData.limitPeriod === 'monthly' ? 'this month' : 'today'}`;
+        if (usageData.trial) {
+            const days = usageData.trial.daysRemaining;
+            usageDisplay.textContent += ` (free trial: ${days} day${days === 1 ? '' : 's'} left)`;
         }
     }
 }
@@ -343,15 +1529,58 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Check user tier and usage on load
     await checkUsage();
     
-    recordButton.addEventListener('click', () => {
+    recordButton.addEventListener('click', async () => {
         if (isRecording) {
             stopRecording();
         } else {
+            await startDrill();
             startRecording();
         }
     });
 
     // Initialize speech recognition on page load
     initSpeechRecognition();
+
+    // Session history
+    const historyTonalityFilter = document.getElementById('historyTonalityFilter');
+    const historyMoreBtn = document.getElementById('historyMoreBtn');
+    if (historyTonalityFilter) {
+        historyTonalityFilter.addEventListener('change', () => loadSessionHistory(true));
+    }
+    if (historyMoreBtn) {
+        historyMoreBtn.addEventListener('click', () => loadSessionHistory(false));
+    }
+    loadSessionHistory(true);
+    loadProgress();
+
+    // Coach review
+    const shareWithCoachBtn = document.getElementById('shareWithCoachBtn');
+    if (shareWithCoachBtn) {
+        shareWithCoachBtn.addEventListener('click', shareWithCoach);
+    }
+    loadNotifications();
+
+    // Custom tonalities
+    const tonalityModal = document.getElementById('tonalityModal');
+    const manageTonalitiesBtn = document.getElementById('manageTonalitiesBtn');
+    if (manageTonalitiesBtn && tonalityModal) {
+        manageTonalitiesBtn.addEventListener('click', () => {
+            editTonality(null);
+            renderTonalityList();
+            tonalityModal.classList.add('show');
+        });
+        document.getElementById('saveTonalityBtn').addEventListener('click', saveTonality);
+        document.getElementById('cancelTonalityBtn').addEventListener('click', () => {
+            tonalityModal.classList.remove('show');
+        });
+    }
+    loadTonalities();
+
+    // Practice scenarios
+    const scenarioSelect = document.getElementById('scenarioSelect');
+    if (scenarioSelect) {
+        scenarioSelect.addEventListener('change', showScenarioDetails);
+    }
+    loadScenarios();
 });
 
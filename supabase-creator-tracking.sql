@@ -28,18 +28,32 @@ CHECK (referrer_code IS NULL OR (
   referrer_code ~ '^[a-zA-Z0-9_-]+$'
 ));
 
+-- Attribution details: UTM parameters of the creator link click that got credit, and when it happened
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS referral_utm jsonb;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS referred_at timestamptz;
+
 -- Add index for faster lookups when checking referrer codes
 CREATE INDEX IF NOT EXISTS idx_users_referrer_code 
 ON users (referrer_code) 
 WHERE referrer_code IS NOT NULL;
 
 -- Step 2: Create creator_referrals table
--- Tracks when someone clicks a creator link (IP address → creator code)
--- This is used to attribute users to creators when they sign up
+-- Tracks when someone clicks a creator link (click log for stats).
+-- Signups are attributed from a signed cookie set on the click, not from this table;
+-- visitor_id is the random id in that cookie (one per browser).
 CREATE TABLE IF NOT EXISTS creator_referrals (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   creator_code text NOT NULL,
-  ip_address text NOT NULL,
+  visitor_id text,
+  ip_address text,
+  utm_source text,
+  utm_medium text,
+  utm_campaign text,
+  utm_term text,
+  utm_content text,
   created_at timestamptz NOT NULL DEFAULT now(),
   -- Security: Validate creator code format (alphanumeric + underscore/hyphen only)
   CONSTRAINT check_creator_code_format CHECK (
@@ -56,6 +70,34 @@ CREATE TABLE IF NOT EXISTS creator_referrals (
   )
 );
 
+-- Visitor and UTM columns (for creator_referrals tables created before cookie attribution).
+-- The IP is optional now that it isn't used for attribution.
+ALTER TABLE creator_referrals ADD COLUMN IF NOT EXISTS visitor_id text;
+ALTER TABLE creator_referrals ADD COLUMN IF NOT EXISTS utm_source text;
+ALTER TABLE creator_referrals ADD COLUMN IF NOT EXISTS utm_medium text;
+ALTER TABLE creator_referrals ADD COLUMN IF NOT EXISTS utm_campaign text;
+ALTER TABLE creator_referrals ADD COLUMN IF NOT EXISTS utm_term text;
+ALTER TABLE creator_referrals ADD COLUMN IF NOT EXISTS utm_content text;
+ALTER TABLE creator_referrals ALTER COLUMN ip_address DROP NOT NULL;
+
+-- Security: UTM values are capped at 200 characters by the backend; enforce it here too
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'check_referral_utm_length'
+    ) THEN
+        ALTER TABLE creator_referrals ADD CONSTRAINT check_referral_utm_length CHECK (
+          COALESCE(LENGTH(utm_source), 0) <= 200 AND
+          COALESCE(LENGTH(utm_medium), 0) <= 200 AND
+          COALESCE(LENGTH(utm_campaign), 0) <= 200 AND
+          COALESCE(LENGTH(utm_term), 0) <= 200 AND
+          COALESCE(LENGTH(utm_content), 0) <= 200 AND
+          COALESCE(LENGTH(visitor_id), 0) <= 64
+        );
+    END IF;
+END $$;
+
 -- Index for fast lookups: find most recent referral for an IP address
 CREATE INDEX IF NOT EXISTS idx_creator_referrals_ip_created_at
   ON creator_referrals (ip_address, created_at DESC);
@@ -67,10 +109,11 @@ CREATE INDEX IF NOT EXISTS idx_creator_referrals_creator_code
 -- Step 3: Create creator_conversions table
 -- Tracks actual purchases made through creator links
 -- This is what you'll use to calculate commissions
+-- user_id is cleared when the user deletes their account; the conversion stays credited to the creator.
 CREATE TABLE IF NOT EXISTS creator_conversions (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   creator_code text NOT NULL,
-  user_id uuid NOT NULL,
+  user_id uuid,
   stripe_session_id text NOT NULL,
   amount integer NOT NULL DEFAULT 0,
   created_at timestamptz NOT NULL DEFAULT now(),
@@ -90,6 +133,9 @@ CREATE TABLE IF NOT EXISTS creator_conversions (
   )
 );
 
+-- For creator_conversions tables created before account deletion
+ALTER TABLE creator_conversions ALTER COLUMN user_id DROP NOT NULL;
+
 -- Index for fast lookups: count purchases per creator code
 CREATE INDEX IF NOT EXISTS idx_creator_conversions_creator_code
   ON creator_conversions (creator_code);
@@ -102,6 +148,224 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_creator_conversions_session
 CREATE INDEX IF NOT EXISTS idx_creator_conversions_user_id
   ON creator_conversions (user_id);
 
+-- Step 4: Create creators table
+-- One row per creator code; stripe_coupon_id is the Stripe coupon applied at checkout
+-- for users referred with that code (NULL = referral tracking only, no discount).
+-- owner_user_id is the Tonr account that can see the code's stats in the creator portal;
+-- commission_rate is the share of each payment from a referred user (0.20 = 20%)
+CREATE TABLE IF NOT EXISTS creators (
+  code text PRIMARY KEY,
+  owner_user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  commission_rate numeric(5,4) NOT NULL DEFAULT 0.20,
+  stripe_coupon_id text,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  -- Security: Commission rate is a fraction of the payment
+  CONSTRAINT check_creators_commission_rate CHECK (commission_rate >= 0 AND commission_rate <= 1),
+  -- Security: Validate creator code format
+  CONSTRAINT check_creators_code_format CHECK (
+    LENGTH(code) <= 50 AND
+    code ~ '^[a-zA-Z0-9_-]+$'
+  )
+);
+
+-- Owner and commission columns (for creators tables created before the creator portal)
+ALTER TABLE creators ADD COLUMN IF NOT EXISTS owner_user_id uuid REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE creators ADD COLUMN IF NOT EXISTS commission_rate numeric(5,4) NOT NULL DEFAULT 0.20;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'check_creators_commission_rate'
+    ) THEN
+        ALTER TABLE creators ADD CONSTRAINT check_creators_commission_rate
+        CHECK (commission_rate >= 0 AND commission_rate <= 1);
+    END IF;
+END $$;
+
+-- Index for the creator portal: find the codes a user owns
+CREATE INDEX IF NOT EXISTS idx_creators_owner_user_id
+  ON creators (owner_user_id)
+  WHERE owner_user_id IS NOT NULL;
+
+-- Example: give a creator's audience the Stripe coupon "CREATOR20" and a 25% commission,
+-- with stats visible to the creator's own Tonr account
+-- INSERT INTO creators (code, owner_user_id, commission_rate, stripe_coupon_id)
+-- VALUES ('example', (SELECT id FROM users WHERE email = 'creator@example.com'), 0.25, 'CREATOR20');
+
+-- Step 5: Create creator_commissions table (the commissions ledger)
+-- One row per paid invoice from a referred user. Rows start 'pending'; once clawback_ends_at
+-- has passed they are payable and a payout marks them 'paid'. A refund or cancellation before
+-- clawback_ends_at marks them 'reversed' (a partial refund reduces amount instead).
+CREATE TABLE IF NOT EXISTS creator_commissions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_code text NOT NULL REFERENCES creators(code) ON UPDATE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  stripe_invoice_id text NOT NULL UNIQUE,
+  stripe_charge_id text,
+  stripe_subscription_id text,
+  payment_amount integer NOT NULL,
+  payment_refunded integer NOT NULL DEFAULT 0,
+  currency text NOT NULL,
+  commission_rate numeric(5,4) NOT NULL,
+  amount integer NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  clawback_ends_at timestamptz NOT NULL,
+  reversal_reason text,
+  reversed_at timestamptz,
+  payout_reference text,
+  paid_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  -- Security: Validate amounts and status
+  CONSTRAINT check_commission_amounts CHECK (
+    payment_amount >= 0 AND payment_refunded >= 0 AND amount >= 0
+  ),
+  CONSTRAINT check_commission_status CHECK (status IN ('pending', 'paid', 'reversed')),
+  CONSTRAINT check_commission_reversal_reason CHECK (
+    reversal_reason IS NULL OR reversal_reason IN ('refund', 'cancellation')
+  )
+);
+
+-- Index for the creator portal: ledger and stats per creator code
+CREATE INDEX IF NOT EXISTS idx_creator_commissions_creator_code_created_at
+  ON creator_commissions (creator_code, created_at DESC);
+
+-- Index for clawbacks: find pending commissions of a cancelled subscription
+CREATE INDEX IF NOT EXISTS idx_creator_commissions_subscription
+  ON creator_commissions (stripe_subscription_id)
+  WHERE status = 'pending';
+
+-- Step 6: Creator portal functions (called by the backend with the service role)
+
+-- Clicks, signups, conversions, revenue and commission for one creator code, per day/week/month.
+-- revenue is net of refunds; commission excludes reversed commissions.
+CREATE OR REPLACE FUNCTION creator_stats(p_code text, p_from timestamptz, p_to timestamptz, p_period text)
+RETURNS TABLE (
+  period_start timestamptz,
+  clicks bigint,
+  signups bigint,
+  conversions bigint,
+  revenue bigint,
+  commission bigint
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH buckets AS (
+    SELECT generate_series(date_trunc(p_period, p_from), p_to - interval '1 microsecond', ('1 ' || p_period)::interval) AS period_start
+    WHERE p_period IN ('day', 'week', 'month')
+  ),
+  click_counts AS (
+    SELECT date_trunc(p_period, created_at) AS period_start, COUNT(*) AS clicks
+    FROM creator_referrals
+    WHERE creator_code = p_code AND created_at >= p_from AND created_at < p_to
+    GROUP BY 1
+  ),
+  signup_counts AS (
+    SELECT date_trunc(p_period, created_at) AS period_start, COUNT(*) AS signups
+    FROM users
+    WHERE referrer_code = p_code AND created_at >= p_from AND created_at < p_to
+    GROUP BY 1
+  ),
+  conversion_counts AS (
+    SELECT date_trunc(p_period, created_at) AS period_start, COUNT(*) AS conversions
+    FROM creator_conversions
+    WHERE creator_code = p_code AND created_at >= p_from AND created_at < p_to
+    GROUP BY 1
+  ),
+  ledger AS (
+    SELECT date_trunc(p_period, created_at) AS period_start,
+      SUM(payment_amount - payment_refunded) AS revenue,
+      SUM(amount) FILTER (WHERE status <> 'reversed') AS commission
+    FROM creator_commissions
+    WHERE creator_code = p_code AND created_at >= p_from AND created_at < p_to
+    GROUP BY 1
+  )
+  SELECT
+    b.period_start,
+    COALESCE(c.clicks, 0),
+    COALESCE(s.signups, 0),
+    COALESCE(v.conversions, 0),
+    COALESCE(l.revenue, 0)::bigint,
+    COALESCE(l.commission, 0)::bigint
+  FROM buckets b
+  LEFT JOIN click_counts c ON c.period_start = b.period_start
+  LEFT JOIN signup_counts s ON s.period_start = b.period_start
+  LEFT JOIN conversion_counts v ON v.period_start = b.period_start
+  LEFT JOIN ledger l ON l.period_start = b.period_start
+  ORDER BY b.period_start;
+$$;
+
+-- Commission balance for one creator code (all time): pending = still inside the clawback window,
+-- payable = pending and past the window
+CREATE OR REPLACE FUNCTION creator_commission_summary(p_code text)
+RETURNS TABLE (pending bigint, payable bigint, paid bigint, reversed bigint)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    COALESCE(SUM(amount) FILTER (WHERE status = 'pending' AND clawback_ends_at > now()), 0)::bigint,
+    COALESCE(SUM(amount) FILTER (WHERE status = 'pending' AND clawback_ends_at <= now()), 0)::bigint,
+    COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0)::bigint,
+    COALESCE(SUM(amount) FILTER (WHERE status = 'reversed'), 0)::bigint
+  FROM creator_commissions
+  WHERE creator_code = p_code;
+$$;
+
+-- Creator leaderboard for the admin console: every creator code with its clicks, unique visitors,
+-- signups, conversions, revenue (net of refunds) and commission in the date range
+CREATE OR REPLACE FUNCTION creator_leaderboard(p_from timestamptz, p_to timestamptz)
+RETURNS TABLE (
+  code text,
+  owner_user_id uuid,
+  active boolean,
+  commission_rate numeric,
+  clicks bigint,
+  unique_visitors bigint,
+  signups bigint,
+  conversions bigint,
+  revenue bigint,
+  commission bigint
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    cr.code,
+    cr.owner_user_id,
+    cr.active,
+    cr.commission_rate,
+    (SELECT COUNT(*) FROM creator_referrals r
+      WHERE r.creator_code = cr.code AND r.created_at >= p_from AND r.created_at < p_to),
+    (SELECT COUNT(DISTINCT COALESCE(r.visitor_id, r.ip_address)) FROM creator_referrals r
+      WHERE r.creator_code = cr.code AND r.created_at >= p_from AND r.created_at < p_to),
+    (SELECT COUNT(*) FROM users u
+      WHERE u.referrer_code = cr.code AND u.created_at >= p_from AND u.created_at < p_to),
+    (SELECT COUNT(*) FROM creator_conversions v
+      WHERE v.creator_code = cr.code AND v.created_at >= p_from AND v.created_at < p_to),
+    (SELECT COALESCE(SUM(m.payment_amount - m.payment_refunded), 0)::bigint FROM creator_commissions m
+      WHERE m.creator_code = cr.code AND m.created_at >= p_from AND m.created_at < p_to),
+    (SELECT COALESCE(SUM(m.amount) FILTER (WHERE m.status <> 'reversed'), 0)::bigint FROM creator_commissions m
+      WHERE m.creator_code = cr.code AND m.created_at >= p_from AND m.created_at < p_to)
+  FROM creators cr;
+$$;
+
+-- Record a payout: marks every payable commission of a creator code as paid.
+-- Usage (SQL Editor): SELECT * FROM mark_creator_commissions_paid('example', 'PayPal batch 42');
+CREATE OR REPLACE FUNCTION mark_creator_commissions_paid(p_code text, p_reference text)
+RETURNS TABLE (commissions bigint, total bigint)
+LANGUAGE sql
+AS $$
+  WITH paid AS (
+    UPDATE creator_commissions
+    SET status = 'paid', paid_at = now(), payout_reference = p_reference
+    WHERE creator_code = p_code AND status = 'pending' AND clawback_ends_at <= now()
+    RETURNING amount
+  )
+  SELECT COUNT(*), COALESCE(SUM(amount), 0)::bigint FROM paid;
+$$;
+
 -- ============================================
 -- SECURITY: Row Level Security (RLS) Policies
 -- ============================================
@@ -164,14 +428,56 @@ TO authenticated
 USING (false)
 WITH CHECK (false);
 
+-- Enable RLS on creators table
+ALTER TABLE creators ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Only service role can manage creators (the backend exposes the discount, not the coupon ID)
+DROP POLICY IF EXISTS "Service role can manage creators" ON creators;
+CREATE POLICY "Service role can manage creators"
+ON creators
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Deny all access to authenticated users
+DROP POLICY IF EXISTS "Users cannot access creators" ON creators;
+CREATE POLICY "Users cannot access creators"
+ON creators
+FOR ALL
+TO authenticated
+USING (false)
+WITH CHECK (false);
+
+-- Enable RLS on creator_commissions table
+ALTER TABLE creator_commissions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Only service role can manage commissions (creators read theirs through the backend)
+DROP POLICY IF EXISTS "Service role can manage commissions" ON creator_commissions;
+CREATE POLICY "Service role can manage commissions"
+ON creator_commissions
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Deny all access to authenticated users
+DROP POLICY IF EXISTS "Users cannot access commissions" ON creator_commissions;
+CREATE POLICY "Users cannot access commissions"
+ON creator_commissions
+FOR ALL
+TO authenticated
+USING (false)
+WITH CHECK (false);
+
 -- ============================================
 -- SECURITY: Additional Constraints
 -- ============================================
 
 -- Ensure referrer_code in users table references valid creator codes
 -- (Optional: Add foreign key constraint if you want strict referential integrity)
--- Note: This is commented out because creator codes are just strings, not a separate table
--- If you create a creators table later, uncomment and modify this:
+-- Note: Creator links only record clicks and attribute signups for codes in creators, but users
+-- referred before the creators table existed may hold other codes. Once those are registered:
 -- ALTER TABLE users
 -- ADD CONSTRAINT fk_users_referrer_code
 -- FOREIGN KEY (referrer_code) REFERENCES creators(code);
@@ -183,10 +489,24 @@ WITH CHECK (false);
 -- Ensure service role has full access (for backend operations)
 GRANT ALL ON creator_referrals TO service_role;
 GRANT ALL ON creator_conversions TO service_role;
+GRANT ALL ON creators TO service_role;
+GRANT ALL ON creator_commissions TO service_role;
 
 -- Revoke public access (security: no anonymous access)
 REVOKE ALL ON creator_referrals FROM anon, authenticated;
 REVOKE ALL ON creator_conversions FROM anon, authenticated;
+REVOKE ALL ON creators FROM anon, authenticated;
+REVOKE ALL ON creator_commissions FROM anon, authenticated;
+
+-- Creator portal functions: backend only (it checks that the caller owns the code)
+REVOKE ALL ON FUNCTION creator_stats(text, timestamptz, timestamptz, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION creator_commission_summary(text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION creator_leaderboard(timestamptz, timestamptz) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION mark_creator_commissions_paid(text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION creator_stats(text, timestamptz, timestamptz, text) TO service_role;
+GRANT EXECUTE ON FUNCTION creator_commission_summary(text) TO service_role;
+GRANT EXECUTE ON FUNCTION creator_leaderboard(timestamptz, timestamptz) TO service_role;
+GRANT EXECUTE ON FUNCTION mark_creator_commissions_paid(text, text) TO service_role;
 
 -- ============================================
 -- Useful queries for checking your data:
@@ -206,7 +526,7 @@ REVOKE ALL ON creator_conversions FROM anon, authenticated;
 -- SELECT 
 --   creator_code,
 --   COUNT(*) AS total_clicks,
---   COUNT(DISTINCT ip_address) AS unique_visitors
+--   COUNT(DISTINCT COALESCE(visitor_id, ip_address)) AS unique_visitors
 -- FROM creator_referrals
 -- GROUP BY creator_code
 -- ORDER BY total_clicks DESC;
@@ -242,15 +562,19 @@ REVOKE ALL ON creator_conversions FROM anon, authenticated;
 -- 1. Your backend (backend-example.js) uses service_role key - keep it secret!
 -- 2. Never expose service_role key in frontend code
 -- 3. IP addresses are stored in plain text - consider hashing if needed for GDPR
+--    (they're only kept for analytics; attribution uses the signed tonr_ref cookie).
+--    Deleting an account (DELETE /api/user/account) clears the IP of clicks from the user's
+--    sign-in IPs and browser, and the user_id of their conversions. To drop old IPs in bulk:
+--    UPDATE creator_referrals SET ip_address = NULL WHERE created_at < NOW() - INTERVAL '90 days';
 -- 4. Creator codes are case-sensitive (EXAMPLE ≠ example)
 -- 5. Regular users cannot query these tables directly (RLS blocks them)
 -- 6. Only your backend API can insert/read this data
 
 -- 📊 TO VIEW DATA (as admin):
 -- Run queries in Supabase SQL Editor (uses service_role automatically)
--- Or create a secure admin API endpoint that uses service_role
+-- Or use the admin console (admin.html), which shows the creator_leaderboard() results
 
--- ⚠️  IF YOU NEED CREATORS TO SEE THEIR OWN STATS:
--- You would need to create a separate view/function with RLS that allows:
--- - Creators to see only their own conversion data
--- - This requires additional policies (not implemented here for security)
+-- 👤 CREATORS SEEING THEIR OWN STATS:
+-- Set creators.owner_user_id to the creator's Tonr account. The creator portal (creator.html)
+-- reads stats and commissions through the backend, which only returns codes the caller owns.
+-- The tables themselves stay service_role only.
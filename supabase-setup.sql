@@ -20,10 +20,28 @@
 -- CLEANUP (Run if you need to reset - WARNING: Deletes all data!)
 -- ============================================================================
 -- Uncomment these lines if you want to start fresh:
+-- DROP TABLE IF EXISTS public.batch_job_items CASCADE;
+-- DROP TABLE IF EXISTS public.batch_jobs CASCADE;
+-- DROP TABLE IF EXISTS public.webhook_deliveries CASCADE;
+-- DROP TABLE IF EXISTS public.webhook_endpoints CASCADE;
+-- DROP TABLE IF EXISTS public.api_key_usage CASCADE;
+-- DROP TABLE IF EXISTS public.api_keys CASCADE;
+-- DROP TABLE IF EXISTS public.notifications CASCADE;
+-- DROP TABLE IF EXISTS public.session_comments CASCADE;
+-- DROP TABLE IF EXISTS public.session_shares CASCADE;
+-- DROP TABLE IF EXISTS public.organization_invites CASCADE;
+-- DROP TABLE IF EXISTS public.organization_members CASCADE;
+-- DROP TABLE IF EXISTS public.organizations CASCADE;
+-- DROP TABLE IF EXISTS public.admin_audit_log CASCADE;
+-- DROP TABLE IF EXISTS public.admin_roles CASCADE;
+-- DROP TABLE IF EXISTS public.auth_sessions CASCADE;
+-- DROP TABLE IF EXISTS public.drills CASCADE;
 -- DROP TABLE IF EXISTS public.sessions CASCADE;
+-- DROP TABLE IF EXISTS public.user_tonalities CASCADE;
 -- DROP TABLE IF EXISTS public.users CASCADE;
 -- DROP FUNCTION IF EXISTS public.handle_new_user() CASCADE;
 -- DROP FUNCTION IF EXISTS public.handle_user_update() CASCADE;
+-- DROP FUNCTION IF EXISTS public.record_api_key_usage(UUID, INTEGER, BOOLEAN);
 
 -- ============================================================================
 -- TABLES
@@ -38,7 +56,111 @@ CREATE TABLE IF NOT EXISTS public.users (
     tier TEXT CHECK (tier IN ('free', 'pro', NULL)) DEFAULT NULL,
     stripe_customer_id TEXT UNIQUE,
     stripe_subscription_id TEXT,
-    subscription_status TEXT CHECK (subscription_status IN ('active', 'canceled', 'past_due', NULL)),
+    subscription_status TEXT CONSTRAINT users_subscription_status_check CHECK (subscription_status IN ('active', 'trialing', 'past_due', 'canceled', 'unpaid', 'incomplete', 'incomplete_expired', 'paused', NULL)),
+    subscription_current_period_end TIMESTAMP WITH TIME ZONE,
+    billing_interval TEXT CHECK (billing_interval IN ('monthly', 'annual', NULL)),
+    subscription_cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    grace_period_ends_at TIMESTAMP WITH TIME ZONE,
+    trial_ends_at TIMESTAMP WITH TIME ZONE,
+    stripe_event_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Subscription lifecycle columns (for databases created before webhooks tracked every Stripe status).
+-- subscription_status mirrors the Stripe subscription status; grace_period_ends_at is set while a
+-- renewal payment is failing; stripe_event_at is the creation time of the last applied Stripe event.
+ALTER TABLE public.users DROP CONSTRAINT IF EXISTS users_subscription_status_check;
+ALTER TABLE public.users ADD CONSTRAINT users_subscription_status_check CHECK (subscription_status IN ('active', 'trialing', 'past_due', 'canceled', 'unpaid', 'incomplete', 'incomplete_expired', 'paused', NULL));
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS subscription_current_period_end TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS subscription_cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS stripe_event_at TIMESTAMP WITH TIME ZONE;
+
+-- Billing interval of the current subscription ('monthly' | 'annual'; plans live in the backend's PLANS catalog)
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS billing_interval TEXT CHECK (billing_interval IN ('monthly', 'annual', NULL));
+
+-- End of the user's free trial (kept after it ends: a user gets one trial)
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS trial_ends_at TIMESTAMP WITH TIME ZONE;
+
+-- Set by an admin quota reset: sessions before this time don't count toward the current quotas
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS quota_reset_at TIMESTAMP WITH TIME ZONE;
+
+-- Admin console access. Kept out of public.users so users can never grant themselves a role.
+-- support: read-only (search users, view sessions, usage and referrals); admin: can also change tiers and quotas
+CREATE TABLE IF NOT EXISTS public.admin_roles (
+    user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('support', 'admin')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Audit log of every admin API request (reads and changes). Rows are written before the action runs,
+-- so an entry means the action was attempted. admin_user_id is kept nullable so entries survive account deletion.
+CREATE TABLE IF NOT EXISTS public.admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    admin_email TEXT,
+    action TEXT NOT NULL,
+    target_user_id UUID,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip_address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Stripe webhook events already received (idempotency: each event id is applied once)
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('processing', 'processed')),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Payments ledger: one row per paid Stripe invoice (first payment and renewals), with refunds.
+-- user_id is kept nullable so payment history survives account deletion.
+CREATE TABLE IF NOT EXISTS public.payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    stripe_invoice_id TEXT NOT NULL UNIQUE,
+    stripe_charge_id TEXT,
+    stripe_subscription_id TEXT,
+    billing_reason TEXT,
+    amount INTEGER NOT NULL CHECK (amount >= 0),
+    amount_refunded INTEGER NOT NULL DEFAULT 0 CHECK (amount_refunded >= 0),
+    currency TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('paid', 'partially_refunded', 'refunded')),
+    period_start TIMESTAMP WITH TIME ZONE,
+    period_end TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Refresh sessions: one row per login (device)
+-- Stores SHA-256 hashes of the current and previous refresh token secret, never the tokens themselves.
+-- Access tokens carry the session id, so revoking a row logs that device out immediately.
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    refresh_token_hash TEXT NOT NULL,
+    previous_token_hash TEXT,
+    rotated_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Custom tonalities defined by Pro users
+-- Used alongside the built-in neutral/assertive/composed styles when building the analysis prompt
+CREATE TABLE IF NOT EXISTS public.user_tonalities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 40),
+    description TEXT NOT NULL CHECK (char_length(description) BETWEEN 1 AND 200),
+    focus TEXT NOT NULL DEFAULT '' CHECK (char_length(focus) <= 500),
+    example_phrases JSONB NOT NULL DEFAULT '[]'::jsonb,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
 );
@@ -48,12 +170,236 @@ CREATE TABLE IF NOT EXISTS public.users (
 CREATE TABLE IF NOT EXISTS public.sessions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
-    tonality TEXT NOT NULL CHECK (tonality IN ('neutral', 'assertive', 'composed')),
+    tonality TEXT NOT NULL CONSTRAINT sessions_tonality_check CHECK (char_length(tonality) BETWEEN 1 AND 40),
+    custom_tonality_id UUID REFERENCES public.user_tonalities(id) ON DELETE SET NULL,
+    transcript TEXT,
     transcript_length INTEGER,
     rating INTEGER CHECK (rating >= 1 AND rating <= 100),
+    feedback JSONB,
+    refined_transcript TEXT,
+    changes JSONB,
+    metrics JSONB,
+    model TEXT,
+    scenario_id TEXT,
+    rubric JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
 );
 
+-- Analysis history columns (for databases created before history was stored)
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS transcript TEXT;
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS feedback JSONB;
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS refined_transcript TEXT;
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS changes JSONB;
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS metrics JSONB;
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS model TEXT;
+
+-- Custom tonalities (for databases created when tonality was limited to the built-in styles).
+-- sessions.tonality holds the built-in key or the custom tonality's name at the time of analysis.
+ALTER TABLE public.sessions DROP CONSTRAINT IF EXISTS sessions_tonality_check;
+ALTER TABLE public.sessions ADD CONSTRAINT sessions_tonality_check CHECK (char_length(tonality) BETWEEN 1 AND 40);
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS custom_tonality_id UUID REFERENCES public.user_tonalities(id) ON DELETE SET NULL;
+
+-- Practice scenario columns (scenario_id is a scenario id from the backend's PRACTICE_SCENARIOS,
+-- rubric holds the per-goal { criterion, score, note } scores)
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS scenario_id TEXT;
+ALTER TABLE public.sessions ADD COLUMN IF NOT EXISTS rubric JSONB;
+
+-- Drills: a started practice scenario attempt, completed by the analysis it produced
+CREATE TABLE IF NOT EXISTS public.drills (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    scenario_id TEXT NOT NULL,
+    session_id UUID REFERENCES public.sessions(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Organizations (team workspaces): one Stripe subscription with a seat quantity.
+-- plan is a plan id from the backend's PLANS catalog; members holding a seat get it while the
+-- subscription is active. Billed through the organization's own Stripe customer, never a member's.
+CREATE TABLE IF NOT EXISTS public.organizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+    owner_user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    plan TEXT NOT NULL DEFAULT 'pro',
+    seats INTEGER NOT NULL DEFAULT 0 CHECK (seats >= 0),
+    stripe_customer_id TEXT UNIQUE,
+    stripe_subscription_id TEXT,
+    subscription_status TEXT CHECK (subscription_status IN ('active', 'trialing', 'past_due', 'canceled', 'unpaid', 'incomplete', 'incomplete_expired', 'paused', NULL)),
+    subscription_current_period_end TIMESTAMP WITH TIME ZONE,
+    subscription_cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    billing_interval TEXT CHECK (billing_interval IN ('monthly', 'annual', NULL)),
+    grace_period_ends_at TIMESTAMP WITH TIME ZONE,
+    stripe_event_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Organization members. A user belongs to at most one organization.
+-- owner: billing, roles and everything a manager can do; manager: invites members and sees each
+-- member's session counts and ratings; member: practices. Transcripts are only visible to managers
+-- when the member turns on share_transcripts.
+CREATE TABLE IF NOT EXISTS public.organization_members (
+    organization_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL UNIQUE REFERENCES public.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'member')),
+    share_transcripts BOOLEAN NOT NULL DEFAULT FALSE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    PRIMARY KEY (organization_id, user_id)
+);
+
+-- Invite links. Only a SHA-256 hash of the link token is stored; the link is shown once when created.
+CREATE TABLE IF NOT EXISTS public.organization_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    role TEXT NOT NULL CHECK (role IN ('manager', 'member')),
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    uses INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Payments of an organization's subscription (user_id is NULL for these)
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL;
+
+-- Coach review links: a user shares one stored session with a named coach. Only a SHA-256 hash of
+-- the link token is stored. The coach can comment and give their own rating (same 1-100 scale as the AI).
+CREATE TABLE IF NOT EXISTS public.session_shares (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    coach_name TEXT NOT NULL CHECK (char_length(coach_name) BETWEEN 1 AND 100),
+    coach_rating INTEGER CHECK (coach_rating >= 1 AND coach_rating <= 100),
+    coach_rated_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Coach ratings used to allow 0; keep them on the AI's 1-100 scale
+ALTER TABLE public.session_shares DROP CONSTRAINT IF EXISTS session_shares_coach_rating_check;
+UPDATE public.session_shares SET coach_rating = 1 WHERE coach_rating = 0;
+ALTER TABLE public.session_shares ADD CONSTRAINT session_shares_coach_rating_check CHECK (coach_rating >= 1 AND coach_rating <= 100);
+
+-- Feedback thread on a shared session: coach comments and the user's replies.
+-- at_seconds optionally points at a moment in the recording.
+CREATE TABLE IF NOT EXISTS public.session_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    share_id UUID NOT NULL REFERENCES public.session_shares(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    author TEXT NOT NULL CHECK (author IN ('coach', 'user')),
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 2000),
+    at_seconds NUMERIC CHECK (at_seconds IS NULL OR at_seconds >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- In-app notifications (e.g. new coach feedback), shown in the dashboard until read
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('coach_feedback')),
+    session_id UUID REFERENCES public.sessions(id) ON DELETE CASCADE,
+    share_id UUID REFERENCES public.session_shares(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- API keys for the versioned REST API (/api/v1). Only a SHA-256 hash of the key is stored; the key
+-- is shown once when created. Team keys (organization_id set) analyze on the team's plan and stop
+-- working when their creator is no longer a team manager.
+CREATE TABLE IF NOT EXISTS public.api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute BETWEEN 1 AND 600),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Daily metering per API key (written by record_api_key_usage)
+CREATE TABLE IF NOT EXISTS public.api_key_usage (
+    api_key_id UUID NOT NULL REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    usage_date DATE NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    analyses INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (api_key_id, usage_date)
+);
+
+-- Outgoing webhooks: URLs of the user's (or team's) own systems that get signed event payloads.
+-- The secret signs each delivery, so unlike API keys it is stored as is (backend-only table).
+CREATE TABLE IF NOT EXISTS public.webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    url TEXT NOT NULL CHECK (char_length(url) <= 2000),
+    description TEXT CHECK (char_length(description) <= 200),
+    events TEXT[] NOT NULL,
+    secret TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- One row per event and endpoint: the delivery log, and the retry queue while status = 'pending'
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    endpoint_id UUID NOT NULL REFERENCES public.webhook_endpoints(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Batch analysis: a set of uploaded transcripts scored in the background
+CREATE TABLE IF NOT EXISTS public.batch_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    name TEXT CHECK (char_length(name) <= 100),
+    source TEXT NOT NULL CHECK (source IN ('json', 'csv', 'text')),
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'canceled')),
+    item_count INTEGER NOT NULL CHECK (item_count > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One row per transcript in a batch: its result, and the work queue while status = 'pending'
+CREATE TABLE IF NOT EXISTS public.batch_job_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL REFERENCES public.batch_jobs(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    label TEXT CHECK (char_length(label) <= 100),
+    transcript TEXT NOT NULL,
+    tonality TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'succeeded', 'failed', 'canceled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    claimed_until TIMESTAMP WITH TIME ZONE,
+    session_id UUID REFERENCES public.sessions(id) ON DELETE SET NULL,
+    rating INTEGER,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    UNIQUE (job_id, position)
+);
+
 -- ============================================================================
 -- INDEXES FOR PERFORMANCE
 -- ============================================================================
@@ -76,6 +422,49 @@ CREATE INDEX IF NOT EXISTS idx_sessions_created_at ON public.sessions(created_at
 -- Composite index for usage queries
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id_tonality ON public.sessions(user_id, tonality);
 
+-- Index for revoking all sessions of a user (sign out of all devices)
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON public.auth_sessions(user_id);
+
+-- Index for drill lookups by user
+CREATE INDEX IF NOT EXISTS idx_drills_user_started ON public.drills(user_id, started_at DESC);
+
+-- Indexes for payment lookups by user and by refunded charge
+CREATE INDEX IF NOT EXISTS idx_payments_user_paid ON public.payments(user_id, paid_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_charge ON public.payments(stripe_charge_id);
+
+-- Indexes for organization lookups (members per organization, invites, Stripe customer)
+CREATE INDEX IF NOT EXISTS idx_organization_members_org ON public.organization_members(organization_id, joined_at);
+CREATE INDEX IF NOT EXISTS idx_organization_invites_org ON public.organization_invites(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_organizations_stripe_customer ON public.organizations(stripe_customer_id);
+
+-- Indexes for coach review: shares per session, comment threads, unread notifications
+CREATE INDEX IF NOT EXISTS idx_session_shares_session ON public.session_shares(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_session_comments_session ON public.session_comments(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON public.notifications(user_id, created_at DESC) WHERE read_at IS NULL;
+
+-- Indexes for listing API keys per user and per team
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON public.api_keys(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_keys_org ON public.api_keys(organization_id, created_at DESC) WHERE organization_id IS NOT NULL;
+
+-- Indexes for webhooks: endpoints per user and team, the delivery log and the retry queue
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user ON public.webhook_endpoints(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_org ON public.webhook_endpoints(organization_id, created_at DESC) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON public.webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON public.webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Indexes for batch jobs: jobs per user, the work queue, a user's queued items and stuck items
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_user ON public.batch_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_batch_job_items_queue ON public.batch_job_items(position, created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_batch_job_items_user_open ON public.batch_job_items(user_id) WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_batch_job_items_claimed ON public.batch_job_items(claimed_until) WHERE status = 'running';
+
+-- Indexes for the admin audit log (newest first, and per target user)
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON public.admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON public.admin_audit_log(target_user_id, created_at DESC);
+
+-- One custom tonality name per user (case-insensitive)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_tonalities_user_name ON public.user_tonalities(user_id, LOWER(name));
+
 -- ============================================================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
 -- ============================================================================
@@ -83,6 +472,25 @@ CREATE INDEX IF NOT EXISTS idx_sessions_user_id_tonality ON public.sessions(user
 -- Enable RLS on all tables
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_tonalities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.drills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.session_shares ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.session_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.api_key_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.batch_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.batch_job_items ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies if they exist (for clean re-runs)
 DROP POLICY IF EXISTS "Users can view own data" ON public.users;
@@ -91,6 +499,28 @@ DROP POLICY IF EXISTS "Service role can manage all users" ON public.users;
 DROP POLICY IF EXISTS "Users can insert own sessions" ON public.sessions;
 DROP POLICY IF EXISTS "Users can view own sessions" ON public.sessions;
 DROP POLICY IF EXISTS "Service role can manage all sessions" ON public.sessions;
+DROP POLICY IF EXISTS "Users can view own tonalities" ON public.user_tonalities;
+DROP POLICY IF EXISTS "Service role can manage all tonalities" ON public.user_tonalities;
+DROP POLICY IF EXISTS "Users can view own drills" ON public.drills;
+DROP POLICY IF EXISTS "Service role can manage all drills" ON public.drills;
+DROP POLICY IF EXISTS "Service role can manage all auth sessions" ON public.auth_sessions;
+DROP POLICY IF EXISTS "Service role can manage stripe events" ON public.stripe_events;
+DROP POLICY IF EXISTS "Users can view own payments" ON public.payments;
+DROP POLICY IF EXISTS "Service role can manage all payments" ON public.payments;
+DROP POLICY IF EXISTS "Service role can manage admin roles" ON public.admin_roles;
+DROP POLICY IF EXISTS "Service role can manage admin audit log" ON public.admin_audit_log;
+DROP POLICY IF EXISTS "Service role can manage organizations" ON public.organizations;
+DROP POLICY IF EXISTS "Service role can manage organization members" ON public.organization_members;
+DROP POLICY IF EXISTS "Service role can manage organization invites" ON public.organization_invites;
+DROP POLICY IF EXISTS "Service role can manage session shares" ON public.session_shares;
+DROP POLICY IF EXISTS "Service role can manage session comments" ON public.session_comments;
+DROP POLICY IF EXISTS "Service role can manage notifications" ON public.notifications;
+DROP POLICY IF EXISTS "Service role can manage api keys" ON public.api_keys;
+DROP POLICY IF EXISTS "Service role can manage api key usage" ON public.api_key_usage;
+DROP POLICY IF EXISTS "Service role can manage webhook endpoints" ON public.webhook_endpoints;
+DROP POLICY IF EXISTS "Service role can manage webhook deliveries" ON public.webhook_deliveries;
+DROP POLICY IF EXISTS "Service role can manage batch jobs" ON public.batch_jobs;
+DROP POLICY IF EXISTS "Service role can manage batch job items" ON public.batch_job_items;
 
 -- USERS TABLE POLICIES
 
@@ -129,6 +559,148 @@ CREATE POLICY "Service role can manage all sessions" ON public.sessions
     USING (auth.role() = 'service_role')
     WITH CHECK (auth.role() = 'service_role');
 
+-- USER TONALITIES TABLE POLICIES
+
+-- Users can view their own custom tonalities
+CREATE POLICY "Users can view own tonalities" ON public.user_tonalities
+    FOR SELECT 
+    USING (auth.uid() = user_id);
+
+-- Service role (backend) manages custom tonalities (Pro tier is enforced by the API)
+CREATE POLICY "Service role can manage all tonalities" ON public.user_tonalities
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- DRILLS TABLE POLICIES
+
+-- Users can view their own drills
+CREATE POLICY "Users can view own drills" ON public.drills
+    FOR SELECT 
+    USING (auth.uid() = user_id);
+
+-- Service role (backend) can manage all drills
+CREATE POLICY "Service role can manage all drills" ON public.drills
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- AUTH SESSIONS TABLE POLICIES
+
+-- Only the backend reads or writes refresh sessions (they hold token hashes)
+CREATE POLICY "Service role can manage all auth sessions" ON public.auth_sessions
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- STRIPE EVENTS AND PAYMENTS POLICIES
+
+-- Only the backend records webhook events
+CREATE POLICY "Service role can manage stripe events" ON public.stripe_events
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- Users can view their own payments
+CREATE POLICY "Users can view own payments" ON public.payments
+    FOR SELECT 
+    USING (auth.uid() = user_id);
+
+-- Service role (backend) writes payments from Stripe webhooks
+CREATE POLICY "Service role can manage all payments" ON public.payments
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- ADMIN POLICIES
+
+-- Roles are granted in the SQL editor; only the backend reads them
+CREATE POLICY "Service role can manage admin roles" ON public.admin_roles
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- Only the backend writes and reads the audit log
+CREATE POLICY "Service role can manage admin audit log" ON public.admin_audit_log
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- ORGANIZATION POLICIES
+-- Roles, seats and transcript sharing are enforced by the backend, so only it reads and writes these
+
+CREATE POLICY "Service role can manage organizations" ON public.organizations
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage organization members" ON public.organization_members
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage organization invites" ON public.organization_invites
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- COACH REVIEW POLICIES
+-- Coaches have no account; the backend checks their link token, so only it reads and writes these
+
+CREATE POLICY "Service role can manage session shares" ON public.session_shares
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage session comments" ON public.session_comments
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage notifications" ON public.notifications
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- API KEY POLICIES
+-- Keys are checked by the backend (they hold key hashes), so only it reads and writes these
+
+CREATE POLICY "Service role can manage api keys" ON public.api_keys
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage api key usage" ON public.api_key_usage
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- WEBHOOK POLICIES
+-- Endpoints hold their signing secrets, so only the backend reads and writes these
+
+CREATE POLICY "Service role can manage webhook endpoints" ON public.webhook_endpoints
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage webhook deliveries" ON public.webhook_deliveries
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+-- BATCH JOB POLICIES
+-- Jobs are created, run and read through the backend, which checks ownership
+
+CREATE POLICY "Service role can manage batch jobs" ON public.batch_jobs
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage batch job items" ON public.batch_job_items
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
 -- ============================================================================
 -- FUNCTIONS
 -- ============================================================================
@@ -171,6 +743,29 @@ BEGIN
 END;
 $$;
 
+-- Meter one API request: bumps the key's counters for today and its last_used_at.
+-- A single statement per table, so concurrent requests don't lose counts.
+CREATE OR REPLACE FUNCTION public.record_api_key_usage(p_key_id UUID, p_analyses INTEGER, p_error BOOLEAN)
+RETURNS VOID
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE sql
+AS $$
+    INSERT INTO public.api_key_usage (api_key_id, usage_date, requests, analyses, errors)
+    VALUES (p_key_id, CURRENT_DATE, 1, p_analyses, CASE WHEN p_error THEN 1 ELSE 0 END)
+    ON CONFLICT (api_key_id, usage_date) DO UPDATE
+    SET
+        requests = public.api_key_usage.requests + 1,
+        analyses = public.api_key_usage.analyses + EXCLUDED.analyses,
+        errors = public.api_key_usage.errors + EXCLUDED.errors;
+
+    UPDATE public.api_keys SET last_used_at = NOW() WHERE id = p_key_id;
+$$;
+
+-- Backend only: otherwise anyone with the anon key could inflate a key's usage through the REST API
+REVOKE ALL ON FUNCTION public.record_api_key_usage(UUID, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_api_key_usage(UUID, INTEGER, BOOLEAN) TO service_role;
+
 -- ============================================================================
 -- TRIGGERS
 -- ============================================================================
@@ -189,6 +784,20 @@ CREATE TRIGGER on_user_updated
     FOR EACH ROW 
     EXECUTE FUNCTION public.handle_user_update();
 
+-- Trigger to update updated_at on custom tonality changes
+DROP TRIGGER IF EXISTS on_user_tonality_updated ON public.user_tonalities;
+CREATE TRIGGER on_user_tonality_updated
+    BEFORE UPDATE ON public.user_tonalities
+    FOR EACH ROW 
+    EXECUTE FUNCTION public.handle_user_update();
+
+-- Trigger to update updated_at on webhook endpoint changes
+DROP TRIGGER IF EXISTS on_webhook_endpoint_updated ON public.webhook_endpoints;
+CREATE TRIGGER on_webhook_endpoint_updated
+    BEFORE UPDATE ON public.webhook_endpoints
+    FOR EACH ROW 
+    EXECUTE FUNCTION public.handle_user_update();
+
 -- ============================================================================
 -- HELPER VIEWS (Optional - for analytics/debugging)
 -- ============================================================================
@@ -238,16 +847,78 @@ GROUP BY user_id, DATE(created_at);
 --    - NULL tier means user hasn't completed onboarding
 --    - Only backend can set 'pro' tier (via Stripe webhook)
 --    - Users can select 'free' tier themselves
+--    - tier is a plan id from the backend's PLANS catalog (quotas, tonalities, prices);
+--      adding a plan means extending this CHECK constraint too
 --
 -- 4. SESSION TRACKING:
 --    - Tracks tonality and rating for analytics
+--    - tonality is a built-in key or a custom tonality's name; custom_tonality_id links to user_tonalities
+--    - Drill sessions store scenario_id and rubric scores; drills link back to the session
+--    - Stores transcript, feedback, refined rewrite and model so users can reopen past analyses
 --    - Used for free tier limits (3 per day)
 --    - Automatically cleaned up when user is deleted
 --
--- 5. STRIPE INTEGRATION:
+-- 5. AUTH SESSIONS:
+--    - Access tokens (JWT) expire after 15 minutes and name their auth_sessions row
+--    - Refresh tokens rotate on every use; only hashes are stored
+--    - Revoked or expired rows reject both refresh and access tokens
+--    - Expired rows can be cleaned up with:
+--      DELETE FROM public.auth_sessions WHERE expires_at < NOW() - INTERVAL '7 days';
+--
+-- 6. STRIPE INTEGRATION:
 --    - stripe_customer_id: Unique per customer
 --    - stripe_subscription_id: Current subscription
---    - subscription_status: Tracks payment status
+--    - subscription_status: Mirrors the Stripe subscription status (set by webhooks only)
+--    - past_due keeps Pro until grace_period_ends_at, then the backend treats the user as free
+--    - trialing keeps Pro until trial_ends_at; checkout only offers a trial while trial_ends_at is NULL
+--    - stripe_events makes webhook handling idempotent; payments records paid invoices and refunds
+--    - Processed events can be cleaned up with:
+--      DELETE FROM public.stripe_events WHERE received_at < NOW() - INTERVAL '30 days';
+--
+-- 7. ADMIN CONSOLE:
+--    - Grant access in the SQL editor (roles can't be set through the API):
+--      INSERT INTO public.admin_roles (user_id, role)
+--      SELECT id, 'admin' FROM public.users WHERE email = 'you@example.com';
+--    - Revoke with: DELETE FROM public.admin_roles WHERE user_id = '...';
+--    - admin_audit_log records every admin API request with the admin, action, target user and details
+--
+-- 8. ACCOUNT DELETION AND EXPORT:
+--    - DELETE /api/user/account deletes the auth user; the users row and everything keyed on it
+--      (sessions, drills, custom tonalities, auth sessions, admin role, coach links, notifications,
+--      API keys, webhook endpoints, batch jobs) cascade
+--    - payments and creator_commissions keep their rows with user_id set to NULL (accounting records)
+--    - GET /api/user/export returns the same data as a JSON download
+--    - Owners of an organization must delete it first (DELETE /api/org, which cancels its subscription)
+--
+-- 9. ORGANIZATIONS (TEAMS):
+--    - organizations.seats mirrors the quantity of the organization's Stripe subscription
+--    - Members hold a seat in join order (owner first); the first `seats` members get the
+--      organization's plan while its subscription is active, on top of their own tier
+--    - Invite links are single tokens stored as hashes in organization_invites
+--
+-- 10. COACH REVIEW:
+--    - session_shares holds one revocable link per coach and session (token stored as a hash)
+--    - Coaches read the session and write session_comments / coach_rating through the backend only
+--    - New coach feedback creates one unread notifications row per share until the user reads it
+--
+-- 11. API KEYS:
+--    - api_keys stores SHA-256 hashes only; a key is shown once, when it's created
+--    - Every /api/v1 request is metered per key and day in api_key_usage via record_api_key_usage()
+--    - Account deletion cascades to the user's keys; deleting a team removes its keys
+--
+-- 12. WEBHOOKS:
+--    - webhook_endpoints are owned by a user, or by a team (organization_id set, managed by its managers)
+--    - webhook_deliveries is both the delivery log and the retry queue: the backend retries pending
+--      rows whose next_attempt_at has passed (GET /api/cron/webhooks, or every 30s when run with npm start)
+--    - Deliveries older than 30 days are deleted by the same job
+--
+-- 13. BATCH ANALYSIS:
+--    - batch_job_items is the work queue: the backend claims pending items (claimed_until is the lease,
+--      so items of a crashed worker are picked up again) and runs each through the normal analysis,
+--      which records a sessions row, so every item counts against the plan's quotas
+--    - Workers run in the backend process (GET /api/cron/batch-jobs, every 30s with npm start, and right
+--      after a job is submitted); batch_concurrency caps how many items one process runs at once
+--    - Finished jobs older than 30 days are deleted with their items; the sessions they created stay
 --
 -- ============================================================================
 -- VERIFICATION QUERIES
@@ -0,0 +1,99 @@
+// /api/analyze-speech and its streaming variant with the offline (local) analysis provider
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const TRANSCRIPT = 'Thanks for having me. Um, I believe we should launch on Friday because the data supports it. Let us commit to that plan.';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// Helper: the events of a text/event-stream body as [{ event, data }]
+function parseSSE(text) {
+    return text.trim().split('\n\n').map(block => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
+test('analyzes a transcript and saves the full session', async () => {
+    const user = server.signIn({ tier: 'pro' });
+
+    const response = await server.request('POST', '/api/analyze-speech', {
+        token: user.token,
+        body: { transcript: TRANSCRIPT, tonality: 'assertive', durationSeconds: 12 }
+    });
+
+    assert.equal(response.status, 200);
+    const { rating, feedback, refined, metrics, sessionId } = response.body;
+    assert.ok(Number.isInteger(rating) && rating >= 1 && rating <= 100);
+    assert.ok(feedback.length > 0);
+    assert.equal(typeof refined, 'string');
+    assert.ok(metrics.wordCount > 0);
+
+    const session = server.db.sessions.find(row => row.id === sessionId);
+    assert.equal(session.user_id, user.id);
+    assert.equal(session.tonality, 'assertive');
+    assert.equal(session.transcript, TRANSCRIPT);
+    assert.equal(session.rating, rating);
+    assert.deepEqual(session.feedback, feedback);
+    assert.equal(session.model, 'local-heuristic');
+});
+
+test('streams metrics, rating and feedback before the saved result', async () => {
+    const user = server.signIn({ tier: 'pro' });
+
+    const response = await server.request('POST', '/api/analyze-speech/stream', {
+        token: user.token,
+        body: { transcript: TRANSCRIPT, tonality: 'neutral' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = parseSSE(response.text);
+    const names = events.map(({ event }) => event);
+    assert.equal(names[0], 'metrics');
+    assert.ok(names.indexOf('rating') < names.indexOf('feedback'));
+    assert.equal(names.at(-1), 'done');
+
+    const done = events.at(-1).data;
+    assert.equal(events.find(({ event }) => event === 'rating').data.rating, done.rating);
+    assert.deepEqual(events.filter(({ event }) => event === 'feedback').map(({ data }) => data.text), done.feedback);
+    assert.equal(server.db.sessions.find(row => row.id === done.sessionId).rating, done.rating);
+});
+
+test('rejects tonalities outside the plan and bad input without using the quota', async () => {
+    const user = server.signIn({ tier: 'free' });
+    const analyze = body => server.request('POST', '/api/analyze-speech', { token: user.token, body });
+
+    assert.equal((await analyze({ transcript: TRANSCRIPT, tonality: 'assertive' })).status, 403);
+    assert.equal((await analyze({ transcript: TRANSCRIPT, tonality: 5 })).status, 400);
+    assert.equal((await analyze({ transcript: '', tonality: 'neutral' })).status, 400);
+    assert.equal(server.db.sessions.filter(row => row.user_id === user.id).length, 0);
+});
+
+test('refuses a transcript that isn\'t text on both routes', async () => {
+    const user = server.signIn({ tier: 'pro' });
+
+    for (const route of ['/api/analyze-speech', '/api/analyze-speech/stream']) {
+        for (const transcript of [123, ['Hello there'], { text: 'Hello there' }]) {
+            const response = await server.request('POST', route, { token: user.token, body: { transcript, tonality: 'neutral' } });
+            assert.equal(response.status, 400, `${route} ${JSON.stringify(transcript)}`);
+            assert.equal(response.body.error, 'Transcript is required');
+        }
+    }
+    assert.equal(server.db.sessions.filter(row => row.user_id === user.id).length, 0);
+});
+
+test('needs a login', async () => {
+    const response = await server.request('POST', '/api/analyze-speech', { body: { transcript: TRANSCRIPT } });
+    assert.equal(response.status, 401);
+});
@@ -0,0 +1,114 @@
+// Refresh tokens: rotation, the grace period for a second tab, replayed (leaked) tokens and logging out
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'correct horse battery';
+
+let server;
+let accounts = 0;
+
+before(async () => {
+    // Each account signs in from its own address, so the login rate limit (5 per address) isn't shared
+    server = await startServer({ trust_proxy: 'loopback' });
+});
+
+after(() => server.close());
+
+// Helper: sign up a new account, returning the signup response body ({ token, refreshToken, user })
+async function signUp() {
+    accounts += 1;
+    const response = await server.request('POST', '/api/auth/signup', {
+        body: { name: 'Test User', email: `user${accounts}@example.com`, password: PASSWORD },
+        headers: { 'X-Forwarded-For': `10.0.0.${accounts}` }
+    });
+    assert.equal(response.status, 200, response.text);
+    return response.body;
+}
+
+// Helper: log in to an account from signUp()
+function logIn(user, password = PASSWORD) {
+    return server.request('POST', '/api/auth/login', {
+        body: { email: user.email, password },
+        headers: { 'X-Forwarded-For': `10.0.0.${user.email.match(/\d+/)[0]}` }
+    });
+}
+
+const refresh = refreshToken => server.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+const profile = token => server.request('GET', '/api/user/tier', { token });
+const authSession = refreshToken => server.db.auth_sessions.find(row => row.id === refreshToken.split('.')[0]);
+
+test('signup and login each open a session with a working access token', async () => {
+    const signup = await signUp();
+    assert.equal((await profile(signup.token)).status, 200);
+    assert.ok(signup.refreshToken);
+
+    const login = await logIn(signup.user);
+    assert.equal(login.status, 200);
+    assert.notEqual(authSession(login.body.refreshToken).id, authSession(signup.refreshToken).id);
+
+    const wrong = await logIn(signup.user, 'not it');
+    assert.equal(wrong.status, 401);
+});
+
+test('refreshing rotates the refresh token and keeps the session', async () => {
+    const { refreshToken } = await signUp();
+
+    const first = await refresh(refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, refreshToken);
+    assert.equal(authSession(first.body.refreshToken), authSession(refreshToken));
+    assert.equal((await profile(first.body.token)).status, 200);
+
+    // Another tab sending the previous token right after the rotation is told to use the new one
+    const late = await refresh(refreshToken);
+    assert.equal(late.status, 409);
+    assert.ok(!authSession(refreshToken).revoked_at);
+
+    const second = await refresh(first.body.refreshToken);
+    assert.equal(second.status, 200);
+});
+
+test('a replayed refresh token ends the session', async () => {
+    const { refreshToken } = await signUp();
+    const rotated = await refresh(refreshToken);
+
+    // Past the grace period the previous token can only be a copy
+    authSession(refreshToken).rotated_at = new Date(Date.now() - 60 * 1000).toISOString();
+    const replay = await refresh(refreshToken);
+    assert.equal(replay.status, 401);
+    assert.ok(authSession(refreshToken).revoked_at);
+
+    // The legitimate holder is signed out too
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await profile(rotated.body.token)).status, 401);
+});
+
+test('refuses malformed, wrong and expired refresh tokens', async () => {
+    const { refreshToken } = await signUp();
+    const [sessionId, secret] = refreshToken.split('.');
+
+    assert.equal((await refresh('not-a-token')).status, 401);
+    assert.equal((await refresh(`${sessionId}.wrong-secret`)).status, 401);
+    assert.ok(!authSession(refreshToken).revoked_at);
+
+    authSession(refreshToken).expires_at = new Date(Date.now() - 1000).toISOString();
+    assert.equal((await refresh(`${sessionId}.${secret}`)).status, 401);
+});
+
+test('logout ends one session and logout-all ends every session', async () => {
+    const signup = await signUp();
+    const login = await logIn(signup.user);
+    const other = await logIn(signup.user);
+
+    const logout = await server.request('POST', '/api/auth/logout', { body: { refreshToken: signup.refreshToken } });
+    assert.equal(logout.status, 200);
+    assert.equal((await profile(signup.token)).status, 401);
+    assert.equal((await profile(login.body.token)).status, 200);
+
+    const all = await server.request('POST', '/api/auth/logout-all', { token: login.body.token });
+    assert.deepEqual(all.body, { loggedOut: true, revokedSessions: 2 });
+    assert.equal((await profile(other.body.token)).status, 401);
+    assert.equal((await refresh(other.body.refreshToken)).status, 401);
+});
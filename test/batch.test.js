@@ -0,0 +1,133 @@
+// Batch analysis: reading CSV and plain text uploads, and the queue workers claiming items
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+const CRON_SECRET = 'test-cron-secret';
+const TRANSCRIPT = 'Thanks for having me. I believe we should launch on Friday because the data supports it.';
+
+let server;
+
+before(async () => {
+    server = await startServer({ cron_secret: CRON_SECRET });
+});
+
+after(() => server.close());
+
+const submit = (user, body, type, query = '') => server.request('POST', `/api/user/batch-jobs${query}`, { token: user.token, body, type });
+const runQueue = () => server.request('GET', '/api/cron/batch-jobs', { headers: { Authorization: `Bearer ${CRON_SECRET}` } });
+
+// Helper: the stored items of a job, in order, as [label, transcript, tonality]
+function storedItems(jobId) {
+    return server.db.batch_job_items
+        .filter(item => item.job_id === jobId)
+        .sort((a, b) => a.position - b.position)
+        .map(item => [item.label, item.transcript, item.tonality]);
+}
+
+test('reads CSV with quoted fields, blank lines and optional columns', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const csv = '\uFEFFLabel,Transcript,Tonality\r\n'
+        + `"Smith, J","He said ""hi""\nthen left. ${TRANSCRIPT}",\r\n`
+        + '\r\n'
+        + `Doe,${TRANSCRIPT},composed\r\n`;
+
+    const response = await submit(user, csv, 'text/csv', '?name=Calls&tonality=assertive');
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.job.name, 'Calls');
+    assert.equal(response.body.job.source, 'csv');
+    assert.deepEqual(storedItems(response.body.job.id), [
+        ['Smith, J', `He said "hi"\nthen left. ${TRANSCRIPT}`, 'assertive'],
+        ['Doe', TRANSCRIPT, 'composed']
+    ]);
+});
+
+test('refuses CSV without a transcript column or with an unterminated quote', async () => {
+    const user = server.signIn({ tier: 'pro' });
+
+    const noColumn = await submit(user, 'label,text\nA,hello', 'text/csv');
+    assert.equal(noColumn.status, 400);
+    assert.match(noColumn.body.error, /"transcript" column/);
+
+    const unterminated = await submit(user, 'transcript\n"never closed', 'text/csv');
+    assert.equal(unterminated.status, 400);
+    assert.equal(unterminated.body.error, 'CSV has an unterminated quoted field');
+});
+
+test('reads plain text blocks with tonality and label lines', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const text = `label: First call\ntonality: assertive\n${TRANSCRIPT}\n---\n\n${TRANSCRIPT}\nSecond paragraph.\n---\n`;
+
+    const response = await submit(user, text, 'text/plain');
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.job.source, 'text');
+    assert.deepEqual(storedItems(response.body.job.id), [
+        ['First call', TRANSCRIPT, 'assertive'],
+        [null, `${TRANSCRIPT}\nSecond paragraph.`, 'neutral']
+    ]);
+
+    const custom = await submit(user, `${TRANSCRIPT}\nEND\n${TRANSCRIPT}`, 'text/plain', '?delimiter=END');
+    assert.equal(storedItems(custom.body.job.id).length, 2);
+});
+
+test('checks the whole batch against the plan before queueing it', async () => {
+    const user = server.signIn({ tier: 'free' });
+
+    const tooMany = await submit(user, { items: [TRANSCRIPT, TRANSCRIPT, TRANSCRIPT, TRANSCRIPT] });
+    assert.equal(tooMany.status, 403);
+
+    const tonality = await submit(user, { items: [{ transcript: TRANSCRIPT, tonality: 'assertive' }] });
+    assert.equal(tonality.status, 403);
+
+    assert.equal(server.db.batch_job_items.filter(item => item.user_id === user.id).length, 0);
+});
+
+test('workers run every queued item once and finish the job', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const response = await submit(user, { items: [TRANSCRIPT, TRANSCRIPT, TRANSCRIPT, TRANSCRIPT, TRANSCRIPT] });
+    const jobId = response.body.job.id;
+
+    // The submission starts a run in this process; the cron run joins it (or finds the queue empty)
+    await runQueue();
+
+    const items = server.db.batch_job_items.filter(item => item.job_id === jobId);
+    assert.ok(items.every(item => item.status === 'succeeded' && item.attempts === 1 && item.claimed_until === null));
+    assert.equal(new Set(items.map(item => item.session_id)).size, 5);
+    assert.equal(server.db.sessions.filter(session => session.user_id === user.id).length, 5);
+
+    const job = await server.request('GET', `/api/user/batch-jobs/${jobId}`, { token: user.token });
+    assert.equal(job.body.job.status, 'completed');
+    assert.equal(job.body.job.counts.succeeded, 5);
+});
+
+test('claimed items are left alone until their claim runs out', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const job = { id: crypto.randomUUID(), user_id: user.id, name: null, source: 'json', status: 'running', item_count: 3, created_at: new Date().toISOString() };
+    const item = (position, fields) => ({
+        id: crypto.randomUUID(), job_id: job.id, user_id: user.id, position, label: null, transcript: TRANSCRIPT,
+        tonality: 'neutral', status: 'running', attempts: 1, created_at: new Date().toISOString(), ...fields
+    });
+    const live = item(1, { claimed_until: new Date(Date.now() + 60 * 1000).toISOString() });
+    const stale = item(2, { claimed_until: new Date(Date.now() - 1000).toISOString() });
+    const exhausted = item(3, { claimed_until: new Date(Date.now() - 1000).toISOString(), attempts: 2 });
+    server.db.batch_jobs.push(job);
+    server.db.batch_job_items.push(live, stale, exhausted);
+
+    const response = await runQueue();
+    assert.equal(response.status, 200);
+
+    const current = id => server.db.batch_job_items.find(row => row.id === id);
+    // Another worker still holds the live claim
+    assert.equal(current(live.id).status, 'running');
+    assert.equal(current(live.id).session_id, undefined);
+    // The stale claim went back to the queue and was run again
+    assert.equal(current(stale.id).status, 'succeeded');
+    assert.equal(current(stale.id).attempts, 2);
+    // Out of attempts: failed instead of run a third time
+    assert.equal(current(exhausted.id).status, 'failed');
+    assert.equal(current(exhausted.id).error, 'Analysis did not finish');
+});
@@ -0,0 +1,116 @@
+// Coach review links: what a coach can do with a link, and links that expired or were turned off
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+const TRANSCRIPT = 'Thanks for having me. I believe we should launch on Friday because the data supports it.';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// Helper: a new user with one analyzed session, as { user, sessionId }
+async function userWithSession() {
+    const user = server.signIn({ tier: 'pro', name: 'Sam' });
+    const analysis = await server.request('POST', '/api/analyze-speech', { token: user.token, body: { transcript: TRANSCRIPT } });
+    assert.equal(analysis.status, 200);
+    return { user, sessionId: analysis.body.sessionId };
+}
+
+// Helper: share a session with a coach, as { share, token }
+async function shareSession(user, sessionId, body = {}) {
+    const response = await server.request('POST', `/api/user/sessions/${sessionId}/shares`, {
+        token: user.token,
+        body: { coachName: 'Alex', ...body }
+    });
+    assert.equal(response.status, 201, response.text);
+    return { share: response.body.share, token: new URL(response.body.url).searchParams.get('token') };
+}
+
+const coachView = token => server.request('GET', `/api/coach/${token}`);
+const coachComment = token => server.request('POST', `/api/coach/${token}/comments`, { body: { body: 'Slow down in the opening.' } });
+const coachRating = (token, rating) => server.request('PUT', `/api/coach/${token}/rating`, { body: { rating } });
+
+test('a coach reads the session, comments and rates it, and the user is notified', async () => {
+    const { user, sessionId } = await userWithSession();
+    const { token } = await shareSession(user, sessionId);
+
+    const view = await coachView(token);
+    assert.equal(view.status, 200);
+    assert.equal(view.body.sharedBy, 'Sam');
+    assert.equal(view.body.session.id, sessionId);
+    assert.equal(view.body.session.transcript, TRANSCRIPT);
+
+    assert.equal((await coachComment(token)).status, 201);
+    assert.equal((await coachRating(token, 72)).status, 200);
+
+    const shares = await server.request('GET', `/api/user/sessions/${sessionId}/shares`, { token: user.token });
+    assert.equal(shares.body.shares[0].coachRating, 72);
+    assert.deepEqual(shares.body.comments.map(comment => comment.author), ['coach']);
+
+    // One unread notification per link, showing the latest feedback
+    const notifications = await server.request('GET', '/api/user/notifications', { token: user.token });
+    assert.equal(notifications.body.unreadCount, 1);
+    assert.equal(notifications.body.notifications[0].message, 'Alex rated your session 72/100');
+});
+
+test('an expired link stops working for the coach and the reply thread', async () => {
+    const { user, sessionId } = await userWithSession();
+    const { share, token } = await shareSession(user, sessionId, { expiresInDays: 1 });
+    await coachComment(token);
+
+    server.db.session_shares.find(row => row.id === share.id).expires_at = new Date(Date.now() - 1000).toISOString();
+
+    assert.equal((await coachView(token)).status, 410);
+    assert.equal((await coachComment(token)).status, 410);
+    assert.equal((await coachRating(token, 50)).status, 410);
+
+    const reply = await server.request('POST', `/api/user/sessions/${sessionId}/shares/${share.id}/comments`, {
+        token: user.token,
+        body: { body: 'Thanks!' }
+    });
+    assert.equal(reply.status, 410);
+
+    // The user keeps what the coach left
+    const shares = await server.request('GET', `/api/user/sessions/${sessionId}/shares`, { token: user.token });
+    assert.equal(shares.body.shares[0].active, false);
+    assert.equal(shares.body.comments.length, 1);
+});
+
+test('only the owner can turn a link off, and it stays off', async () => {
+    const { user, sessionId } = await userWithSession();
+    const { share, token } = await shareSession(user, sessionId);
+    const revoke = viewer => server.request('DELETE', `/api/user/sessions/${sessionId}/shares/${share.id}`, { token: viewer.token });
+
+    assert.equal((await revoke(server.signIn({ tier: 'pro' }))).status, 404);
+    assert.equal((await coachView(token)).status, 200);
+
+    const revoked = await revoke(user);
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.share.revokedAt);
+    assert.equal((await revoke(user)).status, 404);
+
+    assert.equal((await coachView(token)).status, 410);
+    assert.equal((await coachRating(token, 90)).status, 410);
+    assert.equal(server.db.session_shares.find(row => row.id === share.id).coach_rating, undefined);
+});
+
+test('links are only made for finished sessions the user owns', async () => {
+    const { user, sessionId } = await userWithSession();
+    const other = server.signIn({ tier: 'pro' });
+    const reserved = { id: crypto.randomUUID(), user_id: user.id, tonality: 'neutral', created_at: new Date().toISOString() };
+    server.db.sessions.push(reserved);
+
+    const share = (viewer, id) => server.request('POST', `/api/user/sessions/${id}/shares`, { token: viewer.token, body: { coachName: 'Alex' } });
+    assert.equal((await share(other, sessionId)).status, 404);
+    assert.equal((await share(user, reserved.id)).status, 404);
+
+    assert.equal((await coachView('A'.repeat(32))).status, 404);
+    assert.equal((await coachView('short')).status, 404);
+});
@@ -0,0 +1,63 @@
+// Dev mode (dev_mode=true): seeded dev users at /api/dev, only when asked for and never in production
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer({ dev_mode: 'true' });
+});
+
+after(() => server.close());
+
+// Helper: the status of GET /api/dev/users from a backend started in a separate process with `env`,
+// since dev mode is read once when the backend is loaded
+function devUsersStatus(env) {
+    const script = `
+        const { startServer } = require(${JSON.stringify(path.join(__dirname, 'helpers', 'server'))});
+        startServer(${JSON.stringify(env)}).then(async server => {
+            const response = await server.request('GET', '/api/dev/users');
+            console.log(response.status);
+            await server.close();
+        });
+    `;
+    // Without the dev_mode this process was started with
+    const { dev_mode, DEV_MODE, ...inherited } = process.env;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', script], { env: inherited, timeout: 30 * 1000 }, (error, stdout) =>
+            error ? reject(error) : resolve(Number(stdout.trim().split('\n').at(-1))));
+    });
+}
+
+test('signs in as a seeded dev user', async () => {
+    const users = await server.request('GET', '/api/dev/users');
+    assert.deepEqual(users.body.users.map(user => user.key), ['free', 'pro', 'new', 'admin']);
+
+    const login = await server.request('POST', '/api/dev/login', { body: { user: 'pro' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.tier, 'pro');
+    assert.ok(login.body.refreshToken);
+
+    const tier = await server.request('GET', '/api/user/tier', { token: login.body.token });
+    assert.equal(tier.body.tier, 'pro');
+});
+
+test('refuses unknown dev users and tiers', async () => {
+    for (const user of ['nobody', 'constructor', '__proto__', 'toString', ['free']]) {
+        const response = await server.request('POST', '/api/dev/login', { body: { user } });
+        assert.equal(response.status, 400, String(user));
+        assert.match(response.body.error, /^Unknown dev user/);
+    }
+
+    const tier = await server.request('POST', '/api/dev/login', { body: { user: 'free', tier: 'constructor' } });
+    assert.equal(tier.status, 400);
+});
+
+test('the dev routes only exist when dev mode is on outside production', async () => {
+    assert.equal(await devUsersStatus({}), 404);
+    assert.equal(await devUsersStatus({ dev_mode: 'true', NODE_ENV: 'production' }), 404);
+});
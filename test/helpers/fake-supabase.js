@@ -0,0 +1,225 @@
+// In-memory stand-in for the part of the supabase-js client the backend uses, so the tests run
+// without a Supabase project. Tables are plain arrays in `db`; rows get an id, created_at and the
+// COLUMN_DEFAULTS below on insert.
+// Only the query builder methods backend-example.js calls are implemented.
+
+const crypto = require('crypto');
+
+// Unique columns from supabase-setup.sql that the backend relies on (a duplicate insert returns 23505)
+const UNIQUE_COLUMNS = {
+    users: [['id'], ['email']],
+    stripe_events: [['id']],
+    payments: [['stripe_invoice_id']],
+    creator_commissions: [['stripe_invoice_id']],
+    creator_conversions: [['stripe_session_id']],
+    organization_members: [['user_id']],
+    organization_invites: [['token_hash']]
+};
+
+// Column defaults from supabase-setup.sql that the backend reads back (besides id and created_at)
+const COLUMN_DEFAULTS = {
+    organizations: () => ({ seats: 0, subscription_cancel_at_period_end: false }),
+    organization_members: () => ({ share_transcripts: false, joined_at: new Date().toISOString() }),
+    organization_invites: () => ({ uses: 0 })
+};
+
+function createFakeSupabase() {
+    const db = {};
+    // roundTrips: every query waits for the next turn of the event loop, like a network round trip,
+    // so requests running at the same time interleave their queries
+    const options = { roundTrips: false };
+    const table = name => (db[name] = db[name] || []);
+
+    const newRow = (name, row) => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...COLUMN_DEFAULTS[name]?.(), ...row });
+
+    function findConflict(name, row) {
+        return (UNIQUE_COLUMNS[name] || []).some(columns =>
+            table(name).some(existing => columns.every(column => existing[column] != null && existing[column] === row[column])));
+    }
+
+    function from(name) {
+        const query = { op: 'select', filters: [], orders: [], returning: false, single: null, count: null, head: false };
+
+        const builder = {
+            select(columns, options = {}) {
+                if (query.op !== 'select') query.returning = true;
+                query.count = options.count || null;
+                query.head = Boolean(options.head);
+                return builder;
+            },
+            insert(rows) {
+                Object.assign(query, { op: 'insert', rows: [].concat(rows) });
+                return builder;
+            },
+            upsert(rows, options = {}) {
+                Object.assign(query, { op: 'upsert', rows: [].concat(rows), options });
+                return builder;
+            },
+            update(values) {
+                Object.assign(query, { op: 'update', values });
+                return builder;
+            },
+            delete() {
+                query.op = 'delete';
+                return builder;
+            },
+            eq: (column, value) => filter(row => row[column] === value),
+            neq: (column, value) => filter(row => row[column] !== value),
+            lt: (column, value) => filter(row => row[column] != null && row[column] < value),
+            lte: (column, value) => filter(row => row[column] != null && row[column] <= value),
+            gt: (column, value) => filter(row => row[column] != null && row[column] > value),
+            gte: (column, value) => filter(row => row[column] != null && row[column] >= value),
+            is: (column, value) => filter(row => (row[column] ?? null) === value),
+            in: (column, values) => filter(row => values.includes(row[column])),
+            not(column, operator, value) {
+                if (operator !== 'is') throw new Error(`fake supabase: not(${operator}) is not supported`);
+                return filter(row => (row[column] ?? null) !== value);
+            },
+            ilike(column, pattern) {
+                const regex = new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i');
+                return filter(row => regex.test(row[column] || ''));
+            },
+            or() {
+                throw new Error('fake supabase: or() is not supported');
+            },
+            // Postgres puts NULLs last going up and first going down unless nullsFirst says otherwise
+            order(column, options = {}) {
+                const ascending = options.ascending !== false;
+                query.orders.push({ column, ascending, nullsFirst: options.nullsFirst ?? !ascending });
+                return builder;
+            },
+            limit(count) {
+                query.limit = count;
+                return builder;
+            },
+            range(from, to) {
+                query.range = [from, to];
+                return builder;
+            },
+            single() {
+                query.single = 'single';
+                return builder;
+            },
+            maybeSingle() {
+                query.single = 'maybe';
+                return builder;
+            },
+            then(resolve, reject) {
+                const sent = options.roundTrips ? new Promise(done => setImmediate(done)) : Promise.resolve();
+                return sent.then(run).then(resolve, reject);
+            }
+        };
+
+        function filter(predicate) {
+            query.filters.push(predicate);
+            return builder;
+        }
+
+        function run() {
+            const matching = () => table(name).filter(row => query.filters.every(predicate => predicate(row)));
+            let rows;
+
+            if (query.op === 'insert') {
+                rows = query.rows.map(row => newRow(name, row));
+                if (rows.some(row => findConflict(name, row))) {
+                    return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${name}` } };
+                }
+                table(name).push(...rows);
+            } else if (query.op === 'upsert') {
+                const keys = (query.options.onConflict || 'id').split(',');
+                rows = query.rows.map(row => {
+                    const existing = table(name).find(candidate => keys.every(key => candidate[key] === row[key]));
+                    if (!existing) {
+                        const inserted = newRow(name, row);
+                        table(name).push(inserted);
+                        return inserted;
+                    }
+                    if (!query.options.ignoreDuplicates) Object.assign(existing, row);
+                    return existing;
+                });
+            } else if (query.op === 'update') {
+                rows = matching();
+                rows.forEach(row => Object.assign(row, query.values));
+            } else if (query.op === 'delete') {
+                rows = matching();
+                db[name] = table(name).filter(row => !rows.includes(row));
+            } else {
+                rows = matching();
+                if (query.orders.length) {
+                    rows.sort((a, b) => {
+                        for (const { column, ascending, nullsFirst } of query.orders) {
+                            const aNull = a[column] == null;
+                            const bNull = b[column] == null;
+                            if (aNull && bNull) continue;
+                            if (aNull || bNull) return aNull === nullsFirst ? -1 : 1;
+                            if (a[column] === b[column]) continue;
+                            return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+                        }
+                        return 0;
+                    });
+                }
+                if (query.range) rows = rows.slice(query.range[0], query.range[1] + 1);
+                if (query.limit != null) rows = rows.slice(0, query.limit);
+            }
+
+            // Copies, like rows coming back over the wire
+            rows = rows.map(row => ({ ...row }));
+            const count = query.count ? rows.length : null;
+
+            if (query.head) {
+                return { data: null, count, error: null };
+            }
+            if (query.single) {
+                if (rows.length === 1) return { data: rows[0], error: null };
+                if (rows.length === 0 && query.single === 'maybe') return { data: null, error: null };
+                return { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${rows.length}` } };
+            }
+            return { data: query.op === 'select' || query.returning ? rows : null, count, error: null };
+        }
+
+        return builder;
+    }
+
+    // Supabase Auth accounts as { user, password }. signUp also adds the users row that the
+    // on_auth_user_created trigger creates.
+    const accounts = [];
+
+    return {
+        db,
+        options,
+        from,
+        rpc: async () => ({ data: null, error: null }),
+        auth: {
+            async signUp({ email, password, options: { data = {} } = {} }) {
+                if (accounts.some(account => account.user.email === email)) {
+                    return { data: null, error: { message: 'User already registered' } };
+                }
+                const user = { id: crypto.randomUUID(), email, user_metadata: data };
+                accounts.push({ user, password });
+                table('users').push(newRow('users', { id: user.id, email, name: data.name || null }));
+                return { data: { user }, error: null };
+            },
+            async signInWithPassword({ email, password }) {
+                const account = accounts.find(candidate => candidate.user.email === email && candidate.password === password);
+                return account
+                    ? { data: { user: account.user }, error: null }
+                    : { data: null, error: { message: 'Invalid login credentials' } };
+            },
+            admin: {
+                createUser: async ({ email }) => ({ data: { user: { id: crypto.randomUUID(), email } }, error: null }),
+                getUserById: async id => ({ data: { user: { id, user_metadata: {} } }, error: null }),
+                updateUserById: async () => ({ data: null, error: null }),
+                deleteUser: async () => ({ data: null, error: null })
+            }
+        }
+    };
+}
+
+// Point the backend's createClient() at a fresh in-memory database. Call before requiring backend-example.js.
+function installFakeSupabase() {
+    const fake = createFakeSupabase();
+    require('@supabase/supabase-js').createClient = () => fake;
+    return fake;
+}
+
+module.exports = { createFakeSupabase, installFakeSupabase };
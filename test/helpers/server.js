@@ -0,0 +1,75 @@
+// Starts backend-example.js on a free local port against the in-memory database, with the local
+// analysis provider. Each test file runs in its own process, so each gets a fresh backend.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { installFakeSupabase } = require('./fake-supabase');
+
+const TEST_JWT_SECRET = 'test-jwt-secret';
+
+// env: extra environment variables for the backend (read when it's loaded)
+async function startServer(env = {}) {
+    // Set explicitly so a developer's .env can't point the tests at real services
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        supabase_url: 'http://supabase.test',
+        supabase_key: 'test-anon-key',
+        supabase_service_role_key: 'test-service-key',
+        jwt_secret: TEST_JWT_SECRET,
+        analysis_provider: 'local',
+        transcription_provider: 'local'
+    }, env);
+
+    const supabase = installFakeSupabase();
+    const { db } = supabase;
+    const app = require('../../backend-example.js');
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Add a user with a live login and return { id, token }
+    function signIn({ id = crypto.randomUUID(), tier = 'free', ...fields } = {}) {
+        const sessionId = crypto.randomUUID();
+        const email = `${id.slice(0, 8)}@example.com`;
+
+        (db.users = db.users || []).push({ id, email, name: 'Test User', tier, created_at: new Date().toISOString(), ...fields });
+        (db.auth_sessions = db.auth_sessions || []).push({ id: sessionId, user_id: id, expires_at: '2099-01-01T00:00:00Z', revoked_at: null });
+
+        return { id, token: jwt.sign({ id, email, sid: sessionId }, TEST_JWT_SECRET, { expiresIn: '1h' }) };
+    }
+
+    // fetch() against the backend. options: { token, body, type, headers }; objects are sent as JSON.
+    async function request(method, path, { token, body, type, headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) {
+            const raw = typeof body === 'string' || Buffer.isBuffer(body);
+            init.body = raw ? body : JSON.stringify(body);
+            init.headers['Content-Type'] = type || (raw ? 'text/plain' : 'application/json');
+        }
+
+        const response = await fetch(`${baseUrl}${path}`, init);
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            // Not JSON (CSV, SSE or plain text)
+        }
+        return { status: response.status, headers: response.headers, text, body: json };
+    }
+
+    return {
+        db,
+        // The fake client, for its options
+        supabase,
+        baseUrl,
+        signIn,
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,51 @@
+// The plan catalog and the routes that take a plan id or billing interval from the request
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Names every object inherits, which must not pass for plans or intervals
+const INHERITED_KEYS = ['constructor', '__proto__', 'toString', 'hasOwnProperty'];
+
+let server;
+
+before(async () => {
+    server = await startServer({ stripe_secret_key: 'sk_test_plans' });
+});
+
+after(() => server.close());
+
+test('lists the plans with their prices', async () => {
+    const response = await server.request('GET', '/api/plans');
+
+    assert.equal(response.status, 200);
+    const free = response.body.plans.find(plan => plan.id === 'free');
+    const pro = response.body.plans.find(plan => plan.id === 'pro');
+    assert.equal(free.paid, false);
+    assert.equal(pro.paid, true);
+    assert.ok(pro.prices.some(price => price.interval === 'monthly' && price.amount > 0));
+});
+
+test('checkout refuses unknown plans and intervals', async () => {
+    const user = server.signIn({ tier: 'free' });
+    const checkout = body => server.request('POST', '/api/stripe/create-checkout', { token: user.token, body });
+
+    for (const key of [...INHERITED_KEYS, 'free']) {
+        assert.equal((await checkout({ plan: key })).status, 400, key);
+    }
+    for (const key of [...INHERITED_KEYS, 'weekly']) {
+        assert.equal((await checkout({ plan: 'pro', interval: key })).status, 400, key);
+    }
+    assert.equal((await checkout({ plan: ['pro'] })).status, 400);
+});
+
+test('users can only switch themselves to a known free plan', async () => {
+    const user = server.signIn({ tier: 'free' });
+    const setTier = tier => server.request('POST', '/api/user/tier', { token: user.token, body: { tier } });
+
+    for (const key of [...INHERITED_KEYS, ['free']]) {
+        assert.equal((await setTier(key)).status, 400, String(key));
+    }
+    assert.equal((await setTier('pro')).status, 400);
+    assert.equal(server.db.users.find(row => row.id === user.id).tier, 'free');
+});
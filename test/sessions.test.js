@@ -0,0 +1,78 @@
+// Session rows reserved before an analysis runs: the quota holding under parallel requests, and
+// unfinished rows staying out of history and progress
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+const TRANSCRIPT = 'Thanks for having me. Um, I believe we should launch on Friday because the data supports it. Let us commit to that plan.';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const analyze = (user, route = '/api/analyze-speech') => server.request('POST', route, {
+    token: user.token,
+    body: { transcript: TRANSCRIPT, tonality: 'neutral' }
+});
+
+test('free users get 3 analyses a day even when they arrive at once', async () => {
+    const user = server.signIn({ tier: 'free' });
+
+    const responses = await Promise.all(Array.from({ length: 5 }, (_, i) =>
+        analyze(user, i % 2 ? '/api/analyze-speech/stream' : '/api/analyze-speech')));
+
+    assert.equal(responses.filter(response => response.status === 200).length, 3);
+    for (const response of responses.filter(response => response.status !== 200)) {
+        assert.equal(response.status, 403);
+        assert.match(response.body.error, /^Daily limit reached/);
+    }
+
+    const sessions = server.db.sessions.filter(row => row.user_id === user.id);
+    assert.equal(sessions.length, 3);
+    assert.ok(sessions.every(row => row.rating !== null && row.transcript === TRANSCRIPT));
+});
+
+test('unfinished sessions are left out of history and progress', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const finished = await analyze(user);
+    // A reservation whose analysis is still running
+    const reserved = { id: crypto.randomUUID(), user_id: user.id, tonality: 'neutral', transcript_length: TRANSCRIPT.length, created_at: new Date().toISOString() };
+    server.db.sessions.push(reserved);
+
+    const history = await server.request('GET', '/api/user/sessions', { token: user.token });
+    assert.deepEqual(history.body.sessions.map(session => session.id), [finished.body.sessionId]);
+    assert.equal(history.body.total, 1);
+
+    const detail = await server.request('GET', `/api/user/sessions/${reserved.id}`, { token: user.token });
+    assert.equal(detail.status, 404);
+
+    const progress = await server.request('GET', '/api/user/progress', { token: user.token });
+    assert.deepEqual(progress.body.sessions.map(session => session.id), [finished.body.sessionId]);
+});
+
+test('a stream the client abandons never leaves an empty session behind', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const controller = new AbortController();
+
+    const response = await fetch(`${server.baseUrl}/api/analyze-speech/stream`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${user.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transcript: TRANSCRIPT, tonality: 'neutral' }),
+        signal: controller.signal
+    });
+    controller.abort();
+    await response.text().catch(() => {});
+
+    // Whether the hang-up beat the result or not, the row ends up either filled in or removed
+    const unfinished = () => server.db.sessions.filter(row => row.user_id === user.id && row.transcript == null);
+    for (let i = 0; i < 50 && unfinished().length > 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(unfinished().length, 0);
+});
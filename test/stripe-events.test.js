@@ -0,0 +1,230 @@
+// Stripe subscription lifecycle: the events in test/fixtures/stripe (Stripe's event format, API version
+// 2023-10-16, for one test user and subscription) signed and posted to /api/stripe/webhook, so they go
+// through signature checks and processStripeEvent() like live deliveries.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+const { startServer } = require('./helpers/server');
+
+const WEBHOOK_SECRET = 'whsec_test_fixture_secret';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+
+// The user, Stripe customer and creator the fixtures refer to
+const USER_ID = '5b0c7e52-3c1d-4f6a-9e8b-2d4f6a8c0e13';
+const CUSTOMER_ID = 'cus_PxR2mT8vLq4nZa';
+const SUBSCRIPTION_ID = 'sub_1Q8xYaLkdIwHu7ixHc2bV9Kf';
+const FIRST_INVOICE_ID = 'in_1Q8xYaLkdIwHu7ixQ9rT3nWe';
+const CREATOR_CODE = 'JANE';
+
+// Unix timestamp fields in the fixtures. The recording is moved so its first event happened an hour ago,
+// keeping the gaps between events, so clawback windows and grace periods are measured from now.
+const TIMESTAMP_KEYS = new Set(['created', 'billing_cycle_anchor', 'current_period_start', 'current_period_end',
+    'start_date', 'canceled_at', 'ended_at', 'expires_at', 'paid_at', 'finalized_at', 'next_payment_attempt', 'start', 'end']);
+const RECORDING_STARTED = 1760000000;
+const TIME_OFFSET = Math.floor(Date.now() / 1000) - 60 * 60 - RECORDING_STARTED;
+
+const stripe = Stripe('sk_test_fixture');
+let server;
+let user;
+
+before(async () => {
+    server = await startServer({ stripe_secret_key: 'sk_test_fixture', stripe_webhook_secret: WEBHOOK_SECRET });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    for (const name of Object.keys(server.db)) delete server.db[name];
+
+    user = server.signIn({ id: USER_ID, tier: 'free', referrer_code: CREATOR_CODE });
+    server.db.creators = [{
+        code: CREATOR_CODE,
+        owner_user_id: '0d9e8f7a-6b5c-4d3e-8f1a-2b3c4d5e6f70',
+        commission_rate: 0.2,
+        stripe_coupon_id: null,
+        active: true
+    }];
+});
+
+function shiftTimes(value) {
+    if (Array.isArray(value)) return value.map(shiftTimes);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+        [key, TIMESTAMP_KEYS.has(key) && Number.isInteger(field) ? field + TIME_OFFSET : shiftTimes(field)]));
+}
+
+// Helper: a fixture event by type, with `overrides` merged into it
+function fixture(type, overrides = {}) {
+    const event = shiftTimes(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${type}.json`), 'utf8')));
+    return { ...event, ...overrides };
+}
+
+// Helper: deliver an event the way Stripe does, with a Stripe-Signature header
+async function deliver(event) {
+    const payload = JSON.stringify(event);
+    const response = await server.request('POST', '/api/stripe/webhook', {
+        body: payload,
+        type: 'application/json',
+        headers: { 'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET }) }
+    });
+    assert.equal(response.status, 200, response.text);
+    return response.body;
+}
+
+const userRow = () => server.db.users.find(row => row.id === USER_ID);
+const currentTier = async () => (await server.request('GET', '/api/user/tier', { token: user.token })).body.tier;
+
+test('every recorded event type is handled', async () => {
+    const types = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+    assert.deepEqual(types.sort(), [
+        'charge.refunded',
+        'checkout.session.completed',
+        'customer.subscription.created',
+        'customer.subscription.deleted',
+        'customer.subscription.updated',
+        'invoice.paid',
+        'invoice.payment_failed'
+    ]);
+
+    for (const type of types) {
+        assert.deepEqual(await deliver(fixture(type)), { received: true, handled: true }, type);
+    }
+});
+
+test('refuses events without a valid signature', async () => {
+    const response = await server.request('POST', '/api/stripe/webhook', {
+        body: JSON.stringify(fixture('checkout.session.completed')),
+        type: 'application/json',
+        headers: { 'Stripe-Signature': 't=1,v1=0000' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(server.db.stripe_events, undefined);
+    assert.equal(userRow().tier, 'free');
+});
+
+test('checkout, the new subscription and its first invoice start Pro and record the payment', async () => {
+    await deliver(fixture('checkout.session.completed'));
+    await deliver(fixture('customer.subscription.created'));
+    await deliver(fixture('invoice.paid'));
+
+    assert.equal(await currentTier(), 'pro');
+    assert.equal(userRow().stripe_customer_id, CUSTOMER_ID);
+    assert.equal(userRow().stripe_subscription_id, SUBSCRIPTION_ID);
+    assert.equal(userRow().subscription_status, 'active');
+    assert.equal(userRow().billing_interval, 'monthly');
+
+    const [payment] = server.db.payments;
+    assert.equal(server.db.payments.length, 1);
+    assert.equal(payment.stripe_invoice_id, FIRST_INVOICE_ID);
+    assert.equal(payment.amount, 900);
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.billing_reason, 'subscription_create');
+
+    const [commission] = server.db.creator_commissions;
+    assert.equal(commission.creator_code, CREATOR_CODE);
+    assert.equal(commission.amount, 180);
+    assert.equal(commission.status, 'pending');
+    assert.equal(server.db.creator_conversions.length, 1);
+});
+
+test('a subscribed user can\'t open a second checkout', async () => {
+    await deliver(fixture('checkout.session.completed'));
+    await deliver(fixture('customer.subscription.created'));
+
+    const response = await server.request('POST', '/api/stripe/create-checkout', { token: user.token, body: { plan: 'pro' } });
+
+    assert.equal(response.status, 409);
+    assert.match(response.body.error, /already have a subscription/);
+});
+
+test('a redelivered event is applied once', async () => {
+    const checkout = fixture('checkout.session.completed');
+    const invoice = fixture('invoice.paid');
+
+    assert.deepEqual(await deliver(checkout), { received: true, handled: true });
+    assert.deepEqual(await deliver(invoice), { received: true, handled: true });
+    assert.deepEqual(await deliver(checkout), { received: true, duplicate: true });
+    assert.deepEqual(await deliver(invoice), { received: true, duplicate: true });
+
+    assert.equal(server.db.creator_conversions.length, 1);
+    assert.equal(server.db.payments.length, 1);
+    assert.equal(server.db.creator_commissions.length, 1);
+    assert.ok(server.db.stripe_events.every(event => event.status === 'processed'));
+});
+
+test('an event older than the last one applied is skipped', async () => {
+    await deliver(fixture('checkout.session.completed'));
+    await deliver(fixture('customer.subscription.deleted'));
+
+    // Stripe doesn't guarantee order: the earlier updates arrive after the cancellation
+    await deliver(fixture('customer.subscription.created'));
+    await deliver(fixture('customer.subscription.updated'));
+
+    assert.equal(await currentTier(), 'free');
+    assert.equal(userRow().subscription_status, 'canceled');
+    assert.equal(userRow().stripe_event_at, new Date(fixture('customer.subscription.deleted').created * 1000).toISOString());
+});
+
+test('a failed renewal keeps Pro until the grace period ends', async () => {
+    await deliver(fixture('checkout.session.completed'));
+    await deliver(fixture('customer.subscription.created'));
+    await deliver(fixture('invoice.paid'));
+    await deliver(fixture('invoice.payment_failed'));
+
+    const graceEndsAt = userRow().grace_period_ends_at;
+    const graceDays = (new Date(graceEndsAt) - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.equal(userRow().subscription_status, 'past_due');
+    assert.ok(graceDays > 6.9 && graceDays <= 7, `grace period of ${graceDays} days`);
+
+    // Stripe's matching subscription update and a retried charge keep the original deadline
+    await deliver(fixture('customer.subscription.updated'));
+    const retry = fixture('invoice.payment_failed', { id: 'evt_1QJ5kRLkdIwHu7ixY2bN7cVx' });
+    await deliver({ ...retry, created: retry.created + 3 * 24 * 60 * 60 });
+    assert.equal(userRow().grace_period_ends_at, graceEndsAt);
+
+    assert.equal(await currentTier(), 'pro');
+    const subscription = await server.request('GET', '/api/user/subscription', { token: user.token });
+    assert.equal(subscription.body.paymentStatus, 'past_due');
+    assert.equal(subscription.body.gracePeriodEndsAt, graceEndsAt);
+
+    // Once the grace period is over the user is on Free until a payment goes through
+    userRow().grace_period_ends_at = new Date(Date.now() - 1000).toISOString();
+    assert.equal(await currentTier(), 'free');
+});
+
+test('a refund marks the payment and reverses the creator commission, leaving access to the cancellation', async () => {
+    await deliver(fixture('checkout.session.completed'));
+    await deliver(fixture('customer.subscription.created'));
+    await deliver(fixture('invoice.paid'));
+    await deliver(fixture('charge.refunded'));
+
+    const [payment] = server.db.payments;
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.amount_refunded, 900);
+
+    const [commission] = server.db.creator_commissions;
+    assert.equal(commission.status, 'reversed');
+    assert.equal(commission.reversal_reason, 'refund');
+    assert.equal(commission.payment_refunded, 900);
+
+    assert.equal(await currentTier(), 'pro');
+    await deliver(fixture('customer.subscription.deleted'));
+    assert.equal(await currentTier(), 'free');
+});
+
+test('a partial refund reduces the creator commission', async () => {
+    await deliver(fixture('checkout.session.completed'));
+    await deliver(fixture('invoice.paid'));
+
+    const refund = fixture('charge.refunded');
+    refund.data.object = { ...refund.data.object, amount_refunded: 300, refunded: false };
+    await deliver(refund);
+
+    assert.equal(server.db.payments[0].status, 'partially_refunded');
+    assert.equal(server.db.creator_commissions[0].status, 'pending');
+    assert.equal(server.db.creator_commissions[0].amount, 120);
+});
@@ -0,0 +1,122 @@
+// Teams: seats filled through invite links, and what each role may do
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// Helper: a team owned by a new user with `seats` seats, as { owner, organization }
+async function createTeam(seats) {
+    const owner = server.signIn({ tier: 'free' });
+    const response = await server.request('POST', '/api/org', { token: owner.token, body: { name: 'Sales' } });
+    assert.equal(response.status, 201);
+
+    const organization = server.db.organizations.find(row => row.id === response.body.organization.id);
+    organization.seats = seats;
+    return { owner, organization };
+}
+
+// Helper: a new invite link token from `user`
+async function createInvite(user, body = {}) {
+    const response = await server.request('POST', '/api/org/invites', { token: user.token, body });
+    assert.equal(response.status, 201, response.text);
+    return new URL(response.body.url).searchParams.get('invite');
+}
+
+// Helper: a new user who joined through an invite from `inviter`
+async function join(inviter, body) {
+    const user = server.signIn({ tier: 'free' });
+    const response = await server.request('POST', `/api/invites/${await createInvite(inviter, body)}/accept`, { token: user.token });
+    assert.equal(response.status, 201, response.text);
+    return user;
+}
+
+const members = organization => server.db.organization_members.filter(row => row.organization_id === organization.id);
+
+test('invites accepted at the same time never go over the seats', async () => {
+    const { owner, organization } = await createTeam(3);
+    const tokens = await Promise.all([1, 2, 3, 4].map(() => createInvite(owner)));
+
+    server.supabase.options.roundTrips = true;
+    const responses = await Promise.all(tokens.map(token =>
+        server.request('POST', `/api/invites/${token}/accept`, { token: server.signIn({ tier: 'free' }).token })))
+        .finally(() => { server.supabase.options.roundTrips = false; });
+
+    // Racing for the last seats can refuse every request, but never lets too many in
+    const joined = responses.filter(response => response.status === 201).length;
+    assert.ok(joined <= 2, `${joined} joined`);
+    for (const response of responses.filter(response => response.status !== 201)) {
+        assert.equal(response.status, 409);
+        assert.match(response.body.error, /no free seats/);
+    }
+    assert.equal(members(organization).length, 1 + joined);
+
+    // Refused joins give their invite use back
+    const uses = server.db.organization_invites.filter(row => row.organization_id === organization.id).reduce((sum, row) => sum + row.uses, 0);
+    assert.equal(uses, joined);
+
+    // The invite of a refused join works again while a seat is free
+    if (joined < 2) {
+        const retry = await server.request('POST', `/api/invites/${tokens[responses.findIndex(response => response.status === 409)]}/accept`, {
+            token: server.signIn({ tier: 'free' }).token
+        });
+        assert.equal(retry.status, 201);
+    }
+});
+
+test('a full team refuses new members', async () => {
+    const { owner, organization } = await createTeam(2);
+    await join(owner);
+
+    const late = server.signIn({ tier: 'free' });
+    const response = await server.request('POST', `/api/invites/${await createInvite(owner)}/accept`, { token: late.token });
+
+    assert.equal(response.status, 409);
+    assert.equal(members(organization).length, 2);
+});
+
+test('only the owner invites managers and changes roles', async () => {
+    const { owner } = await createTeam(10);
+    const manager = await join(owner, { role: 'manager' });
+    const member = await join(manager);
+
+    const managerInvite = await server.request('POST', '/api/org/invites', { token: manager.token, body: { role: 'manager' } });
+    assert.equal(managerInvite.status, 403);
+
+    const memberInvite = await server.request('POST', '/api/org/invites', { token: member.token, body: {} });
+    assert.equal(memberInvite.status, 403);
+
+    const promote = await server.request('PATCH', `/api/org/members/${member.id}`, { token: manager.token, body: { role: 'manager' } });
+    assert.equal(promote.status, 403);
+
+    const ownerRole = await server.request('PATCH', `/api/org/members/${owner.id}`, { token: owner.token, body: { role: 'member' } });
+    assert.equal(ownerRole.status, 400);
+
+    const promoted = await server.request('PATCH', `/api/org/members/${member.id}`, { token: owner.token, body: { role: 'manager' } });
+    assert.deepEqual(promoted.body, { userId: member.id, role: 'manager' });
+});
+
+test('members can only remove people with a lower role, and the owner can\'t leave', async () => {
+    const { owner, organization } = await createTeam(10);
+    const manager = await join(owner, { role: 'manager' });
+    const otherManager = await join(owner, { role: 'manager' });
+    const member = await join(manager);
+
+    const remove = (user, target) => server.request('DELETE', `/api/org/members/${target.id}`, { token: user.token });
+
+    assert.equal((await remove(member, manager)).status, 403);
+    assert.equal((await remove(manager, otherManager)).status, 403);
+    assert.equal((await remove(manager, owner)).status, 403);
+    assert.equal((await remove(owner, owner)).status, 400);
+
+    assert.equal((await remove(manager, member)).status, 200);
+    assert.equal((await remove(otherManager, otherManager)).status, 200);
+    assert.deepEqual(members(organization).map(row => row.user_id).sort(), [owner.id, manager.id].sort());
+});
@@ -0,0 +1,54 @@
+// /api/transcribe with the offline (local) transcription provider, which returns a fixed transcript
+// in 3 second segments 2 seconds apart instead of calling Whisper
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let user;
+
+before(async () => {
+    server = await startServer({ transcription_local_text: 'Um, so this is the plan. | Can we ship it on Friday?' });
+    user = server.signIn();
+});
+
+after(() => server.close());
+
+const transcribe = (body, type) => server.request('POST', '/api/transcribe', { token: user.token, body, type });
+
+test('returns the annotated transcript and timing of the local stand-in', async () => {
+    const response = await transcribe(Buffer.from('recorded audio'), 'audio/webm;codecs=opus');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.transcript,
+        'Um ( filler word ), so this is the plan. ( pause 2s ) Can we ship it on Friday? ( questioning tone )');
+    assert.equal(response.body.durationSeconds, 8);
+    assert.deepEqual(response.body.timing, {
+        durationMs: 8000,
+        chunks: [
+            { start: 0, end: 3000, text: 'Um, so this is the plan.', words: 6, revisions: 0 },
+            { start: 5000, end: 8000, text: 'Can we ship it on Friday?', words: 6, revisions: 0 }
+        ]
+    });
+});
+
+test('the transcript can be analyzed with its timing', async () => {
+    const { body: transcription } = await transcribe(Buffer.from('recorded audio'), 'audio/wav');
+
+    const response = await server.request('POST', '/api/analyze-speech', {
+        token: user.token,
+        body: { transcript: transcription.transcript, durationSeconds: transcription.durationSeconds, timing: transcription.timing }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.metrics.fillerCount, 1);
+});
+
+test('rejects unsupported formats, empty audio and missing logins', async () => {
+    assert.equal((await transcribe(Buffer.from('audio'), 'audio/mpeg')).status, 415);
+    assert.equal((await transcribe(Buffer.alloc(0), 'audio/ogg')).status, 400);
+
+    const anonymous = await server.request('POST', '/api/transcribe', { body: Buffer.from('audio'), type: 'audio/webm' });
+    assert.equal(anonymous.status, 401);
+});
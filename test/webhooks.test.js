@@ -0,0 +1,184 @@
+// Outgoing webhooks delivered to a local receiver: signatures, the delivery log and retries
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+const CRON_SECRET = 'test-cron-secret';
+const TRANSCRIPT = 'Thanks for having me. I believe we should launch on Friday because the data supports it.';
+
+let server;
+let receiver;
+let receiverUrl;
+// Status codes the receiver answers with next (200 once they run out) and the requests it got
+const responses = [];
+const received = [];
+let waiting = null;
+
+before(async () => {
+    server = await startServer({ cron_secret: CRON_SECRET });
+
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            const status = responses.shift() || 200;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status === 200 ? 'ok' : 'internal details the owner should not see');
+            if (waiting) waiting();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await server.close();
+});
+
+// Helper: wait until the receiver has had `count` requests in total
+async function receivedCount(count) {
+    while (received.length < count) {
+        await new Promise((resolve, reject) => {
+            waiting = resolve;
+            setTimeout(() => reject(new Error(`Receiver got ${received.length} of ${count} requests`)), 5000).unref();
+        });
+    }
+    waiting = null;
+}
+
+// Helper: check Tonr-Signature the way a receiver should
+function signatureIsValid(request, secret) {
+    const [, timestamp, signature] = request.headers['tonr-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/) || [];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+    return Boolean(signature) && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+async function createEndpoint(user, fields = {}) {
+    const response = await server.request('POST', '/api/user/webhooks', {
+        token: user.token,
+        body: { url: receiverUrl, description: 'Local receiver', ...fields }
+    });
+    assert.equal(response.status, 201);
+    return response.body;
+}
+
+test('sends a signed test event and logs the delivery', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const { endpoint, secret } = await createEndpoint(user);
+    received.length = 0;
+
+    const response = await server.request('POST', `/api/user/webhooks/${endpoint.id}/test`, { token: user.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.delivery.status, 'succeeded');
+    assert.equal(response.body.delivery.lastStatusCode, 200);
+
+    const [request] = received;
+    assert.ok(signatureIsValid(request, secret));
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'webhook.test');
+    assert.equal(request.headers['tonr-event-id'], event.id);
+    assert.equal(request.headers['tonr-delivery-id'], response.body.delivery.id);
+    assert.deepEqual(event.data, { message: 'Test event from Tonr', endpointId: endpoint.id });
+});
+
+test('sends analysis events without the transcript', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const { secret } = await createEndpoint(user, { events: ['analysis.completed'] });
+    received.length = 0;
+
+    const analysis = await server.request('POST', '/api/analyze-speech', {
+        token: user.token,
+        body: { transcript: TRANSCRIPT, tonality: 'neutral' }
+    });
+    assert.equal(analysis.status, 200);
+    await receivedCount(1);
+
+    const [request] = received;
+    assert.ok(signatureIsValid(request, secret));
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'analysis.completed');
+    assert.equal(event.data.analysis.id, analysis.body.sessionId);
+    assert.equal(event.data.analysis.rating, analysis.body.rating);
+    assert.ok(!request.body.includes('launch on Friday'));
+});
+
+test('rating milestones count only earlier rated sessions', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const { endpoint } = await createEndpoint(user, { events: ['analysis.completed', 'rating.milestone'] });
+    const earlier = fields => ({ id: crypto.randomUUID(), user_id: user.id, tonality: 'neutral', created_at: new Date(Date.now() - 60 * 1000).toISOString(), ...fields });
+    // A reservation still waiting for its rating
+    server.db.sessions.push(earlier({ rating: null, transcript: null }));
+    received.length = 0;
+
+    const first = await server.request('POST', '/api/analyze-speech', { token: user.token, body: { transcript: TRANSCRIPT } });
+    await receivedCount(2);
+    const milestone = received.map(request => JSON.parse(request.body)).find(event => event.type === 'rating.milestone');
+    assert.equal(milestone.data.analysis.id, first.body.sessionId);
+    assert.equal(milestone.data.previousBest, null);
+
+    // Nothing new once an earlier session has already rated higher
+    server.db.sessions.push(earlier({ rating: 100, transcript: TRANSCRIPT }));
+    received.length = 0;
+    await server.request('POST', '/api/analyze-speech', { token: user.token, body: { transcript: TRANSCRIPT } });
+    await receivedCount(1);
+    const milestones = server.db.webhook_deliveries.filter(row => row.endpoint_id === endpoint.id && row.event_type === 'rating.milestone');
+    assert.equal(milestones.length, 1);
+});
+
+test('retries failed deliveries with the same event id and keeps only the status code', async () => {
+    const user = server.signIn({ tier: 'pro' });
+    const { endpoint, secret } = await createEndpoint(user, { events: ['analysis.completed'] });
+    received.length = 0;
+    responses.push(500);
+
+    await server.request('POST', '/api/analyze-speech', { token: user.token, body: { transcript: TRANSCRIPT } });
+    await receivedCount(1);
+
+    // The first attempt has been recorded once the retry is scheduled
+    let delivery;
+    for (let i = 0; i < 50 && !delivery; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        delivery = server.db.webhook_deliveries.find(row => row.endpoint_id === endpoint.id && row.attempts === 1);
+    }
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.last_status_code, 500);
+    assert.equal(delivery.last_error, 'HTTP 500');
+    assert.ok(new Date(delivery.next_attempt_at) > new Date());
+
+    // Not due yet
+    const early = await server.request('GET', '/api/cron/webhooks', { headers: { Authorization: `Bearer ${CRON_SECRET}` } });
+    assert.deepEqual(early.body, { attempted: 0, succeeded: 0 });
+
+    server.db.webhook_deliveries.find(row => row.id === delivery.id).next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    const retry = await server.request('GET', '/api/cron/webhooks', { headers: { Authorization: `Bearer ${CRON_SECRET}` } });
+    assert.deepEqual(retry.body, { attempted: 1, succeeded: 1 });
+
+    assert.equal(received.length, 2);
+    assert.ok(signatureIsValid(received[1], secret));
+    assert.equal(JSON.parse(received[1].body).id, JSON.parse(received[0].body).id);
+
+    const log = await server.request('GET', `/api/user/webhooks/${endpoint.id}/deliveries`, { token: user.token });
+    assert.equal(log.body.deliveries[0].status, 'succeeded');
+    assert.equal(log.body.deliveries[0].attempts, 2);
+    assert.equal(log.body.deliveries[0].lastError, null);
+});
+
+test('the retry job needs the cron secret', async () => {
+    const response = await server.request('GET', '/api/cron/webhooks', { headers: { Authorization: 'Bearer wrong' } });
+    assert.equal(response.status, 401);
+});
+
+test('endpoints belong to their owner', async () => {
+    const owner = server.signIn({ tier: 'pro' });
+    const other = server.signIn({ tier: 'pro' });
+    const { endpoint } = await createEndpoint(owner);
+
+    const response = await server.request('POST', `/api/user/webhooks/${endpoint.id}/test`, { token: other.token });
+    assert.equal(response.status, 404);
+});